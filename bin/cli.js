@@ -2,97 +2,411 @@
 
 /**
  * Git 年度报告生成器 - CLI 入口
- * 用于收集用户输入并启动报告生成
+ * 用于解析命令行参数、收集用户输入并启动报告生成（分析由 lib/analyze.js 完成，输出由 lib/generate.js 处理）
  */
 
-const { execSync } = require('child_process');
+const { execFileSync } = require('child_process');
+const { parseArgs } = require('util');
+const fs = require('fs');
 const path = require('path');
+const dayjs = require('dayjs');
 const generate = require('../lib/generate');
+const { findGitRepos, generateTeam, generatePosterFromReport, upgradeReportFile } = require('../lib/generate');
+const { toIdentityList } = require('../lib/identity');
+const { THEMES, SIZES } = require('../lib/poster');
+const { DEFAULT_TIMEZONE, validateTimezone } = require('../lib/timezone');
+const { REDACTION_LEVELS, DEFAULT_REDACTION, validateRedaction } = require('../lib/redact');
+const { LOCALES, detectLocale, normalizeLocale, validateLocale, createTranslator } = require('../lib/i18n');
+const pkg = require('../package.json');
+
+/** 命令行参数定义 */
+const cliOptions = {
+  author: { type: 'string', short: 'a', multiple: true },
+  root: { type: 'string', short: 'r' },
+  submodules: { type: 'boolean' },
+  'nested-repos': { type: 'boolean' },
+  'max-depth': { type: 'string' },
+  'include-dir': { type: 'string', multiple: true },
+  'exclude-dir': { type: 'string', multiple: true },
+  since: { type: 'string', short: 's' },
+  until: { type: 'string', short: 'u' },
+  output: { type: 'string', short: 'o' },
+  'no-open': { type: 'boolean' },
+  web: { type: 'boolean' },
+  quiet: { type: 'boolean', short: 'q' },
+  'no-cache': { type: 'boolean' },
+  'clear-cache': { type: 'boolean' },
+  'cache-dir': { type: 'string' },
+  concurrency: { type: 'string', short: 'j' },
+  timezone: { type: 'string', short: 't' },
+  'no-default-excludes': { type: 'boolean' },
+  'count-co-authored': { type: 'boolean' },
+  'all-branches': { type: 'boolean' },
+  'churn-days': { type: 'string' },
+  blame: { type: 'boolean' },
+  'blame-max-files': { type: 'string' },
+  'blame-timeout': { type: 'string' },
+  rules: { type: 'string' },
+  compare: { type: 'boolean' },
+  'compare-since': { type: 'string' },
+  'compare-until': { type: 'string' },
+  'compare-report': { type: 'string' },
+  team: { type: 'boolean' },
+  member: { type: 'string', short: 'm', multiple: true },
+  poster: { type: 'boolean' },
+  'poster-theme': { type: 'string' },
+  'poster-size': { type: 'string' },
+  'from-report': { type: 'string' },
+  'upgrade-report': { type: 'string' },
+  redact: { type: 'string' },
+  'redact-preview': { type: 'boolean' },
+  locale: { type: 'string', short: 'l' },
+  help: { type: 'boolean', short: 'h' },
+  version: { type: 'boolean', short: 'v' }
+};
+
+/** 翻译函数：默认按环境变量识别语言，指定 --locale 后切换 */
+let t = createTranslator(detectLocale());
 
 /**
- * 从 git config 获取所有用户配置
- * @returns {{ name: string, email: string }[]} 用户列表
+ * 打印错误信息并以非零状态码退出
+ * @param {string} message - 错误信息
  */
-function getGitUsers() {
-  const users = [];
-  
-  // 获取 global 配置
+function fail(message) {
+  console.error(`❌ ${message}`);
+  process.exit(1);
+}
+
+/**
+ * 校验日期格式（YYYY-MM-DD 且为真实存在的日期）
+ * @param {string} value - 日期字符串
+ * @returns {true|string} 通过返回 true，否则返回错误信息
+ */
+function validateDate(value) {
+  const v = (value || '').trim();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(v) || dayjs(v).format('YYYY-MM-DD') !== v) {
+    return t('cli.invalidDate', { value });
+  }
+  return true;
+}
+
+/**
+ * 校验仓库根目录是否存在
+ * @param {string} value - 目录路径
+ * @returns {true|string} 通过返回 true，否则返回错误信息
+ */
+function validateRoot(value) {
+  const dir = path.resolve((value || '').trim());
   try {
-    const name = execSync('git config --global user.name', { encoding: 'utf8', stdio: ['pipe', 'pipe', 'ignore'] }).trim();
-    const email = execSync('git config --global user.email', { encoding: 'utf8', stdio: ['pipe', 'pipe', 'ignore'] }).trim();
-    if (name) users.push({ name, email });
-  } catch (e) { /* 忽略 */ }
-  
-  // 获取 local 配置（当前目录如果是 git 仓库）
+    if (fs.statSync(dir).isDirectory()) return true;
+  } catch (e) { /* 不存在 */ }
+  return t('cli.dirNotFound', { dir });
+}
+
+/**
+ * 解析命令行参数，非法参数直接退出
+ * @param {string[]} argv - 命令行参数
+ * @returns {Object} 解析后的参数
+ */
+function parseCliArgs(argv) {
+  let values;
   try {
-    const name = execSync('git config --local user.name', { encoding: 'utf8', stdio: ['pipe', 'pipe', 'ignore'] }).trim();
-    const email = execSync('git config --local user.email', { encoding: 'utf8', stdio: ['pipe', 'pipe', 'ignore'] }).trim();
-    if (name && !users.some(u => u.name === name)) users.push({ name, email });
-  } catch (e) { /* 忽略 */ }
-  
+    ({ values } = parseArgs({ args: argv, options: cliOptions, strict: true, allowPositionals: false }));
+  } catch (e) {
+    fail(`${e.message}\n${t('cli.usageHint')}`);
+  }
+
+  // 先确定语言，后续的错误信息按该语言输出
+  if (values.locale !== undefined) {
+    const result = validateLocale(values.locale, t.locale);
+    if (result !== true) fail(`--locale ${result}`);
+    t = createTranslator(normalizeLocale(values.locale));
+  }
+
+  if (values.author !== undefined && !toIdentityList(values.author).length) fail(t('cli.emptyOption', { option: '--author' }));
+  if (values.output !== undefined && !values.output.trim()) fail(t('cli.emptyOption', { option: '--output' }));
+  if (values.member !== undefined && values.member.some(m => !toIdentityList(m).length)) fail(t('cli.emptyOption', { option: '--member' }));
+  if (values.team || values.member) {
+    if (values.author) fail(t('cli.teamWithAuthor'));
+    if (values.compare || values['compare-since'] || values['compare-until'] || values['compare-report']) fail(t('cli.teamWithCompare'));
+  }
+  if (values['compare-report'] && (values.compare || values['compare-since'] || values['compare-until'])) {
+    fail(t('cli.compareReportWithCompare'));
+  }
+  ['since', 'until', 'compare-since', 'compare-until'].forEach(key => {
+    if (values[key] === undefined) return;
+    const result = validateDate(values[key]);
+    if (result !== true) fail(`--${key} ${result}`);
+  });
+  if (values.timezone !== undefined) {
+    const result = validateTimezone(values.timezone, t.locale);
+    if (result !== true) fail(`--timezone ${result}`);
+  }
+  if (values['poster-theme'] !== undefined && !THEMES[values['poster-theme']]) {
+    fail(`--poster-theme ${t('cli.invalidChoice', { value: values['poster-theme'], options: Object.keys(THEMES).join(', ') })}`);
+  }
+  if (values['poster-size'] !== undefined && !SIZES[values['poster-size']]) {
+    fail(`--poster-size ${t('cli.invalidChoice', { value: values['poster-size'], options: Object.keys(SIZES).join(', ') })}`);
+  }
+  if (values.redact !== undefined) {
+    const result = validateRedaction(values.redact, t.locale);
+    if (result !== true) fail(`--redact ${result}`);
+  }
+  ['from-report', 'upgrade-report', 'compare-report'].forEach(key => {
+    if (values[key] !== undefined && !fs.existsSync(values[key])) fail(`--${key} ${t('cli.fileNotFound', { file: values[key] })}`);
+  });
+  if (values.root !== undefined) {
+    const result = validateRoot(values.root);
+    if (result !== true) fail(`--root ${result}`);
+  }
+  if (values.concurrency !== undefined && !/^[1-9]\d*$/.test(values.concurrency.trim())) {
+    fail(`--concurrency ${t('cli.positiveInteger', { value: values.concurrency })}`);
+  }
+  ['churn-days', 'blame-max-files', 'blame-timeout'].forEach(key => {
+    if (values[key] !== undefined && !/^[1-9]\d*$/.test(values[key].trim())) fail(`--${key} ${t('cli.positiveInteger', { value: values[key] })}`);
+  });
+  if (values['max-depth'] !== undefined && !/^\d+$/.test(values['max-depth'].trim())) {
+    fail(`--max-depth ${t('cli.nonNegativeInteger', { value: values['max-depth'] })}`);
+  }
+  ['include-dir', 'exclude-dir'].forEach(key => {
+    if (values[key]?.some(p => !p.trim())) fail(t('cli.emptyOption', { option: `--${key}` }));
+  });
+  if (values.since && values.until && values.since > values.until) {
+    fail(t('cli.sinceAfterUntil', { since: values.since, until: values.until }));
+  }
+  if (values['compare-since'] && values['compare-until'] && values['compare-since'] > values['compare-until']) {
+    fail(t('cli.compareSinceAfterUntil', { since: values['compare-since'], until: values['compare-until'] }));
+  }
+  return values;
+}
+
+/**
+ * 读取 git config 中的用户名和邮箱
+ * @param {string[]} args - git config 的作用域参数
+ * @returns {{ name: string, email: string }|null}
+ */
+function readGitUser(args) {
+  const read = key => {
+    try {
+      return execFileSync('git', [...args, key], { encoding: 'utf8', stdio: ['pipe', 'pipe', 'ignore'] }).trim();
+    } catch (e) {
+      return '';
+    }
+  };
+  const name = read('user.name');
+  const email = read('user.email');
+  return name || email ? { name, email } : null;
+}
+
+/**
+ * 从 git config 获取所有用户配置（global、当前目录 local 以及各个扫描到的仓库）
+ * @param {string[]} repoPaths - 扫描到的仓库路径
+ * @returns {{ name: string, email: string, source: string }[]} 用户列表（按用户名+邮箱去重）
+ */
+function getGitUsers(repoPaths = []) {
+  const users = [];
+  const add = (user, source) => {
+    if (!user) return;
+    if (users.some(u => u.name === user.name && u.email === user.email)) return;
+    users.push({ ...user, source });
+  };
+
+  add(readGitUser(['config', '--global']), 'global');
+  add(readGitUser(['config', '--local']), 'local');
+  repoPaths.forEach(repo => add(readGitUser(['-C', repo, 'config', '--local']), path.basename(repo)));
+
   return users;
 }
 
-async function init() {
-  const inquirer = (await import('inquirer')).default;
-  
-  console.log('\n🚀 年度代码报告生成器\n');
+/**
+ * 确定要统计的 Git 作者身份，命令行已指定时不再询问
+ * @param {Function} prompt - inquirer.prompt
+ * @param {Object} args - 命令行参数
+ * @param {string} repoRoot - 仓库根目录（用于读取各仓库的用户配置）
+ * @param {Object} scan - 仓库扫描选项
+ * @param {Function} log - 日志输出函数
+ * @returns {Promise<{ authors: string[], authorName: string, authorEmail: string }>}
+ */
+async function resolveAuthors(prompt, args, repoRoot, scan, log) {
+  const toAuthors = selected => {
+    const authors = toIdentityList(selected.flatMap(u => [u.name, u.email]));
+    return { authors, authorName: selected[0].name || selected[0].email, authorEmail: selected[0].email || '' };
+  };
+
+  if (args.author) {
+    const identities = toIdentityList(args.author);
+    const users = getGitUsers();
+    const user = users.find(u => identities.includes(u.name) || identities.includes(u.email));
+    return { authors: identities, authorName: user?.name || identities[0], authorEmail: user?.email || identities.find(i => i.includes('@')) || '' };
+  }
+
+  const users = getGitUsers(await findGitRepos(repoRoot, scan));
 
-  // 获取 git 用户配置
-  const users = getGitUsers();
-  
-  let author;
   if (users.length === 0) {
-    const { manualAuthor } = await inquirer.prompt([{
+    const { manualAuthor } = await prompt([{
       name: 'manualAuthor',
-      message: '请输入你的 Git 用户名或邮箱:',
-      validate: v => v.trim() ? true : '请输入你的 Git 用户名或邮箱'
+      message: t('cli.prompt.author'),
+      validate: v => toIdentityList(v).length ? true : t('cli.prompt.authorRequired')
     }]);
-    author = manualAuthor;
-  } else if (users.length === 1) {
-    author = users[0].name;
-    console.log(`👤 使用 Git 用户: ${users[0].name} <${users[0].email}>\n`);
-  } else {
-    const { selectedAuthor } = await inquirer.prompt([{
-      type: 'list',
-      name: 'selectedAuthor',
-      message: '检测到多个 Git 用户，请选择:',
-      choices: users.map(u => ({ name: `${u.name} <${u.email}>`, value: u.name }))
-    }]);
-    author = selectedAuthor;
+    const identities = toIdentityList(manualAuthor);
+    return { authors: identities, authorName: identities[0], authorEmail: identities.find(i => i.includes('@')) || '' };
+  }
+  if (users.length === 1) {
+    log(`${t('cli.usingGitUser', { name: users[0].name, email: users[0].email })}\n`);
+    return toAuthors(users);
+  }
+  const { selectedUsers } = await prompt([{
+    type: 'checkbox',
+    name: 'selectedUsers',
+    message: t('cli.prompt.identities'),
+    choices: users.map((u, i) => ({ name: `${u.name} <${u.email}> (${u.source})`, value: u, checked: i === 0 })),
+    validate: v => v.length ? true : t('cli.prompt.identitiesRequired')
+  }]);
+  return toAuthors(selectedUsers);
+}
+
+async function init() {
+  const args = parseCliArgs(process.argv.slice(2));
+
+  if (args.help) {
+    console.log(t('cli.help', {
+      themes: Object.keys(THEMES).join(' / '),
+      redactLevels: REDACTION_LEVELS.join(' / '),
+      locales: LOCALES.join(' / ')
+    }));
+    return;
   }
+  if (args.version) {
+    console.log(pkg.version);
+    return;
+  }
+
+  const log = args.quiet ? () => {} : console.log;
+
+  // 海报选项：指定主题或尺寸时自动导出海报
+  const poster = args.poster || args['poster-theme'] || args['poster-size'] || args['from-report']
+    ? { theme: args['poster-theme'] || 'midnight', size: args['poster-size'] || 'portrait' }
+    : undefined;
+
+  if (args['from-report']) {
+    // 指定 --locale 时按该语言重新渲染报告中的徽章、称号和提示文案
+    const files = await generatePosterFromReport(args['from-report'], poster, args.redact, args.locale && t.locale);
+    log(t('generate.posterWritten', { file: `${files.svg}, ${files.png}` }));
+    return;
+  }
+
+  if (args['upgrade-report']) {
+    const output = args.output ? args.output.trim() : args['upgrade-report'];
+    const result = await upgradeReportFile(args['upgrade-report'], output, args.locale && t.locale);
+    log(t(result.from === result.to ? 'cli.reportUpToDate' : 'cli.reportUpgraded', { ...result, file: output }));
+    log(t('generate.htmlWritten', { file: result.html }));
+    return;
+  }
+
+  const inquirer = (await import('inquirer')).default;
+
+  log(`\n${t('cli.banner')}\n`);
+
+  // 只询问命令行未指定的参数
+  const { repoRoot } = await inquirer.prompt([{
+    name: 'repoRoot',
+    message: t('cli.prompt.root'),
+    default: path.dirname(process.cwd()),
+    validate: v => validateRoot(v),
+    when: args.root === undefined
+  }]);
+  const root = path.resolve((args.root ?? repoRoot).trim());
+  const team = !!(args.team || args.member);
+  const scan = {
+    submodules: !!args.submodules,        // 同时分析子模块
+    nested: !!args['nested-repos'],       // 继续在仓库内查找嵌套的独立仓库
+    maxDepth: args['max-depth'] ? Number(args['max-depth']) : undefined,  // 最大扫描深度
+    include: args['include-dir'],         // 只分析路径匹配的仓库
+    exclude: args['exclude-dir']          // 跳过匹配的目录
+  };
+
+  // 获取 git 用户配置（团队模式统计所有成员，无需选择身份）
+  const { authors, authorName, authorEmail } = team
+    ? {}
+    : await resolveAuthors(inquirer.prompt, args, root, scan, log);
 
   const answers = await inquirer.prompt([
-    {
-      name: 'repoRoot',
-      message: '你的 Git 仓库根目录路径（如有多个仓库请选择共同的父级目录）:',
-      default: path.dirname(process.cwd())
-    },
     {
       name: 'since',
-      message: '统计开始日期 (YYYY-MM-DD):',
-      default: `${new Date().getFullYear()}-01-01`
+      message: t('cli.prompt.since'),
+      default: `${new Date().getFullYear()}-01-01`,
+      validate: v => validateDate(v),
+      when: args.since === undefined
     },
     {
       name: 'until',
-      message: '统计结束日期 (YYYY-MM-DD):',
-      default: `${new Date().getFullYear()}-12-31`
+      message: t('cli.prompt.until'),
+      default: `${new Date().getFullYear()}-12-31`,
+      validate: v => validateDate(v),
+      when: args.until === undefined
     }
   ]);
 
+  const since = (args.since ?? answers.since).trim();
+  const until = (args.until ?? answers.until).trim();
+  if (since > until) fail(t('cli.sinceAfterUntil', { since, until }));
+
+  const output = args.output ? args.output.trim() : (team ? 'team-report.json' : 'report.json');
+
+  // 对比区间：未指定的一端默认取统计区间往前推一年
+  let compare;
+  if (args.compare || args['compare-since'] || args['compare-until']) {
+    const shift = date => dayjs(date).subtract(1, 'year').format('YYYY-MM-DD');
+    compare = {
+      since: (args['compare-since'] || shift(since)).trim(),
+      until: (args['compare-until'] || shift(until)).trim()
+    };
+    if (compare.since > compare.until) fail(t('cli.compareSinceAfterUntil', compare));
+  }
+
+  // 代码存活与归属：指定任一 blame 限制即启用
+  const blame = args.blame || args['blame-max-files'] || args['blame-timeout']
+    ? { maxFiles: args['blame-max-files'] && Number(args['blame-max-files']), timeout: args['blame-timeout'] && Number(args['blame-timeout']) }
+    : false;
+
   const config = {
-    author: author,                       // Git 作者名，用于过滤提交
-    authorName: users.length > 0 ? users.find(u => u.name === author)?.name || author : author,
-    authorEmail: users.length > 0 ? users.find(u => u.name === author)?.email || '' : '',
-    repoRoot: answers.repoRoot,
-    since: answers.since,
-    until: answers.until,
-    output: 'report.json'
+    authors,                              // Git 作者的所有身份，用于过滤提交
+    authorName,
+    authorEmail,
+    roots: [root],                        // 仓库根目录
+    scan,                                 // 仓库扫描选项
+    since,
+    until,
+    output,
+    open: !args['no-open'],               // 生成后是否打开报告页面
+    web: !!args.web,                      // 打开在线报告页面而不是本地 HTML
+    quiet: !!args.quiet,                  // 静默模式
+    cache: !args['no-cache'],             // 是否使用分析结果缓存
+    clearCache: !!args['clear-cache'],    // 分析前清空缓存
+    cacheDir: args['cache-dir'] && path.resolve(args['cache-dir']),
+    concurrency: args.concurrency ? Number(args.concurrency) : undefined,  // 同时分析的仓库数
+    timezone: args.timezone ? args.timezone.trim() : DEFAULT_TIMEZONE,  // 统计小时/星期/日期所用的时区
+    defaultExcludes: !args['no-default-excludes'],  // 是否使用内置路径排除规则
+    countCoAuthored: !!args['count-co-authored'],   // 共同作者的提交是否计入统计
+    allBranches: !!args['all-branches'],  // 分析所有本地和远程分支
+    churnDays: args['churn-days'] ? Number(args['churn-days']) : undefined,  // 翻工窗口（天）
+    blame,                                // 代码存活与归属（blame）选项
+    rulesFile: args.rules && path.resolve(args.rules),  // 徽章、称号与提示文案规则文件
+    compare,                              // 对比区间
+    compareReport: args['compare-report'] && path.resolve(args['compare-report']),  // 作为上期数据的已有报告
+    poster,                               // 海报选项
+    redaction: args.redact || DEFAULT_REDACTION,  // 脱敏级别
+    redactPreview: !!args['redact-preview'],  // 只预览脱敏内容，不生成报告
+    locale: t.locale                      // 日志和报告文案的语言
   };
 
-  await generate(config);
+  if (team) {
+    await generateTeam({ ...config, members: args.member });
+  } else {
+    await generate(config);
+  }
 
-  console.log('\n🎉 报告生成完成，请前往 report.json 查看统计数据');
+  log(`\n${t('cli.done', { output })}`);
 }
 
-init();
+init().catch(e => fail(e.message));
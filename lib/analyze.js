@@ -0,0 +1,353 @@
+/**
+ * Git 年度报告 - 分析接口
+ * 扫描仓库并返回报告对象：只读取仓库和配置文件，不写入报告、不输出日志、不打开浏览器
+ * 进度通过 onEvent 回调通知，可以用 AbortSignal 中止；写入文件、编码在线链接、打开报告见 output.js
+ */
+
+const path = require('path');
+const dayjs = require('dayjs');
+
+const { analyzeLocalRepo, analyzeRepoForTeam, listRepoAuthors } = require('./gitLocal');
+const { buildSummary } = require('./metrics');
+const { resolveMembers, createMemberResolver, buildTeamSummary } = require('./team');
+const { DEFAULT_TIMEZONE, validateTimezone } = require('./timezone');
+const { loadGlobalExcludes } = require('./exclude');
+const { loadRules } = require('./rules');
+const { buildComparison, compareWithReport } = require('./compare');
+const { SCHEMA_VERSION } = require('./schema');
+const { createCache } = require('./cache');
+const { mapLimit } = require('./concurrency');
+const { findGitRepos } = require('./discover');
+const { toIdentityList } = require('./identity');
+const { DEFAULT_CHURN_DAYS } = require('./churn');
+const { DEFAULT_BLAME_LIMITS } = require('./survival');
+const { createTranslator } = require('./i18n');
+
+/** 默认同时分析的仓库数 */
+const DEFAULT_CONCURRENCY = 4;
+
+/**
+ * 分析进度事件，通过 options.onEvent 按顺序通知：
+ * - scan:start { roots } 开始扫描仓库
+ * - scan:done { repos, problems } 扫描完成，problems 为跳过的目录及原因
+ * - members:done { count } 团队模式下识别出的成员数
+ * - analysis:start { phase, total, range } 开始分析一个统计区间，phase 为 current（统计区间）或 compare（对比区间）
+ * - repo:start { phase, name, path } 开始分析一个仓库
+ * - repo:done { phase, name, path, status, cached, reason? } 仓库分析结束，status 为 analyzed、partial（部分统计失败）、skipped（没有提交）或 failed
+ * - analysis:done { phase, analyzed, skipped, failed, elapsed } 统计区间分析完成，skipped/failed 为 { name, reason } 列表
+ * @typedef {{ type: string, [key: string]: * }} AnalyzeEvent
+ */
+
+/**
+ * 校验统计区间：日期必须为 YYYY-MM-DD 格式的真实日期，且开始日期不晚于结束日期
+ * @param {{ since: string, until: string }} range - 统计区间
+ * @param {Function} t - 翻译函数
+ * @param {string} [prefix=''] - 选项名前缀（对比区间为 compare.），用于错误信息
+ * @throws {Error} 日期无效或开始日期晚于结束日期
+ */
+function assertValidRange(range, t, prefix = '') {
+  ['since', 'until'].forEach(key => {
+    const value = range[key];
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value) || dayjs(value).format('YYYY-MM-DD') !== value) {
+      throw new Error(t('analyze.invalidDate', { option: `${prefix}${key}`, value: String(value) }));
+    }
+  });
+  if (range.since > range.until) throw new Error(t('analyze.sinceAfterUntil', range));
+}
+
+/**
+ * 整理 blame 选项：true 使用默认限制，对象中未指定的限制使用默认值
+ * @param {boolean|{ maxFiles?: number, timeout?: number }} [blame] - blame 选项
+ * @returns {{ maxFiles: number, timeout: number }|null} 未启用时为 null
+ */
+function resolveBlameLimits(blame) {
+  if (!blame) return null;
+  const { maxFiles, timeout } = blame === true ? {} : blame;
+  return { maxFiles: maxFiles || DEFAULT_BLAME_LIMITS.maxFiles, timeout: timeout || DEFAULT_BLAME_LIMITS.timeout };
+}
+
+/**
+ * 整理分析选项：补全默认值，加载全局排除规则和徽章规则
+ * @param {Object} options - 分析选项（见 analyze）
+ * @returns {Promise<Object>}
+ */
+async function resolveOptions(options) {
+  const t = createTranslator(options.locale);
+  const roots = [...new Set([].concat(options.roots || []).filter(Boolean).map(root => path.resolve(root)))];
+  if (!roots.length) throw new Error(t('analyze.noRoots'));
+  assertValidRange(options, t);
+  if (options.compare) assertValidRange(options.compare, t, 'compare.');
+  if (options.timezone) {
+    const valid = validateTimezone(options.timezone, t.locale);
+    if (valid !== true) throw new Error(valid);
+  }
+  const onEvent = options.onEvent || (() => {});
+  return {
+    ...options,
+    t,
+    roots,
+    concurrency: options.concurrency || DEFAULT_CONCURRENCY,
+    timezone: options.timezone || DEFAULT_TIMEZONE,
+    churnDays: options.churnDays || DEFAULT_CHURN_DAYS,
+    blame: resolveBlameLimits(options.blame),
+    globalExcludes: options.globalExcludes ?? await loadGlobalExcludes(),
+    rules: options.rules ?? await loadRules(options.rulesFile, t.locale),
+    // 库调用默认不读写缓存，避免在调用方不知情时写入磁盘
+    cache: createCache({ dir: options.cacheDir, enabled: !!options.cache }),
+    emit: (type, payload) => onEvent({ type, ...payload })
+  };
+}
+
+/**
+ * 扫描所有根目录下的仓库
+ * @param {Object} config - 整理后的分析选项
+ * @returns {Promise<{ path: string, name: string }[]>} 仓库路径及展示名称（相对所在根目录，各仓库不重名）
+ */
+async function scanRepos(config) {
+  const { roots, emit, signal, t } = config;
+  emit('scan:start', { roots });
+  const problems = [];
+  const repos = new Map();
+  for (const root of roots) {
+    const found = await findGitRepos(root, { ...config.scan, problems, locale: t.locale, signal });
+    found.forEach(repoPath => {
+      if (repos.has(repoPath)) return;
+      // 多个根目录下相对路径相同的仓库加上根目录名称区分，仍然重名时使用完整路径
+      const taken = new Set([...repos.values()].map(r => r.name));
+      const relative = path.relative(root, repoPath) || path.basename(repoPath);
+      const name = [relative, path.join(path.basename(root), relative), repoPath].find(n => !taken.has(n));
+      repos.set(repoPath, { path: repoPath, name });
+    });
+  }
+  emit('scan:done', { repos: [...repos.keys()], problems });
+  return [...repos.values()];
+}
+
+/**
+ * 并发分析所有仓库（优先使用缓存），并收集跳过和失败的仓库
+ * @param {{ path: string, name: string }[]} repos - 仓库列表
+ * @param {Object} config - 整理后的分析选项
+ * @param {string} phase - 统计区间：current 或 compare
+ * @returns {Promise<{ repos: Object[], skipped: Object[], failed: Object[] }>}
+ */
+async function analyzeRepos(repos, config, phase) {
+  const { cache, emit, signal, t } = config;
+  const options = { timezone: config.timezone, globalExcludes: config.globalExcludes, defaultExcludes: config.defaultExcludes, countCoAuthored: !!config.countCoAuthored, allBranches: !!config.allBranches, churnDays: config.churnDays, blame: config.blame, locale: t.locale };
+  const params = { since: config.since, until: config.until, authors: [...config.authors].sort(), ...options };
+  const startedAt = Date.now();
+  const skipped = [], failed = [];
+  emit('analysis:start', { phase, total: repos.length, range: { since: config.since, until: config.until } });
+
+  const results = await mapLimit(repos, config.concurrency, async ({ path: repoPath, name }) => {
+    signal?.throwIfAborted();
+    emit('repo:start', { phase, name, path: repoPath });
+    // 仓库名称写入统计数据，也作为缓存参数
+    const repoParams = { ...params, name };
+    let cached = { hit: false };
+    try {
+      cached = await cache.get(repoPath, repoParams);
+      const data = cached.hit ? cached.data : await analyzeLocalRepo(repoPath, config.since, config.until, config.authors, { ...options, name, signal });
+      // 中止时正在运行的 git 命令可能被记为部分失败，这样的结果不能写入缓存
+      signal?.throwIfAborted();
+      if (!cached.hit) await cache.set(repoPath, repoParams, data);
+      let status = 'analyzed', reason;
+      if (!data) {
+        status = 'skipped';
+        reason = t('analyze.noCommits');
+      } else if (data.warnings?.length) {
+        status = 'partial';
+        reason = t('analyze.partialFailure', { warnings: data.warnings.join(t('analyze.listSeparator')) });
+      }
+      if (reason) skipped.push({ name, reason });
+      emit('repo:done', { phase, name, path: repoPath, status, cached: cached.hit, ...(reason && { reason }) });
+      return data;
+    } catch (e) {
+      if (signal?.aborted) throw signal.reason;
+      const reason = e.message.trim().split('\n')[0];
+      failed.push({ name, reason });
+      emit('repo:done', { phase, name, path: repoPath, status: 'failed', cached: cached.hit, reason });
+      return null;
+    }
+  });
+
+  const result = { repos: results.filter(Boolean), skipped, failed };
+  emit('analysis:done', { phase, analyzed: result.repos.length, skipped, failed, elapsed: Date.now() - startedAt });
+  return result;
+}
+
+/**
+ * 分析个人年度报告
+ * @param {Object} options - 分析选项
+ * @param {string|string[]} options.roots - 仓库根目录（会递归查找其中的 git 仓库）
+ * @param {string|string[]} options.authors - Git 作者的所有用户名/邮箱（同一个人的多个身份，可用逗号分隔）
+ * @param {string} options.since - 开始日期 (YYYY-MM-DD)
+ * @param {string} options.until - 结束日期 (YYYY-MM-DD)
+ * @param {string} [options.authorName] - 报告中展示的作者名，默认为第一个身份
+ * @param {string} [options.authorEmail] - 报告中展示的作者邮箱，默认为第一个邮箱形式的身份
+ * @param {{ since: string, until: string }} [options.compare] - 对比区间，指定时在报告中生成同比对比
+ * @param {Object} [options.compareReport] - 作为上期数据的已有个人报告（如往年的 report.json，旧版结构会先升级），指定时不再重新分析对比区间
+ * @param {Object} [options.scan] - 仓库扫描选项（submodules、nested、maxDepth、include、exclude，见 discover.findGitRepos）
+ * @param {number} [options.concurrency=4] - 同时分析的仓库数
+ * @param {string} [options.timezone='author'] - 统计小时/星期/日期所用的时区：author（每个提交自身记录的时区）、local、UTC、±HH:MM 或 IANA 时区名
+ * @param {boolean} [options.defaultExcludes=true] - 是否使用内置默认路径排除规则（锁文件、构建产物等）
+ * @param {string[]} [options.globalExcludes] - 全局路径排除规则，默认读取 ~/.config/annual-code-report/ignore
+ * @param {boolean} [options.allBranches=false] - 分析所有本地和远程分支，而不只是当前检出的 HEAD
+ * @param {boolean} [options.countCoAuthored=false] - 将作为共同作者（Co-authored-by）的他人提交计入提交数、代码行数等统计
+ * @param {number} [options.churnDays=21] - 翻工窗口：写下后这么多天内被自己改写或删除的行计为翻工
+ * @param {boolean|{ maxFiles?: number, timeout?: number }} [options.blame=false] - 在统计区间结束时的最后一个提交上 blame，统计代码存活率与归属占比；可指定每个仓库最多 blame 的文件数（默认 1000）和最长耗时（秒，默认 120）
+ * @param {Object} [options.rules] - 已加载的规则集（见 rules.js），未指定时读取 rulesFile
+ * @param {string} [options.rulesFile] - 徽章、称号与提示文案规则文件，默认读取 ~/.config/annual-code-report/rules.json
+ * @param {string} [options.locale='zh-CN'] - 报告文案的语言（见 i18n.LOCALES）
+ * @param {boolean} [options.cache=false] - 是否读写分析结果缓存
+ * @param {string} [options.cacheDir] - 缓存目录，默认 ~/.cache/annual-code-report
+ * @param {(event: AnalyzeEvent) => void} [options.onEvent] - 进度事件回调
+ * @param {AbortSignal} [options.signal] - 中止信号，中止后以 signal.reason 拒绝
+ * @returns {Promise<Object>} 报告对象（report.json 的结构，未脱敏）
+ */
+async function analyze(options) {
+  options.signal?.throwIfAborted();
+  const config = await resolveOptions(options);
+  const { t } = config;
+  config.authors = toIdentityList(options.authors);
+  if (!config.authors.length) throw new Error(t('analyze.noAuthors'));
+
+  const repos = await scanRepos(config);
+  const current = await analyzeRepos(repos, config, 'current');
+
+  // 汇总所有仓库数据
+  const range = { since: config.since, until: config.until };
+  const summary = buildSummary(current.repos, { rules: config.rules, locale: t.locale, range });
+
+  // 同比对比：对上一区间跑一遍同样的分析流程，或直接使用已有的报告作为上期数据
+  let comparison;
+  if (config.compareReport) {
+    comparison = compareWithReport(
+      { range, summary, repos: current.repos },
+      config.compareReport,
+      { locale: t.locale }
+    );
+  } else if (config.compare) {
+    // 同比对比不使用代码存活数据，对比区间不做 blame
+    const previousConfig = { ...config, since: config.compare.since, until: config.compare.until, blame: null };
+    const previous = await analyzeRepos(repos, previousConfig, 'compare');
+    comparison = buildComparison(
+      { range, summary, repos: current.repos },
+      { range: { since: previousConfig.since, until: previousConfig.until }, summary: buildSummary(previous.repos, { rules: config.rules, locale: t.locale }), repos: previous.repos },
+      { locale: t.locale }
+    );
+  }
+
+  return {
+    schemaVersion: SCHEMA_VERSION,  // 报告结构版本（见 schema/report.schema.json）
+    generatedAt: new Date().toISOString(),  // 报告生成时间
+    locale: t.locale,  // 报告文案的语言
+    range,  // 统计时间范围
+    timezone: config.timezone,  // 统计小时/星期/日期所用的时区
+    author: {  // 统计的作者及其所有身份
+      name: options.authorName || config.authors[0],
+      email: options.authorEmail ?? config.authors.find(a => a.includes('@')) ?? '',
+      identities: config.authors
+    },
+    summary,  // 汇总数据
+    ...(comparison && { comparison })  // 同比对比（开启对比模式时）
+  };
+}
+
+/**
+ * 团队模式：一次分析所有（或指定）成员，返回团队汇总报告和每个人的个人报告
+ * 团队模式不使用缓存，也不支持同比对比
+ * @param {Object} options - 分析选项（见 analyze，不需要 authors）
+ * @param {string[]} [options.members] - 指定的成员列表，每项为一个人的身份（多个身份用逗号分隔）；为空时统计所有提交者
+ * @returns {Promise<{ report: Object, members: { id: string, report: Object }[] }>} 团队汇总报告及各成员的个人报告（均未脱敏）
+ */
+async function analyzeTeam(options) {
+  options.signal?.throwIfAborted();
+  const config = await resolveOptions(options);
+  const { emit, signal, t } = config;
+  const repos = await scanRepos(config);
+
+  // 第一步：收集所有提交者，确定团队成员
+  const failed = [];
+  const authorLists = await mapLimit(repos, config.concurrency, async repo => {
+    signal?.throwIfAborted();
+    try {
+      return await listRepoAuthors(repo.path, config.since, config.until, { allBranches: config.allBranches, signal });
+    } catch (e) {
+      if (signal?.aborted) throw signal.reason;
+      failed.push({ name: repo.name, reason: e.message.trim().split('\n')[0] });
+      return [];
+    }
+  });
+  const members = resolveMembers(authorLists.flat(), config.members);
+  emit('members:done', { count: members.length });
+
+  // 第二步：每个仓库只读取一次全部提交，按成员分别统计
+  const resolveMember = createMemberResolver(members);
+  const failedRepos = new Set(failed.map(f => f.name));
+  const pending = repos.filter(repo => !failedRepos.has(repo.name));
+  const memberRepos = Object.fromEntries(members.map(m => [m.id, []]));
+  const repoCommits = {};
+  const startedAt = Date.now();
+  emit('analysis:start', { phase: 'current', total: pending.length, range: { since: config.since, until: config.until } });
+  await mapLimit(pending, config.concurrency, async ({ path: repoPath, name }) => {
+    signal?.throwIfAborted();
+    emit('repo:start', { phase: 'current', name, path: repoPath });
+    try {
+      const result = await analyzeRepoForTeam(repoPath, config.since, config.until, resolveMember, {
+        name,
+        timezone: config.timezone,
+        globalExcludes: config.globalExcludes,
+        defaultExcludes: config.defaultExcludes,
+        countCoAuthored: !!config.countCoAuthored,
+        allBranches: !!config.allBranches,
+        churnDays: config.churnDays,
+        blame: config.blame,
+        locale: t.locale,
+        signal
+      });
+      signal?.throwIfAborted();
+      if (result) {
+        // 按扫描时的仓库名称（相对所在根目录）记录，不同目录下的同名仓库不会互相覆盖
+        repoCommits[name] = {
+          totalCommits: result.totalCommits,
+          members: Object.fromEntries(Object.entries(result.members).map(([id, r]) => [id, r.commits]))
+        };
+        Object.entries(result.members).forEach(([id, r]) => memberRepos[id].push(r));
+      }
+      emit('repo:done', { phase: 'current', name, path: repoPath, status: result ? 'analyzed' : 'skipped', cached: false });
+    } catch (e) {
+      if (signal?.aborted) throw signal.reason;
+      const reason = e.message.trim().split('\n')[0];
+      failed.push({ name, reason });
+      emit('repo:done', { phase: 'current', name, path: repoPath, status: 'failed', cached: false, reason });
+    }
+  });
+  emit('analysis:done', { phase: 'current', analyzed: Object.keys(repoCommits).length, skipped: [], failed, elapsed: Date.now() - startedAt });
+
+  // 第三步：每个成员的个人报告（徽章和称号规则与个人模式一致）
+  const generatedAt = new Date().toISOString();
+  const range = { since: config.since, until: config.until };
+  members.forEach(member => {
+    member.repos = memberRepos[member.id];
+    member.summary = buildSummary(member.repos, { rules: config.rules, locale: t.locale, range });
+  });
+
+  // 第四步：团队汇总
+  return {
+    report: { schemaVersion: SCHEMA_VERSION, generatedAt, locale: t.locale, range, timezone: config.timezone, team: buildTeamSummary(members, repoCommits) },
+    members: members.map(member => ({
+      id: member.id,
+      report: {
+        schemaVersion: SCHEMA_VERSION,
+        generatedAt,
+        locale: t.locale,
+        range,
+        timezone: config.timezone,
+        author: { name: member.name, email: member.email, identities: member.identities },
+        summary: member.summary
+      }
+    }))
+  };
+}
+
+module.exports = { DEFAULT_CONCURRENCY, analyze, analyzeTeam };
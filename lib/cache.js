@@ -0,0 +1,123 @@
+/**
+ * Git 年度报告 - 分析结果缓存模块
+ * 按「仓库路径 + HEAD/引用状态 + 作者身份 + 统计范围」缓存单个仓库的分析结果，仓库无变化时直接复用
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const simpleGit = require('simple-git');
+const { REPO_IGNORE_FILE } = require('./exclude');
+
+/** 缓存格式版本，分析逻辑或输出结构变化时递增以使旧缓存失效 */
+const CACHE_VERSION = 13;
+
+/** 默认缓存目录 */
+const DEFAULT_CACHE_DIR = path.join(os.homedir(), '.cache', 'annual-code-report');
+
+/** 影响分析结果的仓库内配置文件 */
+const STATE_FILES = ['.mailmap', '.gitattributes', REPO_IGNORE_FILE];
+
+/**
+ * 计算 sha1 摘要
+ * @param {string} text - 输入文本
+ * @returns {string}
+ */
+function sha1(text) {
+  return crypto.createHash('sha1').update(text).digest('hex');
+}
+
+/**
+ * 获取仓库当前状态（HEAD 及所有引用，加上 .mailmap、.gitattributes、排除文件的内容）
+ * @param {string} repoPath - 仓库路径
+ * @returns {Promise<string|null>} 状态摘要，无法获取（如空仓库）时返回 null
+ */
+async function getRepoState(repoPath) {
+  try {
+    // 空仓库没有任何引用，show-ref 以非零状态退出但没有错误输出，simple-git 不会抛出错误
+    const refs = await simpleGit(repoPath).raw(['show-ref', '--head']);
+    if (!refs.trim()) return null;
+    const files = await Promise.all(STATE_FILES.map(async name => {
+      const file = path.join(repoPath, name);
+      return await fs.pathExists(file) ? fs.readFile(file, 'utf8') : '';
+    }));
+    return sha1([refs, ...files].join('\n'));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * 创建缓存实例
+ * @param {Object} [options] - 缓存选项
+ * @param {string} [options.dir] - 缓存目录
+ * @param {boolean} [options.enabled=true] - 是否启用缓存（关闭时不读也不写）
+ * @returns {{ get: Function, set: Function, clear: Function, dir: string }}
+ */
+function createCache(options = {}) {
+  const dir = options.dir || DEFAULT_CACHE_DIR;
+  const enabled = options.enabled !== false;
+
+  /**
+   * 计算缓存文件路径，文件名前缀为「仓库路径 + 参数」摘要，便于清理仓库状态变化后的旧缓存
+   * @param {string} repoPath - 仓库路径
+   * @param {Object} params - 影响分析结果的参数（作者、统计范围等）
+   * @returns {Promise<{ file: string, prefix: string }|null>}
+   */
+  async function locate(repoPath, params) {
+    const state = await getRepoState(repoPath);
+    if (!state) return null;
+    const prefix = sha1(JSON.stringify({ version: CACHE_VERSION, repoPath: path.resolve(repoPath), params })).slice(0, 16);
+    return { file: path.join(dir, `${prefix}-${state.slice(0, 16)}.json`), prefix };
+  }
+
+  return {
+    dir,
+
+    /**
+     * 读取缓存
+     * @param {string} repoPath - 仓库路径
+     * @param {Object} params - 影响分析结果的参数
+     * @returns {Promise<{ hit: boolean, data?: Object|null }>} 命中时 data 为缓存的分析结果（可能为 null）
+     */
+    async get(repoPath, params) {
+      if (!enabled) return { hit: false };
+      const loc = await locate(repoPath, params);
+      if (!loc) return { hit: false };
+      try {
+        const entry = await fs.readJson(loc.file);
+        return { hit: true, data: entry.data };
+      } catch (e) {
+        return { hit: false };
+      }
+    },
+
+    /**
+     * 写入缓存，并删除同一仓库、同一参数下旧状态的缓存
+     * @param {string} repoPath - 仓库路径
+     * @param {Object} params - 影响分析结果的参数
+     * @param {Object|null} data - 分析结果
+     */
+    async set(repoPath, params, data) {
+      if (!enabled) return;
+      const loc = await locate(repoPath, params);
+      if (!loc) return;
+      try {
+        await fs.ensureDir(dir);
+        const stale = (await fs.readdir(dir)).filter(f => f.startsWith(`${loc.prefix}-`) && path.join(dir, f) !== loc.file);
+        await Promise.all(stale.map(f => fs.remove(path.join(dir, f))));
+        await fs.writeJson(loc.file, { repoPath: path.resolve(repoPath), params, data });
+      } catch (e) { /* 缓存写入失败不影响报告生成 */ }
+    },
+
+    /**
+     * 清空缓存目录
+     */
+    async clear() {
+      await fs.remove(dir);
+    }
+  };
+}
+
+module.exports = { createCache, DEFAULT_CACHE_DIR };
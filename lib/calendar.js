@@ -0,0 +1,105 @@
+/**
+ * Git 年度报告 - 贡献日历模块
+ * 生成统计区间内逐日的提交数与代码行数（包括没有提交的日子）、活跃度等级以及各项目的逐日明细，用于贡献热力图
+ * 在线报告链接会编码整份报告，因此逐日数据以与起始日期对齐的数组存储，项目明细只记录有提交的日子
+ */
+
+const dayjs = require('dayjs');
+const { mergeTimelines } = require('./timeline');
+
+/** 最高活跃度等级（0 表示当天没有提交） */
+const MAX_LEVEL = 4;
+
+/**
+ * 计算各活跃度等级的最低提交数：等级 1 为 1 次，等级 2~4 按有提交日子的提交数四分位划分
+ * @param {number[]} commits - 逐日提交数
+ * @returns {number[]} 等级 1~4 的最低提交数
+ */
+function levelThresholds(commits) {
+  const active = commits.filter(Boolean).sort((a, b) => a - b);
+  if (!active.length) return [1, 2, 3, 4];
+  const quantile = q => active[Math.floor((active.length - 1) * q)];
+  const thresholds = [1];
+  [0.25, 0.5, 0.75].forEach(q => thresholds.push(Math.max(quantile(q) + 1, thresholds[thresholds.length - 1])));
+  return thresholds;
+}
+
+/**
+ * 按提交数计算活跃度等级
+ * @param {number} commits - 当天提交数
+ * @param {number[]} thresholds - 等级 1~4 的最低提交数
+ * @returns {number} 0~4
+ */
+function levelOf(commits, thresholds) {
+  return thresholds.filter(min => commits >= min).length;
+}
+
+/**
+ * 生成贡献日历
+ * 日历覆盖统计区间；按提交时区归入的日期落在区间之外时（如跨时区的提交），日历相应延长以免丢失数据
+ * @param {{ name: string, dailyTimeline: Object<string, { commits: number, lines: number }> }[]} projects - 各项目的按天时间线
+ * @param {{ since?: string, until?: string }} [range] - 统计区间
+ * @returns {Object|null} 贡献日历，没有统计区间也没有提交时为 null
+ */
+function buildCalendar(projects, range = {}) {
+  const merged = mergeTimelines(projects.map(p => p.dailyTimeline));
+  const dates = [range.since, range.until, ...Object.keys(merged)].filter(Boolean).sort();
+  if (!dates.length) return null;
+
+  const start = dates[0];
+  const end = dates[dates.length - 1];
+  const offsetOf = date => dayjs(date).diff(dayjs(start), 'day');
+  const days = offsetOf(end) + 1;
+
+  const commits = Array(days).fill(0);
+  const lines = Array(days).fill(0);
+  Object.entries(merged).forEach(([date, v]) => {
+    commits[offsetOf(date)] = v.commits;
+    lines[offsetOf(date)] = v.lines;
+  });
+  const thresholds = levelThresholds(commits);
+
+  return {
+    start,                                             // 日历第一天 (YYYY-MM-DD)
+    end,                                               // 日历最后一天
+    days,                                              // 天数，下面的数组与日期一一对应（下标 0 为 start）
+    commits,                                           // 逐日提交数（所有项目合计）
+    lines,                                             // 逐日代码行数
+    levels: commits.map(c => levelOf(c, thresholds)).join(''),  // 逐日活跃度等级 0~4，每天一个字符
+    thresholds,                                        // 等级 1~4 的最低提交数
+    projects: projects                                 // 各项目有提交的日子 [[下标, 提交数, 行数]]
+      .map(p => ({
+        name: p.name,
+        days: Object.entries(p.dailyTimeline || {})
+          .sort((a, b) => a[0].localeCompare(b[0]))
+          .map(([date, v]) => [offsetOf(date), v.commits, v.lines])
+      }))
+      .filter(p => p.days.length)
+  };
+}
+
+/**
+ * 把贡献日历展开为逐日记录（渲染热力图或导出 CSV 时使用）
+ * @param {Object} calendar - buildCalendar 生成的贡献日历
+ * @returns {{ date: string, weekday: number, commits: number, lines: number, level: number, projects: { name: string, commits: number, lines: number }[] }[]}
+ */
+function expandCalendar(calendar) {
+  const byDay = {};
+  (calendar.projects || []).forEach(p => p.days.forEach(([i, commits, lines]) => {
+    (byDay[i] = byDay[i] || []).push({ name: p.name, commits, lines });
+  }));
+  const start = dayjs(calendar.start);
+  return calendar.commits.map((commits, i) => {
+    const date = start.add(i, 'day');
+    return {
+      date: date.format('YYYY-MM-DD'),
+      weekday: date.day(),  // 0=周日
+      commits,
+      lines: calendar.lines[i],
+      level: Number(calendar.levels[i]),
+      projects: (byDay[i] || []).sort((a, b) => b.commits - a.commits)
+    };
+  });
+}
+
+module.exports = { MAX_LEVEL, buildCalendar, expandCalendar };
@@ -0,0 +1,147 @@
+/**
+ * Git 年度报告 - 代码翻工与热点模块
+ * 基于每次提交的 numstat 统计翻工（写下后 N 天内又被自己改写或删除的代码行）、相对文件大小改动频繁的热点文件，以及按路径前缀聚合的热点目录
+ * numstat 只有每个文件的新增/删除行数，无法逐行追踪：删除的行优先视为同一文件中最近新增的行，超出自己新增行数的部分视为已有代码
+ */
+
+/** 默认翻工窗口（天）：写下后这么多天内被改写或删除的行计为翻工 */
+const DEFAULT_CHURN_DAYS = 21;
+
+/** 热点目录按路径前几级聚合 */
+const HOTSPOT_DIR_DEPTH = 2;
+
+/** 至少被修改这么多次的文件才参与热点排行，避免只改过一两次的小文件排在前面 */
+const MIN_HOTSPOT_COMMITS = 3;
+
+/** 读取文件大小的热点候选文件数上限（按修改次数取前若干个） */
+const MAX_HOTSPOT_CANDIDATES = 200;
+
+/** 热点文件、热点目录保留的数量 */
+const TOP_HOTSPOTS = 10;
+
+/** 一天的毫秒数 */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 取文件所在目录的前几级作为热点目录（根目录下的文件为 "."）
+ * @param {string} file - 文件路径
+ * @returns {string}
+ */
+function dirOf(file) {
+  return file.split('/').slice(0, -1).slice(0, HOTSPOT_DIR_DEPTH).join('/') || '.';
+}
+
+/**
+ * 列出需要读取文件大小的热点候选文件（修改次数达到 MIN_HOTSPOT_COMMITS 的文件，按修改次数取前 MAX_HOTSPOT_CANDIDATES 个）
+ * @param {{ files: { file: string }[] }[]} commits - 提交记录
+ * @returns {string[]}
+ */
+function listHotspotCandidates(commits) {
+  const touches = {};
+  commits.forEach(c => c.files.forEach(({ file }) => { touches[file] = (touches[file] || 0) + 1; }));
+  return Object.entries(touches)
+    .filter(([, n]) => n >= MIN_HOTSPOT_COMMITS)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MAX_HOTSPOT_CANDIDATES)
+    .map(([file]) => file);
+}
+
+/**
+ * 分析单个仓库的代码翻工与热点
+ * @param {{ hash: string, date: string, files: { file: string, insertions: number, deletions: number }[] }[]} commits - 提交记录（readCommits 的解析结果，文件已按最终路径统一）
+ * @param {Object} [options] - 选项
+ * @param {number} [options.windowDays=21] - 翻工窗口（天）
+ * @param {Object<string, number>} [options.fileSizes={}] - 统计区间结束时热点候选文件的行数，没有记录的文件（已删除、二进制等）不参与热点文件排行
+ * @returns {Object} 翻工与热点统计
+ */
+function analyzeChurn(commits, { windowDays = DEFAULT_CHURN_DAYS, fileSizes = {} } = {}) {
+  const windowMs = windowDays * DAY_MS;
+  const files = {};  // 文件 → { commits, insertions, deletions, reworked, batches: [{ time, lines }] }
+  const dirs = {};   // 目录 → { files: Set, commits: Set, churn, reworked }
+  let insertions = 0, reworkedLines = 0;
+
+  [...commits].sort((a, b) => new Date(a.date) - new Date(b.date)).forEach(c => {
+    const time = new Date(c.date).getTime();
+    c.files.forEach(change => {
+      const f = files[change.file] = files[change.file] || { commits: 0, insertions: 0, deletions: 0, reworked: 0, batches: [] };
+      // 删除的行从最近新增的行开始抵扣，仍在窗口内的计为翻工
+      let remaining = change.deletions;
+      let reworked = 0;
+      while (remaining > 0 && f.batches.length) {
+        const batch = f.batches[f.batches.length - 1];
+        const n = Math.min(remaining, batch.lines);
+        if (time - batch.time <= windowMs) reworked += n;
+        batch.lines -= n;
+        remaining -= n;
+        if (!batch.lines) f.batches.pop();
+      }
+      if (change.insertions) f.batches.push({ time, lines: change.insertions });
+
+      f.commits++;
+      f.insertions += change.insertions;
+      f.deletions += change.deletions;
+      f.reworked += reworked;
+      insertions += change.insertions;
+      reworkedLines += reworked;
+
+      const dir = dirOf(change.file);
+      const d = dirs[dir] = dirs[dir] || { files: new Set(), commits: new Set(), churn: 0, reworked: 0 };
+      d.files.add(change.file);
+      d.commits.add(c.hash);
+      d.churn += change.insertions + change.deletions;
+      d.reworked += reworked;
+    });
+  });
+
+  const hotspots = Object.entries(files)
+    .filter(([file, f]) => f.commits >= MIN_HOTSPOT_COMMITS && fileSizes[file] > 0)
+    .map(([file, f]) => {
+      const churn = f.insertions + f.deletions;
+      const size = fileSizes[file];
+      return { file, commits: f.commits, insertions: f.insertions, deletions: f.deletions, reworked: f.reworked, size, churnRatio: Number((churn / size).toFixed(2)) };
+    })
+    .sort((a, b) => b.churnRatio - a.churnRatio || b.commits - a.commits)
+    .slice(0, TOP_HOTSPOTS);
+
+  const directories = Object.entries(dirs)
+    .map(([dir, d]) => ({ dir, files: d.files.size, commits: d.commits.size, churn: d.churn, reworked: d.reworked }))
+    .sort((a, b) => b.churn - a.churn || b.reworked - a.reworked)
+    .slice(0, TOP_HOTSPOTS);
+
+  return {
+    windowDays,      // 翻工窗口（天）
+    insertions,      // 新增代码行数
+    reworkedLines,   // 写下后 windowDays 天内被自己改写或删除的行数
+    reworkRatio: insertions ? Number((reworkedLines / insertions).toFixed(3)) : 0,  // 翻工率：reworkedLines / insertions
+    hotspots,        // 热点文件 Top10（按改动行数与文件行数之比排序）[{ file, commits, insertions, deletions, reworked, size, churnRatio }]
+    directories      // 热点目录 Top10（按路径前两级聚合，按改动行数排序）[{ dir, files, commits, churn, reworked }]
+  };
+}
+
+/**
+ * 汇总多个仓库的翻工与热点（翻工率按合并后的行数重新计算）
+ * @param {{ name: string, churn?: Object }[]} repos - 各仓库的统计数据，较早缓存的数据没有 churn 字段
+ * @returns {Object} 翻工与热点统计，热点文件和目录带项目来源，另含 projects 为各项目的翻工率
+ */
+function mergeChurn(repos) {
+  const withChurn = repos.filter(r => r.churn);
+  const insertions = withChurn.reduce((a, r) => a + r.churn.insertions, 0);
+  const reworkedLines = withChurn.reduce((a, r) => a + r.churn.reworkedLines, 0);
+  return {
+    windowDays: withChurn[0]?.churn.windowDays ?? DEFAULT_CHURN_DAYS,
+    insertions,
+    reworkedLines,
+    reworkRatio: insertions ? Number((reworkedLines / insertions).toFixed(3)) : 0,
+    hotspots: withChurn.flatMap(r => r.churn.hotspots.map(h => ({ project: r.name, ...h })))
+      .sort((a, b) => b.churnRatio - a.churnRatio || b.commits - a.commits)
+      .slice(0, TOP_HOTSPOTS),
+    directories: withChurn.flatMap(r => r.churn.directories.map(d => ({ project: r.name, ...d })))
+      .sort((a, b) => b.churn - a.churn || b.reworked - a.reworked)
+      .slice(0, TOP_HOTSPOTS),
+    projects: withChurn  // 各项目的翻工率 [{ name, insertions, reworkedLines, reworkRatio }]
+      .map(({ name, churn: c }) => ({ name, insertions: c.insertions, reworkedLines: c.reworkedLines, reworkRatio: c.reworkRatio }))
+      .sort((a, b) => b.reworkedLines - a.reworkedLines)
+  };
+}
+
+module.exports = { DEFAULT_CHURN_DAYS, listHotspotCandidates, analyzeChurn, mergeChurn };
@@ -0,0 +1,168 @@
+/**
+ * Git 年度报告 - 同比对比模块
+ * 负责对比两个统计区间（如今年 vs 去年）的汇总数据，生成差值和提示文案
+ */
+
+const { mergeAliases } = require('./identity');
+const { createTranslator } = require('./i18n');
+const { migrateReport } = require('./schema');
+
+/** 参与数值对比的汇总指标（名称见语言包中的 compare.metric.<指标>） */
+const numericMetrics = ['totalCommits', 'totalInsertions', 'totalDeletions', 'netLines', 'activeDays', 'longestStreak', 'projectCount'];
+
+/**
+ * 计算单个数值的差值
+ * @param {number} current - 本期值
+ * @param {number} previous - 上期值
+ * @returns {{ current: number, previous: number, delta: number, percent: number|null }} percent 为百分比（上期为 0 时为 null）
+ */
+function diff(current = 0, previous = 0) {
+  return {
+    current,
+    previous,
+    delta: Number((current - previous).toFixed(3)),
+    percent: previous ? Number((((current - previous) / previous) * 100).toFixed(1)) : null
+  };
+}
+
+/**
+ * 找出数组中最大值的下标
+ * @param {number[]} arr - 数组
+ * @returns {number|null} 全为 0 时返回 null
+ */
+function peakIndex(arr) {
+  const max = Math.max(...arr);
+  return max > 0 ? arr.indexOf(max) : null;
+}
+
+/**
+ * 生成对比提示文案
+ * @param {Object} metrics - 数值指标差值
+ * @param {Object} comparison - 其他对比数据
+ * @param {Function} t - 翻译函数
+ * @returns {{ id: string, params: Object, text: string }[]} 提示文案消息列表
+ */
+function buildTips(metrics, { hourShift, projects, collaborators }, t) {
+  const tips = [];
+  const add = (id, params) => tips.push({ id, params, text: t(id, params) });
+  numericMetrics.forEach(key => {
+    const m = metrics[key];
+    const metric = { id: `compare.metric.${key}` };
+    if (m.percent === null) {
+      if (m.current > 0 && m.previous === 0) add('compare.tip.fromZero', { metric, current: m.current });
+      return;
+    }
+    if (Math.abs(m.percent) < 5) return;
+    if (m.percent > 0) add('compare.tip.increase', { metric, percent: Math.round(m.percent) });
+    else add('compare.tip.decrease', { metric, percent: Math.round(-m.percent) });
+  });
+  if (hourShift.current !== null && hourShift.previous !== null && hourShift.current !== hourShift.previous) {
+    add('compare.tip.peakHour', { previous: hourShift.previous, current: hourShift.current });
+  }
+  if (projects.added.length) add('compare.tip.projectsAdded', { count: projects.added.length });
+  if (projects.dropped.length) add('compare.tip.projectsDropped', { count: projects.dropped.length });
+  if (collaborators.added.length) add('compare.tip.collaboratorsAdded', { count: collaborators.added.length });
+  return tips;
+}
+
+/**
+ * 取出一个区间的协作者：有仓库数据时使用各仓库的完整协作者列表，
+ * 只有已生成的报告时（见 compareWithReport）退而使用汇总中的 Top 协作者
+ * @param {{ summary: Object, repos?: Object[] }} period - 区间数据
+ * @returns {Object[]}
+ */
+function collaboratorsOf(period) {
+  return period.repos ? period.repos.flatMap(r => r.collaborators) : (period.summary?.topCollaborators || []);
+}
+
+/**
+ * 对比两个区间的分析结果
+ * @param {{ range: Object, summary: Object, repos?: Object[] }} current - 本期数据
+ * @param {{ range: Object, summary: Object, repos?: Object[] }} previous - 上期数据
+ * @param {Object} [options] - 选项
+ * @param {string} [options.locale] - 提示文案的语言
+ * @returns {Object} 对比结果
+ */
+function buildComparison(current, previous, { locale } = {}) {
+  const cur = current.summary || {};
+  const prev = previous.summary || {};
+
+  // ========== 数值指标 ==========
+  const metrics = {};
+  numericMetrics.forEach(key => { metrics[key] = diff(cur[key], prev[key]); });
+
+  // ========== 24 小时分布变化 ==========
+  const curHours = cur.hourDistribution || Array(24).fill(0);
+  const prevHours = prev.hourDistribution || Array(24).fill(0);
+  const hourDistribution = curHours.map((v, i) => v - prevHours[i]);
+  const hourShift = { current: peakIndex(curHours), previous: peakIndex(prevHours) };
+
+  // ========== Commit 类型占比变化 ==========
+  const curTypes = cur.commitTypeDistribution || {};
+  const prevTypes = prev.commitTypeDistribution || {};
+  const share = (types, type) => {
+    const total = Object.values(types).reduce((a, b) => a + b, 0);
+    return total ? Number(((types[type] || 0) / total).toFixed(3)) : 0;
+  };
+  const commitTypeMix = {};
+  [...new Set([...Object.keys(curTypes), ...Object.keys(prevTypes)])].forEach(type => {
+    const currentShare = share(curTypes, type);
+    const previousShare = share(prevTypes, type);
+    commitTypeMix[type] = {
+      ...diff(curTypes[type] || 0, prevTypes[type] || 0),
+      currentShare,
+      previousShare,
+      shareDelta: Number((currentShare - previousShare).toFixed(3))
+    };
+  });
+
+  // ========== 项目变化 ==========
+  const curProjects = new Set(cur.allProjects || []);
+  const prevProjects = new Set(prev.allProjects || []);
+  const projects = {
+    added: [...curProjects].filter(p => !prevProjects.has(p)),
+    dropped: [...prevProjects].filter(p => !curProjects.has(p)),
+    continued: [...curProjects].filter(p => prevProjects.has(p))
+  };
+
+  // ========== 协作者变化（按别名合并后比较） ==========
+  const curCollaborators = mergeAliases(collaboratorsOf(current));
+  const prevCollaborators = mergeAliases(collaboratorsOf(previous));
+  const knownBefore = new Set(prevCollaborators.flatMap(c => [c.name.toLowerCase(), (c.email || '').toLowerCase()]).filter(Boolean));
+  const knownNow = new Set(curCollaborators.flatMap(c => [c.name.toLowerCase(), (c.email || '').toLowerCase()]).filter(Boolean));
+  const isKnown = (set, c) => set.has(c.name.toLowerCase()) || (c.email && set.has(c.email.toLowerCase()));
+  const collaborators = {
+    added: curCollaborators.filter(c => !isKnown(knownBefore, c)).map(({ name, email, commits }) => ({ name, email, commits })),
+    lost: prevCollaborators.filter(c => !isKnown(knownNow, c)).map(({ name, email, commits }) => ({ name, email, commits }))
+  };
+
+  const comparison = { hourShift, projects, collaborators };
+  const tipMessages = buildTips(metrics, comparison, createTranslator(locale));
+  return {
+    previousRange: previous.range,   // 对比区间
+    metrics,                         // 数值指标差值
+    hourDistribution,                // 24 小时提交次数差值（本期 - 上期）
+    hourShift,                       // 提交高峰小时变化
+    nightOwlRate: diff(cur.nightOwlRate, prev.nightOwlRate),
+    commitTypeMix,                   // Commit 类型数量与占比变化
+    projects,                        // 新增/告别/延续的项目
+    collaborators,                   // 新结识/不再合作的协作者
+    tips: tipMessages.map(m => m.text),
+    tipMessages                      // 提示文案的消息 id 和参数，可按 id 切换语言
+  };
+}
+
+/**
+ * 以已生成的报告作为上期数据进行对比（如往年保存的 report.json，旧版结构会先升级到当前结构）
+ * 报告中只保留了 Top 协作者，新结识/不再合作的协作者只在这个范围内比较
+ * @param {{ range: Object, summary: Object, repos?: Object[] }} current - 本期数据
+ * @param {Object} previousReport - 上期的个人报告
+ * @param {Object} [options] - 选项（见 buildComparison）
+ * @returns {Object} 对比结果
+ */
+function compareWithReport(current, previousReport, options) {
+  const previous = migrateReport(previousReport);
+  return buildComparison(current, { range: previous.range, summary: previous.summary }, options);
+}
+
+module.exports = { buildComparison, compareWithReport };
@@ -0,0 +1,27 @@
+/**
+ * Git 年度报告 - 并发控制模块
+ * 以固定并发数执行异步任务
+ */
+
+/**
+ * 以限定并发数依次处理数组中的每一项，结果顺序与输入一致
+ * @param {Array} items - 待处理的数据
+ * @param {number} limit - 最大并发数
+ * @param {(item: *, index: number) => Promise<*>} fn - 处理函数
+ * @returns {Promise<Array>} 处理结果
+ */
+async function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+  await Promise.all(workers);
+  return results;
+}
+
+module.exports = { mapLimit };
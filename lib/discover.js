@@ -0,0 +1,188 @@
+/**
+ * Git 年度报告 - 仓库发现模块
+ * 负责在根目录下查找 Git 仓库：普通仓库、工作树（.git 为文件）、裸仓库，以及可选的子模块和嵌套仓库
+ * 共享同一个 git 目录的工作树只保留一个，符号链接按真实路径去重以避免循环
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { createDirMatcher } = require('./exclude');
+const { createTranslator } = require('./i18n');
+
+/** 默认跳过的目录：隐藏目录和 node_modules */
+const DEFAULT_DIR_EXCLUDES = ['.*', 'node_modules'];
+
+/** 同一 git 目录下多个候选的保留优先级（数值小的优先） */
+const TYPE_PRIORITY = { repo: 0, submodule: 0, bare: 1, worktree: 2 };
+
+/**
+ * 读取 .git 文件中的 gitdir 指向（工作树和子模块的 .git 是文件）
+ * @param {string} file - .git 文件路径
+ * @returns {Promise<string|null>} git 目录绝对路径
+ */
+async function readGitFile(file) {
+  const m = /^gitdir:\s*(.+?)\s*$/m.exec(await fs.readFile(file, 'utf8'));
+  return m ? path.resolve(path.dirname(file), m[1]) : null;
+}
+
+/**
+ * 将路径解析为真实路径，解析失败时原样返回
+ * @param {string} p - 路径
+ * @returns {Promise<string>}
+ */
+async function realpathOrSelf(p) {
+  try {
+    return await fs.realpath(p);
+  } catch (e) {
+    return p;
+  }
+}
+
+/**
+ * 判断目录是否为裸仓库（直接包含 HEAD、objects、refs）
+ * @param {string} dir - 目录路径
+ * @returns {Promise<boolean>}
+ */
+async function isBareRepo(dir) {
+  const found = await Promise.all(['HEAD', 'objects', 'refs'].map(name => fs.pathExists(path.join(dir, name))));
+  return found.every(Boolean);
+}
+
+/**
+ * 识别目录是否为 git 仓库及其类型
+ * @param {string} dir - 目录路径
+ * @returns {Promise<{ type: 'repo'|'worktree'|'bare', commonDir: string }|null>} commonDir 为共享的 git 目录，用于工作树去重
+ */
+async function detectRepo(dir) {
+  const dotGit = path.join(dir, '.git');
+  let stat = null;
+  try {
+    stat = await fs.stat(dotGit);
+  } catch (e) { /* 没有 .git */ }
+
+  if (stat?.isDirectory()) return { type: 'repo', commonDir: await realpathOrSelf(dotGit) };
+  if (stat?.isFile()) {
+    const gitDir = await readGitFile(dotGit);
+    if (!gitDir) return null;
+    // 工作树的 git 目录中有 commondir 文件指向主仓库的 .git；子模块没有
+    const commonDirFile = path.join(gitDir, 'commondir');
+    if (!await fs.pathExists(commonDirFile)) return { type: 'repo', commonDir: await realpathOrSelf(gitDir) };
+    const commonDir = path.resolve(gitDir, (await fs.readFile(commonDirFile, 'utf8')).trim());
+    return { type: 'worktree', commonDir: await realpathOrSelf(commonDir) };
+  }
+  if (await isBareRepo(dir)) return { type: 'bare', commonDir: await realpathOrSelf(dir) };
+  return null;
+}
+
+/**
+ * 读取仓库 .gitmodules 中声明的子模块路径
+ * @param {string} dir - 仓库工作区路径
+ * @returns {Promise<string[]>} 子模块绝对路径
+ */
+async function readSubmodulePaths(dir) {
+  const file = path.join(dir, '.gitmodules');
+  if (!await fs.pathExists(file)) return [];
+  const content = await fs.readFile(file, 'utf8');
+  return [...content.matchAll(/^\s*path\s*=\s*(.+?)\s*$/gm)].map(m => path.join(dir, m[1]));
+}
+
+/**
+ * 递归查找所有 git 仓库（同一层级的子目录并行扫描）
+ * 默认找到仓库后不再往下递归；开启 submodules / nested 后继续查找子模块和嵌套的独立仓库
+ * @param {string} root - 起始目录
+ * @param {Object} [options] - 扫描选项
+ * @param {{ path: string, reason: string }[]} [options.problems] - 收集跳过的目录及原因（无法访问、重复的工作树等）
+ * @param {boolean} [options.submodules=false] - 是否分析子模块
+ * @param {boolean} [options.nested=false] - 是否继续在仓库内查找嵌套的独立仓库
+ * @param {number} [options.maxDepth=Infinity] - 最大扫描深度（起始目录为 0）
+ * @param {string[]} [options.include] - 只保留路径匹配这些规则的仓库（gitignore 风格，相对起始目录）
+ * @param {string[]} [options.exclude] - 跳过匹配这些规则的目录（在隐藏目录和 node_modules 之外追加）
+ * @param {string} [options.locale] - 跳过原因的语言
+ * @param {AbortSignal} [options.signal] - 中止信号，中止后不再扫描新的目录
+ * @returns {Promise<string[]>} 按路径排序的仓库列表
+ */
+async function findGitRepos(root, options = {}) {
+  const { problems = [], submodules = false, nested = false, maxDepth = Infinity } = options;
+  const t = createTranslator(options.locale);
+  const isExcludedDir = createDirMatcher([...DEFAULT_DIR_EXCLUDES, ...(options.exclude || [])]);
+  const isIncluded = options.include?.length ? createDirMatcher(options.include) : () => true;
+  const relative = dir => path.relative(root, dir).split(path.sep).join('/');
+  const visited = new Set();
+  const moduleDirs = new Set();  // 已声明的子模块路径（可能位于仓库的子目录中）
+  const found = [];
+
+  async function scan(dir, depth, kind) {
+    options.signal?.throwIfAborted();
+    let real;
+    try {
+      real = await fs.realpath(dir);
+    } catch (e) {
+      problems.push({ path: dir, reason: t('discover.inaccessible', { reason: e.code || e.message }) });
+      return;
+    }
+    // 符号链接可能指回上级目录或指向已扫描过的目录，同一真实路径只扫描一次
+    if (visited.has(real)) return;
+    visited.add(real);
+
+    let repo;
+    try {
+      repo = await detectRepo(dir);
+    } catch (e) {
+      problems.push({ path: dir, reason: t('discover.unrecognized', { reason: e.code || e.message }) });
+      return;
+    }
+    // 未初始化的子模块只是空目录
+    if (kind === 'submodule' && !repo) return;
+
+    let modules = [];
+    if (repo) {
+      found.push({ path: dir, type: kind || repo.type, commonDir: repo.commonDir });
+      if (repo.type === 'bare') return;
+      modules = await readSubmodulePaths(dir);
+      modules.forEach(m => moduleDirs.add(m));
+      if (submodules) {
+        await Promise.all(modules.filter(m => !isExcludedDir(relative(m))).map(m => scan(m, depth + 1, 'submodule')));
+      }
+      if (!nested) return;
+    }
+    if (depth >= maxDepth) return;
+
+    let entries;
+    try {
+      entries = await fs.readdir(dir);
+    } catch (e) {
+      problems.push({ path: dir, reason: t('discover.unreadable', { reason: e.code || e.message }) });
+      return;
+    }
+    await Promise.all(entries
+      .map(entry => path.join(dir, entry))
+      // 子模块只在开启 submodules 时按子模块处理，不作为嵌套仓库重复统计
+      .filter(full => path.basename(full) !== '.git' && !moduleDirs.has(full) && !isExcludedDir(relative(full)))
+      .map(async full => {
+        let stat;
+        try {
+          stat = await fs.stat(full);
+        } catch (e) {
+          problems.push({ path: full, reason: t('discover.inaccessible', { reason: e.code || e.message }) });
+          return;
+        }
+        if (stat.isDirectory()) await scan(full, depth + 1);
+      }));
+  }
+
+  await scan(root, 0);
+
+  // 共享同一 git 目录的工作树只保留一个（优先主工作区）
+  const byCommonDir = new Map();
+  found
+    .filter(r => r.path === root || isIncluded(relative(r.path)))
+    .sort((a, b) => TYPE_PRIORITY[a.type] - TYPE_PRIORITY[b.type] || a.path.localeCompare(b.path))
+    .forEach(r => {
+      const kept = byCommonDir.get(r.commonDir);
+      if (kept) problems.push({ path: r.path, reason: t('discover.duplicateWorktree', { path: kept.path }) });
+      else byCommonDir.set(r.commonDir, r);
+    });
+  return [...byCommonDir.values()].map(r => r.path).sort();
+}
+
+module.exports = { DEFAULT_DIR_EXCLUDES, findGitRepos };
@@ -0,0 +1,181 @@
+/**
+ * Git 年度报告 - 路径排除模块
+ * 负责识别锁文件、构建产物、第三方代码等不应计入代码行数的路径
+ * 规则来源（按顺序，后面的规则优先）：内置默认规则 → 全局排除文件 → 仓库排除文件 → .gitattributes 中的 linguist-generated / linguist-vendored 标记
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+/** 内置默认排除规则（gitignore 风格） */
+const DEFAULT_EXCLUDES = [
+  // 依赖锁文件
+  'package-lock.json', 'npm-shrinkwrap.json', 'yarn.lock', 'pnpm-lock.yaml', 'bun.lockb',
+  'composer.lock', 'Gemfile.lock', 'Cargo.lock', 'poetry.lock', 'Pipfile.lock', 'go.sum',
+  'Podfile.lock', 'pubspec.lock', 'mix.lock',
+  // 压缩/打包产物
+  '*.min.js', '*.min.mjs', '*.min.css', '*.bundle.js', '*.chunk.js', '*.map',
+  // 构建输出与第三方代码
+  'dist/', 'build/', 'vendor/', 'node_modules/', 'third_party/',
+  // 测试快照
+  '__snapshots__/', '*.snap'
+];
+
+/** 全局排除文件 */
+const GLOBAL_IGNORE_FILE = path.join(os.homedir(), '.config', 'annual-code-report', 'ignore');
+
+/** 仓库排除文件（位于仓库根目录） */
+const REPO_IGNORE_FILE = '.annual-report-ignore';
+
+/** 视为排除标记的 .gitattributes 属性 */
+const LINGUIST_ATTRS = ['linguist-generated', 'linguist-vendored'];
+
+/**
+ * 将 glob 转为正则表达式（支持 *、**、?、[...]）
+ * @param {string} glob - glob 模式
+ * @returns {RegExp}
+ */
+function globToRegExp(glob) {
+  let re = '';
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+    if (ch === '*' && glob[i + 1] === '*' && (i === 0 || glob[i - 1] === '/')) {
+      // 开头或 "/" 之后的 "**/" 匹配零或多级目录，结尾的 "/**" 匹配目录下的所有内容；其他位置的 "**" 与 "*" 相同
+      if (glob[i + 2] === '/') { re += '(?:.*/)?'; i += 2; } else if (i + 2 === glob.length) { re += '.*'; i++; } else { re += '[^/]*'; i++; }
+    } else if (ch === '*') {
+      re += '[^/]*';
+      while (glob[i + 1] === '*') i++;
+    } else if (ch === '?') {
+      re += '[^/]';
+    } else if (ch === '[') {
+      const end = glob.indexOf(']', i + 1);
+      if (end === -1) { re += '\\['; continue; }
+      re += `[${glob.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+      i = end;
+    } else {
+      re += ch.replace(/[.+^${}()|\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${re}$`);
+}
+
+/**
+ * 解析单条规则
+ * @param {string} pattern - gitignore 风格的模式，"!" 开头表示重新包含
+ * @param {string} source - 规则来源（用于报告说明）
+ * @returns {{ pattern: string, source: string, negate: boolean, dirOnly: boolean, anchored: boolean, regex: RegExp }}
+ */
+function parseRule(pattern, source) {
+  let p = pattern.trim();
+  const negate = p.startsWith('!');
+  if (negate) p = p.slice(1);
+  const dirOnly = p.endsWith('/');
+  p = p.replace(/\/+$/, '');
+  // 含有 "/" 的模式相对仓库根目录匹配，否则匹配任意层级的文件/目录名
+  const anchored = p.includes('/');
+  p = p.replace(/^\//, '');
+  return { pattern: pattern.trim(), source, negate, dirOnly, anchored, regex: globToRegExp(p) };
+}
+
+/**
+ * 解析排除文件内容（每行一条规则，# 开头为注释）
+ * @param {string} content - 文件内容
+ * @param {string} source - 规则来源
+ * @returns {Object[]} 规则列表
+ */
+function parseIgnoreFile(content, source) {
+  return content.split(/\r?\n/)
+    .map(l => l.trim())
+    .filter(l => l && !l.startsWith('#'))
+    .map(l => parseRule(l, source));
+}
+
+/**
+ * 解析 .gitattributes 中的 linguist-generated / linguist-vendored 标记
+ * 设置为 true 时排除，显式取消（-attr、!attr、attr=false）时重新包含
+ * @param {string} content - .gitattributes 内容
+ * @returns {Object[]} 规则列表
+ */
+function parseGitattributes(content) {
+  const rules = [];
+  content.split(/\r?\n/).forEach(line => {
+    const [pattern, ...attrs] = line.trim().split(/\s+/);
+    if (!pattern || pattern.startsWith('#')) return;
+    attrs.forEach(attr => {
+      const m = /^([-!]?)([\w-]+)(?:=(.*))?$/.exec(attr);
+      if (!m || !LINGUIST_ATTRS.includes(m[2])) return;
+      const unset = m[1] !== '' || m[3] === 'false';
+      rules.push(parseRule(`${unset ? '!' : ''}${pattern}`, `.gitattributes ${m[2]}`));
+    });
+  });
+  return rules;
+}
+
+/**
+ * 读取全局排除文件中的规则
+ * @param {string} [file] - 全局排除文件路径，默认 ~/.config/annual-code-report/ignore
+ * @returns {Promise<string[]>} 规则列表（原始字符串，便于作为缓存参数）
+ */
+async function loadGlobalExcludes(file = GLOBAL_IGNORE_FILE) {
+  if (!await fs.pathExists(file)) return [];
+  return (await fs.readFile(file, 'utf8')).split(/\r?\n/).map(l => l.trim()).filter(l => l && !l.startsWith('#'));
+}
+
+/**
+ * 按规则列表匹配路径（依次检查各级父目录和路径本身，后面的规则优先）
+ * @param {Object[]} rules - 规则列表
+ * @param {string} file - 相对路径（以 / 分隔）
+ * @param {boolean} [isDir=false] - 路径本身是否为目录
+ * @returns {Object|null} 命中的规则，未命中或被 "!" 规则重新包含时返回 null
+ */
+function matchRules(rules, file, isDir = false) {
+  const segments = file.split('/');
+  // 命中目录即命中其下所有路径
+  const candidates = segments.map((_, i) => ({ path: segments.slice(0, i + 1).join('/'), isDir: isDir || i < segments.length - 1 }));
+  let matched = null;
+  rules.forEach(rule => {
+    const hit = candidates.some(c => (!rule.dirOnly || c.isDir)
+      && rule.regex.test(rule.anchored ? c.path : path.posix.basename(c.path)));
+    if (hit) matched = rule.negate ? null : rule;
+  });
+  return matched;
+}
+
+/**
+ * 创建目录匹配函数（gitignore 风格，用于仓库扫描时的目录包含/排除列表）
+ * @param {string[]} patterns - 规则列表
+ * @returns {(dir: string) => boolean} 参数为相对扫描根目录的路径
+ */
+function createDirMatcher(patterns) {
+  const rules = patterns.map(p => parseRule(p, 'pattern'));
+  return dir => !!matchRules(rules, dir, true);
+}
+
+/**
+ * 创建仓库的路径排除匹配函数
+ * @param {string} repoPath - 仓库路径
+ * @param {Object} [options] - 选项
+ * @param {string[]} [options.globalExcludes=[]] - 全局排除规则
+ * @param {boolean} [options.defaults=true] - 是否使用内置默认规则
+ * @returns {Promise<(file: string) => string|null>} 返回命中的排除规则说明，不排除时返回 null
+ */
+async function createExcludeMatcher(repoPath, { globalExcludes = [], defaults = true } = {}) {
+  const readRepoFile = async name => {
+    const file = path.join(repoPath, name);
+    return await fs.pathExists(file) ? fs.readFile(file, 'utf8') : '';
+  };
+  const rules = [
+    ...(defaults ? DEFAULT_EXCLUDES.map(p => parseRule(p, 'default')) : []),
+    ...globalExcludes.map(p => parseRule(p, 'global')),
+    ...parseIgnoreFile(await readRepoFile(REPO_IGNORE_FILE), REPO_IGNORE_FILE),
+    ...parseGitattributes(await readRepoFile('.gitattributes'))
+  ];
+
+  return file => {
+    const matched = matchRules(rules, file);
+    return matched && (matched.source === 'default' ? matched.pattern : `${matched.source}: ${matched.pattern}`);
+  };
+}
+
+module.exports = { DEFAULT_EXCLUDES, GLOBAL_IGNORE_FILE, REPO_IGNORE_FILE, loadGlobalExcludes, createExcludeMatcher, createDirMatcher };
@@ -1,99 +1,249 @@
 /**
- * Git 年度报告生成器 - 核心生成逻辑
- * 负责扫描仓库、收集数据、生成报告
+ * Git 年度报告生成器 - 命令行流程
+ * 调用 analyze 接口分析仓库，把进度事件输出到终端，再按命令行选项脱敏、写入报告、导出海报并打开报告
  */
 
 const fs = require("fs-extra");
 const path = require("path");
-const pako = require("pako");
 
-const { analyzeLocalRepo } = require("./gitLocal");
-const { buildSummary } = require("./metrics");
+const { analyze, analyzeTeam } = require("./analyze");
+const { writeReport, writeTeamReport, encodeReport, reportUrl, openReport } = require("./output");
+const { renderHtml, renderTeamHtml } = require("./html");
+const { exportPoster } = require("./poster");
+const { createCache } = require("./cache");
+const { createProgress, formatDuration } = require("./progress");
+const { findGitRepos } = require("./discover");
+const { DEFAULT_REDACTION, createRedactor, redactReport, redactTeamReport, formatRedactionPreview } = require("./redact");
+const { createTranslator, localizeReport } = require("./i18n");
+const { migrateReport } = require("./schema");
 
 /**
- * 判断目录是否为 git 仓库
- * @param {string} dir - 目录路径
- * @returns {Promise<boolean>}
+ * 创建进度事件的终端输出函数（见 analyze.AnalyzeEvent）
+ * @param {Object} config - 配置对象（见 generate）
+ * @param {Function} log - 日志输出函数
+ * @param {Function} t - 翻译函数
+ * @param {boolean} [team=false] - 是否为团队模式
+ * @returns {(event: Object) => void}
  */
-async function isGitRepo(dir) {
-  return fs.pathExists(path.join(dir, ".git"));
+function createEventLogger(config, log, t, team = false) {
+  let progress;
+  return event => {
+    switch (event.type) {
+      case "scan:start":
+        log(`\n${t("generate.scanning")}`);
+        break;
+      case "scan:done":
+        log(`${t("generate.scanned", { count: event.repos.length })}\n`);
+        if (event.problems.length) {
+          log(t("generate.scanProblems", { count: event.problems.length }));
+          event.problems.forEach(p => log(`   - ${p.path}: ${p.reason}`));
+          log("");
+        }
+        break;
+      case "members:done":
+        log(`${t("generate.membersFound", { count: event.count })}\n`);
+        break;
+      case "analysis:start":
+        if (event.phase === "compare") log(`\n${t("generate.comparing", event.range)}`);
+        progress = createProgress({ total: event.total, enabled: !config.quiet, locale: t.locale });
+        break;
+      case "repo:start":
+        progress.start(event.name);
+        break;
+      case "repo:done":
+        progress.finish(event.name, event.status === "failed" ? t("generate.failed") : event.cached ? t("generate.cached") : "");
+        break;
+      case "analysis:done": {
+        const time = formatDuration(progress.done());
+        log(`\n${team ? t("generate.teamAnalyzed", { time }) : t("generate.analyzed", { count: event.analyzed, time })}`);
+        // 输出跳过/失败的仓库及原因
+        if (event.skipped.length) {
+          log(`\n${t("generate.skipped", { count: event.skipped.length })}`);
+          event.skipped.forEach(s => log(`   - ${s.name}: ${s.reason}`));
+        }
+        if (event.failed.length) {
+          // 失败信息即使在静默模式下也输出到 stderr
+          console.error(`\n${t("generate.failedRepos", { count: event.failed.length })}`);
+          event.failed.forEach(f => console.error(`   - ${f.name}: ${f.reason}`));
+        }
+        break;
+      }
+    }
+  };
 }
 
 /**
- * 递归查找所有 git 仓库
- * 找到 .git 目录后不再往下递归，避免扫描子模块
- * @param {string} dir - 起始目录
- * @param {string[]} repos - 已找到的仓库列表
- * @returns {Promise<string[]>} 仓库路径列表
+ * 将命令行配置转换为 analyze 的选项
+ * @param {Object} config - 配置对象（见 generate）
+ * @param {Function} log - 日志输出函数
+ * @param {Function} t - 翻译函数
+ * @param {boolean} [team=false] - 是否为团队模式
+ * @returns {Promise<Object>}
  */
-async function findGitRepos(dir, repos = []) {
-  if (await isGitRepo(dir)) {
-    repos.push(dir);
-    return repos;
+async function toAnalyzeOptions(config, log, t, team = false) {
+  if (config.clearCache) {
+    const cache = createCache({ dir: config.cacheDir });
+    await cache.clear();
+    log(`\n${t("generate.cacheCleared", { dir: cache.dir })}`);
   }
-  try {
-    const entries = await fs.readdir(dir);
-    for (const entry of entries) {
-      // 跳过隐藏目录和 node_modules
-      if (entry.startsWith('.') || entry === 'node_modules') continue;
-      const full = path.join(dir, entry);
-      const stat = await fs.stat(full);
-      if (stat.isDirectory()) {
-        await findGitRepos(full, repos);
-      }
-    }
-  } catch (e) { /* 忽略权限错误 */ }
-  return repos;
+  return {
+    ...config,
+    compareReport: config.compareReport && await readReport(config.compareReport, t, true),
+    cache: config.cache !== false,
+    locale: t.locale,
+    onEvent: createEventLogger(config, log, t, team)
+  };
 }
 
 /**
  * 生成年度报告
- * @param {Object} config - 配置对象
- * @param {string} config.author - Git 作者名/邮箱
- * @param {string} config.repoRoot - 仓库根目录
- * @param {string} config.since - 开始日期
- * @param {string} config.until - 结束日期
+ * @param {Object} config - 配置对象，分析相关的选项见 analyze.analyze（roots、authors、since、until 等）
  * @param {string} config.output - 输出文件名
+ * @param {boolean} [config.open=true] - 生成后是否打开报告页面
+ * @param {boolean} [config.web=false] - 打开在线报告页面而不是本地 HTML（数据会编码进 URL）
+ * @param {boolean} [config.quiet=false] - 静默模式，不输出日志
+ * @param {boolean} [config.cache=true] - 是否使用分析结果缓存
+ * @param {boolean} [config.clearCache=false] - 分析前清空缓存
+ * @param {string} [config.locale='zh-CN'] - 日志和报告文案的语言（见 i18n.LOCALES）
+ * @param {{ theme: string, size: string }} [config.poster] - 海报选项，指定时同时导出分享海报
+ * @param {string} [config.redaction='full'] - 脱敏级别：full、internal、public（见 redact.REDACTION_LEVELS）
+ * @param {boolean} [config.redactPreview=false] - 只预览脱敏会移除或替换哪些内容，不写入报告
+ * @param {string} [config.compareReport] - 作为上期数据的已有个人报告 JSON 路径，代替重新分析对比区间
  */
 async function generate(config) {
-  const open = (await import("open")).default;
-  const repos = [];
-
-  console.log("\n🔍 正在扫描 Git 仓库...");
-  const gitRepos = await findGitRepos(config.repoRoot);
-  console.log(`📁 扫描完成，共找到 ${gitRepos.length} 个仓库，开始分析...\n`);
-
-  // 逐个分析仓库
-  for (const repoPath of gitRepos) {
-    const name = path.relative(config.repoRoot, repoPath) || path.basename(repoPath);
-    console.log("🔍 分析中:", name);
-    const data = await analyzeLocalRepo(repoPath, config.since, config.until, config.author);
-    if (data) repos.push(data);
+  const t = createTranslator(config.locale);
+  const log = config.quiet ? () => {} : console.log;
+  const fullReport = await analyze(await toAnalyzeOptions(config, log, t));
+
+  // 脱敏：JSON、HTML、海报和在线报告链接使用同一份处理后的报告
+  const redaction = config.redaction || DEFAULT_REDACTION;
+  const { report, changes } = redactReport(fullReport, redaction);
+  if (config.redactPreview) {
+    console.log(`\n${formatRedactionPreview(redaction, changes, t.locale)}`);
+    return;
   }
+  if (changes.length) log(`\n${t("generate.redacted", { level: redaction })}`);
 
-  // 汇总所有仓库数据
-  const summary = buildSummary(repos);
+  const htmlPath = await writeReport(report, config.output);
+  log(`\n${t("generate.htmlWritten", { file: htmlPath })}`);
+  if (config.poster) {
+    const poster = await exportPoster(report, config.output, config.poster);
+    log(t("generate.posterWritten", { file: poster.png }));
+  }
+  await open(report, htmlPath, config, log, t);
+}
 
-  // 构建最终报告
-  const report = {
-    generatedAt: new Date().toISOString(),  // 报告生成时间
-    range: { since: config.since, until: config.until },  // 统计时间范围
-    author: { name: config.authorName, email: config.authorEmail },  // 统计的作者
-    summary  // 汇总数据
-  };
+/**
+ * 读取已有的报告文件并升级到当前结构（往年生成的旧版 report.json 也可以继续使用）
+ * @param {string} reportPath - 报告 JSON 路径
+ * @param {Function} t - 翻译函数
+ * @param {boolean} [personal=false] - 是否要求是个人报告
+ * @returns {Promise<Object>} 当前结构的报告
+ */
+async function readReport(reportPath, t, personal = false) {
+  let report;
+  try {
+    report = migrateReport(await fs.readJson(reportPath));
+  } catch (e) {
+    throw new Error(t("generate.reportUnreadable", { file: reportPath, reason: e.message }));
+  }
+  if (personal && "team" in report) throw new Error(t("generate.notPersonalReport", { file: reportPath }));
+  return report;
+}
+
+/**
+ * 根据已有的报告文件重新导出分享海报（不重新分析仓库）
+ * @param {string} reportPath - 报告 JSON 路径
+ * @param {{ theme: string, size: string }} posterOptions - 海报选项
+ * @param {string} [redaction='full'] - 脱敏级别
+ * @param {string} [locale] - 海报文案的语言，默认沿用报告生成时的语言
+ * @returns {Promise<{ svg: string, png: string }>} 海报文件路径
+ */
+async function generatePosterFromReport(reportPath, posterOptions, redaction = DEFAULT_REDACTION, locale) {
+  const t = createTranslator(locale);
+  let report = await readReport(reportPath, t, true);
+  if (locale) report = localizeReport(report, locale);
+  return exportPoster(redactReport(report, redaction).report, reportPath, posterOptions);
+}
+
+/**
+ * 把已有的报告文件升级到当前结构，重新写入 JSON 并生成离线 HTML 报告（不重新分析仓库）
+ * @param {string} reportPath - 报告 JSON 路径（个人报告或团队报告）
+ * @param {string} [output=reportPath] - 升级后的 JSON 输出路径，默认覆盖原文件
+ * @param {string} [locale] - 报告文案的语言，默认沿用报告生成时的语言
+ * @returns {Promise<{ from: number, to: number, html: string }>} 原版本、当前版本及 HTML 报告路径
+ */
+async function upgradeReportFile(reportPath, output = reportPath, locale) {
+  const t = createTranslator(locale);
+  let original;
+  let report;
+  try {
+    original = await fs.readJson(reportPath);
+    report = migrateReport(original);
+  } catch (e) {
+    throw new Error(t("generate.reportUnreadable", { file: reportPath, reason: e.message }));
+  }
+  if (locale) report = localizeReport(report, locale);
+  const html = await writeReport(report, output, "team" in report ? renderTeamHtml : renderHtml);
+  return { from: original.schemaVersion ?? 1, to: report.schemaVersion, html };
+}
+
+/**
+ * 打开报告：默认打开本地 HTML，web 模式下打开在线报告页面
+ * @param {Object} report - 报告数据
+ * @param {string} htmlPath - 本地 HTML 报告路径
+ * @param {Object} config - 配置对象（见 generate）
+ * @param {Function} log - 日志输出函数
+ * @param {Function} t - 翻译函数
+ */
+async function open(report, htmlPath, config, log, t) {
+  let target = htmlPath;
+  if (config.web) {
+    const data = encodeReport(report);
+    log(`\n${t("generate.compressed", { from: JSON.stringify(report).length, to: data.length })}`);
+    target = reportUrl(data);
+  }
+  if (config.open === false) {
+    // 不打开浏览器时输出在线报告链接，便于在脚本或无图形界面的机器上使用；安静模式下只输出链接本身
+    if (config.web && config.quiet) console.log(target);
+    else if (config.web) log(`\n${t("generate.webUrl", { url: target })}`);
+    return;
+  }
+
+  log(`\n${t("generate.opening")}`);
+  await openReport(target);
+}
+
+/**
+ * 团队模式：一次分析所有（或指定）成员，生成每个人的报告和团队汇总
+ * @param {Object} config - 配置对象（见 generate）
+ * @param {string[]} [config.members] - 指定的成员列表，每项为一个人的身份（多个身份用逗号分隔）；为空时统计所有提交者
+ */
+async function generateTeam(config) {
+  const t = createTranslator(config.locale);
+  const log = config.quiet ? () => {} : console.log;
+  const result = await analyzeTeam(await toAnalyzeOptions(config, log, t, true));
+
+  const redaction = config.redaction || DEFAULT_REDACTION;
+  // 团队报告与各成员报告共用脱敏上下文，同一仓库在各文件中的代号一致
+  const redactor = createRedactor(redaction, result.report.locale);
+  const team = redactTeamReport(result.report, redaction, redactor);
+  const members = result.members.map(m => ({ id: m.id, ...redactReport(m.report, redaction, redactor) }));
+  const changes = redactor.changes();
+  if (config.redactPreview) {
+    console.log(`\n${formatRedactionPreview(redaction, changes, t.locale)}`);
+    return;
+  }
+  if (changes.length) log(`\n${t("generate.redacted", { level: redaction })}`);
 
-  await fs.writeJson(config.output, report, { spaces: 2 });
-
-  // 使用 pako 压缩 + base64url 编码
-  const jsonStr = JSON.stringify(report);
-  const compressed = pako.deflate(jsonStr);
-  const base64url = Buffer.from(compressed).toString("base64")
-    .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
-  
-  console.log(`\n📊 数据压缩完成: ${jsonStr.length} → ${base64url.length} 字符\n`);
-  console.log("🌍 正在打开年度报告页面...");
-  const reportUrl = `https://your-report-site.com/#/report?d=${base64url}`;
-  await open(reportUrl);
+  const written = await writeTeamReport({ report: team.report, members }, config.output, { poster: config.poster });
+  log(`\n${t("generate.memberReportsWritten", { dir: written.membersDir })}`);
+  log(t("generate.teamReportWritten", { file: written.html }));
+  await open(team.report, written.html, config, log, t);
 }
 
 module.exports = generate;
+module.exports.generateTeam = generateTeam;
+module.exports.generatePosterFromReport = generatePosterFromReport;
+module.exports.upgradeReportFile = upgradeReportFile;
+module.exports.findGitRepos = findGitRepos;
@@ -8,12 +8,24 @@ const simpleGit = require('simple-git');
 const dayjs = require('dayjs');
 const isoWeek = require('dayjs/plugin/isoWeek');
 dayjs.extend(isoWeek);
+const { calcLongestStreak, calcLongestGap, findPeak } = require('./timeline');
+const { createAuthorMatcher } = require('./identity');
+const { createTimeResolver } = require('./timezone');
+const { createExcludeMatcher } = require('./exclude');
+const { createLanguageClassifier } = require('./language');
+const { createTranslator } = require('./i18n');
+const { parseConventional, analyzeMessages } = require('./message');
+const { listHotspotCandidates, analyzeChurn } = require('./churn');
+const { parseIncrementalBlame, selectBlameFiles, summarizeSurvival } = require('./survival');
 
 /** 匹配 emoji 表情的正则 */
 const emojiRegex = /[\u{1F300}-\u{1F9FF}]|[\u{2600}-\u{26FF}]|[\u{2700}-\u{27BF}]|[\u{1F600}-\u{1F64F}]|[\u{1F680}-\u{1F6FF}]/gu;
 
-/** 匹配 conventional commit 类型的正则 */
-const commitTypeRegex = /^(feat|fix|docs|style|refactor|perf|test|chore|build|ci|revert)(\(.+\))?:/i;
+/** 读取 Co-authored-by 尾注的格式占位符（多个值以 \x1f 分隔） */
+const CO_AUTHORS_FORMAT = '%(trailers:key=Co-authored-by,valueonly,separator=%x1f)';
+
+/** 全分支模式下 git log 遍历的引用：所有本地分支、远程分支以及当前 HEAD（提交只会输出一次） */
+const ALL_BRANCHES_REVISIONS = ['--branches', '--remotes', 'HEAD'];
 
 /**
  * 从文本中提取关键词
@@ -25,32 +37,19 @@ function extractKeywords(text) {
   return cleaned.split(/\s+/).filter(w => w.length >= 2);
 }
 
-/**
- * 计算最长摸鱼天数（两次提交之间的最大间隔）
- * @param {string[]} sortedDays - 按日期排序的日期数组
- * @returns {number} 最长间隔天数
- */
-function calcLongestGap(sortedDays) {
-  if (sortedDays.length < 2) return 0;
-  let maxGap = 0;
-  for (let i = 1; i < sortedDays.length; i++) {
-    const gap = dayjs(sortedDays[i]).diff(dayjs(sortedDays[i - 1]), 'day') - 1;
-    if (gap > maxGap) maxGap = gap;
-  }
-  return maxGap;
-}
-
 /**
  * 计算最长工作时间段（同一天内首次和末次提交的时间跨度）
  * @param {Object[]} commits - 提交记录数组
+ * @param {(isoDate: string) => import('dayjs').Dayjs} toTime - 时间解析函数（决定按哪个时区划分日期）
  * @returns {{ day: string, minutes: number, hours: number }} 最长工作时间段信息
  */
-function calcLongestWorkSession(commits) {
+function calcLongestWorkSession(commits, toTime) {
   const byDay = {};
   commits.forEach(c => {
-    const day = dayjs(c.date).format('YYYY-MM-DD');
+    const t = toTime(c.date);
+    const day = t.format('YYYY-MM-DD');
     if (!byDay[day]) byDay[day] = [];
-    byDay[day].push(dayjs(c.date));
+    byDay[day].push(t);
   });
   let maxSpan = 0, maxSpanDay = null;
   Object.entries(byDay).forEach(([day, times]) => {
@@ -63,133 +62,790 @@ function calcLongestWorkSession(commits) {
 }
 
 /**
- * 分析单个本地 Git 仓库
- * @param {string} repoPath - 仓库路径
+ * 判断 git 错误是否由空仓库（还没有任何提交）引起
+ * @param {Error} e - git 命令抛出的错误
+ * @returns {boolean}
+ */
+function isEmptyRepoError(e) {
+  return /does not have any commits yet|bad default revision|unknown revision/i.test(e.message);
+}
+
+/**
+ * 将身份转为 --author 使用的匹配串（配合 --fixed-strings，匹配 "Name <email>" 中的用户名或邮箱）
+ * @param {string} identity - 用户名或邮箱
+ * @returns {string}
+ */
+function toAuthorPattern(identity) {
+  return identity.includes('@') ? `<${identity}>` : `${identity} <`;
+}
+
+/**
+ * 解析 Co-authored-by 尾注
+ * @param {string} value - 以 \x1f 分隔的尾注值，如 "Li Si <lisi@example.com>"
+ * @returns {{ name: string, email: string }[]}
+ */
+function parseCoAuthors(value) {
+  return (value || '').split('\x1f').map(v => v.trim()).filter(Boolean).map(v => {
+    const m = /^(.*?)\s*<([^>]*)>$/.exec(v);
+    return m ? { name: m[1], email: m[2] } : { name: v, email: '' };
+  });
+}
+
+/**
+ * 读取提交者列表（轻量，不含文件变更）
+ * %aN/%aE 为经过 .mailmap 映射后的身份，%an/%ae 为原始身份
+ * @param {import('simple-git').SimpleGit} git - simple-git 实例
  * @param {string} since - 开始日期
  * @param {string} until - 结束日期
- * @param {string} author - 作者名/邮箱（用于过滤提交）
- * @returns {Object|null} 仓库统计数据，无提交时返回 null
+ * @param {string[]} [revisions=[]] - 遍历的引用，为空时只遍历 HEAD
+ * @returns {Promise<{ hash: string, name: string, email: string, rawName: string, rawEmail: string, coAuthors: Object[] }[]>}
  */
-async function analyzeLocalRepo(repoPath, since, until, author) {
-  const git = simpleGit(repoPath);
-  const name = path.basename(repoPath);
+async function readAuthors(git, since, until, revisions = []) {
+  const raw = await git.raw([
+    'log', `--since=${since}`, `--until=${until}`,
+    `--pretty=format:%H|%aN|%aE|%an|%ae|${CO_AUTHORS_FORMAT}`,
+    ...revisions
+  ]);
+  return raw.split('\n').filter(Boolean).map(line => {
+    const [hash, name, email, rawName, rawEmail, ...coAuthors] = line.split('|');
+    return { hash, name, email, rawName, rawEmail, coAuthors: parseCoAuthors(coAuthors.join('|')) };
+  });
+}
 
-  // 获取指定作者的所有提交（含文件变更统计）
-  let logRaw;
+/**
+ * 将 numstat 中的重命名路径解析为新路径
+ * 如 "src/{old => new}/a.js" → "src/new/a.js"，"old.js => new.js" → "new.js"
+ * @param {string} file - numstat 输出的路径
+ * @returns {string}
+ */
+function toNewPath(file) {
+  const brace = /^(.*)\{(.*) => (.*)\}(.*)$/.exec(file);
+  if (brace) return `${brace[1]}${brace[3]}${brace[4]}`.replace(/\/{2,}/g, '/');
+  const arrow = file.indexOf(' => ');
+  return arrow === -1 ? file : file.slice(arrow + 4);
+}
+
+/**
+ * 按重命名历史将各提交中的文件路径统一为最终路径
+ * git log 按时间倒序输出，因此先遇到的重命名是较新的，据此将旧路径映射到最终路径
+ * @param {Object[]} commits - 提交记录（按时间倒序，含 renames）
+ */
+function followRenames(commits) {
+  const finalPath = {};
+  const resolve = file => finalPath[file] || file;
+  commits.forEach(c => {
+    [...c.files, ...c.excluded].forEach(f => { f.file = resolve(f.file); });
+    c.renames.forEach(({ from, to }) => { finalPath[from] = resolve(to); });
+  });
+}
+
+/**
+ * 读取提交记录（含每个文件的新增/删除行数、新增/删除/重命名文件数以及提交正文）
+ * 开启重命名与复制检测，重命名过的文件按最终路径统计
+ * @param {import('simple-git').SimpleGit} git - simple-git 实例
+ * @param {string} since - 开始日期
+ * @param {string} until - 结束日期
+ * @param {Object} [options] - 选项
+ * @param {string[]} [options.filterArgs=[]] - 额外的 git log 过滤参数（如 --author）
+ * @param {Set<string>} [options.hashes] - 只保留这些提交
+ * @param {(file: string) => string|null} [options.isExcluded] - 路径排除匹配函数，被排除的文件变更记入 excluded 而不计入 files
+ * @param {string[]} [options.revisions=[]] - 遍历的引用，为空时只遍历 HEAD
+ * @param {Function} [options.t] - 翻译函数（用于警告信息）
+ * @returns {Promise<{ commits: Object[], warnings: string[] }>}
+ */
+async function readCommits(git, since, until, { filterArgs = [], hashes, isExcluded = () => null, revisions = [], t = createTranslator() } = {}) {
+  const logRaw = await git.raw([
+    '-c', 'core.quotePath=false',
+    'log', `--since=${since}`, `--until=${until}`, ...filterArgs,
+    `--pretty=format:%H|%aI|%aN|%aE|%an|%ae|${CO_AUTHORS_FORMAT}|%s`,
+    '--numstat', '-M', '-C', ...revisions
+  ]);
+
+  const commits = [];
+  const byHash = {};
+  let current = null;
+
+  for (const line of logRaw.split('\n')) {
+    const header = line.match(/^([0-9a-f]{40})\|(.*)$/);
+    if (header) {
+      const [date, name, email, rawName, rawEmail, coAuthors, ...subject] = header[2].split('|');
+      current = null;
+      if (hashes && !hashes.has(header[1])) continue;
+      current = {
+        hash: header[1], date, message: subject.join('|'), body: '', name, email, rawName, rawEmail, coAuthors: parseCoAuthors(coAuthors), files: [], excluded: [], renames: [], added: 0, deleted: 0, renamed: 0
+      };
+      commits.push(current);
+      byHash[current.hash] = current;
+    } else if (current) {
+      // 解析 numstat 格式: 新增行数\t删除行数\t文件名
+      const match = line.match(/^(\d+|-)\t(\d+|-)\t(.+)$/);
+      if (match) {
+        const change = {
+          file: toNewPath(match[3]),
+          insertions: match[1] === '-' ? 0 : parseInt(match[1]),
+          deletions: match[2] === '-' ? 0 : parseInt(match[2])
+        };
+        const rule = isExcluded(change.file);
+        if (rule) current.excluded.push({ ...change, rule });
+        else current.files.push(change);
+      }
+    }
+  }
+
+  // 获取文件新增/删除统计
+  const warnings = [];
+  if (commits.length) {
+    try {
+      const diffTree = await git.raw([
+        '-c', 'core.quotePath=false',
+        'log', `--since=${since}`, `--until=${until}`, ...filterArgs,
+        '--pretty=format:%H', '--name-status', '-M', '-C', ...revisions
+      ]);
+      let commit = null;
+      diffTree.split('\n').forEach(l => {
+        if (/^[0-9a-f]{40}$/.test(l)) { commit = byHash[l]; return; }
+        if (!commit) return;
+        const [status, from, to] = l.split('\t');
+        if (status === 'A') commit.added++;
+        if (status === 'D') commit.deleted++;
+        // 复制产生的是新文件；重命名只是换了路径，不计入新增/删除
+        if (/^C\d*$/.test(status)) commit.added++;
+        if (/^R\d*$/.test(status)) {
+          commit.renamed++;
+          commit.renames.push({ from, to });
+        }
+      });
+      followRenames(commits);
+    } catch (e) {
+      warnings.push(t('analyze.fileChangesFailed', { reason: e.message.trim() }));
+    }
+
+    // 获取提交正文（用于提交信息质量分析），每条记录以 \x1e 开头，哈希与正文以 \x1f 分隔
+    try {
+      const bodies = await git.raw([
+        'log', `--since=${since}`, `--until=${until}`, ...filterArgs,
+        '--pretty=format:%x1e%H%x1f%b', ...revisions
+      ]);
+      bodies.split('\x1e').forEach(record => {
+        const [hash, body] = record.split('\x1f');
+        if (byHash[hash]) byHash[hash].body = (body || '').trim();
+      });
+    } catch (e) {
+      warnings.push(t('analyze.messageBodiesFailed', { reason: e.message.trim() }));
+    }
+  }
+
+  return { commits, warnings };
+}
+
+/**
+ * 取统计区间结束时 HEAD 上的最后一个提交
+ * @param {import('simple-git').SimpleGit} git - simple-git 实例
+ * @param {string} until - 结束日期
+ * @returns {Promise<string|null>} 提交哈希，区间结束前没有提交时为 null
+ */
+async function resolveEndCommit(git, until) {
+  const hash = (await git.raw(['rev-list', '-1', `--until=${until}`, 'HEAD', '--'])).trim();
+  return hash || null;
+}
+
+/**
+ * 读取指定提交中各文本文件的行数，二进制文件、空文件没有记录
+ * @param {import('simple-git').SimpleGit} git - simple-git 实例
+ * @param {string} rev - 提交哈希
+ * @param {string[]} [files=[]] - 文件路径，为空时读取所有文件
+ * @returns {Promise<Object<string, number>>} 文件 → 行数
+ */
+async function readLineCounts(git, rev, files = []) {
+  // git grep -c 输出 "<提交>:<路径>:<行数>"，没有匹配（空文件）时不输出
+  const raw = await git.raw(['--literal-pathspecs', '-c', 'core.quotePath=false', 'grep', '-I', '-c', '-e', '', rev, '--', ...files]);
+  const counts = {};
+  raw.split('\n').filter(Boolean).forEach(line => {
+    const rest = line.slice(rev.length + 1);
+    const sep = rest.lastIndexOf(':');
+    counts[rest.slice(0, sep)] = Number(rest.slice(sep + 1));
+  });
+  return counts;
+}
+
+/**
+ * 读取统计区间结束时各文件的行数（用于热点文件排行），二进制文件、已删除的文件没有记录
+ * @param {import('simple-git').SimpleGit} git - simple-git 实例
+ * @param {string[]} files - 文件路径
+ * @param {string} until - 结束日期
+ * @returns {Promise<Object<string, number>>} 文件 → 行数
+ */
+async function readFileSizes(git, files, until) {
+  const rev = files.length ? await resolveEndCommit(git, until) : null;
+  return rev ? readLineCounts(git, rev, files) : {};
+}
+
+/**
+ * 在统计区间结束时的最后一个提交上逐文件 git blame（作者经 .mailmap 映射），达到文件数或耗时限制时提前结束
+ * 耗时限制从统计各文件行数开始计算，到期时会结束正在运行的 git 命令，大仓库、单个大文件也不会超出限制
+ * @param {import('simple-git').SimpleGit} git - simple-git 实例
+ * @param {string} repoPath - 仓库路径（用于创建受耗时限制的 simple-git 实例）
+ * @param {string} until - 结束日期
+ * @param {Object} options - 选项
+ * @param {Object[]} options.commits - 统计区间内的提交（readCommits 的解析结果），修改过的文件优先 blame
+ * @param {(file: string) => string|null} options.isExcluded - 路径排除匹配函数
+ * @param {{ maxFiles: number, timeout: number }} options.limits - 最多 blame 的文件数、最长耗时（秒）
+ * @param {AbortSignal} [options.signal] - 中止信号
+ * @returns {Promise<Object|null>} { files: [{ file, commits: { 提交: 行数 } }], authors: { 提交: { name, email } }, filesTotal, linesTotal, truncated }，区间结束前没有提交时为 null
+ */
+async function readBlame(git, repoPath, until, { commits, isExcluded, limits, signal }) {
+  const rev = await resolveEndCommit(git, until);
+  if (!rev) return null;
+
+  // 耗时限制到期或整体中止时结束 blame
+  const budget = new AbortController();
+  const timer = setTimeout(() => budget.abort(), limits.timeout * 1000);
+  const stop = () => budget.abort();
+  signal?.addEventListener('abort', stop);
+  const blameGit = simpleGit({ baseDir: repoPath, abort: budget.signal });
+
+  // 只有耗时限制到期才视为提前结束，整体中止和其他错误交给调用方处理
+  const isBudgetExceeded = () => budget.signal.aborted && !signal?.aborted;
+
+  try {
+    // 统计各文件行数同样计入耗时限制，大仓库上这一步本身就可能很慢
+    let lineCounts;
+    try {
+      lineCounts = await readLineCounts(blameGit, rev);
+    } catch (e) {
+      if (!isBudgetExceeded()) throw e;
+      return { files: [], authors: {}, filesTotal: 0, linesTotal: 0, truncated: 'time' };
+    }
+    const selected = selectBlameFiles(lineCounts, commits, { isExcluded, maxFiles: limits.maxFiles });
+
+    const files = [];
+    const authors = {};
+    let truncated = selected.files.length < selected.total ? 'files' : null;
+    for (const file of selected.files) {
+      let output;
+      try {
+        output = await blameGit.raw(['blame', '--incremental', rev, '--', file]);
+      } catch (e) {
+        if (!isBudgetExceeded()) throw e;
+        truncated = 'time';
+        break;
+      }
+      files.push({ file, commits: parseIncrementalBlame(output, authors) });
+    }
+
+    return {
+      files,
+      authors,
+      filesTotal: selected.total,
+      linesTotal: Object.entries(lineCounts).reduce((a, [file, n]) => (isExcluded(file) ? a : a + n), 0),
+      truncated
+    };
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', stop);
+  }
+}
+
+/**
+ * 确定默认分支：优先使用 origin/HEAD 指向的分支，否则使用当前检出的分支（分离 HEAD 时为 HEAD）
+ * @param {import('simple-git').SimpleGit} git - simple-git 实例
+ * @returns {Promise<string>} 完整引用名，如 refs/remotes/origin/main
+ */
+async function resolveDefaultBranch(git) {
+  for (const ref of ['refs/remotes/origin/HEAD', 'HEAD']) {
+    try {
+      const target = (await git.raw(['symbolic-ref', '--quiet', ref])).trim();
+      if (target) return target;
+    } catch (e) { /* 引用不存在或不是符号引用 */ }
+  }
+  return 'HEAD';
+}
+
+/**
+ * 从 reflog 读取本地分支的创建记录（reflog 最早一条为 "branch: Created from ..." 时）
+ * clone 时创建的分支没有这样的记录；reflog 只保留在本地且可能已过期，读取不到时返回 null
+ * @param {import('simple-git').SimpleGit} git - simple-git 实例
+ * @param {string} ref - 完整引用名
+ * @returns {Promise<{ date: string, name: string, email: string, from: string }|null>} from 为创建时的起点
+ */
+async function readReflogCreation(git, ref) {
+  let raw;
   try {
-    logRaw = await git.raw([
-      'log', `--since=${since}`, `--until=${until}`, `--author=${author}`,
-      '--pretty=format:%H|%aI|%s',
-      '--numstat'
-    ]);
+    raw = await git.raw(['reflog', 'show', '--date=iso-strict', '--format=%gd|%gn|%ge|%gs', ref, '--']);
   } catch (e) {
-    // 空仓库或无提交时跳过
     return null;
   }
+  const oldest = raw.split('\n').filter(Boolean).pop();
+  if (!oldest) return null;
+  const [selector, name, email, ...subject] = oldest.split('|');
+  const from = /^branch: Created from (.+)$/.exec(subject.join('|'));
+  const date = /@\{(.+)\}$/.exec(selector);
+  return from && date ? { date: date[1], name, email, from: from[1] } : null;
+}
 
-  if (!logRaw.trim()) return null;
-
-  // 获取该仓库所有提交者（用于协作者统计）
-  const allAuthorsRaw = await git.raw([
-    'log', `--since=${since}`, `--until=${until}`,
-    '--pretty=format:%an|%ae'
-  ]);
-  const collaboratorMap = {};
-  allAuthorsRaw.split('\n').filter(Boolean).forEach(line => {
-    const [authorName, authorEmail] = line.split('|');
-    // 排除自己，统计其他协作者
-    if (!authorName.toLowerCase().includes(author.toLowerCase()) && 
-        !authorEmail.toLowerCase().includes(author.toLowerCase())) {
-      const key = `${authorName}|${authorEmail}`;
-      collaboratorMap[key] = (collaboratorMap[key] || 0) + 1;
+/**
+ * 读取分支信息（本地分支，以及没有同名本地分支的远程分支）
+ * 每个分支记录相对默认分支独有的提交（默认分支本身记录统计范围内的全部提交），用于统计各分支上的贡献
+ * 分支创建者优先依据 reflog 中的创建记录，没有时依据分支独有提交中最早一个的作者
+ * @param {import('simple-git').SimpleGit} git - simple-git 实例
+ * @param {string} since - 开始日期
+ * @param {string} until - 结束日期
+ * @returns {Promise<{ branchCount: number, branches: Object[] }>}
+ *   branches 每项为 { name, isDefault, hashes: Set<string>, created: { date, name, email, rawName, rawEmail, evidence: 'reflog'|'first-commit' }|null }
+ */
+async function readBranches(git, since, until) {
+  const defaultRef = await resolveDefaultBranch(git);
+  const refsRaw = await git.raw(['for-each-ref', '--format=%(refname)|%(refname:short)|%(symref)', 'refs/heads/', 'refs/remotes/']);
+  const refs = refsRaw.split('\n').filter(Boolean).map(line => {
+    const [ref, name, symref] = line.split('|');
+    return { ref, name, symref };
+  }).filter(r => !r.symref);
+  // 远程分支有同名本地分支时只保留本地分支
+  const localNames = new Set(refs.filter(r => r.ref.startsWith('refs/heads/')).map(r => r.name));
+  const remoteNames = new Set(refs.filter(r => r.ref.startsWith('refs/remotes/')).flatMap(r => [r.ref, r.name]));
+  const defaultName = refs.find(r => r.ref === defaultRef)?.name;
+  const uniqueRefs = refs.filter(r => r.ref.startsWith('refs/heads/') || !localNames.has(r.name.replace(/^[^/]+\//, '')));
+
+  // 默认分支在本地和远程可能各有一份（如 master 与 origin/master），都作为比较基准
+  const isDefaultRef = r => r.ref === defaultRef || (defaultRef.startsWith('refs/remotes/') && r.name === defaultName?.replace(/^[^/]+\//, ''));
+  const baseRefs = [defaultRef, ...refs.filter(r => r.ref !== defaultRef && isDefaultRef(r)).map(r => r.ref)];
+
+  const branches = [];
+  for (const { ref, name } of uniqueRefs) {
+    const isDefault = isDefaultRef({ ref, name });
+    if (isDefault) {
+      const raw = await git.raw(['rev-list', `--since=${since}`, `--until=${until}`, ref, '--']);
+      branches.push({ name, isDefault, hashes: new Set(raw.split('\n').filter(Boolean)), created: null });
+      continue;
     }
-  });
-  const collaborators = Object.entries(collaboratorMap)
+    const raw = await git.raw(['log', '--format=%H|%aI|%aN|%aE|%an|%ae', ref, '--not', ...baseRefs, '--']);
+    const lines = raw.split('\n').filter(Boolean).map(l => l.split('|'));
+    let created = null;
+    const reflog = ref.startsWith('refs/heads/') ? await readReflogCreation(git, ref) : null;
+    // 从远程分支检出的跟踪分支不算本地创建，改为依据分支上最早的独有提交
+    if (reflog && !remoteNames.has(reflog.from)) {
+      created = { date: reflog.date, name: reflog.name, email: reflog.email, rawName: reflog.name, rawEmail: reflog.email, evidence: 'reflog' };
+    } else if (lines.length) {
+      const [, date, mappedName, mappedEmail, rawName, rawEmail] = lines[lines.length - 1];
+      created = { date, name: mappedName, email: mappedEmail, rawName, rawEmail, evidence: 'first-commit' };
+    }
+    branches.push({ name, isDefault, hashes: new Set(lines.map(l => l[0])), created });
+  }
+  return { branchCount: branches.length, branches };
+}
+
+/**
+ * 判断分支是否在统计范围内创建
+ * @param {Object} branch - readBranches 返回的分支
+ * @param {string} since - 开始日期
+ * @param {string} until - 结束日期
+ * @returns {boolean}
+ */
+function isCreatedInRange(branch, since, until) {
+  if (!branch.created) return false;
+  const date = dayjs(branch.created.date);
+  return !date.isBefore(dayjs(since)) && !date.isAfter(dayjs(until).endOf('day'));
+}
+
+/**
+ * 将协作者计数转为 Top10 列表
+ * @param {Object<string, number>} collaboratorMap - "name|email" → 提交数
+ * @returns {{ name: string, email: string, commits: number }[]}
+ */
+function toCollaborators(collaboratorMap) {
+  return Object.entries(collaboratorMap)
     .sort((a, b) => b[1] - a[1])
     .slice(0, 10)
     .map(([key, commits]) => {
       const [name, email] = key.split('|');
       return { name, email, commits };
     });
+}
 
-  // 解析提交记录
-  const commits = [];
-  const fileChangeCount = {};  // 文件修改次数统计
-  const fileExtCount = {};     // 文件类型统计
-  let totalInsertions = 0, totalDeletions = 0;
-  let filesAdded = 0, filesDeleted = 0;
-  const commitStats = {};      // 每个 commit 的行数统计
+/**
+ * 统计结对编程（Co-authored-by）数据
+ * @param {Object[]} entries - 提交者记录（含 coAuthors）
+ * @param {(entry: Object) => boolean} isAuthor - 提交是否由本人提交
+ * @param {(coAuthor: { name: string, email: string }) => boolean} isSelf - 共同作者是否为本人
+ * @returns {{ authored: number, withCoAuthors: number, coAuthoredByMe: number, partners: Object[], coAuthoredHashes: Set<string>, partnerMap: Object<string, number> }}
+ *   authored 为本人提交数，withCoAuthors 为其中带有共同作者的提交数，coAuthoredByMe 为他人提交中本人作为共同作者的提交数
+ */
+function calcPairing(entries, isAuthor, isSelf) {
+  const partnerMap = {};
+  const coAuthoredHashes = new Set();
+  const addPartner = (name, email) => {
+    const key = `${name}|${email}`;
+    partnerMap[key] = (partnerMap[key] || 0) + 1;
+  };
+  let authored = 0, withCoAuthors = 0;
+  entries.forEach(e => {
+    const others = e.coAuthors.filter(co => !isSelf(co));
+    if (isAuthor(e)) {
+      authored++;
+      if (others.length) withCoAuthors++;
+      others.forEach(co => addPartner(co.name, co.email));
+    } else if (others.length < e.coAuthors.length) {
+      coAuthoredHashes.add(e.hash);
+      addPartner(e.name, e.email);
+      others.forEach(co => addPartner(co.name, co.email));
+    }
+  });
+  return { authored, withCoAuthors, coAuthoredByMe: coAuthoredHashes.size, partners: toCollaborators(partnerMap), coAuthoredHashes, partnerMap };
+}
 
-  const lines = logRaw.split('\n');
-  let currentCommit = null;
+/**
+ * 分析单个本地 Git 仓库
+ * @param {string} repoPath - 仓库路径
+ * @param {string} since - 开始日期
+ * @param {string} until - 结束日期
+ * @param {string|string[]} authors - 作者的所有用户名/邮箱（用于过滤提交，会结合 .mailmap 匹配）
+ * @param {Object} [options] - 分析选项
+ * @param {string} [options.name] - 仓库在报告中的名称（扫描时得到的相对路径，各仓库不重名），默认为目录名
+ * @param {string} [options.timezone='author'] - 统计小时/星期/日期所用的时区（见 timezone.validateTimezone）
+ * @param {string[]} [options.globalExcludes] - 全局路径排除规则
+ * @param {boolean} [options.defaultExcludes=true] - 是否使用内置默认排除规则
+ * @param {boolean} [options.countCoAuthored=false] - 本人作为共同作者（Co-authored-by）的他人提交是否计入提交数、代码行数等统计
+ * @param {boolean} [options.allBranches=false] - 遍历所有本地和远程分支，而不只是当前 HEAD
+ * @param {number} [options.churnDays=21] - 翻工窗口：写下后这么多天内被自己改写或删除的行计为翻工
+ * @param {{ maxFiles: number, timeout: number }|null} [options.blame] - 启用 blame 统计代码存活与归属，及其文件数、耗时（秒）限制
+ * @param {string} [options.locale] - 警告信息的语言
+ * @param {AbortSignal} [options.signal] - 中止信号，中止时结束正在运行的 git 命令
+ * @returns {Promise<Object|null>} 仓库统计数据，无提交时返回 null；git 命令失败时抛出错误
+ */
+async function analyzeLocalRepo(repoPath, since, until, authors, options = {}) {
+  const git = simpleGit({ baseDir: repoPath, abort: options.signal });
+  const t = createTranslator(options.locale);
+  const isMe = createAuthorMatcher(authors);
+  const revisions = options.allBranches ? ALL_BRANCHES_REVISIONS : [];
+
+  // 获取该仓库所有提交者
+  let allAuthors;
+  try {
+    allAuthors = await readAuthors(git, since, until, revisions);
+  } catch (e) {
+    // 空仓库（还没有任何提交）时跳过，其他错误交给调用方处理
+    if (isEmptyRepoError(e)) return null;
+    throw e;
+  }
 
-  for (const line of lines) {
-    if (line.includes('|')) {
-      const parts = line.split('|');
-      if (parts.length >= 3) {
-        currentCommit = { hash: parts[0], date: parts[1], message: parts.slice(2).join('|') };
-        commits.push(currentCommit);
-        commitStats[currentCommit.hash] = { insertions: 0, deletions: 0 };
-      }
-    } else if (line.trim() && currentCommit) {
-      // 解析 numstat 格式: 新增行数\t删除行数\t文件名
-      const match = line.match(/^(\d+|-)\t(\d+|-)\t(.+)$/);
-      if (match) {
-        const ins = match[1] === '-' ? 0 : parseInt(match[1]);
-        const del = match[2] === '-' ? 0 : parseInt(match[2]);
-        const file = match[3];
-        totalInsertions += ins;
-        totalDeletions += del;
-        commitStats[currentCommit.hash].insertions += ins;
-        commitStats[currentCommit.hash].deletions += del;
-        fileChangeCount[file] = (fileChangeCount[file] || 0) + 1;
-        const ext = path.extname(file);
-        const extKey = ext || path.basename(file);  // 无扩展名时用文件名
-        fileExtCount[extKey] = (fileExtCount[extKey] || 0) + 1;
-      }
+  // 区分本人提交与协作者提交（映射前后任一身份匹配即视为本人）
+  const isMyCommit = a => isMe(a.name, a.email) || isMe(a.rawName, a.rawEmail);
+  const isMyself = co => isMe(co.name, co.email);
+  const myHashes = new Set();
+  const myRawIdentities = new Set();
+  const collaboratorMap = {};
+  const addCollaborator = (name, email) => {
+    const key = `${name}|${email}`;
+    collaboratorMap[key] = (collaboratorMap[key] || 0) + 1;
+  };
+  allAuthors.forEach(a => {
+    if (isMyCommit(a)) {
+      myHashes.add(a.hash);
+      myRawIdentities.add(a.rawEmail || a.rawName);
+      // 结对编程的共同作者也算作协作者
+      a.coAuthors.filter(co => !isMyself(co)).forEach(co => addCollaborator(co.name, co.email));
+    } else {
+      addCollaborator(a.name, a.email);
     }
+  });
+
+  // 结对编程：本人提交中的共同作者，以及本人作为共同作者的他人提交
+  const pairing = calcPairing(allAuthors, isMyCommit, isMyself);
+  if (options.countCoAuthored) {
+    allAuthors.filter(a => pairing.coAuthoredHashes.has(a.hash)).forEach(a => {
+      myHashes.add(a.hash);
+      myRawIdentities.add(a.rawEmail || a.rawName);
+    });
   }
 
-  if (!commits.length) return null;
+  if (!myHashes.size) return null;
 
-  // 获取文件新增/删除统计
+  // 按原始身份缩小 git log 范围，再以提交哈希精确过滤
+  // --author 默认匹配经 .mailmap 映射后的身份（log.mailmap），这里需按原始身份匹配，否则被映射的提交会被漏掉
+  const authorArgs = ['--no-use-mailmap', '--fixed-strings', ...[...myRawIdentities].map(id => `--author=${toAuthorPattern(id)}`)];
+
+  // 获取指定作者的所有提交（含文件变更统计）
+  let result, isExcluded;
   try {
-    const diffTree = await git.raw([
-      'log', `--since=${since}`, `--until=${until}`, `--author=${author}`,
-      '--pretty=format:', '--name-status'
-    ]);
-    diffTree.split('\n').forEach(l => {
-      if (l.startsWith('A\t')) filesAdded++;
-      if (l.startsWith('D\t')) filesDeleted++;
+    isExcluded = await createExcludeMatcher(repoPath, { globalExcludes: options.globalExcludes, defaults: options.defaultExcludes !== false });
+    result = await readCommits(git, since, until, { filterArgs: authorArgs, hashes: myHashes, isExcluded, revisions, t });
+  } catch (e) {
+    if (isEmptyRepoError(e)) return null;
+    throw e;
+  }
+  const warnings = result.warnings;  // 非致命错误（部分统计失败时记录原因）
+
+  // 分支统计
+  let branches = { branchCount: 0, branches: [] };
+  try {
+    branches = await readBranches(git, since, until);
+  } catch (e) {
+    warnings.push(t('analyze.branchesFailed', { reason: e.message.trim() }));
+  }
+  // 统计范围内由用户创建的分支（依据 reflog 或分支上最早的独有提交）
+  const isMyBranch = b => isCreatedInRange(b, since, until) && (isMe(b.created.name, b.created.email) || isMe(b.created.rawName, b.created.rawEmail));
+
+  // 热点候选文件在统计区间结束时的行数
+  let fileSizes = {};
+  try {
+    fileSizes = await readFileSizes(git, listHotspotCandidates(result.commits), until);
+  } catch (e) {
+    warnings.push(t('analyze.fileSizesFailed', { reason: e.message.trim() }));
+  }
+
+  // 代码存活与归属（启用 blame 时）
+  let blame = null;
+  if (options.blame) {
+    try {
+      blame = await readBlame(git, repoPath, until, { commits: result.commits, isExcluded, limits: options.blame, signal: options.signal });
+    } catch (e) {
+      warnings.push(t('analyze.blameFailed', { reason: e.message.trim() }));
+    }
+  }
+
+  return buildRepoStats(options.name || path.basename(repoPath), result.commits, {
+    collaborators: toCollaborators(collaboratorMap),
+    branchCount: branches.branchCount,
+    branches: branches.branches.map(b => ({ ...b, createdByMe: isMyBranch(b) })),
+    warnings,
+    timezone: options.timezone,
+    classify: createLanguageClassifier(repoPath),
+    pairing: { ...pairing, countedInTotals: !!options.countCoAuthored },
+    churnDays: options.churnDays,
+    fileSizes,
+    blame,
+    isMine: a => isMe(a.name, a.email)
+  });
+}
+
+/**
+ * 列出仓库中所有提交者（经 .mailmap 映射）及其提交数
+ * @param {string} repoPath - 仓库路径
+ * @param {string} since - 开始日期
+ * @param {string} until - 结束日期
+ * @param {Object} [options] - 分析选项（见 analyzeLocalRepo，只使用 allBranches 和 signal）
+ * @returns {Promise<{ name: string, email: string, commits: number }[]>} 空仓库返回空数组
+ */
+async function listRepoAuthors(repoPath, since, until, options = {}) {
+  let authors;
+  try {
+    authors = await readAuthors(simpleGit({ baseDir: repoPath, abort: options.signal }), since, until, options.allBranches ? ALL_BRANCHES_REVISIONS : []);
+  } catch (e) {
+    if (isEmptyRepoError(e)) return [];
+    throw e;
+  }
+  const counts = {};
+  authors.forEach(a => {
+    const key = `${a.name}|${a.email}`;
+    counts[key] = (counts[key] || 0) + 1;
+  });
+  return Object.entries(counts).map(([key, commits]) => {
+    const [name, email] = key.split('|');
+    return { name, email, commits };
+  });
+}
+
+/**
+ * 团队模式：一次读取仓库中所有人的提交，按成员分别计算统计数据
+ * @param {string} repoPath - 仓库路径
+ * @param {string} since - 开始日期
+ * @param {string} until - 结束日期
+ * @param {(commit: Object) => string|null} resolveMember - 根据提交者身份返回成员 id，不属于任何成员时返回 null
+ * @param {Object} [options] - 分析选项（见 analyzeLocalRepo）
+ * @returns {Promise<{ totalCommits: number, members: Object<string, Object> }|null>} 仓库总提交数及各成员的统计数据，空仓库返回 null
+ */
+async function analyzeRepoForTeam(repoPath, since, until, resolveMember, options = {}) {
+  const git = simpleGit({ baseDir: repoPath, abort: options.signal });
+  const t = createTranslator(options.locale);
+  const name = options.name || path.basename(repoPath);
+
+  let result, isExcluded;
+  try {
+    isExcluded = await createExcludeMatcher(repoPath, { globalExcludes: options.globalExcludes, defaults: options.defaultExcludes !== false });
+    result = await readCommits(git, since, until, { isExcluded, revisions: options.allBranches ? ALL_BRANCHES_REVISIONS : [], t });
+  } catch (e) {
+    if (isEmptyRepoError(e)) return null;
+    throw e;
+  }
+  const warnings = result.warnings;
+
+  let branches = { branchCount: 0, branches: [] };
+  try {
+    branches = await readBranches(git, since, until);
+  } catch (e) {
+    warnings.push(t('analyze.branchesFailed', { reason: e.message.trim() }));
+  }
+
+  const classify = createLanguageClassifier(repoPath);
+
+  // 按成员分组提交
+  const commitsByMember = {};
+  const identityCount = {};  // 所有提交者（经 .mailmap 映射）的提交数，用于各成员的协作者统计
+  const addCommit = (memberId, c) => (commitsByMember[memberId] = commitsByMember[memberId] || []).push(c);
+  result.commits.forEach(c => {
+    c.memberId = resolveMember(c);
+    c.coAuthors.forEach(co => { co.memberId = resolveMember({ name: co.name, email: co.email, rawName: co.name, rawEmail: co.email }); });
+    if (c.memberId) addCommit(c.memberId, c);
+    // 作为共同作者的成员也计入该提交（需开启 countCoAuthored）
+    if (options.countCoAuthored) {
+      new Set(c.coAuthors.map(co => co.memberId)).forEach(id => { if (id && id !== c.memberId) addCommit(id, c); });
+    }
+    const key = `${c.name}|${c.email}`;
+    if (!identityCount[key]) identityCount[key] = { total: 0, byMember: {} };
+    identityCount[key].total++;
+    if (c.memberId) identityCount[key].byMember[c.memberId] = (identityCount[key].byMember[c.memberId] || 0) + 1;
+  });
+
+  // 各成员热点候选文件在统计区间结束时的行数
+  let fileSizes = {};
+  try {
+    const candidates = new Set(Object.values(commitsByMember).flatMap(listHotspotCandidates));
+    fileSizes = await readFileSizes(git, [...candidates], until);
+  } catch (e) {
+    warnings.push(t('analyze.fileSizesFailed', { reason: e.message.trim() }));
+  }
+
+  // 代码存活与归属（启用 blame 时）：整个仓库 blame 一次，再按成员归属各行
+  let blame = null;
+  if (options.blame) {
+    try {
+      blame = await readBlame(git, repoPath, until, { commits: Object.values(commitsByMember).flat(), isExcluded, limits: options.blame, signal: options.signal });
+    } catch (e) {
+      warnings.push(t('analyze.blameFailed', { reason: e.message.trim() }));
+    }
+  }
+
+  const members = {};
+  Object.entries(commitsByMember).forEach(([memberId, commits]) => {
+    // 协作者：排除该成员自己的提交后的其他提交者
+    const collaboratorMap = {};
+    Object.entries(identityCount).forEach(([key, v]) => {
+      const others = v.total - (v.byMember[memberId] || 0);
+      if (others > 0) collaboratorMap[key] = others;
+    });
+    const isAuthor = c => c.memberId === memberId;
+    const isSelf = co => co.memberId === memberId;
+    // 结对编程的共同作者也算作协作者
+    commits.filter(isAuthor).forEach(c => c.coAuthors.filter(co => !isSelf(co)).forEach(co => {
+      const key = `${co.name}|${co.email}`;
+      collaboratorMap[key] = (collaboratorMap[key] || 0) + 1;
+    }));
+    members[memberId] = buildRepoStats(name, commits, {
+      collaborators: toCollaborators(collaboratorMap),
+      branchCount: branches.branchCount,
+      branches: branches.branches.map(b => ({ ...b, createdByMe: isCreatedInRange(b, since, until) && resolveMember(b.created) === memberId })),
+      warnings: [...warnings],
+      timezone: options.timezone,
+      classify,
+      pairing: { ...calcPairing(result.commits, isAuthor, isSelf), countedInTotals: !!options.countCoAuthored },
+      churnDays: options.churnDays,
+      fileSizes,
+      blame,
+      isMine: a => resolveMember({ name: a.name, email: a.email, rawName: a.name, rawEmail: a.email }) === memberId
+    });
+  });
+
+  return { totalCommits: result.commits.length, members };
+}
+
+/**
+ * 根据提交记录计算单个仓库的统计数据
+ * @param {string} name - 项目名称
+ * @param {Object[]} commits - 提交记录（readCommits 的解析结果）
+ * @param {Object} extra - 其他统计数据
+ * @param {{ name: string, email: string, commits: number }[]} extra.collaborators - 协作者 Top10
+ * @param {number} extra.branchCount - 分支总数
+ * @param {Object[]} extra.branches - 各分支（readBranches 的结果，另含 createdByMe 表示是否由用户在统计范围内创建）
+ * @param {string[]} extra.warnings - 部分统计失败的原因
+ * @param {string} [extra.timezone] - 统计小时/星期/日期所用的时区
+ * @param {(file: string) => { name: string, type: string }} extra.classify - 语言识别函数
+ * @param {Object} extra.pairing - 结对编程统计（calcPairing 的结果，另含 countedInTotals）
+ * @param {number} [extra.churnDays=21] - 翻工窗口（天）
+ * @param {Object<string, number>} [extra.fileSizes] - 统计区间结束时热点候选文件的行数（readFileSizes 的结果）
+ * @param {Object|null} [extra.blame] - 统计区间结束时的 blame 结果（readBlame 的结果），未启用 blame 时为空
+ * @param {(author: { name: string, email: string }) => boolean} [extra.isMine] - 判断 blame 中的作者是否为本人
+ * @returns {Object|null} 仓库统计数据，无提交时返回 null
+ */
+function buildRepoStats(name, commits, { collaborators, branchCount, branches, warnings, timezone, classify, pairing, churnDays, fileSizes, blame, isMine }) {
+  if (!commits.length) return null;
+  const toTime = createTimeResolver(timezone);
+
+  // 汇总文件变更
+  const fileChangeCount = {};  // 文件修改次数统计
+  const fileExtCount = {};     // 文件类型统计
+  let totalInsertions = 0, totalDeletions = 0;
+  let filesAdded = 0, filesDeleted = 0, renames = 0;
+  const commitStats = {};      // 每个 commit 的行数统计
+  const languageStats = {};    // 按语言统计的提交数、文件、行数
+  commits.forEach(c => {
+    commitStats[c.hash] = { insertions: 0, deletions: 0 };
+    const commitLanguages = new Set();
+    c.files.forEach(({ file, insertions, deletions }) => {
+      totalInsertions += insertions;
+      totalDeletions += deletions;
+      commitStats[c.hash].insertions += insertions;
+      commitStats[c.hash].deletions += deletions;
+      fileChangeCount[file] = (fileChangeCount[file] || 0) + 1;
+      const ext = path.extname(file);
+      const extKey = ext || path.basename(file);  // 无扩展名时用文件名
+      fileExtCount[extKey] = (fileExtCount[extKey] || 0) + 1;
+
+      const language = classify(file);
+      if (!languageStats[language.name]) languageStats[language.name] = { type: language.type, commits: 0, files: new Set(), insertions: 0, deletions: 0 };
+      const stats = languageStats[language.name];
+      stats.files.add(file);
+      stats.insertions += insertions;
+      stats.deletions += deletions;
+      commitLanguages.add(language.name);
     });
-  } catch (e) { /* 忽略错误 */ }
+    commitLanguages.forEach(name => { languageStats[name].commits++; });
+    filesAdded += c.added;
+    filesDeleted += c.deleted;
+    renames += c.renamed;
+  });
+  const languages = {};
+  Object.entries(languageStats).forEach(([name, l]) => { languages[name] = { ...l, files: l.files.size }; });
+
+  // 被排除路径（锁文件、构建产物等）的变更单独统计，不计入上面的行数
+  const excluded = { insertions: 0, deletions: 0, fileChanges: 0, byRule: {} };
+  commits.forEach(c => (c.excluded || []).forEach(({ insertions, deletions, rule }) => {
+    excluded.insertions += insertions;
+    excluded.deletions += deletions;
+    excluded.fileChanges++;
+    excluded.byRule[rule] = (excluded.byRule[rule] || 0) + insertions + deletions;
+  }));
 
   const totalCommits = commits.length;
-  const dateSet = new Set();
-  const dailyCommits = {}, weeklyCommits = {}, monthlyCommits = {}, monthlyLines = {};
+  const dailyTimeline = {}, weeklyTimeline = {};  // 按天/按周的提交数与行数
+  const monthlyCommits = {}, monthlyLines = {};
   const quarterlyCommits = { Q1: 0, Q2: 0, Q3: 0, Q4: 0 };
   const quarterlyLines = { Q1: 0, Q2: 0, Q3: 0, Q4: 0 };
   const hourDistribution = Array(24).fill(0);   // 24小时提交次数
   const hourLines = Array(24).fill(0);          // 24小时代码行数
   const weekDistribution = Array(7).fill(0);    // 星期提交次数
   const weekLines = Array(7).fill(0);           // 星期代码行数
+  const weekHourHeatmap = Array.from({ length: 7 }, () => Array(24).fill(0));  // 星期 × 小时提交次数
   let night = 0, weekendCommits = 0, weekdayCommits = 0, earlyBird = 0, lateNight = 0;
   let exclamationCount = 0, questionCount = 0;
 
   // 遍历提交，统计各维度数据
   commits.forEach(c => {
-    const t = dayjs(c.date);
+    const t = toTime(c.date);
     const day = t.format('YYYY-MM-DD');
-    const week = t.isoWeek() + '-' + t.year();
+    // 周数与 ISO 周所属的年份搭配，跨年的一周（如 2024-12-30 属于 2025 年第 1 周）不会与同年年初的周混在一起
+    const week = t.isoWeek() + '-' + t.isoWeekYear();
     const month = t.format('YYYY-MM');
     const quarter = Math.ceil((t.month() + 1) / 3);
     const hour = t.hour();
     const dayOfWeek = t.day();
     const lines = (commitStats[c.hash]?.insertions || 0) + (commitStats[c.hash]?.deletions || 0);
 
-    dateSet.add(day);
-    dailyCommits[day] = (dailyCommits[day] || 0) + 1;
-    weeklyCommits[week] = (weeklyCommits[week] || 0) + 1;
+    if (!dailyTimeline[day]) dailyTimeline[day] = { commits: 0, lines: 0 };
+    dailyTimeline[day].commits++;
+    dailyTimeline[day].lines += lines;
+    if (!weeklyTimeline[week]) weeklyTimeline[week] = { commits: 0, lines: 0 };
+    weeklyTimeline[week].commits++;
+    weeklyTimeline[week].lines += lines;
     monthlyCommits[month] = (monthlyCommits[month] || 0) + 1;
     monthlyLines[month] = (monthlyLines[month] || 0) + lines;
     quarterlyCommits[`Q${quarter}`]++;
@@ -198,6 +854,7 @@ async function analyzeLocalRepo(repoPath, since, until, author) {
     hourLines[hour] += lines;
     weekDistribution[dayOfWeek]++;
     weekLines[dayOfWeek] += lines;
+    weekHourHeatmap[dayOfWeek][hour]++;
 
     // 时间段统计
     if (hour >= 22 || hour <= 6) night++;      // 夜间 (22:00-06:00)
@@ -212,14 +869,8 @@ async function analyzeLocalRepo(repoPath, since, until, author) {
   });
 
   // 计算最长连续提交天数
-  const days = [...dateSet].sort();
-  let longestStreak = 0, streak = 0, prev = null;
-  days.forEach(d => {
-    if (!prev) streak = 1;
-    else { streak = dayjs(d).diff(dayjs(prev), 'day') === 1 ? streak + 1 : 1; }
-    longestStreak = Math.max(longestStreak, streak);
-    prev = d;
-  });
+  const days = Object.keys(dailyTimeline).sort();
+  const longestStreak = calcLongestStreak(days);
 
   // 最早/最晚提交
   const sortedByDate = [...commits].sort((a, b) => new Date(a.date) - new Date(b.date));
@@ -247,16 +898,16 @@ async function analyzeLocalRepo(repoPath, since, until, author) {
   let mergeCommits = 0, revertCommits = 0, hotfixCount = 0;
   commits.forEach(c => {
     const msg = c.message.toLowerCase();
-    const match = c.message.match(commitTypeRegex);
-    if (match) commitTypeCount[match[1].toLowerCase()] = (commitTypeCount[match[1].toLowerCase()] || 0) + 1;
+    const type = parseConventional(c.message)?.type;
+    if (type) commitTypeCount[type] = (commitTypeCount[type] || 0) + 1;
     if (msg.startsWith('merge')) mergeCommits++;
     if (msg.startsWith('revert')) revertCommits++;
     if (msg.includes('hotfix') || msg.includes('bugfix')) hotfixCount++;
   });
 
   // 最高产的一天/一周
-  const mostProductiveDay = Object.entries(dailyCommits).sort((a, b) => b[1] - a[1])[0];
-  const mostProductiveWeek = Object.entries(weeklyCommits).sort((a, b) => b[1] - a[1])[0];
+  const mostProductiveDay = findPeak(dailyTimeline);
+  const mostProductiveWeek = findPeak(weeklyTimeline);
 
   // 平均提交间隔
   let totalInterval = 0;
@@ -266,7 +917,7 @@ async function analyzeLocalRepo(repoPath, since, until, author) {
   const avgCommitInterval = sortedByDate.length > 1 ? Number((totalInterval / (sortedByDate.length - 1)).toFixed(2)) : 0;
 
   const longestGap = calcLongestGap(days);
-  const longestWorkSession = calcLongestWorkSession(commits);
+  const longestWorkSession = calcLongestWorkSession(commits, toTime);
 
   // 最常修改的文件/文件类型
   const topChangedFiles = Object.entries(fileChangeCount).sort((a, b) => b[1] - a[1]).slice(0, 10).map(([file, count]) => ({ file, count }));
@@ -280,37 +931,29 @@ async function analyzeLocalRepo(repoPath, since, until, author) {
   let bigRefactorCount = 0;
   Object.values(commitStats).forEach(s => { if (s.insertions + s.deletions > 500) bigRefactorCount++; });
 
-  // 分支统计
-  let branchCount = 0;
-  let branchesCreated = 0;
-  try {
-    const branchInfo = await git.branch(['-a']);
-    branchCount = branchInfo.all.length;
-    // 统计用户创建的分支（包含作者名的分支）
-    const branchLog = await git.raw(['for-each-ref', '--format=%(refname:short)|%(authorname)', 'refs/heads/']);
-    branchLog.split('\n').filter(Boolean).forEach(line => {
-      const [, authorName] = line.split('|');
-      if (authorName && authorName.toLowerCase().includes(author.toLowerCase())) {
-        branchesCreated++;
-      }
-    });
-  } catch (e) { /* 忽略 */ }
-
-  // 项目徽章
-  const badges = [];
-  if (earlyBird / totalCommits > 0.2) badges.push('🌅 早起鸟');
-  if (night / totalCommits > 0.3) badges.push('🦉 夜猫子');
-  if (weekendCommits / totalCommits > 0.3) badges.push('💪 周末战士');
-  if (longestStreak >= 7) badges.push('🔥 稳定输出');
-  if (longestGap >= 14) badges.push('🏖️ 摸鱼王');
-  if (lateNight > 10) badges.push('🌙 深夜肝帝');
-  if (bigRefactorCount >= 3) badges.push('🔨 重构大师');
-  if (mergeCommits > 20) badges.push('🤝 协作达人');
+  // 各分支上的贡献（默认分支为统计范围内的全部提交，其他分支为相对默认分支独有的提交）
+  const branchContributions = branches
+    .map(b => {
+      const mine = commits.filter(c => b.hashes.has(c.hash));
+      return {
+        name: b.name,
+        isDefault: b.isDefault,
+        commits: mine.length,
+        insertions: mine.reduce((a, c) => a + commitStats[c.hash].insertions, 0),
+        deletions: mine.reduce((a, c) => a + commitStats[c.hash].deletions, 0),
+        createdByMe: b.createdByMe,
+        createdAt: b.createdByMe ? b.created.date : null,
+        evidence: b.created?.evidence || null
+      };
+    })
+    .filter(b => b.commits || b.createdByMe)
+    .sort((a, b) => b.commits - a.commits);
+  const branchesCreated = branches.filter(b => b.createdByMe).length;
 
   return {
     name,                        // 项目名称
     commits: totalCommits,       // 总提交次数
-    activeDays: dateSet.size,    // 活跃天数
+    activeDays: days.length,     // 活跃天数
     longestStreak,               // 最长连续提交天数
     insertions: totalInsertions, // 新增代码行数
     deletions: totalDeletions,   // 删除代码行数
@@ -320,6 +963,7 @@ async function analyzeLocalRepo(repoPath, since, until, author) {
     hourLines,                   // 24小时代码行数分布
     weekDistribution,            // 星期提交次数分布 (0=周日)
     weekLines,                   // 星期代码行数分布
+    weekHourHeatmap,             // 星期 × 小时提交次数 [星期(0=周日)][小时]
     nightOwlRate: Number((night / totalCommits).toFixed(3)), // 夜猫子比例
     earliestCommit,              // 最早的提交
     latestCommit,                // 最晚的提交
@@ -329,11 +973,16 @@ async function analyzeLocalRepo(repoPath, since, until, author) {
     emojiStats,                  // 表情符号统计 Top10
     topChangedFiles,             // 最常修改的文件 Top10
     weekendVsWeekday: { weekend: weekendCommits, weekday: weekdayCommits, weekendRate: Number((weekendCommits / totalCommits).toFixed(3)) },
-    mostProductiveDay: mostProductiveDay ? { date: mostProductiveDay[0], commits: mostProductiveDay[1] } : null,
-    mostProductiveWeek: mostProductiveWeek ? { week: mostProductiveWeek[0], commits: mostProductiveWeek[1] } : null,
+    mostProductiveDay: mostProductiveDay ? { date: mostProductiveDay[0], commits: mostProductiveDay[1].commits } : null,
+    mostProductiveWeek: mostProductiveWeek ? { week: mostProductiveWeek[0], commits: mostProductiveWeek[1].commits } : null,
+    dailyTimeline,               // 按天的提交数与行数 { 'YYYY-MM-DD': { commits, lines } }
+    weeklyTimeline,              // 按周的提交数与行数 { 'ISO 周数-ISO 周年份': { commits, lines } }
     avgCommitInterval,           // 平均提交间隔（小时）
     lateNightCount: lateNight,   // 深夜提交次数 (02:00-05:00)
-    commitTypeDistribution: commitTypeCount, // Commit 类型分布
+    commitTypeDistribution: commitTypeCount, // Commit 类型分布（Conventional Commits 的任意类型）
+    messageQuality: analyzeMessages(commits), // 提交信息质量（见 message.js）
+    churn: analyzeChurn(commits, { windowDays: churnDays, fileSizes }), // 翻工与热点（见 churn.js）
+    survival: blame ? summarizeSurvival(blame, { hashes: new Set(commits.map(c => c.hash)), isMine, insertions: totalInsertions, languages, classify }) : null, // 代码存活与归属（见 survival.js），未启用 blame 时为 null
     mergeCommits,                // 合并提交次数
     revertCommits,               // 回滚提交次数
     hotfixCount,                 // 热修复次数
@@ -342,20 +991,31 @@ async function analyzeLocalRepo(repoPath, since, until, author) {
     emotionIndex: { exclamation: exclamationCount, question: questionCount }, // 情绪指数
     yearSpanDays,                // 年度跨度（天）
     topFileTypes,                // 最常修改的文件类型 Top10
+    languages,                   // 按语言统计 { 语言: { type, commits, files, insertions, deletions } }
     avgLinesPerCommit,           // 平均每次提交改动行数
     bigRefactorCount,            // 大型重构次数
     branchCount,                 // 分支总数
-    branchesCreated,             // 用户创建的分支数
+    branchesCreated,             // 统计范围内用户创建的分支数（依据 reflog 或分支上最早的独有提交）
+    branches: branchContributions, // 用户有贡献或创建的分支 [{ name, isDefault, commits, insertions, deletions, createdByMe, createdAt, evidence }]
     earlyBirdCount: earlyBird,   // 早起提交次数 (06:00-08:00)
-    badges,                      // 项目徽章
     collaborators,               // 协作者 Top10
     monthlyTrend: Object.entries(monthlyCommits).sort((a, b) => a[0].localeCompare(b[0])).map(([month, count]) => ({ month, count, lines: monthlyLines[month] || 0 })),
     quarterlyComparison: quarterlyCommits, // 季度提交次数对比
     quarterlyLines,              // 季度代码行数对比
     mostProductiveQuarter: Object.entries(quarterlyCommits).sort((a, b) => b[1] - a[1])[0],
     longestWorkSession,          // 最长工作时间段
-    fileChanges: { added: filesAdded, deleted: filesDeleted, net: filesAdded - filesDeleted }
+    fileChanges: { added: filesAdded, deleted: filesDeleted, net: filesAdded - filesDeleted },
+    renames,                     // 重命名文件次数（重命名的文件按最终路径统计）
+    excluded,                    // 被排除路径的变更 { insertions, deletions, fileChanges, byRule: { 规则: 行数 } }
+    pairing: {                   // 结对编程（Co-authored-by）
+      authored: pairing.authored,             // 本人提交数
+      withCoAuthors: pairing.withCoAuthors,   // 其中带有共同作者的提交数
+      coAuthoredByMe: pairing.coAuthoredByMe, // 他人提交中本人作为共同作者的提交数
+      partners: pairing.partners,             // 结对伙伴 Top10
+      countedInTotals: pairing.countedInTotals // coAuthoredByMe 是否已计入提交数、代码行数等统计
+    },
+    warnings                     // 部分统计失败的原因
   };
 }
 
-module.exports = { analyzeLocalRepo };
+module.exports = { analyzeLocalRepo, analyzeRepoForTeam, listRepoAuthors };
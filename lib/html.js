@@ -0,0 +1,482 @@
+/**
+ * Git 年度报告 - 离线 HTML 渲染模块
+ * 将报告数据渲染为单个自包含的 HTML 文件（内联样式与 SVG 图表，无任何外部资源）
+ * 页面文案使用报告记录的语言（report.locale）
+ */
+
+const { createTranslator } = require('./i18n');
+const { MAX_LEVEL, expandCalendar } = require('./calendar');
+
+/**
+ * 转义 HTML 特殊字符
+ * @param {*} value - 任意值
+ * @returns {string} 转义后的字符串
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * 格式化数字（千分位）
+ * @param {number} n - 数字
+ * @returns {string}
+ */
+function formatNumber(n) {
+  return Number(n || 0).toLocaleString('en-US');
+}
+
+/**
+ * 渲染柱状图 SVG
+ * @param {{ label: string, value: number }[]} items - 数据项
+ * @param {Object} [options] - 图表选项
+ * @param {number} [options.height=160] - 图表高度
+ * @param {string} [options.color] - 柱子颜色
+ * @param {number} [options.labelEvery=1] - 每隔多少项显示一个标签
+ * @param {Function} t - 翻译函数
+ * @returns {string} SVG 字符串
+ */
+function renderBarChart(items, options, t) {
+  const { height = 160, color = '#6366f1', labelEvery = 1 } = options;
+  if (!items.length) return `<p class="empty">${escapeHtml(t('html.noData'))}</p>`;
+
+  const barWidth = 24, gap = 8, top = 20, bottom = 24;
+  const width = items.length * (barWidth + gap) + gap;
+  const chartHeight = height - top - bottom;
+  const max = Math.max(...items.map(i => i.value), 1);
+
+  const bars = items.map((item, i) => {
+    const h = Math.round((item.value / max) * chartHeight);
+    const x = gap + i * (barWidth + gap);
+    const y = top + chartHeight - h;
+    const label = i % labelEvery === 0
+      ? `<text x="${x + barWidth / 2}" y="${height - 6}" class="axis">${escapeHtml(item.label)}</text>`
+      : '';
+    const value = item.value
+      ? `<text x="${x + barWidth / 2}" y="${y - 4}" class="val">${escapeHtml(item.value)}</text>`
+      : '';
+    return `<g><title>${escapeHtml(item.label)}: ${escapeHtml(item.value)}</title>`
+      + `<rect x="${x}" y="${y}" width="${barWidth}" height="${h}" rx="3" fill="${color}"/>${value}${label}</g>`;
+  }).join('');
+
+  return `<svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="xMidYMid meet" role="img">${bars}</svg>`;
+}
+
+/**
+ * 星期名称（周日到周六）
+ * @param {Function} t - 翻译函数
+ * @returns {string[]}
+ */
+function weekdayNames(t) {
+  return [0, 1, 2, 3, 4, 5, 6].map(d => t(`weekday.${d}`));
+}
+
+/**
+ * 渲染星期 × 小时热力图 SVG
+ * @param {number[][]} matrix - 7 × 24 的提交次数矩阵（行为周日到周六）
+ * @param {Function} t - 翻译函数
+ * @returns {string} SVG 字符串
+ */
+function renderHeatmap(matrix, t) {
+  const weekNames = weekdayNames(t);
+  const cell = 20, gap = 3, left = 36, bottom = 18;
+  const width = left + 24 * (cell + gap);
+  const height = 7 * (cell + gap) + bottom;
+  const max = Math.max(...matrix.flat(), 1);
+
+  const rows = matrix.map((row, d) => {
+    const y = d * (cell + gap);
+    const cells = row.map((value, h) => {
+      const opacity = value ? (0.15 + 0.85 * value / max).toFixed(2) : 1;
+      const fill = value ? '#6366f1' : '#334155';
+      return `<rect x="${left + h * (cell + gap)}" y="${y}" width="${cell}" height="${cell}" rx="3" fill="${fill}" fill-opacity="${opacity}">`
+        + `<title>${escapeHtml(weekNames[d])} ${h}:00 · ${value}</title></rect>`;
+    }).join('');
+    return `<text x="0" y="${y + cell - 6}" class="axis" style="text-anchor:start">${escapeHtml(weekNames[d])}</text>${cells}`;
+  }).join('');
+  const labels = [0, 3, 6, 9, 12, 15, 18, 21]
+    .map(h => `<text x="${left + h * (cell + gap) + cell / 2}" y="${height - 4}" class="axis">${h}</text>`)
+    .join('');
+
+  return `<svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="xMidYMid meet" role="img">${rows}${labels}</svg>`;
+}
+
+/**
+ * 渲染贡献日历热力图 SVG（每列一周，每行为周日到周六）
+ * @param {Object} calendar - 贡献日历（见 calendar.buildCalendar）
+ * @param {Function} t - 翻译函数
+ * @returns {string} SVG 字符串
+ */
+function renderCalendar(calendar, t) {
+  const weekNames = weekdayNames(t);
+  const days = expandCalendar(calendar);
+  const cell = 11, gap = 3, left = 32, top = 16, legend = 22;
+  const step = cell + gap;
+  const levelFill = level => (level ? `fill="#6366f1" fill-opacity="${(0.4 + 0.6 * level / MAX_LEVEL).toFixed(2)}"` : 'fill="#334155"');
+  const firstWeekday = days[0].weekday;
+  const weeks = Math.ceil((days.length + firstWeekday) / 7);
+  const width = left + weeks * step;
+  const height = top + 7 * step + legend;
+
+  let lastLabelWeek = -Infinity;
+  const months = [];
+  const cells = days.map((day, i) => {
+    const week = Math.floor((i + firstWeekday) / 7);
+    const x = left + week * step;
+    const y = top + day.weekday * step;
+    // 月份标签：每月第一天所在的列，与上一个标签间隔太近时跳过
+    if ((i === 0 || day.date.endsWith('-01')) && week - lastLabelWeek >= 3) {
+      months.push(`<text x="${x}" y="${top - 5}" class="axis" style="text-anchor:start">${escapeHtml(t(`month.${Number(day.date.slice(5, 7))}`))}</text>`);
+      lastLabelWeek = week;
+    }
+    const tip = [t('html.calendar.day', { date: day.date, commits: formatNumber(day.commits), lines: formatNumber(day.lines) })]
+      .concat(day.projects.map(p => `${p.name}: ${t('unit.commits', { count: formatNumber(p.commits) })}`))
+      .join('\n');
+    return `<rect x="${x}" y="${y}" width="${cell}" height="${cell}" rx="2" ${levelFill(day.level)}><title>${escapeHtml(tip)}</title></rect>`;
+  }).join('');
+  const weekdays = [1, 3, 5]
+    .map(d => `<text x="0" y="${top + d * step + cell - 2}" class="axis" style="text-anchor:start">${escapeHtml(weekNames[d])}</text>`)
+    .join('');
+
+  // 图例：少 □□□□□ 多
+  const legendY = top + 7 * step + 6;
+  const legendX = width - (MAX_LEVEL + 1) * step - 28;
+  const scale = Array.from({ length: MAX_LEVEL + 1 }, (_, level) =>
+    `<rect x="${legendX + level * step}" y="${legendY}" width="${cell}" height="${cell}" rx="2" ${levelFill(level)}/>`
+  ).join('');
+  const legendText = `<text x="${legendX - 4}" y="${legendY + cell - 2}" class="axis" style="text-anchor:end">${escapeHtml(t('html.calendar.less'))}</text>`
+    + `<text x="${legendX + (MAX_LEVEL + 1) * step + 2}" y="${legendY + cell - 2}" class="axis" style="text-anchor:start">${escapeHtml(t('html.calendar.more'))}</text>`;
+
+  return `<svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="xMidYMid meet" role="img">${months.join('')}${weekdays}${cells}${scale}${legendText}</svg>`;
+}
+
+/**
+ * 渲染提交信息质量区块：得分与各项比例、标题长度分布、常用 scope、各项目得分
+ * @param {Object} quality - 提交信息质量（见 message.js）
+ * @param {string} [tip] - 提示文案
+ * @param {Function} t - 翻译函数
+ * @returns {string}
+ */
+function renderMessageQuality(quality, tip, t) {
+  const percent = rate => `${Math.round(rate * 100)}%`;
+  const rows = [
+    [t('html.messageQuality.conventional'), percent(quality.conventionalRate)],
+    [t('html.messageQuality.lazy'), percent(quality.lazyRate)],
+    [t('html.messageQuality.issueRefs'), percent(quality.issueRefRate)],
+    [t('html.messageQuality.body'), percent(quality.bodyRate)],
+    [t('html.messageQuality.breaking'), t('unit.commits', { count: formatNumber(quality.breaking) })],
+    [t('html.messageQuality.avgLength'), t('unit.chars', { count: quality.subjectLength.avg })]
+  ];
+  const summary = `<p class="empty">${escapeHtml(t('html.messageQuality.summary', { tip: tip || '', score: quality.score, count: formatNumber(quality.analyzed) }))}</p>`;
+  const table = '<table>' + rows.map(([label, value]) => `<tr><td>${escapeHtml(label)}</td><td class="num">${escapeHtml(value)}</td></tr>`).join('') + '</table>';
+  // 标题长度分段：≤10、11~50、51~72、>72
+  const lengths = quality.subjectLength.buckets.map((b, i, list) => ({
+    label: b.max === null ? `>${list[i - 1].max}` : i === 0 ? `≤${b.max}` : `${list[i - 1].max + 1}-${b.max}`,
+    value: b.count
+  }));
+  const scopes = quality.topScopes.length
+    ? `<p class="empty">${escapeHtml(t('html.messageQuality.scopes'))}</p>`
+      + `<div class="badges">${quality.topScopes.map(s => `<span class="badge">${escapeHtml(s.scope)} × ${formatNumber(s.count)}</span>`).join('')}</div>`
+    : '';
+  const projects = quality.projects?.length > 1
+    ? `<table><tr><th>${escapeHtml(t('html.col.project'))}</th><th>${escapeHtml(t('html.col.messages'))}</th><th>${escapeHtml(t('html.col.messageScore'))}</th>`
+      + `<th>${escapeHtml(t('html.col.conventional'))}</th><th>${escapeHtml(t('html.col.lazy'))}</th></tr>`
+      + quality.projects.map(p => `<tr><td>${escapeHtml(p.name)}</td><td class="num">${formatNumber(p.analyzed)}</td><td class="num">${p.score}</td>`
+        + `<td class="num">${percent(p.conventionalRate)}</td><td class="num">${percent(p.lazyRate)}</td></tr>`).join('')
+      + '</table>'
+    : '';
+  return summary + table
+    + `<p class="empty">${escapeHtml(t('html.messageQuality.lengths'))}</p>` + renderBarChart(lengths, { height: 120, color: '#14b8a6' }, t)
+    + scopes + projects;
+}
+
+/**
+ * 渲染代码翻工与热点
+ * @param {Object} churn - 翻工与热点统计（见 churn.mergeChurn）
+ * @param {Function} t - 翻译函数
+ * @returns {string}
+ */
+function renderChurn(churn, t) {
+  const percent = rate => `${Math.round(rate * 100)}%`;
+  const th = ids => `<tr>${ids.map(id => `<th>${escapeHtml(t(`html.col.${id}`))}</th>`).join('')}</tr>`;
+  const summary = `<p class="empty">${escapeHtml(t('html.churn.summary', { days: churn.windowDays, reworked: formatNumber(churn.reworkedLines), percent: percent(churn.reworkRatio) }))}</p>`;
+  const hotspots = churn.hotspots.length
+    ? `<p class="empty">${escapeHtml(t('html.churn.hotspots'))}</p><table>` + th(['file', 'project', 'commits', 'size', 'churnRatio', 'reworked'])
+      + churn.hotspots.map(h => `<tr><td>${escapeHtml(h.file)}</td><td>${escapeHtml(h.project)}</td><td class="num">${formatNumber(h.commits)}</td>`
+        + `<td class="num">${formatNumber(h.size)}</td><td class="num">${h.churnRatio}×</td><td class="num">${formatNumber(h.reworked)}</td></tr>`).join('')
+      + '</table>'
+    : '';
+  const directories = churn.directories.length
+    ? `<p class="empty">${escapeHtml(t('html.churn.directories'))}</p><table>` + th(['directory', 'project', 'files', 'commits', 'lines', 'reworked'])
+      + churn.directories.map(d => `<tr><td>${escapeHtml(d.dir)}</td><td>${escapeHtml(d.project)}</td><td class="num">${formatNumber(d.files)}</td>`
+        + `<td class="num">${formatNumber(d.commits)}</td><td class="num">${formatNumber(d.churn)}</td><td class="num">${formatNumber(d.reworked)}</td></tr>`).join('')
+      + '</table>'
+    : '';
+  const projects = churn.projects?.length > 1
+    ? '<table>' + th(['project', 'insertions', 'reworked', 'reworkRatio'])
+      + churn.projects.map(p => `<tr><td>${escapeHtml(p.name)}</td><td class="num">${formatNumber(p.insertions)}</td>`
+        + `<td class="num">${formatNumber(p.reworkedLines)}</td><td class="num">${percent(p.reworkRatio)}</td></tr>`).join('')
+      + '</table>'
+    : '';
+  return summary + hotspots + directories + projects;
+}
+
+/**
+ * 渲染代码存活与归属
+ * @param {Object} survival - 存活与归属统计（见 survival.mergeSurvival）
+ * @param {Function} t - 翻译函数
+ * @returns {string}
+ */
+function renderSurvival(survival, t) {
+  const percent = rate => `${Math.round(rate * 100)}%`;
+  const th = ids => `<tr>${ids.map(id => `<th>${escapeHtml(t(`html.col.${id}`))}</th>`).join('')}</tr>`;
+  const summary = `<p class="empty">${escapeHtml(t('html.survival.summary', { insertions: formatNumber(survival.insertions), surviving: formatNumber(survival.surviving), percent: percent(survival.survivalRate) }))}</p>`
+    + `<p class="empty">${escapeHtml(t('html.survival.ownership', { lines: formatNumber(survival.lines), mine: formatNumber(survival.mine), percent: percent(survival.ownership) }))}</p>`
+    + (survival.truncated ? `<p class="empty">${escapeHtml(t('html.survival.truncated'))}</p>` : '');
+  const languages = survival.languages.length
+    ? '<table>' + th(['language', 'insertions', 'surviving', 'survivalRate'])
+      + survival.languages.slice(0, 10).map(l => `<tr><td>${escapeHtml(l.name)}</td><td class="num">${formatNumber(l.insertions)}</td>`
+        + `<td class="num">${formatNumber(l.surviving)}</td><td class="num">${percent(l.survivalRate)}</td></tr>`).join('')
+      + '</table>'
+    : '';
+  const projects = survival.projects.length > 1
+    ? '<table>' + th(['project', 'surviving', 'survivalRate', 'ownership', 'blamedFiles'])
+      + survival.projects.map(p => `<tr><td>${escapeHtml(p.name)}</td><td class="num">${formatNumber(p.surviving)}</td><td class="num">${percent(p.survivalRate)}</td>`
+        + `<td class="num">${percent(p.ownership)}</td><td class="num">${formatNumber(p.filesBlamed)}/${formatNumber(p.filesTotal)}</td></tr>`).join('')
+      + '</table>'
+    : '';
+  return summary + languages + projects;
+}
+
+/**
+ * 渲染统计卡片
+ * @param {string} label - 名称
+ * @param {string|number} value - 数值
+ * @param {string} [tip] - 提示文案
+ * @returns {string}
+ */
+function renderStat(label, value, tip) {
+  return `<div class="stat"><div class="stat-value">${escapeHtml(value)}</div>`
+    + `<div class="stat-label">${escapeHtml(label)}</div>`
+    + (tip ? `<div class="stat-tip">${escapeHtml(tip)}</div>` : '')
+    + '</div>';
+}
+
+/**
+ * 渲染图表区块
+ * @param {string} title - 标题
+ * @param {string} body - 内容
+ * @returns {string}
+ */
+function renderSection(title, body) {
+  return `<section><h2>${escapeHtml(title)}</h2>${body}</section>`;
+}
+
+/** 页面内联样式 */
+const styles = `
+  * { box-sizing: border-box; }
+  body { margin: 0; font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", "PingFang SC", "Microsoft YaHei", sans-serif; background: #0f172a; color: #e2e8f0; }
+  main { max-width: 960px; margin: 0 auto; padding: 32px 16px 64px; }
+  header { text-align: center; margin-bottom: 32px; }
+  header h1 { margin: 0 0 8px; font-size: 28px; }
+  header p { margin: 4px 0; color: #94a3b8; }
+  .title { margin: 24px auto; padding: 24px; border-radius: 16px; background: linear-gradient(135deg, #6366f1, #ec4899); text-align: center; }
+  .title strong { display: block; font-size: 32px; }
+  .title span { display: block; margin-top: 8px; opacity: .9; }
+  .stats { display: grid; grid-template-columns: repeat(auto-fill, minmax(200px, 1fr)); gap: 12px; }
+  .stat { padding: 16px; border-radius: 12px; background: #1e293b; }
+  .stat-value { font-size: 24px; font-weight: 700; }
+  .stat-label { color: #94a3b8; margin-top: 4px; }
+  .stat-tip { margin-top: 8px; font-size: 13px; }
+  section { margin-top: 24px; padding: 16px; border-radius: 12px; background: #1e293b; }
+  section h2 { margin: 0 0 12px; font-size: 18px; }
+  svg { width: 100%; height: auto; }
+  svg .axis, svg .val { fill: #94a3b8; font-size: 10px; text-anchor: middle; }
+  svg .val { fill: #e2e8f0; }
+  .badges { display: flex; flex-wrap: wrap; gap: 8px; }
+  .badge { padding: 6px 12px; border-radius: 999px; background: #334155; }
+  .empty { color: #94a3b8; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { padding: 6px 8px; text-align: left; border-bottom: 1px solid #334155; }
+  th { color: #94a3b8; font-weight: normal; }
+  td.num { text-align: right; }
+  a { color: #a5b4fc; }
+  footer { margin-top: 32px; text-align: center; color: #64748b; font-size: 12px; }
+`;
+
+/**
+ * 渲染 HTML 页面外壳
+ * @param {string} title - 页面标题
+ * @param {string} content - 页面内容
+ * @param {string} generatedAt - 报告生成时间
+ * @param {Function} t - 翻译函数
+ * @returns {string} HTML 字符串
+ */
+function renderPage(title, content, generatedAt, t) {
+  return `<!DOCTYPE html>
+<html lang="${t.locale}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${styles}</style>
+</head>
+<body>
+<main>
+${content}
+<footer>${escapeHtml(t('html.footer', { time: generatedAt }))}</footer>
+</main>
+</body>
+</html>
+`;
+}
+
+/**
+ * 将报告渲染为自包含的 HTML 页面
+ * @param {Object} report - 报告数据（与 report.json 结构一致）
+ * @returns {string} HTML 字符串
+ */
+function renderHtml(report) {
+  const t = createTranslator(report.locale);
+  const s = report.summary;
+  const author = [report.author?.name, report.author?.email && `<${report.author.email}>`].filter(Boolean).join(' ');
+  const header = `<header><h1>🚀 ${escapeHtml(t('html.title'))}</h1>`
+    + `<p>${escapeHtml(author)}</p>`
+    + `<p>${escapeHtml(report.range?.since)} ~ ${escapeHtml(report.range?.until)}</p></header>`;
+
+  let body;
+  if (!s?.totalCommits) {
+    body = `<section><p class="empty">${escapeHtml(t('report.noCommits'))}</p></section>`;
+  } else {
+    const weekNames = weekdayNames(t);
+    const title = s.annualTitle
+      ? `<div class="title"><strong>${escapeHtml(s.annualTitle.title)}</strong><span>${escapeHtml(s.annualTitle.desc)}</span></div>`
+      : '';
+    const stats = '<div class="stats">'
+      + renderStat(t('stat.totalCommits'), formatNumber(s.totalCommits), s.totalCommitsTip)
+      + renderStat(t('stat.totalInsertions'), formatNumber(s.totalInsertions), s.totalInsertionsTip)
+      + renderStat(t('stat.netLines'), formatNumber(s.netLines), s.netLinesTip)
+      + renderStat(t('stat.activeDays'), formatNumber(s.activeDays), s.activeDaysTip)
+      + renderStat(t('stat.longestStreak'), t('unit.days', { count: s.longestStreak }), s.longestStreakTip)
+      + renderStat(t('stat.projectCount'), formatNumber(s.projectCount), s.projectCountTip)
+      + (s.mainLanguage ? renderStat(t('stat.mainLanguage'), s.mainLanguage.name, s.mainLanguageTip) : '')
+      + '</div>';
+    const badges = s.badges?.length
+      ? `<div class="badges">${s.badges.map(b => `<span class="badge">${escapeHtml(b)}</span>`).join('')}</div>`
+      : `<p class="empty">${escapeHtml(t('html.noBadges'))}</p>`;
+
+    body = title + stats
+      + renderSection(`🏅 ${t('section.badges')}`, badges)
+      + (s.calendar ? renderSection(`🟩 ${t('section.calendar')}`, renderCalendar(s.calendar, t)) : '')
+      + renderSection(`🕐 ${t('section.hourDistribution')}`, renderBarChart(s.hourDistribution.map((value, i) => ({ label: i, value })), { labelEvery: 3 }, t))
+      + renderSection(`📅 ${t('section.weekDistribution')}`, renderBarChart(s.weekDistribution.map((value, i) => ({ label: weekNames[i], value })), { color: '#ec4899' }, t))
+      + renderSection(`📈 ${t('section.monthlyTrend')}`, renderBarChart(s.monthlyTrend.map(m => ({ label: m.month.slice(2), value: m.count })), { color: '#22c55e' }, t))
+      + (s.languages?.length
+        ? renderSection(`💻 ${t('section.languages')}`, `<table><tr><th>${escapeHtml(t('html.col.language'))}</th><th>${escapeHtml(t('html.col.commits'))}</th><th>${escapeHtml(t('html.col.files'))}</th>`
+          + `<th>${escapeHtml(t('html.col.insertions'))}</th><th>${escapeHtml(t('html.col.deletions'))}</th><th>${escapeHtml(t('html.col.share'))}</th></tr>`
+          + s.languages.slice(0, 10).map(l => `<tr><td>${escapeHtml(l.name)}</td><td class="num">${formatNumber(l.commits)}</td>`
+            + `<td class="num">${formatNumber(l.files)}</td><td class="num">${formatNumber(l.insertions)}</td>`
+            + `<td class="num">${formatNumber(l.deletions)}</td><td class="num">${Math.round(l.share * 100)}%</td></tr>`).join('')
+          + '</table>')
+        : '')
+      + renderSection(`📊 ${t('section.quarterly')}`, renderBarChart(Object.entries(s.quarterlyComparison).map(([label, value]) => ({ label, value })), { color: '#f59e0b' }, t))
+      + (s.messageQuality?.analyzed ? renderSection(`✍️ ${t('section.messageQuality')}`, renderMessageQuality(s.messageQuality, s.messageQualityTip, t)) : '')
+      + (s.churn?.insertions ? renderSection(`🔥 ${t('section.churn')}`, renderChurn(s.churn, t)) : '')
+      + (s.survival ? renderSection(`🌳 ${t('section.survival')}`, renderSurvival(s.survival, t)) : '');
+    if (s.topBranches?.length) {
+      body += renderSection(`🌿 ${t('section.branches')}`, `<table><tr><th>${escapeHtml(t('html.col.branch'))}</th><th>${escapeHtml(t('html.col.project'))}</th>`
+        + `<th>${escapeHtml(t('html.col.commits'))}</th><th>${escapeHtml(t('html.col.insertions'))}</th><th>${escapeHtml(t('html.col.deletions'))}</th></tr>`
+        + s.topBranches.map(b => `<tr><td>${escapeHtml(b.name)}${b.isDefault ? escapeHtml(t('html.defaultBranch')) : ''}${b.createdByMe ? ' 🌱' : ''}</td><td>${escapeHtml(b.project)}</td>`
+          + `<td class="num">${formatNumber(b.commits)}</td><td class="num">${formatNumber(b.insertions)}</td><td class="num">${formatNumber(b.deletions)}</td></tr>`).join('')
+        + '</table>' + `<p class="empty">${escapeHtml(t('html.branchesCreated', { count: formatNumber(s.branchesCreated) }))}</p>`);
+    }
+    if (s.pairing?.coAuthoredCommits) {
+      const note = t(s.pairing.countedInTotals ? 'html.pairing.counted' : 'html.pairing.notCounted');
+      body += renderSection(`👯 ${t('section.pairing')}`, `<p class="empty">${escapeHtml(t('html.pairing.summary', {
+        tip: s.pairingTip,
+        authored: formatNumber(s.pairing.authoredWithCoAuthors),
+        coAuthored: formatNumber(s.pairing.coAuthoredByMe),
+        note
+      }))}</p>`
+        + `<table><tr><th>${escapeHtml(t('html.col.partner'))}</th><th>${escapeHtml(t('html.col.sharedCommits'))}</th></tr>`
+        + s.pairing.topCoAuthors.map(p => `<tr><td>${escapeHtml(p.name)}</td><td class="num">${formatNumber(p.commits)}</td></tr>`).join('')
+        + '</table>');
+    }
+    const excludedLines = s.excluded ? s.excluded.insertions + s.excluded.deletions : 0;
+    if (excludedLines) {
+      body += renderSection(`🚫 ${t('section.excluded')}`, `<p class="empty">${escapeHtml(t('html.excluded', { lines: formatNumber(excludedLines) }))}</p>`
+        + '<table>' + s.excluded.topRules.map(r => `<tr><td>${escapeHtml(r.rule)}</td><td class="num">${escapeHtml(t('unit.lines', { count: formatNumber(r.lines) }))}</td></tr>`).join('') + '</table>');
+    }
+    if (report.comparison?.tips?.length) {
+      const range = report.comparison.previousRange;
+      body += renderSection(`📅 ${t('section.comparison', { since: range.since, until: range.until })}`,
+        `<div class="badges">${report.comparison.tips.map(tip => `<span class="badge">${escapeHtml(tip)}</span>`).join('')}</div>`);
+    }
+  }
+
+  return renderPage(t('html.title'), header + body, report.generatedAt, t);
+}
+
+/**
+ * 渲染排行榜表格
+ * @param {{ name: string, value: number }[]} board - 排行榜
+ * @param {string} unit - 数值单位的消息 id（如 unit.commits）
+ * @param {Function} t - 翻译函数
+ * @returns {string}
+ */
+function renderLeaderboard(board, unit, t) {
+  if (!board.length) return `<p class="empty">${escapeHtml(t('html.noData'))}</p>`;
+  const medals = ['🥇', '🥈', '🥉'];
+  return '<table>' + board.slice(0, 10).map((m, i) =>
+    `<tr><td>${medals[i] || i + 1}</td><td>${escapeHtml(m.name)}</td><td class="num">${escapeHtml(t(unit, { count: formatNumber(m.value) }))}</td></tr>`
+  ).join('') + '</table>';
+}
+
+/**
+ * 将团队报告渲染为自包含的 HTML 页面
+ * @param {Object} report - 团队报告数据（与团队模式的 report.json 结构一致）
+ * @returns {string} HTML 字符串
+ */
+function renderTeamHtml(report) {
+  const t = createTranslator(report.locale);
+  const team = report.team;
+  const weekNames = weekdayNames(t);
+  const header = `<header><h1>👥 ${escapeHtml(t('html.teamTitle'))}</h1>`
+    + `<p>${escapeHtml(t('html.memberCount', { count: team.memberCount }))}</p>`
+    + `<p>${escapeHtml(report.range?.since)} ~ ${escapeHtml(report.range?.until)}</p></header>`;
+
+  const members = `<table><tr><th>${escapeHtml(t('html.col.member'))}</th><th>${escapeHtml(t('html.col.annualTitle'))}</th><th>${escapeHtml(t('html.col.commits'))}</th>`
+    + `<th>${escapeHtml(t('html.col.lines'))}</th><th>${escapeHtml(t('html.col.activeDays'))}</th><th>${escapeHtml(t('html.col.report'))}</th></tr>`
+    + team.members.map(m => {
+      // 个人报告路径由 output.writeTeamReport 写入，未写入个人报告时不显示链接
+      const reportHtml = m.report && m.report.replace(/\.json$/, '.html').split(/[\\/]/).map(encodeURIComponent).join('/');
+      return `<tr><td>${escapeHtml(m.name)}</td><td>${escapeHtml(m.annualTitle?.title || '-')}</td>`
+        + `<td class="num">${formatNumber(m.totalCommits)}</td><td class="num">${formatNumber(m.totalLines)}</td>`
+        + `<td class="num">${formatNumber(m.activeDays)}</td><td>${reportHtml ? `<a href="${escapeHtml(reportHtml)}">${escapeHtml(t('html.view'))}</a>` : '-'}</td></tr>`;
+    }).join('') + '</table>';
+
+  const ownership = team.ownership.length
+    ? `<table><tr><th>${escapeHtml(t('html.col.repo'))}</th><th>${escapeHtml(t('html.col.totalCommits'))}</th><th>${escapeHtml(t('html.col.owners'))}</th></tr>`
+      + team.ownership.map(r => `<tr><td>${escapeHtml(r.repo)}</td><td class="num">${formatNumber(r.totalCommits)}</td><td>`
+        + escapeHtml(r.owners.slice(0, 3).map(o => `${o.name} ${Math.round(o.share * 100)}%`).join(t('html.listSeparator')))
+        + '</td></tr>').join('') + '</table>'
+    : `<p class="empty">${escapeHtml(t('html.noData'))}</p>`;
+
+  const body = renderSection(`🧑‍💻 ${t('section.members')}`, members)
+    + renderSection(`🏆 ${t('section.commitsLeaderboard')}`, renderLeaderboard(team.leaderboards.commits, 'unit.commits', t))
+    + renderSection(`📝 ${t('section.linesLeaderboard')}`, renderLeaderboard(team.leaderboards.lines, 'unit.lines', t))
+    + renderSection(`📆 ${t('section.activeDaysLeaderboard')}`, renderLeaderboard(team.leaderboards.activeDays, 'unit.days', t))
+    + renderSection(`🔥 ${t('section.streakLeaderboard')}`, renderLeaderboard(team.leaderboards.longestStreak, 'unit.days', t))
+    + renderSection(`📦 ${t('section.ownership')}`, ownership)
+    + renderSection(`🗓️ ${t('section.teamHeatmap')}`, renderHeatmap(team.weekHourHeatmap, t))
+    + renderSection(`🕐 ${t('section.hourDistribution')}`, renderBarChart(team.hourDistribution.map((value, i) => ({ label: i, value })), { labelEvery: 3 }, t))
+    + renderSection(`📅 ${t('section.weekDistribution')}`, renderBarChart(team.weekDistribution.map((value, i) => ({ label: weekNames[i], value })), { color: '#ec4899' }, t));
+
+  return renderPage(t('html.teamTitle'), header + body, report.generatedAt, t);
+}
+
+module.exports = { renderHtml, renderTeamHtml, escapeHtml, formatNumber };
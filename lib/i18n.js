@@ -0,0 +1,166 @@
+/**
+ * Git 年度报告 - 多语言模块
+ * 文案按稳定的消息 id 存放在 locales/ 下的语言包中；报告中的徽章、称号和提示文案同时记录 id、参数和当前语言的文本，
+ * 渲染时可以按 id 切换语言，无需重新分析
+ */
+
+const CATALOGS = {
+  'zh-CN': require('./locales/zh-CN'),
+  en: require('./locales/en')
+};
+
+/** 支持的语言 */
+const LOCALES = Object.keys(CATALOGS);
+
+/** 默认语言（无法从环境变量识别时使用） */
+const DEFAULT_LOCALE = 'zh-CN';
+
+/**
+ * 将语言标识归一化为支持的语言，如 zh_CN.UTF-8 → zh-CN、en-US → en
+ * @param {string} value - 语言标识
+ * @returns {string|null} 不支持时返回 null
+ */
+function normalizeLocale(value) {
+  const tag = String(value || '').trim().split('.')[0].replace('_', '-').toLowerCase();
+  if (!tag) return null;
+  return LOCALES.find(l => l.toLowerCase() === tag)
+    || LOCALES.find(l => l.split('-')[0].toLowerCase() === tag.split('-')[0])
+    || null;
+}
+
+/**
+ * 从环境变量识别语言（依次检查 LC_ALL、LC_MESSAGES、LANG、LANGUAGE）
+ * C、POSIX 等未指定语言的取值会被跳过，都无法识别时使用默认语言
+ * @param {Object} [env=process.env] - 环境变量
+ * @returns {string}
+ */
+function detectLocale(env = process.env) {
+  for (const key of ['LC_ALL', 'LC_MESSAGES', 'LANG', 'LANGUAGE']) {
+    // LANGUAGE 可以是冒号分隔的优先级列表
+    for (const value of (env[key] || '').split(':')) {
+      const locale = normalizeLocale(value);
+      if (locale) return locale;
+    }
+  }
+  return DEFAULT_LOCALE;
+}
+
+/**
+ * 校验语言参数
+ * @param {string} value - 语言标识
+ * @param {string} [locale] - 错误信息的语言（要校验的语言无效，因此需另外指定），默认按环境变量识别
+ * @returns {true|string} 通过返回 true，否则返回错误信息
+ */
+function validateLocale(value, locale = detectLocale()) {
+  return normalizeLocale(value) ? true : createTranslator(locale)('i18n.invalidLocale', { value, locales: LOCALES.join(', ') });
+}
+
+/**
+ * 创建翻译函数
+ * 文案中的 {name} 替换为参数值（参数本身是 { id, params } 消息时先翻译），{name/N} 替换为参数除以 N 后向下取整的值
+ * 当前语言缺少的消息回退到默认语言，都没有时返回 id 本身
+ * @param {string} [locale] - 语言，默认为 DEFAULT_LOCALE
+ * @returns {((id: string, params?: Object) => string) & { locale: string, has: Function, format: Function }}
+ */
+function createTranslator(locale) {
+  const resolved = normalizeLocale(locale) || DEFAULT_LOCALE;
+  const catalog = CATALOGS[resolved];
+  const fallback = CATALOGS[DEFAULT_LOCALE];
+
+  const format = (template, params = {}) => template.replace(/\{([\w.]+)(?:\/(\d+(?:\.\d+)?))?\}/g, (match, name, divisor) => {
+    const value = params[name];
+    if (value === undefined || value === null) return match;
+    if (divisor) return String(Math.floor(Number(value) / Number(divisor)));
+    if (typeof value === 'object' && value.id) return t(value.id, value.params);
+    return String(value);
+  });
+
+  const t = (id, params) => {
+    const template = catalog[id] ?? fallback[id];
+    return template === undefined ? id : format(template, params);
+  };
+  t.locale = resolved;
+  t.has = id => id in catalog || id in fallback;
+  t.format = format;
+  return t;
+}
+
+/**
+ * 读取按语言指定的文本：字符串原样返回，{ 'zh-CN': ..., en: ... } 取当前语言（缺少时取默认语言或第一个）
+ * @param {string|Object<string, string>} value - 文本
+ * @param {string} locale - 语言
+ * @returns {string}
+ */
+function pickLocalized(value, locale) {
+  if (typeof value !== 'object' || value === null) return value;
+  return value[locale] ?? value[DEFAULT_LOCALE] ?? Object.values(value)[0];
+}
+
+/**
+ * 重新渲染消息：语言包中有该 id 时按新语言翻译；文本来自规则文件（custom）或语言包中没有该 id 时保留原文本
+ * @param {{ id: string, params?: Object, text: string, custom?: boolean }} message - 消息
+ * @param {Function} t - 翻译函数
+ * @returns {{ id: string, params?: Object, text: string }}
+ */
+function relocalize(message, t) {
+  return !message.custom && t.has(message.id) ? { ...message, text: t(message.id, message.params) } : message;
+}
+
+/**
+ * 按新语言重新渲染徽章（原地修改），badges 同步为新的徽章名称
+ * @param {{ badges?: string[], badgeDetails?: Object[] }} holder - 带徽章的对象（汇总、Top 项目、团队成员）
+ * @param {Function} t - 翻译函数
+ */
+function localizeBadges(holder, t) {
+  if (!holder.badgeDetails) return;
+  holder.badgeDetails.forEach(b => {
+    if (b.custom || !t.has(`badge.${b.id}`)) return;
+    b.label = t(`badge.${b.id}`);
+    if (t.has(`badge.${b.id}.desc`)) b.description = t(`badge.${b.id}.desc`);
+  });
+  holder.badges = holder.badgeDetails.map(b => b.label);
+}
+
+/**
+ * 按新语言重新渲染年度称号（原地修改）
+ * @param {Object|null} title - 年度称号 { title, desc, rule, custom? }
+ * @param {Function} t - 翻译函数
+ */
+function localizeTitle(title, t) {
+  if (!title?.rule || title.custom || !t.has(`title.${title.rule}`)) return;
+  title.title = t(`title.${title.rule}`);
+  title.desc = t(`title.${title.rule}.desc`);
+}
+
+/**
+ * 将报告中的徽章、称号和提示文案切换为指定语言（不修改原报告）
+ * @param {Object} report - 报告数据（个人报告或团队报告）
+ * @param {string} locale - 目标语言
+ * @returns {Object} 切换语言后的报告副本
+ */
+function localizeReport(report, locale) {
+  const t = createTranslator(locale);
+  const result = structuredClone(report);
+  const s = result.summary;
+  if (s) {
+    localizeBadges(s, t);
+    (s.topProjects || []).forEach(p => localizeBadges(p, t));
+    localizeTitle(s.annualTitle, t);
+    Object.entries(s.tipMessages || {}).forEach(([key, message]) => {
+      s.tipMessages[key] = relocalize(message, t);
+      s[key] = s.tipMessages[key].text;
+    });
+  }
+  if (result.comparison?.tipMessages) {
+    result.comparison.tipMessages = result.comparison.tipMessages.map(m => relocalize(m, t));
+    result.comparison.tips = result.comparison.tipMessages.map(m => m.text);
+  }
+  (result.team?.members || []).forEach(m => {
+    localizeBadges(m, t);
+    localizeTitle(m.annualTitle, t);
+  });
+  result.locale = t.locale;
+  return result;
+}
+
+module.exports = { LOCALES, DEFAULT_LOCALE, normalizeLocale, detectLocale, validateLocale, createTranslator, pickLocalized, localizeReport };
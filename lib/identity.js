@@ -0,0 +1,78 @@
+/**
+ * Git 年度报告 - 作者身份模块
+ * 负责多身份（多个用户名/邮箱）的作者匹配，以及同一个人不同别名的合并
+ */
+
+/**
+ * 规范化身份字符串（去空格、转小写）
+ * @param {string} value - 用户名或邮箱
+ * @returns {string}
+ */
+function normalize(value) {
+  return (value || '').trim().toLowerCase();
+}
+
+/**
+ * 将作者参数统一为身份数组，支持数组和逗号分隔的字符串
+ * @param {string|string[]} authors - 作者名/邮箱
+ * @returns {string[]} 去重后的身份列表
+ */
+function toIdentityList(authors) {
+  const list = (Array.isArray(authors) ? authors : [authors])
+    .flatMap(a => String(a || '').split(','))
+    .map(a => a.trim())
+    .filter(Boolean);
+  return [...new Set(list)];
+}
+
+/**
+ * 创建作者匹配函数：用户名或邮箱与任一身份完全一致（忽略大小写）即视为本人
+ * @param {string|string[]} authors - 作者的所有用户名/邮箱
+ * @returns {(name: string, email: string) => boolean} 匹配函数
+ */
+function createAuthorMatcher(authors) {
+  const identities = new Set(toIdentityList(authors).map(normalize));
+  return (name, email) => identities.has(normalize(name)) || identities.has(normalize(email));
+}
+
+/**
+ * 合并同一个人的不同别名：用户名或邮箱相同的记录视为同一人
+ * 合并后使用提交数最多的别名作为展示名称
+ * @param {{ name: string, email: string, commits: number }[]} entries - 身份记录
+ * @returns {{ name: string, email: string, commits: number, aliases: string[], identities: string[] }[]} 按提交数排序的合并结果
+ */
+function mergeAliases(entries) {
+  const parent = entries.map((_, i) => i);
+  const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const owner = {};
+
+  // 并查集：共享用户名或邮箱的记录归为一组
+  entries.forEach((e, i) => {
+    [`n:${normalize(e.name)}`, `e:${normalize(e.email)}`].forEach(key => {
+      if (key.length <= 2) return;
+      if (owner[key] === undefined) owner[key] = i;
+      else parent[find(i)] = find(owner[key]);
+    });
+  });
+
+  const groups = {};
+  entries.forEach((e, i) => {
+    const root = find(i);
+    if (!groups[root]) groups[root] = [];
+    groups[root].push(e);
+  });
+
+  return Object.values(groups).map(group => {
+    const primary = [...group].sort((a, b) => b.commits - a.commits)[0];
+    const aliases = [...new Set(group.map(e => `${e.name} <${e.email}>`))];
+    return {
+      name: primary.name,
+      email: primary.email,
+      commits: group.reduce((a, b) => a + b.commits, 0),
+      aliases,
+      identities: [...new Set(group.flatMap(e => [e.name, e.email]).filter(Boolean))]  // 该人的所有用户名/邮箱
+    };
+  }).sort((a, b) => b.commits - a.commits);
+}
+
+module.exports = { toIdentityList, createAuthorMatcher, mergeAliases };
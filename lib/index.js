@@ -0,0 +1,45 @@
+/**
+ * Git 年度报告 - 库入口
+ * analyze / analyzeTeam 只负责分析并返回报告对象；脱敏、切换语言、写入文件、导出海报、打开报告都是可选的后续步骤
+ */
+
+const { analyze, analyzeTeam } = require('./analyze');
+const { writeReport, writeTeamReport, encodeReport, reportUrl, openReport } = require('./output');
+const { renderHtml, renderTeamHtml } = require('./html');
+const { exportPoster, renderPosterSvg } = require('./poster');
+const { REDACTION_LEVELS, redactReport, redactTeamReport } = require('./redact');
+const { LOCALES, detectLocale, localizeReport } = require('./i18n');
+const { DEFAULT_RULES, loadRules } = require('./rules');
+const { findGitRepos } = require('./discover');
+const { SCHEMA_VERSION, REPORT_SCHEMA, validateReport, migrateReport } = require('./schema');
+const { compareWithReport } = require('./compare');
+const { expandCalendar } = require('./calendar');
+
+module.exports = {
+  analyze,
+  analyzeTeam,
+  findGitRepos,
+  redactReport,
+  redactTeamReport,
+  localizeReport,
+  migrateReport,
+  validateReport,
+  compareWithReport,
+  expandCalendar,
+  writeReport,
+  writeTeamReport,
+  renderHtml,
+  renderTeamHtml,
+  exportPoster,
+  renderPosterSvg,
+  encodeReport,
+  reportUrl,
+  openReport,
+  loadRules,
+  DEFAULT_RULES,
+  REDACTION_LEVELS,
+  LOCALES,
+  detectLocale,
+  SCHEMA_VERSION,
+  REPORT_SCHEMA
+};
@@ -0,0 +1,142 @@
+/**
+ * Git 年度报告 - 语言识别模块
+ * 根据扩展名、常见文件名（Dockerfile、Makefile 等）和 shebang 识别文件所属的语言
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/** 语言类型：programming（编程语言）、markup（标记/样式）、data（数据/配置）、prose（文档） */
+const LANGUAGES = {
+  JavaScript: { type: 'programming', extensions: ['.js', '.mjs', '.cjs', '.jsx'] },
+  TypeScript: { type: 'programming', extensions: ['.ts', '.mts', '.cts', '.tsx'] },
+  Python: { type: 'programming', extensions: ['.py', '.pyw', '.pyi'] },
+  Java: { type: 'programming', extensions: ['.java'] },
+  Kotlin: { type: 'programming', extensions: ['.kt', '.kts'] },
+  Scala: { type: 'programming', extensions: ['.scala', '.sc'] },
+  Groovy: { type: 'programming', extensions: ['.groovy', '.gradle'], filenames: ['Jenkinsfile'] },
+  Go: { type: 'programming', extensions: ['.go'] },
+  Rust: { type: 'programming', extensions: ['.rs'] },
+  C: { type: 'programming', extensions: ['.c', '.h'] },
+  'C++': { type: 'programming', extensions: ['.cpp', '.cc', '.cxx', '.hpp', '.hh', '.hxx'] },
+  'C#': { type: 'programming', extensions: ['.cs'] },
+  'Objective-C': { type: 'programming', extensions: ['.m', '.mm'] },
+  Swift: { type: 'programming', extensions: ['.swift'] },
+  Dart: { type: 'programming', extensions: ['.dart'] },
+  PHP: { type: 'programming', extensions: ['.php'] },
+  Ruby: { type: 'programming', extensions: ['.rb', '.rake', '.gemspec'], filenames: ['Gemfile', 'Rakefile', 'Vagrantfile', 'Podfile'] },
+  Perl: { type: 'programming', extensions: ['.pl', '.pm'] },
+  Lua: { type: 'programming', extensions: ['.lua'] },
+  R: { type: 'programming', extensions: ['.r'] },
+  Julia: { type: 'programming', extensions: ['.jl'] },
+  Elixir: { type: 'programming', extensions: ['.ex', '.exs'] },
+  Erlang: { type: 'programming', extensions: ['.erl', '.hrl'] },
+  Haskell: { type: 'programming', extensions: ['.hs'] },
+  OCaml: { type: 'programming', extensions: ['.ml', '.mli'] },
+  'F#': { type: 'programming', extensions: ['.fs', '.fsx'] },
+  Clojure: { type: 'programming', extensions: ['.clj', '.cljs', '.cljc', '.edn'] },
+  Zig: { type: 'programming', extensions: ['.zig'] },
+  Solidity: { type: 'programming', extensions: ['.sol'] },
+  Vue: { type: 'programming', extensions: ['.vue'] },
+  Svelte: { type: 'programming', extensions: ['.svelte'] },
+  Shell: { type: 'programming', extensions: ['.sh', '.bash', '.zsh', '.fish'], filenames: ['.bashrc', '.zshrc', '.profile'] },
+  PowerShell: { type: 'programming', extensions: ['.ps1', '.psm1'] },
+  Batchfile: { type: 'programming', extensions: ['.bat', '.cmd'] },
+  SQL: { type: 'programming', extensions: ['.sql'] },
+  Dockerfile: { type: 'programming', extensions: ['.dockerfile'], filenames: ['Dockerfile', 'Containerfile'] },
+  Makefile: { type: 'programming', extensions: ['.mk', '.mak'], filenames: ['Makefile', 'GNUmakefile', 'makefile'] },
+  CMake: { type: 'programming', extensions: ['.cmake'], filenames: ['CMakeLists.txt'] },
+  HTML: { type: 'markup', extensions: ['.html', '.htm', '.xhtml'] },
+  CSS: { type: 'markup', extensions: ['.css'] },
+  SCSS: { type: 'markup', extensions: ['.scss'] },
+  Sass: { type: 'markup', extensions: ['.sass'] },
+  Less: { type: 'markup', extensions: ['.less'] },
+  Stylus: { type: 'markup', extensions: ['.styl'] },
+  JSON: { type: 'data', extensions: ['.json', '.jsonc', '.json5'] },
+  YAML: { type: 'data', extensions: ['.yml', '.yaml'] },
+  TOML: { type: 'data', extensions: ['.toml'] },
+  XML: { type: 'data', extensions: ['.xml', '.xsd', '.plist'] },
+  INI: { type: 'data', extensions: ['.ini', '.cfg', '.properties'], filenames: ['.editorconfig'] },
+  CSV: { type: 'data', extensions: ['.csv', '.tsv'] },
+  GraphQL: { type: 'data', extensions: ['.graphql', '.gql'] },
+  'Protocol Buffer': { type: 'data', extensions: ['.proto'] },
+  Markdown: { type: 'prose', extensions: ['.md', '.markdown', '.mdx'] },
+  reStructuredText: { type: 'prose', extensions: ['.rst'] },
+  Text: { type: 'prose', extensions: ['.txt'] }
+};
+
+/** 无法识别的文件归入的语言名 */
+const OTHER = 'Other';
+
+/** shebang 解释器与语言的对应关系 */
+const INTERPRETERS = {
+  node: 'JavaScript', nodejs: 'JavaScript', deno: 'TypeScript', 'ts-node': 'TypeScript',
+  python: 'Python', ruby: 'Ruby', perl: 'Perl', php: 'PHP', lua: 'Lua',
+  sh: 'Shell', bash: 'Shell', zsh: 'Shell', dash: 'Shell', ksh: 'Shell', fish: 'Shell',
+  pwsh: 'PowerShell', Rscript: 'R', julia: 'Julia', elixir: 'Elixir', groovy: 'Groovy'
+};
+
+/** 扩展名（小写）与文件名到语言的索引 */
+const byExtension = {}, byFilename = {};
+Object.entries(LANGUAGES).forEach(([name, lang]) => {
+  lang.extensions.forEach(ext => { byExtension[ext] = name; });
+  (lang.filenames || []).forEach(file => { byFilename[file] = name; });
+});
+
+/**
+ * 从 shebang 行识别语言，如 "#!/usr/bin/env node"、"#!/bin/bash"
+ * @param {string} firstLine - 文件首行
+ * @returns {string|null}
+ */
+function fromShebang(firstLine) {
+  const m = /^#!\s*(\S+)(?:\s+(?:-\S+\s+)*(\S+))?/.exec(firstLine);
+  if (!m) return null;
+  const program = path.basename(m[1]) === 'env' ? m[2] : path.basename(m[1]);
+  if (!program) return null;
+  // 去掉版本号，如 python3.11 → python
+  return INTERPRETERS[program] || INTERPRETERS[program.replace(/[\d.]+$/, '')] || null;
+}
+
+/**
+ * 读取工作区中文件的首行（用于 shebang 识别）
+ * @param {string} file - 文件绝对路径
+ * @returns {string} 文件不存在或无法读取时返回空字符串
+ */
+function readFirstLine(file) {
+  let fd;
+  try {
+    fd = fs.openSync(file, 'r');
+    const buffer = Buffer.alloc(128);
+    const bytes = fs.readSync(fd, buffer, 0, buffer.length, 0);
+    return buffer.toString('utf8', 0, bytes).split('\n')[0];
+  } catch (e) {
+    return '';
+  } finally {
+    if (fd !== undefined) fs.closeSync(fd);
+  }
+}
+
+/**
+ * 创建仓库的语言识别函数
+ * 依次按文件名、扩展名识别；无扩展名的文件读取工作区中的 shebang
+ * @param {string} repoPath - 仓库路径
+ * @returns {(file: string) => { name: string, type: string }} 无法识别时返回 Other
+ */
+function createLanguageClassifier(repoPath) {
+  const cache = new Map();
+  return file => {
+    if (cache.has(file)) return cache.get(file);
+    const basename = path.basename(file);
+    const ext = path.extname(basename).toLowerCase();
+    const name = byFilename[basename]
+      || (/^(Dockerfile|Containerfile)\./.test(basename) && 'Dockerfile')
+      || byExtension[ext]
+      || (!ext && fromShebang(readFirstLine(path.join(repoPath, file))))
+      || OTHER;
+    const result = { name, type: LANGUAGES[name]?.type || 'other' };
+    cache.set(file, result);
+    return result;
+  };
+}
+
+module.exports = { LANGUAGES, OTHER, createLanguageClassifier };
@@ -0,0 +1,434 @@
+/**
+ * 英文语言包
+ * 文案中的 {name} 为参数，{name/N} 为参数除以 N 后向下取整
+ */
+
+module.exports = {
+  // ========== 命令行 ==========
+  'cli.help': `
+Usage: annual-code-report [options]
+
+Options:
+  -a, --author <name>    Git user name or email used to filter commits; repeat the option or separate
+                         several identities of the same person with commas
+  -r, --root <dir>       Root directory of your Git repositories (the common parent if there are several)
+      --submodules       Also analyze submodules
+      --nested-repos     Keep looking for nested standalone repositories inside repositories
+      --max-depth <n>    Maximum directory depth to scan (the root is 0, unlimited by default)
+      --include-dir <pattern>  Only analyze repositories whose path matches (gitignore style, relative to the root); repeatable
+      --exclude-dir <pattern>  Skip matching directories while scanning (e.g. archive/, third_party); repeatable
+  -s, --since <date>     Start date (YYYY-MM-DD)
+  -u, --until <date>     End date (YYYY-MM-DD)
+  -o, --output <file>    Report output file (default report.json)
+      --no-open          Do not open the report when done
+      --web              Open the online report (report data is encoded in the URL) instead of the local HTML report
+  -q, --quiet            Quiet mode, only print errors
+      --no-cache         Neither read nor write the analysis cache
+      --clear-cache      Clear the cache before analyzing
+      --cache-dir <dir>  Cache directory (default ~/.cache/annual-code-report)
+  -j, --concurrency <n>  Number of repositories analyzed at the same time (default 4)
+  -t, --timezone <tz>    Time zone for hours/weekdays/dates: author uses the zone recorded in each commit (default),
+                         local the machine time zone, UTC, ±HH:MM or an IANA name (e.g. Asia/Shanghai)
+      --no-default-excludes   Disable the built-in path exclusions (lock files, build output, vendored code, ...)
+      --all-branches     Analyze all local and remote branches (default: only the checked-out branch)
+      --churn-days <n>   Rework window: lines you rewrite or delete within n days of writing them count as rework (default 21)
+      --blame            Run git blame at the last commit before --until to measure surviving code and repository ownership (slower)
+      --blame-max-files <n>   Maximum number of files blamed per repository (default 1000); enables --blame
+      --blame-timeout <s>     Maximum blame time per repository in seconds (default 120); enables --blame
+      --count-co-authored     Count other people's commits that credit you as co-author (Co-authored-by) in the totals
+      --rules <file>     Rules file for badges, titles and tips (default ~/.config/annual-code-report/rules.json)
+      --compare          Add a year-over-year comparison (default: same period last year)
+      --compare-since <date>  Start date of the comparison period (YYYY-MM-DD); enables the comparison
+      --compare-until <date>  End date of the comparison period (YYYY-MM-DD); enables the comparison
+      --compare-report <file> Compare against an existing personal report JSON (e.g. last year's report.json)
+                              instead of re-analyzing the comparison period
+      --team             Team mode: a personal report for every committer plus a team summary report
+  -m, --member <ids>     Only include the given member in team mode; repeat once per member (separate several identities
+                         of the same person with commas); enables team mode
+      --poster           Also export a shareable poster (SVG + PNG)
+      --poster-theme <name>   Poster theme: {themes} (default midnight); enables the poster
+      --poster-size <size>    Poster size: portrait / landscape (default portrait); enables the poster
+      --from-report <file>    Export a poster from an existing report JSON without re-analyzing
+      --upgrade-report <file> Upgrade an older report JSON to the current schema and regenerate its HTML
+                              (written to --output, overwriting the original file by default)
+      --redact <level>   Redaction level: {redactLevels} (default full). internal removes emails;
+                         public also removes commit messages and file paths and replaces projects, branches and collaborators with aliases
+      --redact-preview   Only preview what redaction would remove or replace, without writing a report
+  -l, --locale <lang>    Output language: {locales} (detected from LC_ALL, LC_MESSAGES, LANG, LANGUAGE by default)
+  -h, --help             Show this help
+  -v, --version          Show the version number
+
+Values not given as options are asked for interactively.
+`,
+  'cli.usageHint': 'Run with --help to see the available options',
+  'cli.emptyOption': '{option} must not be empty',
+  'cli.teamWithAuthor': '--author cannot be used in team mode, use --member to select members',
+  'cli.teamWithCompare': 'Team mode does not support year-over-year comparison yet',
+  'cli.compareReportWithCompare': '--compare-report cannot be combined with --compare, --compare-since or --compare-until',
+  'cli.reportUpgraded': '📦 Report upgraded from schema version {from} to {to}: {file}',
+  'cli.reportUpToDate': '📦 Report already uses the current schema (version {to}); regenerated: {file}',
+  'cli.invalidDate': 'invalid date: "{value}", use the YYYY-MM-DD format',
+  'cli.dirNotFound': 'directory not found: {dir}',
+  'cli.fileNotFound': 'file not found: {file}',
+  'cli.invalidChoice': 'is invalid: "{value}", available: {options}',
+  'cli.positiveInteger': 'must be a positive integer: "{value}"',
+  'cli.nonNegativeInteger': 'must be a non-negative integer: "{value}"',
+  'cli.sinceAfterUntil': 'Start date {since} is after end date {until}',
+  'cli.compareSinceAfterUntil': 'Comparison start date {since} is after comparison end date {until}',
+  'cli.banner': '🚀 Annual Code Report Generator',
+  'cli.usingGitUser': '👤 Using Git user: {name} <{email}>',
+  'cli.prompt.root': 'Root directory of your Git repositories (the common parent if there are several):',
+  'cli.prompt.author': 'Enter your Git user name or email (separate several identities with commas):',
+  'cli.prompt.authorRequired': 'Please enter your Git user name or email',
+  'cli.prompt.identities': 'Several Git identities found, select all of yours:',
+  'cli.prompt.identitiesRequired': 'Select at least one identity',
+  'cli.prompt.since': 'Start date (YYYY-MM-DD):',
+  'cli.prompt.until': 'End date (YYYY-MM-DD):',
+  'cli.done': '🎉 Report generated, see {output} for the data',
+
+  // ========== 生成流程日志 ==========
+  'generate.scanning': '🔍 Scanning Git repositories...',
+  'generate.scanned': '📁 Scan finished, found {count} repositories',
+  'generate.scanProblems': '⚠️  Skipped {count} directories while scanning:',
+  'generate.cached': 'cached',
+  'generate.failed': 'failed',
+  'generate.analyzed': '✅ Analysis finished: {count} repositories contain your commits, took {time}',
+  'generate.skipped': '⏭️  Skipped or partially skipped {count} repositories:',
+  'generate.failedRepos': '❌ Failed to analyze {count} repositories:',
+  'generate.cacheCleared': '🧹 Cache cleared: {dir}',
+  'generate.comparing': '📅 Analyzing the comparison period {since} ~ {until}...',
+  'generate.redacted': '🔒 Redacted at level {level}',
+  'generate.htmlWritten': '📄 Offline report written: {file}',
+  'generate.posterWritten': '🖼️  Poster written: {file}',
+  'generate.reportUnreadable': 'Cannot read report file {file}: {reason}',
+  'generate.notPersonalReport': '{file} is not a personal annual report',
+  'generate.compressed': '📊 Data compressed: {from} → {to} characters',
+  'generate.opening': '🌍 Opening the annual report page...',
+  'generate.webUrl': '🔗 Online report: {url}',
+  'generate.membersFound': '👥 Found {count} team members, analyzing...',
+  'generate.teamAnalyzed': '✅ Analysis finished, took {time}',
+  'generate.memberReportsWritten': '📂 Personal reports written: {dir}',
+  'generate.teamReportWritten': '📄 Team report written: {file}',
+
+  // ========== 进度 ==========
+  'progress.currentMany': '{name} and {count} in total',
+  'progress.elapsed': 'elapsed {time}',
+  'progress.eta': 'about {time} left',
+  'progress.current': 'current: {name}',
+
+  // ========== 分析警告 ==========
+  'analyze.fileChangesFailed': 'file change stats failed: {reason}',
+  'analyze.branchesFailed': 'branch stats failed: {reason}',
+  'analyze.messageBodiesFailed': 'reading commit bodies failed: {reason}',
+  'analyze.fileSizesFailed': 'reading hotspot file sizes failed: {reason}',
+  'analyze.blameFailed': 'blame failed: {reason}',
+  'analyze.noCommits': 'no commits of yours in the selected period',
+  'analyze.partialFailure': 'partially failed ({warnings})',
+  'analyze.listSeparator': '; ',
+  'analyze.noRoots': 'No repository root directories given',
+  'analyze.noAuthors': 'No Git authors given',
+  'analyze.invalidDate': 'invalid {option} date: "{value}", use the YYYY-MM-DD format',
+  'analyze.sinceAfterUntil': 'Start date {since} is after end date {until}',
+  'discover.inaccessible': 'not accessible: {reason}',
+  'discover.unrecognized': 'not a recognizable repository: {reason}',
+  'discover.unreadable': 'cannot read directory: {reason}',
+  'discover.duplicateWorktree': 'worktree of the same repository as {path}, skipped',
+  'timezone.invalid': 'invalid time zone: "{value}", use author, local, UTC, ±HH:MM or an IANA name (e.g. Asia/Shanghai)',
+
+  // ========== 规则文件 ==========
+  'rules.invalid': 'Invalid rules file {file}: {reason}',
+  'rules.unreadable': 'Cannot read rules file {file}: {reason}',
+  'rules.missingMetric': '{where} is missing metric',
+  'rules.badOperator': '{where} has an invalid operator "{op}", available: {operators}',
+  'rules.badValue': 'value of {where} must be a number or { summary, repo }',
+  'rules.notObject': 'content must be a JSON object',
+  'rules.missingId': '{where} is missing id',
+  'rules.missingField': '{where} is missing {field}',
+  'rules.badWhen': 'when of {where} must be an array of conditions',
+  'rules.badDisable': 'disable must be an array of rule ids',
+
+  // ========== 徽章 ==========
+  'badge.early-bird': '🌅 Early Bird',
+  'badge.early-bird.desc': 'A high share of commits between 06:00 and 09:00',
+  'badge.night-owl': '🦉 Night Owl',
+  'badge.night-owl.desc': 'A high share of commits between 22:00 and 07:00',
+  'badge.weekend-warrior': '💪 Weekend Warrior',
+  'badge.weekend-warrior.desc': 'A high share of weekend commits',
+  'badge.steady': '🔥 Steady Output',
+  'badge.steady.desc': 'Committed at least 7 days in a row',
+  'badge.slacker': '🏖️ Chill Master',
+  'badge.slacker.desc': 'Went more than 14 days in a row without committing',
+  'badge.late-night': '🌙 Midnight Grinder',
+  'badge.late-night.desc': 'More than 10 commits between 02:00 and 06:00',
+  'badge.refactor-master': '🔨 Refactor Master',
+  'badge.refactor-master.desc': 'Many large refactors touching more than 500 lines at once',
+  'badge.collaborator': '🤝 Team Player',
+  'badge.collaborator.desc': 'Many merge commits',
+  'badge.pair-programmer': '👯 Pair Programmer',
+  'badge.pair-programmer.desc': 'At least 10 paired commits, more than 30% of all commits',
+  'badge.multi-project': '🚀 Multi-Project Pro',
+  'badge.multi-project.desc': 'Contributed to at least 10 projects',
+  'badge.thousand-commits': '💎 Thousand Commits',
+  'badge.thousand-commits.desc': 'At least 1000 commits',
+  'badge.hundred-k-lines': '📝 100K+ Lines',
+  'badge.hundred-k-lines.desc': 'Added at least 100,000 lines of code',
+
+  // ========== 年度称号 ==========
+  'title.code-maniac': '💎 Code Maniac',
+  'title.code-maniac.desc': 'An astonishing number of commits',
+  'title.output-king': '📝 Output King',
+  'title.output-king.desc': 'Extremely high code output',
+  'title.night-walker': '🦉 Night Walker',
+  'title.night-walker.desc': 'The night is your home turf',
+  'title.dawn-pioneer': '🌅 Dawn Pioneer',
+  'title.dawn-pioneer.desc': 'The early bird gets the code',
+  'title.weekend-god': '💪 Weekend Hero',
+  'title.weekend-god.desc': 'Still on fire at the weekend',
+  'title.persistent': '🔥 Persistent',
+  'title.persistent.desc': 'An exceptionally long commit streak',
+  'title.refactor-god': '🔨 Refactor God',
+  'title.refactor-god.desc': 'Bold, sweeping code changes',
+  'title.full-stack-ranger': '🚀 Full-Stack Ranger',
+  'title.full-stack-ranger.desc': 'Driving many projects at once',
+  'title.team-hub': '🤝 Team Hub',
+  'title.team-hub.desc': 'Merges more than anyone',
+  'title.zen-developer': '🏖️ Zen Developer',
+  'title.zen-developer.desc': 'Knows when to work and when to rest',
+  'title.midnight-grinder': '🌙 Midnight Grinder',
+  'title.midnight-grinder.desc': 'Still coding in the small hours',
+
+  // ========== 提示文案 ==========
+  'tip.projectCount.multiThread': '🚀 A multi-threaded human juggling many projects',
+  'tip.projectCount.expert': '💪 A project pro with wide interests',
+  'tip.projectCount.parallel': '📦 Steady progress across several projects',
+  'tip.projectCount.fallback': '🎯 Focused and deep',
+  'tip.totalCommits.thousand': '💎 A thousand commits, a true code maniac',
+  'tip.totalCommits.prolific': '🔥 Remarkably prolific',
+  'tip.totalCommits.steady': '⚡ Steady output',
+  'tip.totalCommits.fallback': '🌱 Growing steadily',
+  'tip.totalInsertions.novels': '📚 That is about {totalInsertions/30000} novels',
+  'tip.totalInsertions.impressive': '📝 Impressive output',
+  'tip.totalInsertions.diligent': '✍️ Writing away',
+  'tip.totalInsertions.fallback': '📖 Every line adds up',
+  'tip.netLines.considerable': '📈 Considerable net growth',
+  'tip.netLines.growing': '📊 Growing steadily',
+  'tip.netLines.fallback': '🔄 Trimming and optimizing',
+  'tip.activeDays.allYear': '🔥 No days off all year',
+  'tip.activeDays.hardWorking': '💪 A hard worker',
+  'tip.activeDays.regular': '⏰ Showing up regularly',
+  'tip.activeDays.fallback': '🌴 Work-life balance',
+  'tip.longestStreak.month': '🔥 A whole month in a row, impressive stamina',
+  'tip.longestStreak.twoWeeks': '💪 Longer than most gym resolutions',
+  'tip.longestStreak.week': '⚡ A one-week combo',
+  'tip.longestStreak.fallback': '🎯 Living in the moment',
+  'tip.longestGap.longBreak': '🏖️ A very long break, hopefully a vacation',
+  'tip.longestGap.champion': '😴 Champion of chilling',
+  'tip.longestGap.rest': '🌴 A healthy amount of rest',
+  'tip.longestGap.fallback': '🔥 Hardly ever takes a break',
+  'tip.longestWorkSession.movies': '⏰ That is about {longestWorkSessionHours/2} movies',
+  'tip.longestWorkSession.marathon': '💪 Marathon session',
+  'tip.longestWorkSession.fallback': '⚡ Efficient work',
+  'tip.bigRefactorCount.god': '🔨 Refactor god, the code looks brand new',
+  'tip.bigRefactorCount.master': '🛠️ Refactor master',
+  'tip.bigRefactorCount.tidy': '🔧 Keeps things tidy',
+  'tip.bigRefactorCount.fallback': '📦 Stability first',
+  'tip.topCollaborators.social': '🤝 Social butterfly with many collaborators',
+  'tip.topCollaborators.core': '👥 Core of the team',
+  'tip.topCollaborators.fallback': '🎯 Lone wolf',
+  'tip.branchesCreated.master': '🌿 Branch management master',
+  'tip.branchesCreated.expert': '🌱 Branch enthusiast',
+  'tip.branchesCreated.orderly': '🪴 Orderly development',
+  'tip.branchesCreated.fallback': '🎋 Few branches, clean history',
+  'tip.weekend.warrior': '💪 Weekend warrior, fighting on days off',
+  'tip.weekend.sometimes': '⚡ Occasional weekend overtime',
+  'tip.weekend.fallback': '🌴 Weekends are for resting',
+  'tip.nightOwl.owl': '🦉 Night owl, the night is your home turf',
+  'tip.nightOwl.sometimes': '🌙 The occasional late night',
+  'tip.nightOwl.fallback': '😴 A regular schedule',
+  'tip.earlyBird.bird': '🌅 Early bird, up before the sun',
+  'tip.earlyBird.sometimes': '☀️ Up early now and then',
+  'tip.earlyBird.fallback': '😴 Not a morning person',
+  'tip.messageQuality.exemplary': '📜 Textbook commit messages',
+  'tip.messageQuality.tidy': '📝 Clear, well-formed commit messages',
+  'tip.messageQuality.casual': '✏️ Commit messages get the point across',
+  'tip.messageQuality.fallback': '🙈 Commit messages are a bit casual',
+  'tip.coffee': '☕ At one coffee per 2 commits, you drank {cups} cups',
+  'tip.mainLanguage': '💻 {language} makes up {percent}% of your code',
+  'tip.pairing': '👯 {percent}% of your commits were made with a partner',
+
+  // ========== 同比对比 ==========
+  'compare.metric.totalCommits': 'Commits',
+  'compare.metric.totalInsertions': 'Lines added',
+  'compare.metric.totalDeletions': 'Lines deleted',
+  'compare.metric.netLines': 'Net lines',
+  'compare.metric.activeDays': 'Active days',
+  'compare.metric.longestStreak': 'Longest streak',
+  'compare.metric.projectCount': 'Projects',
+  'compare.tip.fromZero': '🆕 {metric} grew from 0 to {current}',
+  'compare.tip.increase': '📈 {metric} up {percent}% on last year',
+  'compare.tip.decrease': '📉 {metric} down {percent}% on last year',
+  'compare.tip.peakHour': '🕐 Peak commit hour moved from {previous}:00 to {current}:00',
+  'compare.tip.projectsAdded': '🚀 Joined {count} new projects',
+  'compare.tip.projectsDropped': '👋 Left {count} projects',
+  'compare.tip.collaboratorsAdded': '🤝 Met {count} new collaborators',
+
+  // ========== 语言 ==========
+  'i18n.invalidLocale': 'unsupported locale: "{value}", available: {locales}',
+
+  // ========== 报告结构 ==========
+  'schema.invalid': 'Report data does not match the report schema ({count} problems):',
+  'schema.more': '...and {count} more',
+  'schema.type': 'must be of type {expected}',
+  'schema.const': 'must be {expected}',
+  'schema.enum': 'must be one of: {expected}',
+  'schema.minimum': 'must not be less than {expected}',
+  'schema.required': 'required field is missing',
+  'schema.additionalProperties': 'field is not allowed',
+  'schema.minItems': 'must have at least {expected} items',
+  'schema.maxItems': 'must have at most {expected} items',
+  'schema.notReport': 'Not a valid report',
+  'schema.badVersion': 'Invalid report schema version: {version}',
+  'schema.tooNew': 'Report schema version {version} is newer than the supported version {current}; please upgrade annual-code-report',
+
+  // ========== 脱敏 ==========
+  'redact.invalid': 'invalid redaction level: "{value}", available: {levels}',
+  'redact.alias.project': 'Project',
+  'redact.alias.collaborator': 'Collaborator',
+  'redact.alias.branch': 'Branch',
+  'redact.field.email': 'Emails',
+  'redact.field.projectName': 'Project names',
+  'redact.field.collaboratorName': 'Collaborator names',
+  'redact.field.branchName': 'Branch names',
+  'redact.field.commitMessage': 'Commit messages',
+  'redact.field.keyword': 'Commit keywords',
+  'redact.field.filePath': 'File paths',
+  'redact.field.excludeRule': 'Exclusion rules',
+  'redact.field.identity': 'Author identities',
+  'redact.field.commitScope': 'Commit scopes',
+  'redact.preview.full': '🔓 Redaction level full: the report keeps everything (commit messages, file paths, project names, emails, ...)',
+  'redact.preview.nothing': '🔒 Redaction level {level}: nothing in the report needs redacting',
+  'redact.preview.changes': '🔒 Redaction level {level} will remove or replace:',
+  'redact.preview.item': '{field}: {count}',
+
+  // ========== HTML 报告与海报 ==========
+  'report.noCommits': 'No commits found in the selected period',
+  'html.title': 'Annual Code Report',
+  'html.teamTitle': 'Team Annual Code Report',
+  'html.noData': 'No data',
+  'html.noBadges': 'No badges earned yet',
+  'html.footer': 'Generated at {time} · This page is an offline file without any external resources',
+  'html.defaultBranch': ' (default branch)',
+  'html.branchesCreated': '🌱 marks branches you created; {count} created in the selected period',
+  'html.pairing.counted': 'included in the stats above',
+  'html.pairing.notCounted': 'not included in the stats above',
+  'html.pairing.summary': '{tip} (your commits with co-authors: {authored}, commits crediting you as co-author: {coAuthored}, {note})',
+  'html.excluded': '{lines} changed lines in lock files, build output, vendored code and similar paths are not included in the stats above',
+  'html.memberCount': '{count} members',
+  'html.view': 'View',
+  'html.listSeparator': ', ',
+  'html.calendar.day': '{date}: {commits} commits, {lines} lines',
+  'html.calendar.less': 'Less',
+  'html.calendar.more': 'More',
+  'html.messageQuality.summary': '{tip}. {count} commit messages analyzed (merge commits excluded), quality score {score}/100',
+  'html.messageQuality.conventional': 'Follow Conventional Commits',
+  'html.messageQuality.lazy': 'Low-effort messages (wip, fix, update, ...)',
+  'html.messageQuality.issueRefs': 'Reference an issue or ticket',
+  'html.messageQuality.body': 'Have a body',
+  'html.messageQuality.breaking': 'Breaking changes',
+  'html.messageQuality.avgLength': 'Average subject length',
+  'html.messageQuality.lengths': 'Subject length (characters)',
+  'html.messageQuality.scopes': 'Top scopes',
+  'html.churn.summary': '{reworked} lines you rewrote or deleted within {days} days of writing them, {percent} of the lines you added',
+  'html.churn.hotspots': 'Hotspot files (most churn relative to file size)',
+  'html.churn.directories': 'Hotspot directories (by lines changed)',
+  'html.survival.summary': 'Of the {insertions} lines you added in this period, {surviving} were still there at its end, a survival rate of {percent}',
+  'html.survival.ownership': 'You wrote {mine} of the {lines} blamed lines, an ownership share of {percent}',
+  'html.survival.truncated': 'Some repositories hit the blame file or time limit, so only part of their files were counted',
+  'html.col.language': 'Language',
+  'html.col.commits': 'Commits',
+  'html.col.files': 'Files',
+  'html.col.insertions': 'Added',
+  'html.col.deletions': 'Deleted',
+  'html.col.share': 'Share',
+  'html.col.branch': 'Branch',
+  'html.col.project': 'Project',
+  'html.col.partner': 'Partner',
+  'html.col.sharedCommits': 'Shared commits',
+  'html.col.member': 'Member',
+  'html.col.annualTitle': 'Annual title',
+  'html.col.lines': 'Lines',
+  'html.col.activeDays': 'Active days',
+  'html.col.report': 'Report',
+  'html.col.repo': 'Repository',
+  'html.col.totalCommits': 'Total commits',
+  'html.col.owners': 'Top contributors',
+  'html.col.messages': 'Messages',
+  'html.col.messageScore': 'Score',
+  'html.col.conventional': 'Conventional',
+  'html.col.lazy': 'Low-effort',
+  'html.col.file': 'File',
+  'html.col.directory': 'Directory',
+  'html.col.size': 'Lines now',
+  'html.col.churnRatio': 'Churn × size',
+  'html.col.reworked': 'Reworked',
+  'html.col.reworkRatio': 'Rework rate',
+  'html.col.surviving': 'Surviving',
+  'html.col.survivalRate': 'Survival rate',
+  'html.col.ownership': 'Ownership',
+  'html.col.blamedFiles': 'Files blamed',
+  'section.badges': 'Badges',
+  'section.hourDistribution': 'Commits by hour',
+  'section.weekDistribution': 'Commits by weekday',
+  'section.monthlyTrend': 'Monthly trend',
+  'section.languages': 'Languages',
+  'section.quarterly': 'Quarterly comparison',
+  'section.branches': 'Branches',
+  'section.pairing': 'Pair programming',
+  'section.excluded': 'Excluded changes',
+  'section.comparison': 'Year over year ({since} ~ {until})',
+  'section.members': 'Members',
+  'section.commitsLeaderboard': 'Commits leaderboard',
+  'section.linesLeaderboard': 'Lines leaderboard',
+  'section.activeDaysLeaderboard': 'Active days leaderboard',
+  'section.streakLeaderboard': 'Longest streak leaderboard',
+  'section.ownership': 'Repository ownership',
+  'section.teamHeatmap': 'Team commit heatmap',
+  'section.calendar': 'Contribution calendar',
+  'section.messageQuality': 'Commit message quality',
+  'section.churn': 'Rework and hotspots',
+  'section.survival': 'Surviving code and ownership',
+  'stat.totalCommits': 'Total commits',
+  'stat.totalInsertions': 'Lines added',
+  'stat.netLines': 'Net lines',
+  'stat.activeDays': 'Active days',
+  'stat.longestStreak': 'Longest streak',
+  'stat.projectCount': 'Projects',
+  'stat.mainLanguage': 'Main language',
+  'unit.days': '{count} days',
+  'unit.commits': '{count} commits',
+  'unit.lines': '{count} lines',
+  'unit.chars': '{count} chars',
+  'weekday.0': 'Sun',
+  'weekday.1': 'Mon',
+  'weekday.2': 'Tue',
+  'weekday.3': 'Wed',
+  'weekday.4': 'Thu',
+  'weekday.5': 'Fri',
+  'weekday.6': 'Sat',
+  'month.1': 'Jan',
+  'month.2': 'Feb',
+  'month.3': 'Mar',
+  'month.4': 'Apr',
+  'month.5': 'May',
+  'month.6': 'Jun',
+  'month.7': 'Jul',
+  'month.8': 'Aug',
+  'month.9': 'Sep',
+  'month.10': 'Oct',
+  'month.11': 'Nov',
+  'month.12': 'Dec',
+  'poster.unknownTheme': 'Unknown poster theme: {value}, available: {options}',
+  'poster.unknownSize': 'Unknown poster size: {value}, available: {options}',
+  'poster.heading': '{year} Annual Code Report',
+  'poster.pngUnavailable': 'PNG export needs @resvg/resvg-js, which cannot be loaded on this platform: {reason}'
+};
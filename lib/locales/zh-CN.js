@@ -0,0 +1,430 @@
+/**
+ * 简体中文语言包（默认语言，其他语言缺少的消息回退到这里）
+ * 文案中的 {name} 为参数，{name/N} 为参数除以 N 后向下取整
+ */
+
+module.exports = {
+  // ========== 命令行 ==========
+  'cli.help': `
+用法: annual-code-report [选项]
+
+选项:
+  -a, --author <name>    Git 用户名或邮箱（用于过滤提交），可多次指定或用逗号分隔同一个人的多个身份
+  -r, --root <dir>       Git 仓库根目录（如有多个仓库请选择共同的父级目录）
+      --submodules       同时分析仓库中的子模块
+      --nested-repos     继续在仓库内查找嵌套的独立仓库
+      --max-depth <n>    扫描仓库的最大目录深度（根目录为 0，默认不限）
+      --include-dir <pattern>  只分析路径匹配的仓库（gitignore 风格，相对根目录），可多次指定
+      --exclude-dir <pattern>  扫描时跳过匹配的目录（如 archive/、third_party），可多次指定
+  -s, --since <date>     统计开始日期 (YYYY-MM-DD)
+  -u, --until <date>     统计结束日期 (YYYY-MM-DD)
+  -o, --output <file>    报告输出文件（默认 report.json）
+      --no-open          生成后不自动打开报告页面
+      --web              打开在线报告页面（报告数据会编码进 URL），默认打开本地 HTML 报告
+  -q, --quiet            静默模式，只输出错误信息
+      --no-cache         不读取也不写入分析缓存
+      --clear-cache      分析前清空缓存
+      --cache-dir <dir>  缓存目录（默认 ~/.cache/annual-code-report）
+  -j, --concurrency <n>  同时分析的仓库数（默认 4）
+  -t, --timezone <tz>    统计小时/星期/日期所用的时区: author 按每个提交自身记录的时区（默认）、
+                         local 本机时区、UTC、±HH:MM 或 IANA 时区名（如 Asia/Shanghai）
+      --no-default-excludes   不使用内置的路径排除规则（锁文件、构建产物、第三方代码等）
+      --all-branches     分析所有本地和远程分支（默认只分析当前检出的分支）
+      --churn-days <n>   翻工窗口：写下后 n 天内被自己改写或删除的代码计为翻工（默认 21）
+      --blame            在统计区间结束时的最后一个提交上 git blame，统计代码存活率和仓库归属占比（较慢）
+      --blame-max-files <n>   每个仓库最多 blame 的文件数（默认 1000），指定时启用 --blame
+      --blame-timeout <s>     每个仓库 blame 的最长耗时（秒，默认 120），指定时启用 --blame
+      --count-co-authored     将自己作为共同作者（Co-authored-by）的他人提交计入提交数、代码行数等统计
+      --rules <file>     徽章、称号与提示文案规则文件（默认读取 ~/.config/annual-code-report/rules.json）
+      --compare          生成同比对比（默认对比去年同期）
+      --compare-since <date>  对比区间开始日期 (YYYY-MM-DD)，指定后自动开启对比
+      --compare-until <date>  对比区间结束日期 (YYYY-MM-DD)，指定后自动开启对比
+      --compare-report <file> 以已有的个人报告 JSON（如去年的 report.json）作为上期数据进行对比，不重新分析对比区间
+      --team             团队模式：为所有提交者分别生成个人报告，并生成团队汇总报告
+  -m, --member <ids>     团队模式下只统计指定成员，可多次指定，每次一位成员（同一人的多个身份用逗号分隔），指定后自动开启团队模式
+      --poster           同时导出分享海报（SVG + PNG）
+      --poster-theme <name>   海报主题: {themes}（默认 midnight），指定后自动导出海报
+      --poster-size <size>    海报尺寸: portrait 竖版 / landscape 横版（默认 portrait），指定后自动导出海报
+      --from-report <file>    不重新分析，根据已有的报告 JSON 导出分享海报
+      --upgrade-report <file> 把旧版报告 JSON 升级到当前结构并重新生成 HTML（写入 --output，默认覆盖原文件）
+      --redact <level>   脱敏级别: {redactLevels}（默认 full）。internal 移除邮箱；
+                         public 另外移除提交信息和文件路径，项目、分支、协作者改为代号
+      --redact-preview   只预览脱敏会移除或替换哪些内容，不生成报告
+  -l, --locale <lang>    输出语言: {locales}（默认按 LC_ALL、LC_MESSAGES、LANG、LANGUAGE 环境变量识别）
+  -h, --help             显示帮助信息
+  -v, --version          显示版本号
+
+未通过参数指定的值会在运行时交互式询问。
+`,
+  'cli.usageHint': '使用 --help 查看可用参数',
+  'cli.emptyOption': '{option} 不能为空',
+  'cli.teamWithAuthor': '团队模式下不能同时指定 --author，请使用 --member 指定成员',
+  'cli.teamWithCompare': '团队模式暂不支持同比对比',
+  'cli.compareReportWithCompare': '--compare-report 不能与 --compare、--compare-since、--compare-until 同时使用',
+  'cli.reportUpgraded': '📦 报告结构已从版本 {from} 升级到版本 {to}: {file}',
+  'cli.reportUpToDate': '📦 报告已是当前结构（版本 {to}），已重新生成: {file}',
+  'cli.invalidDate': '日期格式无效: "{value}"，请使用 YYYY-MM-DD 格式',
+  'cli.dirNotFound': '目录不存在: {dir}',
+  'cli.fileNotFound': '文件不存在: {file}',
+  'cli.invalidChoice': '无效: "{value}"，可选: {options}',
+  'cli.positiveInteger': '必须是正整数: "{value}"',
+  'cli.nonNegativeInteger': '必须是非负整数: "{value}"',
+  'cli.sinceAfterUntil': '开始日期 {since} 晚于结束日期 {until}',
+  'cli.compareSinceAfterUntil': '对比开始日期 {since} 晚于对比结束日期 {until}',
+  'cli.banner': '🚀 年度代码报告生成器',
+  'cli.usingGitUser': '👤 使用 Git 用户: {name} <{email}>',
+  'cli.prompt.root': '你的 Git 仓库根目录路径（如有多个仓库请选择共同的父级目录）:',
+  'cli.prompt.author': '请输入你的 Git 用户名或邮箱（多个身份用逗号分隔）:',
+  'cli.prompt.authorRequired': '请输入你的 Git 用户名或邮箱',
+  'cli.prompt.identities': '检测到多个 Git 身份，请选择属于你的所有身份:',
+  'cli.prompt.identitiesRequired': '请至少选择一个身份',
+  'cli.prompt.since': '统计开始日期 (YYYY-MM-DD):',
+  'cli.prompt.until': '统计结束日期 (YYYY-MM-DD):',
+  'cli.done': '🎉 报告生成完成，请前往 {output} 查看统计数据',
+
+  // ========== 生成流程日志 ==========
+  'generate.scanning': '🔍 正在扫描 Git 仓库...',
+  'generate.scanned': '📁 扫描完成，共找到 {count} 个仓库',
+  'generate.scanProblems': '⚠️  扫描时跳过 {count} 个目录:',
+  'generate.cached': '缓存',
+  'generate.failed': '失败',
+  'generate.analyzed': '✅ 分析完成: {count} 个仓库有你的提交，耗时 {time}',
+  'generate.skipped': '⏭️  跳过或部分跳过 {count} 个仓库:',
+  'generate.failedRepos': '❌ 分析失败 {count} 个仓库:',
+  'generate.cacheCleared': '🧹 已清空缓存: {dir}',
+  'generate.comparing': '📅 正在分析对比区间 {since} ~ {until}...',
+  'generate.redacted': '🔒 已按 {level} 级别脱敏',
+  'generate.htmlWritten': '📄 离线报告已生成: {file}',
+  'generate.posterWritten': '🖼️  分享海报已生成: {file}',
+  'generate.reportUnreadable': '无法读取报告文件 {file}: {reason}',
+  'generate.notPersonalReport': '{file} 不是个人年度报告文件',
+  'generate.compressed': '📊 数据压缩完成: {from} → {to} 字符',
+  'generate.opening': '🌍 正在打开年度报告页面...',
+  'generate.webUrl': '🔗 在线报告链接: {url}',
+  'generate.membersFound': '👥 共识别出 {count} 位团队成员，开始分析...',
+  'generate.teamAnalyzed': '✅ 分析完成，耗时 {time}',
+  'generate.memberReportsWritten': '📂 个人报告已生成: {dir}',
+  'generate.teamReportWritten': '📄 团队报告已生成: {file}',
+
+  // ========== 进度 ==========
+  'progress.currentMany': '{name} 等 {count} 个',
+  'progress.elapsed': '已用 {time}',
+  'progress.eta': '预计剩余 {time}',
+  'progress.current': '当前: {name}',
+
+  // ========== 分析警告 ==========
+  'analyze.fileChangesFailed': '文件增删统计失败: {reason}',
+  'analyze.branchesFailed': '分支统计失败: {reason}',
+  'analyze.messageBodiesFailed': '提交正文读取失败: {reason}',
+  'analyze.fileSizesFailed': '热点文件行数读取失败: {reason}',
+  'analyze.blameFailed': 'blame 统计失败: {reason}',
+  'analyze.noCommits': '统计范围内没有你的提交',
+  'analyze.partialFailure': '部分统计失败（{warnings}）',
+  'analyze.listSeparator': '；',
+  'analyze.noRoots': '未指定要分析的仓库根目录',
+  'analyze.noAuthors': '未指定要统计的 Git 作者',
+  'analyze.invalidDate': '{option} 日期格式无效: "{value}"，请使用 YYYY-MM-DD 格式',
+  'analyze.sinceAfterUntil': '开始日期 {since} 晚于结束日期 {until}',
+  'discover.inaccessible': '无法访问: {reason}',
+  'discover.unrecognized': '无法识别仓库: {reason}',
+  'discover.unreadable': '无法读取目录: {reason}',
+  'discover.duplicateWorktree': '与 {path} 是同一仓库的工作树，已跳过',
+  'timezone.invalid': '时区无效: "{value}"，请使用 author、local、UTC、±HH:MM 或 IANA 时区名（如 Asia/Shanghai）',
+
+  // ========== 规则文件 ==========
+  'rules.invalid': '规则文件 {file} 无效: {reason}',
+  'rules.unreadable': '无法读取规则文件 {file}: {reason}',
+  'rules.missingMetric': '{where} 缺少 metric',
+  'rules.badOperator': '{where} 的比较符 "{op}" 无效，可选: {operators}',
+  'rules.badValue': '{where} 的 value 必须是数字或 { summary, repo }',
+  'rules.notObject': '内容必须是 JSON 对象',
+  'rules.missingId': '{where} 缺少 id',
+  'rules.missingField': '{where} 缺少 {field}',
+  'rules.badWhen': '{where} 的 when 必须是条件数组',
+  'rules.badDisable': 'disable 必须是规则 id 数组',
+
+  // ========== 徽章 ==========
+  'badge.early-bird': '🌅 早起鸟',
+  'badge.early-bird.desc': '06:00-09:00 的提交占比高',
+  'badge.night-owl': '🦉 夜猫子',
+  'badge.night-owl.desc': '22:00-07:00 的提交占比高',
+  'badge.weekend-warrior': '💪 周末战士',
+  'badge.weekend-warrior.desc': '周末提交占比高',
+  'badge.steady': '🔥 稳定输出',
+  'badge.steady.desc': '连续提交至少 7 天',
+  'badge.slacker': '🏖️ 摸鱼王',
+  'badge.slacker.desc': '最长连续 14 天以上没有提交',
+  'badge.late-night': '🌙 深夜肝帝',
+  'badge.late-night.desc': '02:00-06:00 提交超过 10 次',
+  'badge.refactor-master': '🔨 重构大师',
+  'badge.refactor-master.desc': '单次改动超过 500 行的大型重构较多',
+  'badge.collaborator': '🤝 协作达人',
+  'badge.collaborator.desc': '合并提交较多',
+  'badge.pair-programmer': '👯 结对编程达人',
+  'badge.pair-programmer.desc': '结对提交不少于 10 次且占比超过 30%',
+  'badge.multi-project': '🚀 多项目达人',
+  'badge.multi-project.desc': '参与至少 10 个项目',
+  'badge.thousand-commits': '💎 千次提交',
+  'badge.thousand-commits.desc': '提交至少 1000 次',
+  'badge.hundred-k-lines': '📝 十万+行代码',
+  'badge.hundred-k-lines.desc': '新增代码至少 10 万行',
+
+  // ========== 年度称号 ==========
+  'title.code-maniac': '💎 代码狂人',
+  'title.code-maniac.desc': '提交次数惊人',
+  'title.output-king': '📝 产出之王',
+  'title.output-king.desc': '代码产出极高',
+  'title.night-walker': '🦉 暗夜行者',
+  'title.night-walker.desc': '深夜是你的主场',
+  'title.dawn-pioneer': '🌅 晨光先锋',
+  'title.dawn-pioneer.desc': '早起的鸟儿有代码写',
+  'title.weekend-god': '💪 周末战神',
+  'title.weekend-god.desc': '周末也在燃烧',
+  'title.persistent': '🔥 持之以恒',
+  'title.persistent.desc': '连续提交天数超长',
+  'title.refactor-god': '🔨 重构之神',
+  'title.refactor-god.desc': '大刀阔斧改代码',
+  'title.full-stack-ranger': '🚀 全栈游侠',
+  'title.full-stack-ranger.desc': '多项目同时推进',
+  'title.team-hub': '🤝 团队枢纽',
+  'title.team-hub.desc': '协作合并最频繁',
+  'title.zen-developer': '🏖️ 佛系开发',
+  'title.zen-developer.desc': '张弛有度，懂得休息',
+  'title.midnight-grinder': '🌙 深夜肝帝',
+  'title.midnight-grinder.desc': '凌晨还在写代码',
+
+  // ========== 提示文案 ==========
+  'tip.projectCount.multiThread': '🚀 多线程人类，同时驾驭多个项目',
+  'tip.projectCount.expert': '💪 项目达人，涉猎广泛',
+  'tip.projectCount.parallel': '📦 稳扎稳打，多项目并行',
+  'tip.projectCount.fallback': '🎯 专注深耕',
+  'tip.totalCommits.thousand': '💎 千次提交，代码狂人',
+  'tip.totalCommits.prolific': '🔥 高产似母猪',
+  'tip.totalCommits.steady': '⚡ 稳定输出中',
+  'tip.totalCommits.fallback': '🌱 持续成长中',
+  'tip.totalInsertions.novels': '📚 相当于写了 {totalInsertions/30000} 本小说',
+  'tip.totalInsertions.impressive': '📝 产出惊人',
+  'tip.totalInsertions.diligent': '✍️ 笔耕不辍',
+  'tip.totalInsertions.fallback': '📖 积少成多',
+  'tip.netLines.considerable': '📈 净增代码量可观',
+  'tip.netLines.growing': '📊 稳步增长',
+  'tip.netLines.fallback': '🔄 精简优化中',
+  'tip.activeDays.allYear': '🔥 全年无休，肝帝本帝',
+  'tip.activeDays.hardWorking': '💪 勤奋打工人',
+  'tip.activeDays.regular': '⏰ 稳定出勤',
+  'tip.activeDays.fallback': '🌴 劳逸结合',
+  'tip.longestStreak.month': '🔥 连续一个月，毅力惊人',
+  'tip.longestStreak.twoWeeks': '💪 比坚持健身还久',
+  'tip.longestStreak.week': '⚡ 一周连击',
+  'tip.longestStreak.fallback': '🎯 专注当下',
+  'tip.longestGap.longBreak': '🏖️ 超长假期，希望是在度假',
+  'tip.longestGap.champion': '😴 摸鱼冠军',
+  'tip.longestGap.rest': '🌴 适度休息',
+  'tip.longestGap.fallback': '🔥 几乎不休息',
+  'tip.longestWorkSession.movies': '⏰ 相当于看了 {longestWorkSessionHours/2} 部电影',
+  'tip.longestWorkSession.marathon': '💪 超长待机',
+  'tip.longestWorkSession.fallback': '⚡ 高效工作',
+  'tip.bigRefactorCount.god': '🔨 重构之神，代码焕然一新',
+  'tip.bigRefactorCount.master': '🛠️ 重构大师',
+  'tip.bigRefactorCount.tidy': '🔧 勤于优化',
+  'tip.bigRefactorCount.fallback': '📦 稳定为主',
+  'tip.topCollaborators.social': '🤝 社交达人，协作广泛',
+  'tip.topCollaborators.core': '👥 团队核心',
+  'tip.topCollaborators.fallback': '🎯 独立作战',
+  'tip.branchesCreated.master': '🌿 分支管理大师',
+  'tip.branchesCreated.expert': '🌱 分支达人',
+  'tip.branchesCreated.orderly': '🪴 有序开发',
+  'tip.branchesCreated.fallback': '🎋 精简分支',
+  'tip.weekend.warrior': '💪 周末战士，休息日也在战斗',
+  'tip.weekend.sometimes': '⚡ 偶尔周末加班',
+  'tip.weekend.fallback': '🌴 周末好好休息',
+  'tip.nightOwl.owl': '🦉 夜猫子，深夜是你的主场',
+  'tip.nightOwl.sometimes': '🌙 偶尔熬夜',
+  'tip.nightOwl.fallback': '😴 作息规律',
+  'tip.earlyBird.bird': '🌅 早起鸟，比太阳还勤快',
+  'tip.earlyBird.sometimes': '☀️ 偶尔早起',
+  'tip.earlyBird.fallback': '😴 不是早起型',
+  'tip.messageQuality.exemplary': '📜 提交信息堪称范本',
+  'tip.messageQuality.tidy': '📝 提交信息清晰规范',
+  'tip.messageQuality.casual': '✏️ 提交信息还算达意',
+  'tip.messageQuality.fallback': '🙈 提交信息有点随意',
+  'tip.coffee': '☕ 按每2次提交喝1杯咖啡算，你喝了 {cups} 杯',
+  'tip.mainLanguage': '💻 {language} 占了你 {percent}% 的代码',
+  'tip.pairing': '👯 {percent}% 的提交是和伙伴一起完成的',
+
+  // ========== 同比对比 ==========
+  'compare.metric.totalCommits': '提交数',
+  'compare.metric.totalInsertions': '新增代码行数',
+  'compare.metric.totalDeletions': '删除代码行数',
+  'compare.metric.netLines': '净增代码行数',
+  'compare.metric.activeDays': '活跃天数',
+  'compare.metric.longestStreak': '最长连续提交天数',
+  'compare.metric.projectCount': '参与项目数',
+  'compare.tip.fromZero': '🆕 {metric}从 0 增长到 {current}',
+  'compare.tip.increase': '📈 {metric}比去年增长 {percent}%',
+  'compare.tip.decrease': '📉 {metric}比去年减少 {percent}%',
+  'compare.tip.peakHour': '🕐 提交高峰从 {previous} 点移到了 {current} 点',
+  'compare.tip.projectsAdded': '🚀 新参与了 {count} 个项目',
+  'compare.tip.projectsDropped': '👋 告别了 {count} 个项目',
+  'compare.tip.collaboratorsAdded': '🤝 新结识了 {count} 位协作者',
+
+  // ========== 语言 ==========
+  'i18n.invalidLocale': '不支持的语言: "{value}"，可选: {locales}',
+
+  // ========== 报告结构 ==========
+  'schema.invalid': '报告数据不符合报告结构，共 {count} 个问题：',
+  'schema.more': '……另有 {count} 个问题',
+  'schema.type': '类型应为 {expected}',
+  'schema.const': '应为 {expected}',
+  'schema.enum': '应为以下值之一: {expected}',
+  'schema.minimum': '不能小于 {expected}',
+  'schema.required': '缺少必需字段',
+  'schema.additionalProperties': '不允许的字段',
+  'schema.minItems': '至少需要 {expected} 项',
+  'schema.maxItems': '最多只能有 {expected} 项',
+  'schema.notReport': '不是有效的报告数据',
+  'schema.badVersion': '无效的报告结构版本: {version}',
+  'schema.tooNew': '报告结构版本 {version} 比当前工具支持的版本 {current} 更新，请升级 annual-code-report',
+
+  // ========== 脱敏 ==========
+  'redact.invalid': '脱敏级别无效: "{value}"，可选: {levels}',
+  'redact.alias.project': '项目',
+  'redact.alias.collaborator': '协作者',
+  'redact.alias.branch': '分支',
+  'redact.field.email': '邮箱',
+  'redact.field.projectName': '项目名称',
+  'redact.field.collaboratorName': '协作者姓名',
+  'redact.field.branchName': '分支名称',
+  'redact.field.commitMessage': '提交信息',
+  'redact.field.keyword': '提交关键词',
+  'redact.field.filePath': '文件路径',
+  'redact.field.excludeRule': '排除规则',
+  'redact.field.identity': '作者身份',
+  'redact.field.commitScope': '提交范围（scope）',
+  'redact.preview.full': '🔓 脱敏级别 full：报告将包含全部信息（提交信息、文件路径、项目名称、邮箱等）',
+  'redact.preview.nothing': '🔒 脱敏级别 {level}：报告中没有需要处理的内容',
+  'redact.preview.changes': '🔒 脱敏级别 {level}，将移除或替换以下内容:',
+  'redact.preview.item': '{field}: {count} 处',
+
+  // ========== HTML 报告与海报 ==========
+  'report.noCommits': '统计范围内没有找到任何提交记录',
+  'html.title': '年度代码报告',
+  'html.teamTitle': '团队年度代码报告',
+  'html.noData': '暂无数据',
+  'html.noBadges': '暂未获得徽章',
+  'html.footer': '生成于 {time} · 本页面为离线文件，不包含任何外部资源',
+  'html.defaultBranch': '（默认分支）',
+  'html.branchesCreated': '🌱 表示由你创建的分支，统计范围内共创建 {count} 个',
+  'html.pairing.counted': '已计入上面的统计',
+  'html.pairing.notCounted': '未计入上面的统计',
+  'html.pairing.summary': '{tip}（本人提交带共同作者 {authored} 次，作为共同作者 {coAuthored} 次，{note}）',
+  'html.excluded': '锁文件、构建产物、第三方代码等路径共 {lines} 行变更未计入上面的统计',
+  'html.memberCount': '{count} 位成员',
+  'html.view': '查看',
+  'html.listSeparator': '、',
+  'html.calendar.day': '{date}：{commits} 次提交，{lines} 行',
+  'html.calendar.less': '少',
+  'html.calendar.more': '多',
+  'html.messageQuality.summary': '{tip}，共分析 {count} 条提交信息（不含合并提交），质量得分 {score}/100',
+  'html.messageQuality.conventional': '符合 Conventional Commits',
+  'html.messageQuality.lazy': '敷衍的提交信息（wip、fix、update 等）',
+  'html.messageQuality.issueRefs': '引用 issue/工单',
+  'html.messageQuality.body': '带正文说明',
+  'html.messageQuality.breaking': '破坏性变更',
+  'html.messageQuality.avgLength': '平均标题长度',
+  'html.messageQuality.lengths': '标题长度分布（字符）',
+  'html.messageQuality.scopes': '常用 scope',
+  'html.churn.summary': '写下后 {days} 天内又被自己改写或删除的代码共 {reworked} 行，占新增代码的 {percent}',
+  'html.churn.hotspots': '热点文件（改动行数相对文件行数最多）',
+  'html.churn.directories': '热点目录（按改动行数）',
+  'html.survival.summary': '统计区间内新增的 {insertions} 行代码中，区间结束时仍保留 {surviving} 行，存活率 {percent}',
+  'html.survival.ownership': '已 blame 的 {lines} 行代码中有 {mine} 行由你写下，归属占比 {percent}',
+  'html.survival.truncated': '部分仓库达到了 blame 的文件数或耗时限制，只统计了其中一部分文件',
+  'html.col.language': '语言',
+  'html.col.commits': '提交',
+  'html.col.files': '文件',
+  'html.col.insertions': '新增',
+  'html.col.deletions': '删除',
+  'html.col.share': '占比',
+  'html.col.branch': '分支',
+  'html.col.project': '项目',
+  'html.col.partner': '结对伙伴',
+  'html.col.sharedCommits': '共同提交',
+  'html.col.member': '成员',
+  'html.col.annualTitle': '年度称号',
+  'html.col.lines': '代码行数',
+  'html.col.activeDays': '活跃天数',
+  'html.col.report': '个人报告',
+  'html.col.repo': '仓库',
+  'html.col.totalCommits': '总提交',
+  'html.col.owners': '主要贡献者',
+  'html.col.messages': '提交信息',
+  'html.col.messageScore': '得分',
+  'html.col.conventional': '规范率',
+  'html.col.lazy': '敷衍率',
+  'html.col.file': '文件',
+  'html.col.directory': '目录',
+  'html.col.size': '当前行数',
+  'html.col.churnRatio': '改动倍数',
+  'html.col.reworked': '翻工行数',
+  'html.col.reworkRatio': '翻工率',
+  'html.col.surviving': '存活行数',
+  'html.col.survivalRate': '存活率',
+  'html.col.ownership': '归属占比',
+  'html.col.blamedFiles': '已 blame 文件',
+  'section.badges': '年度徽章',
+  'section.hourDistribution': '24 小时提交分布',
+  'section.weekDistribution': '星期提交分布',
+  'section.monthlyTrend': '月度趋势',
+  'section.languages': '语言分布',
+  'section.quarterly': '季度对比',
+  'section.branches': '参与的分支',
+  'section.pairing': '结对编程',
+  'section.excluded': '已排除的变更',
+  'section.comparison': '同比对比（{since} ~ {until}）',
+  'section.members': '成员',
+  'section.commitsLeaderboard': '提交数排行',
+  'section.linesLeaderboard': '代码行数排行',
+  'section.activeDaysLeaderboard': '活跃天数排行',
+  'section.streakLeaderboard': '最长连续提交排行',
+  'section.ownership': '仓库归属',
+  'section.teamHeatmap': '团队提交热力图',
+  'section.calendar': '贡献日历',
+  'section.messageQuality': '提交信息质量',
+  'section.churn': '翻工与热点',
+  'section.survival': '代码存活与归属',
+  'stat.totalCommits': '总提交次数',
+  'stat.totalInsertions': '新增代码行数',
+  'stat.netLines': '净增代码行数',
+  'stat.activeDays': '活跃天数',
+  'stat.longestStreak': '最长连续提交',
+  'stat.projectCount': '参与项目',
+  'stat.mainLanguage': '主力语言',
+  'unit.days': '{count} 天',
+  'unit.commits': '{count} 次',
+  'unit.lines': '{count} 行',
+  'unit.chars': '{count} 字符',
+  'weekday.0': '周日',
+  'weekday.1': '周一',
+  'weekday.2': '周二',
+  'weekday.3': '周三',
+  'weekday.4': '周四',
+  'weekday.5': '周五',
+  'weekday.6': '周六',
+  'month.1': '1月',
+  'month.2': '2月',
+  'month.3': '3月',
+  'month.4': '4月',
+  'month.5': '5月',
+  'month.6': '6月',
+  'month.7': '7月',
+  'month.8': '8月',
+  'month.9': '9月',
+  'month.10': '10月',
+  'month.11': '11月',
+  'month.12': '12月',
+  'poster.unknownTheme': '未知的海报主题: {value}，可选: {options}',
+  'poster.unknownSize': '未知的海报尺寸: {value}，可选: {options}',
+  'poster.heading': '{year} 年度代码报告',
+  'poster.pngUnavailable': 'PNG 导出需要 @resvg/resvg-js，当前平台无法加载: {reason}'
+};
@@ -0,0 +1,228 @@
+/**
+ * Git 年度报告 - 提交信息质量模块
+ * 分析提交信息是否符合 Conventional Commits（https://www.conventionalcommits.org）、标题长度、是否有正文、是否关联 issue 等，并给出 0~100 的质量得分
+ * 合并提交的信息由 git 自动生成，不参与分析
+ */
+
+/**
+ * 匹配 Conventional Commits 标题：type(scope)!: description
+ * 规范允许任意类型名，这里只要求以字母开头，由字母、数字和连字符组成
+ */
+const CONVENTIONAL_REGEX = /^([a-z][a-z0-9-]*)(?:\(([^()\r\n]+)\))?(!)?: (.+)$/i;
+
+/** 正文或尾注中的破坏性变更标记 */
+const BREAKING_FOOTER_REGEX = /^BREAKING[ -]CHANGE: /m;
+
+/**
+ * 只用作占位的提交信息中的词，去掉这些词以及数字、标点后为空即视为敷衍的提交信息（如 "wip"、"fix bug"、"update"、"修改"）
+ * 只收录常被单独用作提交信息的占位词，"code"、"more"、"优化" 这类普通词不收录
+ */
+const LAZY_WORDS_REGEX = /\b(?:wip|fix(?:es|ed|up)?|bugs?|bugfix|updates?|updated|changes?|changed|tmp|temp|test|misc|stuff|save|commit|again)\b|修改|更新|修复|提交|临时|测试|一下|问题/g;
+
+/** issue/工单引用：#123、GH-123、JIRA 风格的 PROJ-123、issue/PR/MR 链接 */
+const ISSUE_REF_REGEX = /(?:^|[^\w&/])#\d+\b|\bGH-\d+\b|\/(?:issues|pull|merge_requests)\/\d+|\b([A-Z][A-Z0-9]+)-\d+\b/g;
+
+/** 形如 PROJ-123 但通常不是工单号的前缀 */
+const NON_TICKET_PREFIXES = new Set(['UTF', 'SHA', 'ISO', 'ES', 'RFC', 'HTTP', 'TLS', 'SSL', 'MD', 'X']);
+
+/** 尾注行（Co-authored-by: ...、Signed-off-by: ... 等），只由尾注组成的正文不算有正文 */
+const TRAILER_REGEX = /^[A-Za-z][\w-]*: .+$|^BREAKING[ -]CHANGE: .+$/;
+
+/** 标题长度分段的上限（字符数），最后一段没有上限；11~72 个字符为合适的长度 */
+const SUBJECT_LENGTH_LIMITS = [10, 50, 72];
+
+/** 合适的标题长度范围 */
+const GOOD_SUBJECT_LENGTH = { min: 11, max: 72 };
+
+/** 保留的常用 scope 数量 */
+const TOP_SCOPES = 10;
+
+/**
+ * 质量得分的组成：各项比例达到 target 即得满 weight 分，合计 100 分
+ * 正文和 issue 引用并非每次提交都需要，达到一半即得满分
+ */
+const SCORE_FACTORS = [
+  { metric: 'conventionalRate', weight: 30, target: 1 },
+  { metric: 'descriptiveRate', weight: 25, target: 1 },
+  { metric: 'goodLengthRate', weight: 20, target: 1 },
+  { metric: 'issueRefRate', weight: 15, target: 0.5 },
+  { metric: 'bodyRate', weight: 10, target: 0.5 }
+];
+
+/**
+ * 解析 Conventional Commits 标题
+ * @param {string} subject - 提交标题
+ * @returns {{ type: string, scope: string|null, breaking: boolean, description: string }|null} 不符合规范时为 null
+ */
+function parseConventional(subject) {
+  const match = CONVENTIONAL_REGEX.exec(subject.trim());
+  if (!match) return null;
+  return { type: match[1].toLowerCase(), scope: match[2] ? match[2].trim() : null, breaking: !!match[3], description: match[4].trim() };
+}
+
+/**
+ * 判断提交是否为合并提交（信息由 git 自动生成）
+ * @param {string} subject - 提交标题
+ * @returns {boolean}
+ */
+function isMergeMessage(subject) {
+  return subject.toLowerCase().startsWith('merge');
+}
+
+/**
+ * 判断提交信息是否敷衍（只有 "wip"、"fix"、"update" 之类的词）
+ * @param {string} description - 提交标题（已去掉 Conventional Commits 前缀）
+ * @returns {boolean}
+ */
+function isLazyMessage(description) {
+  return !description.toLowerCase().replace(LAZY_WORDS_REGEX, '').replace(/[^\p{L}]/gu, '');
+}
+
+/**
+ * 判断文本中是否引用了 issue 或工单
+ * @param {string} text - 提交标题与正文
+ * @returns {boolean}
+ */
+function hasIssueRef(text) {
+  return [...text.matchAll(ISSUE_REF_REGEX)].some(m => !m[1] || !NON_TICKET_PREFIXES.has(m[1]));
+}
+
+/**
+ * 去掉正文末尾的尾注段落
+ * @param {string} body - 提交正文（不含标题）
+ * @returns {string}
+ */
+function stripTrailers(body) {
+  const paragraphs = body.trim().split(/\n\s*\n/);
+  const last = paragraphs[paragraphs.length - 1].split('\n').filter(l => l.trim());
+  if (last.length && last.every(l => TRAILER_REGEX.test(l.trim()))) paragraphs.pop();
+  return paragraphs.join('\n\n').trim();
+}
+
+/**
+ * 按各项计数计算比例与质量得分
+ * @param {Object} counts - 各项计数（analyzed、conventional、lazy、goodLength、issueRefs、withBody）
+ * @returns {{ conventionalRate: number, lazyRate: number, issueRefRate: number, bodyRate: number, score: number }}
+ */
+function scoreOf(counts) {
+  const rate = n => (counts.analyzed ? n / counts.analyzed : 0);
+  const rates = {
+    conventionalRate: rate(counts.conventional),
+    descriptiveRate: counts.analyzed ? 1 - rate(counts.lazy) : 0,
+    goodLengthRate: rate(counts.goodLength),
+    issueRefRate: rate(counts.issueRefs),
+    bodyRate: rate(counts.withBody)
+  };
+  const score = SCORE_FACTORS.reduce((a, f) => a + f.weight * Math.min(1, rates[f.metric] / f.target), 0);
+  return {
+    conventionalRate: Number(rates.conventionalRate.toFixed(3)),
+    lazyRate: Number(rate(counts.lazy).toFixed(3)),
+    issueRefRate: Number(rates.issueRefRate.toFixed(3)),
+    bodyRate: Number(rates.bodyRate.toFixed(3)),
+    score: Math.round(score)
+  };
+}
+
+/**
+ * 整理为报告中的提交信息质量数据
+ * @param {Object} counts - 各项计数
+ * @param {Object<string, number>} scopeCount - scope → 次数
+ * @param {number[]} lengths - 各标题长度分段的提交数
+ * @param {number} totalLength - 标题长度合计
+ * @returns {Object}
+ */
+function toQuality(counts, scopeCount, lengths, totalLength) {
+  const { analyzed, conventional, breaking, lazy, issueRefs, withBody } = counts;
+  return {
+    analyzed,        // 参与分析的提交数（不含合并提交）
+    conventional,    // 符合 Conventional Commits 的提交数
+    breaking,        // 带破坏性变更标记（type!: 或 BREAKING CHANGE 尾注）的提交数
+    lazy,            // 敷衍的提交信息数（只有 wip、fix、update 之类的词）
+    issueRefs,       // 引用了 issue/工单的提交数
+    withBody,        // 有正文（不算尾注）的提交数
+    ...scoreOf(counts),  // conventionalRate、lazyRate、issueRefRate、bodyRate 及质量得分 score（0~100）
+    topScopes: Object.entries(scopeCount).sort((a, b) => b[1] - a[1]).slice(0, TOP_SCOPES).map(([scope, count]) => ({ scope, count })),
+    subjectLength: {
+      avg: analyzed ? Number((totalLength / analyzed).toFixed(1)) : 0,  // 平均标题长度（字符）
+      goodLength: counts.goodLength,                                      // 长度在 11~72 个字符之间的提交数
+      buckets: lengths.map((count, i) => ({ max: SUBJECT_LENGTH_LIMITS[i] ?? null, count }))  // 各长度分段的提交数，max 为 null 表示没有上限
+    }
+  };
+}
+
+/**
+ * 分析单个仓库的提交信息质量
+ * @param {{ message: string, body?: string }[]} commits - 提交记录（message 为标题，body 为正文）
+ * @returns {Object} 提交信息质量，见 toQuality
+ */
+function analyzeMessages(commits) {
+  const counts = { analyzed: 0, conventional: 0, breaking: 0, lazy: 0, goodLength: 0, issueRefs: 0, withBody: 0 };
+  const scopeCount = {};
+  const lengths = Array(SUBJECT_LENGTH_LIMITS.length + 1).fill(0);
+  let totalLength = 0;
+
+  commits.forEach(c => {
+    const subject = c.message.trim();
+    if (isMergeMessage(subject)) return;
+    const body = c.body || '';
+    counts.analyzed++;
+
+    const parsed = parseConventional(subject);
+    if (parsed) {
+      counts.conventional++;
+      if (parsed.scope) scopeCount[parsed.scope] = (scopeCount[parsed.scope] || 0) + 1;
+    }
+    if (parsed?.breaking || BREAKING_FOOTER_REGEX.test(body)) counts.breaking++;
+    if (isLazyMessage(parsed ? parsed.description : subject)) counts.lazy++;
+    if (hasIssueRef(`${subject}\n${body}`)) counts.issueRefs++;
+    if (stripTrailers(body)) counts.withBody++;
+
+    const length = [...subject].length;
+    totalLength += length;
+    if (length >= GOOD_SUBJECT_LENGTH.min && length <= GOOD_SUBJECT_LENGTH.max) counts.goodLength++;
+    const bucket = SUBJECT_LENGTH_LIMITS.findIndex(max => length <= max);
+    lengths[bucket === -1 ? SUBJECT_LENGTH_LIMITS.length : bucket]++;
+  });
+
+  return toQuality(counts, scopeCount, lengths, totalLength);
+}
+
+/**
+ * 汇总多个仓库的提交信息质量（得分按合并后的计数重新计算，不是各仓库得分的平均）
+ * 常用 scope 由各仓库的 Top 列表合并，与关键词汇总一样是近似值
+ * @param {{ name: string, messageQuality: Object }[]} repos - 各仓库的统计数据
+ * @returns {Object} 提交信息质量，另含 projects 为各项目的得分与主要比例
+ */
+function mergeMessageQuality(repos) {
+  const counts = { analyzed: 0, conventional: 0, breaking: 0, lazy: 0, goodLength: 0, issueRefs: 0, withBody: 0 };
+  const scopeCount = {};
+  const lengths = Array(SUBJECT_LENGTH_LIMITS.length + 1).fill(0);
+  let totalLength = 0;
+  const withQuality = repos.filter(r => r.messageQuality);
+
+  withQuality.forEach(({ messageQuality: q }) => {
+    Object.keys(counts).filter(key => key !== 'goodLength').forEach(key => { counts[key] += q[key]; });
+    counts.goodLength += q.subjectLength.goodLength;
+    q.topScopes.forEach(({ scope, count }) => { scopeCount[scope] = (scopeCount[scope] || 0) + count; });
+    q.subjectLength.buckets.forEach((b, i) => { lengths[i] += b.count; });
+    totalLength += q.subjectLength.avg * q.analyzed;
+  });
+
+  return {
+    ...toQuality(counts, scopeCount, lengths, totalLength),
+    projects: withQuality  // 各项目的提交信息质量 [{ name, analyzed, score, conventionalRate, lazyRate, issueRefRate, bodyRate }]
+      .filter(r => r.messageQuality.analyzed)
+      .map(({ name, messageQuality: q }) => ({
+        name,
+        analyzed: q.analyzed,
+        score: q.score,
+        conventionalRate: q.conventionalRate,
+        lazyRate: q.lazyRate,
+        issueRefRate: q.issueRefRate,
+        bodyRate: q.bodyRate
+      }))
+      .sort((a, b) => b.analyzed - a.analyzed)
+  };
+}
+
+module.exports = { parseConventional, hasIssueRef, stripTrailers, analyzeMessages, mergeMessageQuality };
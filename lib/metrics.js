@@ -6,23 +6,131 @@
 const dayjs = require('dayjs');
 const isoWeek = require('dayjs/plugin/isoWeek');
 dayjs.extend(isoWeek);
+const { calcLongestStreak, calcLongestGap, mergeTimelines, findPeak } = require('./timeline');
+const { buildCalendar } = require('./calendar');
+const { mergeMessageQuality } = require('./message');
+const { mergeChurn } = require('./churn');
+const { mergeSurvival } = require('./survival');
+const { mergeAliases } = require('./identity');
+const { OTHER } = require('./language');
+const { DEFAULT_RULES, evaluateBadges, pickTitle, evaluateTips } = require('./rules');
+const { createTranslator } = require('./i18n');
+
+/**
+ * 计算各项计数的占比
+ * @param {Object<string, number>} counts - 计数
+ * @param {number} total - 总数
+ * @returns {Object<string, number>}
+ */
+function shareOf(counts, total) {
+  return Object.fromEntries(Object.entries(counts).map(([key, n]) => [key, Number((n / (total || 1)).toFixed(3))]));
+}
+
+/**
+ * 提取单个仓库用于徽章规则的指标（指标名与年度汇总一致）
+ * @param {Object} r - 仓库统计数据
+ * @returns {Object}
+ */
+function repoMetrics(r) {
+  const sum = list => list.reduce((a, b) => a + b, 0);
+  const nightCommits = sum(r.hourDistribution.slice(22)) + sum(r.hourDistribution.slice(0, 7));
+  const rate = n => n / (r.commits || 1);
+  return {
+    totalCommits: r.commits,
+    totalInsertions: r.insertions,
+    totalDeletions: r.deletions,
+    netLines: r.netLines,
+    activeDays: r.activeDays,
+    longestStreak: r.longestStreak,
+    longestGap: r.longestGap,
+    longestWorkSessionHours: r.longestWorkSession ? r.longestWorkSession.hours : 0,
+    earlyBirdCommits: r.earlyBirdCount,
+    earlyBirdRate: rate(r.earlyBirdCount),
+    nightCommits,
+    nightRate: rate(nightCommits),
+    weekendCommits: r.weekendVsWeekday.weekend,
+    weekendRate: rate(r.weekendVsWeekday.weekend),
+    lateNightCommits: r.lateNightCount,
+    lateNightRate: rate(r.lateNightCount),
+    bigRefactorCount: r.bigRefactorCount,
+    mergeCommits: r.mergeCommits,
+    collaboratorCount: r.collaborators.length,
+    branchesCreated: r.branchesCreated || 0,
+    commitTypes: r.commitTypeDistribution,
+    commitTypeShare: shareOf(r.commitTypeDistribution, r.commits),
+    ...messageMetrics(r.messageQuality),
+    ...churnMetrics(r.churn),
+    ...survivalMetrics(r.survival)
+  };
+}
+
+/**
+ * 提取提交信息质量的指标（用于徽章与提示文案规则）
+ * @param {Object} [quality] - 提交信息质量（见 message.js），较早缓存的仓库数据没有该字段
+ * @returns {Object}
+ */
+function messageMetrics(quality) {
+  return {
+    messageQualityScore: quality?.score || 0,
+    conventionalRate: quality?.conventionalRate || 0,
+    lazyMessageRate: quality?.lazyRate || 0,
+    issueRefRate: quality?.issueRefRate || 0,
+    messageBodyRate: quality?.bodyRate || 0,
+    breakingChanges: quality?.breaking || 0
+  };
+}
+
+/**
+ * 提取代码翻工的指标（用于徽章与提示文案规则）
+ * @param {Object} [churn] - 翻工与热点统计（见 churn.js），较早缓存的仓库数据没有该字段
+ * @returns {Object}
+ */
+function churnMetrics(churn) {
+  return {
+    reworkRatio: churn?.reworkRatio || 0,
+    reworkedLines: churn?.reworkedLines || 0
+  };
+}
+
+/**
+ * 提取代码存活与归属的指标（用于徽章与提示文案规则），未启用 blame 时为 0
+ * @param {Object|null} [survival] - 存活与归属统计（见 survival.js）
+ * @returns {Object}
+ */
+function survivalMetrics(survival) {
+  return {
+    survivalRate: survival?.survivalRate || 0,
+    survivingLines: survival?.surviving || 0,
+    ownership: survival?.ownership || 0
+  };
+}
 
 /**
  * 汇总所有仓库数据，生成全局统计报告
  * @param {Object[]} repos - 各仓库的统计数据数组
- * @returns {Object|null} 汇总后的全局统计数据
+ * @param {Object} [options] - 选项
+ * @param {Object} [options.rules=DEFAULT_RULES] - 徽章、称号与提示文案规则（见 rules.js）
+ * @param {string} [options.locale] - 徽章、称号与提示文案的语言（见 i18n.js）
+ * @param {{ since: string, until: string }} [options.range] - 统计区间，贡献日历覆盖该区间的每一天
+ * @returns {Object} 汇总后的全局统计数据；没有匹配的提交时各项计数为 0（totalCommits 为 0），不评选徽章、称号和提示文案
  */
-function buildSummary(repos) {
-  if (!repos.length) return null;
+function buildSummary(repos, { rules = DEFAULT_RULES, locale, range } = {}) {
+  const t = createTranslator(locale);
 
   // ========== 基础汇总 ==========
   const totalCommits = repos.reduce((a, b) => a + b.commits, 0);
   const totalInsertions = repos.reduce((a, b) => a + b.insertions, 0);
   const totalDeletions = repos.reduce((a, b) => a + b.deletions, 0);
   const totalFilesChanged = repos.reduce((a, b) => a + b.filesChanged, 0);
+  // 占总提交数的比例（没有提交时为 0）
+  const rate = n => totalCommits ? n / totalCommits : 0;
 
-  // 计算各项目提交占比
-  repos.forEach(r => { r.commitRatio = Number((r.commits / totalCommits).toFixed(3)); });
+  // 计算各项目提交占比和项目徽章
+  repos.forEach(r => {
+    r.commitRatio = Number(rate(r.commits).toFixed(3));
+    r.badgeDetails = evaluateBadges(rules, repoMetrics(r), 'repo', t);
+    r.badges = r.badgeDetails.map(b => b.label);
+  });
 
   // ========== Top 项目排行 ==========
   const topProjects = [...repos].sort((a, b) => b.commits - a.commits).slice(0, 5).map(r => ({
@@ -30,7 +138,8 @@ function buildSummary(repos) {
     commits: r.commits,
     insertions: r.insertions,
     deletions: r.deletions,
-    badges: r.badges
+    badges: r.badges,
+    badgeDetails: r.badgeDetails
   }));
 
   // ========== 时间分布汇总 ==========
@@ -62,36 +171,32 @@ function buildSummary(repos) {
   // 季度提交次数对比
   const quarterlyComparison = { Q1: 0, Q2: 0, Q3: 0, Q4: 0 };
   repos.forEach(r => { Object.keys(r.quarterlyComparison).forEach(q => { quarterlyComparison[q] += r.quarterlyComparison[q]; }); });
-  const mostProductiveQuarter = Object.entries(quarterlyComparison).sort((a, b) => b[1] - a[1])[0];
+  const [topQuarter, topQuarterCommits] = Object.entries(quarterlyComparison).sort((a, b) => b[1] - a[1])[0];
+  const mostProductiveQuarter = topQuarterCommits ? { quarter: topQuarter, commits: topQuarterCommits } : null;
 
   // 季度代码行数对比
   const quarterlyLines = { Q1: 0, Q2: 0, Q3: 0, Q4: 0 };
   repos.forEach(r => { if (r.quarterlyLines) Object.keys(r.quarterlyLines).forEach(q => { quarterlyLines[q] += r.quarterlyLines[q]; }); });
 
+  // ========== 跨仓库时间线合并 ==========
+  // 同一天在多个仓库都有提交时只算一个活跃日，连续性按所有仓库的并集计算
+  const dailyTimeline = mergeTimelines(repos.map(r => r.dailyTimeline));
+  const weeklyTimeline = mergeTimelines(repos.map(r => r.weeklyTimeline));
+  const activeDayList = Object.keys(dailyTimeline).sort();
+
   // ========== 每日/每周最高产统计 ==========
-  const dailyCommitsMap = {};
-  repos.forEach(r => {
-    if (r.mostProductiveDay) {
-      dailyCommitsMap[r.mostProductiveDay.date] = (dailyCommitsMap[r.mostProductiveDay.date] || 0) + r.mostProductiveDay.commits;
-    }
-  });
-  const mostProductiveDay = Object.entries(dailyCommitsMap).sort((a, b) => b[1] - a[1])[0];
+  const mostProductiveDay = findPeak(dailyTimeline);
+  const mostProductiveWeek = findPeak(weeklyTimeline);
 
-  const weeklyMap = {};
-  repos.forEach(r => {
-    if (r.mostProductiveWeek) {
-      weeklyMap[r.mostProductiveWeek.week] = (weeklyMap[r.mostProductiveWeek.week] || 0) + r.mostProductiveWeek.commits;
-    }
-  });
-  const mostProductiveWeek = Object.entries(weeklyMap).sort((a, b) => b[1] - a[1])[0];
+  // ========== 贡献日历（逐日提交数与行数，按项目拆分） ==========
+  const calendar = buildCalendar(repos.map(r => ({ name: r.name, dailyTimeline: r.dailyTimeline })), range);
 
-  // ========== 活跃天数估算 ==========
-  const totalActiveDays = repos.reduce((a, b) => a + b.activeDays, 0);
-  const estimatedActiveDays = Math.min(totalActiveDays, 365);  // 保守估计，最多365天
+  // ========== 活跃天数 ==========
+  const activeDays = activeDayList.length;
 
   // ========== 连续性统计 ==========
-  const longestStreak = Math.max(...repos.map(r => r.longestStreak), 0);  // 最长连续提交天数
-  const longestGap = Math.max(...repos.map(r => r.longestGap), 0);        // 最长摸鱼天数
+  const longestStreak = calcLongestStreak(activeDayList);  // 最长连续提交天数
+  const longestGap = calcLongestGap(activeDayList);        // 最长摸鱼天数
 
   // ========== 关键词汇总 ==========
   const stopWords = new Set(['Merge', 'branch', 'into', 'master', 'release', 'publish', 'patch', 'feature', 'from', 'skip', 'ci', 'auto', 'merge']);
@@ -110,14 +215,27 @@ function buildSummary(repos) {
 
   // ========== 文件类型汇总 ==========
   const fileTypeMap = {};
-  repos.forEach(r => r.topFileTypes.forEach(f => {
-    // 过滤掉异常后缀
-    if (!f.ext.includes('}') && !f.ext.includes('"')) {
-      fileTypeMap[f.ext] = (fileTypeMap[f.ext] || 0) + f.count;
-    }
-  }));
+  repos.forEach(r => r.topFileTypes.forEach(f => { fileTypeMap[f.ext] = (fileTypeMap[f.ext] || 0) + f.count; }));
   const topFileTypes = Object.entries(fileTypeMap).sort((a, b) => b[1] - a[1]).slice(0, 10).map(([ext, count]) => ({ ext, count }));
 
+  // ========== 语言汇总（按代码行数排序） ==========
+  const languageMap = {};
+  repos.forEach(r => Object.entries(r.languages).forEach(([name, l]) => {
+    if (!languageMap[name]) languageMap[name] = { name, type: l.type, commits: 0, files: 0, insertions: 0, deletions: 0 };
+    const merged = languageMap[name];
+    merged.commits += l.commits;
+    merged.files += l.files;
+    merged.insertions += l.insertions;
+    merged.deletions += l.deletions;
+  }));
+  const languageLines = Object.values(languageMap).reduce((a, l) => a + l.insertions + l.deletions, 0);
+  const languages = Object.values(languageMap)
+    .map(l => ({ ...l, lines: l.insertions + l.deletions, share: languageLines ? Number(((l.insertions + l.deletions) / languageLines).toFixed(3)) : 0 }))
+    .sort((a, b) => b.lines - a.lines || b.commits - a.commits);
+  // 主力语言：代码行数最多的编程语言，没有编程语言时取行数最多的已识别语言
+  const main = languages.find(l => l.type === 'programming') || languages.find(l => l.name !== OTHER);
+  const mainLanguage = main ? { name: main.name, lines: main.lines, share: main.share } : null;
+
   // ========== 最常修改的文件汇总 ==========
   const fileChangeMap = {};
   repos.forEach(r => r.topChangedFiles.forEach(f => {
@@ -126,26 +244,53 @@ function buildSummary(repos) {
   const topChangedFiles = Object.entries(fileChangeMap).sort((a, b) => b[1] - a[1]).slice(0, 10).map(([file, count]) => ({ file, count }));
 
   // ========== 协作者汇总 ==========
-  const collaboratorMap = {};
-  repos.forEach(r => r.collaborators.forEach(c => {
-    const key = `${c.name}|${c.email}`;
-    collaboratorMap[key] = (collaboratorMap[key] || 0) + c.commits;
-  }));
-  const topCollaborators = Object.entries(collaboratorMap)
-    .sort((a, b) => b[1] - a[1])
-    .slice(0, 10)
-    .map(([key, commits]) => {
-      const [name, email] = key.split('|');
-      return { name, email, commits };
-    });
+  // 同一个人在不同仓库可能使用不同的用户名/邮箱，按共享的用户名或邮箱合并别名
+  const topCollaborators = mergeAliases(repos.flatMap(r => r.collaborators)).slice(0, 10)
+    .map(({ name, email, commits, aliases }) => ({ name, email, commits, aliases }));
+
+  // ========== 结对编程汇总 ==========
+  const authoredCommits = repos.reduce((a, b) => a + b.pairing.authored, 0);
+  const authoredWithCoAuthors = repos.reduce((a, b) => a + b.pairing.withCoAuthors, 0);
+  const coAuthoredByMe = repos.reduce((a, b) => a + b.pairing.coAuthoredByMe, 0);
+  const coAuthoredCommits = authoredWithCoAuthors + coAuthoredByMe;
+  const pairing = {
+    coAuthoredCommits,      // 有结对伙伴的提交数（本人提交带共同作者 + 本人作为共同作者）
+    authoredWithCoAuthors,  // 本人提交中带有共同作者的提交数
+    coAuthoredByMe,         // 他人提交中本人作为共同作者的提交数
+    coAuthoredRate: Number((coAuthoredCommits / ((authoredCommits + coAuthoredByMe) || 1)).toFixed(3)),
+    topCoAuthors: mergeAliases(repos.flatMap(r => r.pairing.partners)).slice(0, 10)
+      .map(({ name, email, commits, aliases }) => ({ name, email, commits, aliases })),
+    countedInTotals: repos.some(r => r.pairing.countedInTotals)  // coAuthoredByMe 是否已计入总提交数、代码行数等统计
+  };
 
   // ========== Commit 类型汇总 ==========
   const commitTypeMap = {};
   repos.forEach(r => { Object.entries(r.commitTypeDistribution).forEach(([type, count]) => { commitTypeMap[type] = (commitTypeMap[type] || 0) + count; }); });
 
+  // ========== 提交信息质量汇总 ==========
+  const messageQuality = mergeMessageQuality(repos);
+
+  // ========== 代码翻工与热点汇总 ==========
+  const churn = mergeChurn(repos);
+
+  // ========== 代码存活与归属汇总 ==========
+  const survival = mergeSurvival(repos);
+
   // ========== 文件增删汇总 ==========
   const totalFilesAdded = repos.reduce((a, b) => a + b.fileChanges.added, 0);
   const totalFilesDeleted = repos.reduce((a, b) => a + b.fileChanges.deleted, 0);
+  const totalRenames = repos.reduce((a, b) => a + b.renames, 0);
+
+  // ========== 排除路径汇总 ==========
+  const excludedByRule = {};
+  const excluded = { insertions: 0, deletions: 0, fileChanges: 0 };
+  repos.forEach(r => {
+    excluded.insertions += r.excluded.insertions;
+    excluded.deletions += r.excluded.deletions;
+    excluded.fileChanges += r.excluded.fileChanges;
+    Object.entries(r.excluded.byRule).forEach(([rule, lines]) => { excludedByRule[rule] = (excludedByRule[rule] || 0) + lines; });
+  });
+  excluded.topRules = Object.entries(excludedByRule).sort((a, b) => b[1] - a[1]).slice(0, 10).map(([rule, lines]) => ({ rule, lines }));
 
   // ========== 协作相关汇总 ==========
   const totalMergeCommits = repos.reduce((a, b) => a + b.mergeCommits, 0);
@@ -154,6 +299,9 @@ function buildSummary(repos) {
   const totalBigRefactorCount = repos.reduce((a, b) => a + b.bigRefactorCount, 0);
   const totalBranchCount = repos.reduce((a, b) => a + b.branchCount, 0);
   const totalBranchesCreated = repos.reduce((a, b) => a + (b.branchesCreated || 0), 0);
+  // 有贡献的分支 Top10（含项目来源）
+  const topBranches = repos.flatMap(r => (r.branches || []).map(b => ({ ...b, project: r.name })))
+    .sort((a, b) => b.commits - a.commits).slice(0, 10);
 
   // ========== 时间段统计 ==========
   const nightCommits = hourDistribution.slice(22).reduce((a, b) => a + b, 0) + hourDistribution.slice(0, 7).reduce((a, b) => a + b, 0);  // 夜间 22:00-06:00
@@ -180,108 +328,67 @@ function buildSummary(repos) {
   const longestWorkSession = repos.map(r => r.longestWorkSession ? { ...r.longestWorkSession, project: r.name } : null).filter(s => s && s.minutes > 0).sort((a, b) => b.minutes - a.minutes)[0] || null;
 
   // ========== 平均值计算 ==========
-  const avgLinesPerCommit = Number(((totalInsertions + totalDeletions) / totalCommits).toFixed(2));
-  const avgCommitInterval = Number((repos.reduce((a, b) => a + b.avgCommitInterval * b.commits, 0) / totalCommits).toFixed(2));
+  const avgLinesPerCommit = Number(rate(totalInsertions + totalDeletions).toFixed(2));
+  const avgCommitInterval = Number(rate(repos.reduce((a, b) => a + b.avgCommitInterval * b.commits, 0)).toFixed(2));
 
   // ========== 情绪指数汇总 ==========
   const totalExclamation = repos.reduce((a, b) => a + b.emotionIndex.exclamation, 0);
   const totalQuestion = repos.reduce((a, b) => a + b.emotionIndex.question, 0);
 
-  // ========== 年度徽章 ==========
-  const badges = [];
-  if (earlyBirdCommits / totalCommits > 0.1) badges.push('🌅 早起鸟');
-  if (nightCommits / totalCommits > 0.2) badges.push('🦉 夜猫子');
-  if (weekendCommits / totalCommits > 0.15) badges.push('💪 周末战士');
-  if (longestStreak >= 7) badges.push('🔥 稳定输出');
-  if (longestGap >= 14) badges.push('🏖️ 摸鱼王');
-  if (lateNightCommits > 10) badges.push('🌙 深夜肝帝');
-  if (totalBigRefactorCount >= 10) badges.push('🔨 重构大师');
-  if (totalMergeCommits > 50) badges.push('🤝 协作达人');
-  if (repos.length >= 10) badges.push('🚀 多项目达人');
-  if (totalCommits >= 1000) badges.push('💎 千次提交');
-  if (totalInsertions >= 100000) badges.push('📝 十万+行代码');
-
-  // ========== 年度称号（唯一） ==========
-  // 根据各维度得分，选出最突出的特征作为年度称号
-  const titleCandidates = [
-    { score: totalCommits >= 1000 ? 100 : totalCommits / 10, title: '💎 代码狂人', desc: '提交次数惊人' },
-    { score: totalInsertions >= 100000 ? 90 : totalInsertions / 1000, title: '📝 产出之王', desc: '代码产出极高' },
-    { score: (nightCommits / totalCommits) * 100, title: '🦉 暗夜行者', desc: '深夜是你的主场' },
-    { score: (earlyBirdCommits / totalCommits) * 100, title: '🌅 晨光先锋', desc: '早起的鸟儿有代码写' },
-    { score: (weekendCommits / totalCommits) * 80, title: '💪 周末战神', desc: '周末也在燃烧' },
-    { score: longestStreak >= 30 ? 85 : longestStreak * 2, title: '🔥 持之以恒', desc: '连续提交天数超长' },
-    { score: totalBigRefactorCount >= 20 ? 80 : totalBigRefactorCount * 4, title: '🔨 重构之神', desc: '大刀阔斧改代码' },
-    { score: repos.length >= 15 ? 75 : repos.length * 5, title: '🚀 全栈游侠', desc: '多项目同时推进' },
-    { score: totalMergeCommits >= 100 ? 70 : totalMergeCommits * 0.7, title: '🤝 团队枢纽', desc: '协作合并最频繁' },
-    { score: longestGap >= 30 ? 60 : longestGap * 2, title: '🏖️ 佛系开发', desc: '张弛有度，懂得休息' },
-    { score: (lateNightCommits / totalCommits) * 90, title: '🌙 深夜肝帝', desc: '凌晨还在写代码' },
-  ];
-  const annualTitle = titleCandidates.sort((a, b) => b.score - a.score)[0];
-
-  // ========== 生成提示文案 ==========
-  const totalLines = totalInsertions + totalDeletions;
-  
-  const projectCountTip = repos.length >= 15 ? '🚀 多线程人类，同时驾驭多个项目' : 
-                          repos.length >= 10 ? '💪 项目达人，涉猎广泛' :
-                          repos.length >= 5 ? '📦 稳扎稳打，多项目并行' : '🎯 专注深耕';
-  
-  const totalCommitsTip = totalCommits >= 1000 ? '💎 千次提交，代码狂人' :
-                          totalCommits >= 500 ? '🔥 高产似母猪' :
-                          totalCommits >= 200 ? '⚡ 稳定输出中' : '🌱 持续成长中';
-  
-  const totalInsertionsTip = totalInsertions >= 100000 ? `📚 相当于写了 ${Math.floor(totalInsertions / 30000)} 本小说` :
-                             totalInsertions >= 50000 ? '📝 产出惊人' :
-                             totalInsertions >= 10000 ? '✍️ 笔耕不辍' : '📖 积少成多';
-  
-  const netLinesTip = (totalInsertions - totalDeletions) >= 50000 ? '📈 净增代码量可观' :
-                      (totalInsertions - totalDeletions) >= 10000 ? '📊 稳步增长' : '🔄 精简优化中';
-  
-  const activeDaysTip = estimatedActiveDays >= 300 ? '🔥 全年无休，肝帝本帝' :
-                        estimatedActiveDays >= 200 ? '💪 勤奋打工人' :
-                        estimatedActiveDays >= 100 ? '⏰ 稳定出勤' : '🌴 劳逸结合';
-  
-  const longestStreakTip = longestStreak >= 30 ? '🔥 连续一个月，毅力惊人' :
-                           longestStreak >= 14 ? '💪 比坚持健身还久' :
-                           longestStreak >= 7 ? '⚡ 一周连击' : '🎯 专注当下';
-  
-  const longestGapTip = longestGap >= 60 ? '🏖️ 超长假期，希望是在度假' :
-                        longestGap >= 30 ? '😴 摸鱼冠军' :
-                        longestGap >= 14 ? '🌴 适度休息' : '🔥 几乎不休息';
-  
-  const longestWorkSessionTip = longestWorkSession && longestWorkSession.hours >= 10 ? `⏰ 相当于看了 ${Math.floor(longestWorkSession.hours / 2)} 部电影` :
-                                longestWorkSession && longestWorkSession.hours >= 6 ? '💪 超长待机' : '⚡ 高效工作';
-  
-  const bigRefactorCountTip = totalBigRefactorCount >= 20 ? '🔨 重构之神，代码焕然一新' :
-                              totalBigRefactorCount >= 10 ? '🛠️ 重构大师' :
-                              totalBigRefactorCount >= 5 ? '🔧 勤于优化' : '📦 稳定为主';
-  
-  const topCollaboratorsTip = topCollaborators.length >= 10 ? '🤝 社交达人，协作广泛' :
-                              topCollaborators.length >= 5 ? '👥 团队核心' : '🎯 独立作战';
-  
-  const branchesCreatedTip = totalBranchesCreated >= 50 ? '🌿 分支管理大师' :
-                             totalBranchesCreated >= 20 ? '🌱 分支达人' :
-                             totalBranchesCreated >= 10 ? '🪴 有序开发' : '🎋 精简分支';
-  
-  const coffeeCount = Math.floor(totalCommits * 0.5);
-  const coffeeTip = `☕ 按每2次提交喝1杯咖啡算，你喝了 ${coffeeCount} 杯`;
+  // ========== 徽章、称号与提示文案（由规则计算，没有提交时不评选） ==========
+  const metrics = {
+    projectCount: repos.length,
+    totalCommits,
+    totalInsertions,
+    totalDeletions,
+    netLines: totalInsertions - totalDeletions,
+    activeDays,
+    longestStreak,
+    longestGap,
+    longestWorkSessionHours: longestWorkSession ? longestWorkSession.hours : 0,
+    earlyBirdCommits,
+    earlyBirdRate: rate(earlyBirdCommits),
+    nightCommits,
+    nightRate: rate(nightCommits),
+    weekendCommits,
+    weekendRate: rate(weekendCommits),
+    lateNightCommits,
+    lateNightRate: rate(lateNightCommits),
+    bigRefactorCount: totalBigRefactorCount,
+    mergeCommits: totalMergeCommits,
+    coAuthoredCommits,
+    coAuthoredRate: pairing.coAuthoredRate,
+    collaboratorCount: topCollaborators.length,
+    branchesCreated: totalBranchesCreated,
+    commitTypes: commitTypeMap,
+    commitTypeShare: shareOf(commitTypeMap, totalCommits),
+    ...messageMetrics(messageQuality),
+    ...churnMetrics(churn),
+    ...survivalMetrics(survival)
+  };
+  const badgeDetails = totalCommits ? evaluateBadges(rules, metrics, 'summary', t) : [];
+  const annualTitle = totalCommits ? pickTitle(rules, metrics, t) : null;
+  const tipMessages = totalCommits ? evaluateTips(rules, metrics, t) : {};
+  // 只有合并提交时没有可分析的提交信息
+  if (!messageQuality.analyzed) delete tipMessages.messageQualityTip;
+
+  const message = (id, params) => ({ id, params, text: t(id, params) });
+  if (totalCommits) tipMessages.coffeeTip = message('tip.coffee', { cups: Math.floor(totalCommits * 0.5) });
+  if (mainLanguage) tipMessages.mainLanguageTip = message('tip.mainLanguage', { language: mainLanguage.name, percent: Math.round(mainLanguage.share * 100) });
+  if (coAuthoredCommits) tipMessages.pairingTip = message('tip.pairing', { percent: Math.round(pairing.coAuthoredRate * 100) });
+  const tips = Object.fromEntries(Object.entries(tipMessages).map(([key, m]) => [key, m.text]));
 
   // ========== 返回汇总数据 ==========
   return {
     projectCount: repos.length,
-    projectCountTip,
     totalCommits,
-    totalCommitsTip,
     totalInsertions,
-    totalInsertionsTip,
     totalDeletions,
     netLines: totalInsertions - totalDeletions,
-    netLinesTip,
     totalFilesChanged,
-    activeDays: estimatedActiveDays,
-    activeDaysTip,
+    activeDays,
     avgLinesPerCommit,
     avgCommitInterval,
-    coffeeTip,
 
     earliestCommit,
     latestCommit,
@@ -295,32 +402,21 @@ function buildSummary(repos) {
     quarterlyComparison,
     quarterlyLines,
     mostProductiveQuarter,
-    mostProductiveDay: mostProductiveDay ? { date: mostProductiveDay[0], commits: mostProductiveDay[1] } : null,
-    mostProductiveWeek: mostProductiveWeek ? { week: mostProductiveWeek[0], commits: mostProductiveWeek[1] } : null,
+    mostProductiveDay: mostProductiveDay ? { date: mostProductiveDay[0], commits: mostProductiveDay[1].commits, lines: mostProductiveDay[1].lines } : null,
+    mostProductiveWeek: mostProductiveWeek ? { week: mostProductiveWeek[0], commits: mostProductiveWeek[1].commits, lines: mostProductiveWeek[1].lines } : null,
+    calendar,       // 贡献日历 { start, end, days, commits, lines, levels, thresholds, projects }，见 calendar.js
 
     longestStreak,
-    longestStreakTip,
     longestGap,
-    longestGapTip,
     longestWorkSession,
-    longestWorkSessionTip,
 
     weekendVsWeekday: {
       weekend: weekendCommits,
       weekday: weekdayCommits,
-      weekendRate: Number((weekendCommits / totalCommits).toFixed(3))
+      weekendRate: Number(rate(weekendCommits).toFixed(3))
     },
-    weekendTip: weekendCommits / totalCommits > 0.2 ? '💪 周末战士，休息日也在战斗' :
-                weekendCommits >= 20 ? '⚡ 偶尔周末加班' : '🌴 周末好好休息',
-    
-    nightOwlRate: Number((nightCommits / totalCommits).toFixed(3)),
-    nightOwlTip: nightCommits / totalCommits > 0.3 ? '🦉 夜猫子，深夜是你的主场' :
-                 nightCommits / totalCommits > 0.15 ? '🌙 偶尔熬夜' : '😴 作息规律',
-    
+    nightOwlRate: Number(rate(nightCommits).toFixed(3)),
     earlyBirdCount: earlyBirdCommits,
-    earlyBirdTip: earlyBirdCommits / totalCommits > 0.15 ? '🌅 早起鸟，比太阳还勤快' :
-                  earlyBirdCommits >= 10 ? '☀️ 偶尔早起' : '😴 不是早起型',
-    
     lateNightCount: lateNightCommits,
 
     shortestCommit,
@@ -329,35 +425,52 @@ function buildSummary(repos) {
     emojiStats,
     emotionIndex: { exclamation: totalExclamation, question: totalQuestion },
     commitTypeDistribution: commitTypeMap,
+    messageQuality,  // 提交信息质量：Conventional Commits 符合率、常用 scope、标题长度分布、质量得分及各项目明细，见 message.js
+    messageQualityTip: tips.messageQualityTip || null,
 
     topFileTypes,
+    languages,      // 各语言的提交数、文件数、新增/删除行数及行数占比
+    mainLanguage,   // 主力语言
+    mainLanguageTip: tips.mainLanguageTip || null,
     topChangedFiles,
     fileChanges: {
       added: totalFilesAdded,
       deleted: totalFilesDeleted,
       net: totalFilesAdded - totalFilesDeleted
     },
+    renames: totalRenames,  // 重命名文件次数
+    excluded,  // 被排除路径（锁文件、构建产物、第三方代码等）的变更，不计入上面的代码行数
+    churn,     // 代码翻工与热点：翻工率、热点文件与热点目录 Top10 及各项目的翻工率，见 churn.js
+    survival,  // 代码存活与归属（需启用 blame，否则为 null）：存活率、归属占比及各语言、各项目明细，见 survival.js
 
     topCollaborators,
-    topCollaboratorsTip,
+    pairing,        // 结对编程（Co-authored-by）统计
+    pairingTip: tips.pairingTip || null,
     mergeCommits: totalMergeCommits,
     revertCommits: totalRevertCommits,
     hotfixCount: totalHotfixCount,
-    hotfixRate: Number((totalHotfixCount / totalCommits).toFixed(3)),
+    hotfixRate: Number(rate(totalHotfixCount).toFixed(3)),
     bigRefactorCount: totalBigRefactorCount,
-    bigRefactorCountTip,
     branchCount: totalBranchCount,
     branchesCreated: totalBranchesCreated,
-    branchesCreatedTip,
+    topBranches,    // 有贡献的分支 Top10 [{ project, name, isDefault, commits, insertions, deletions, createdByMe, createdAt, evidence }]
 
     topProjects,
     allProjects: repos.map(r => r.name),
 
-    badges,
-    annualTitle: {
+    badges: badgeDetails.map(b => b.label),
+    badgeDetails,   // 获得的徽章及触发规则 [{ id, label, description, conditions: [{ metric, op, threshold, value }] }]
+    annualTitle: annualTitle && {
       title: annualTitle.title,
-      desc: annualTitle.desc
-    }
+      desc: annualTitle.desc,
+      rule: annualTitle.id,       // 触发的称号规则（语言包中为 title.<rule>）
+      ...(annualTitle.custom && { custom: true }),  // 称号文本来自规则文件
+      metric: annualTitle.metric, // 得分依据的指标
+      value: annualTitle.value,   // 指标值
+      score: annualTitle.score
+    },
+    ...tips,        // 各项提示文案（projectCountTip、totalCommitsTip、coffeeTip 等）
+    tipMessages     // 各项提示文案的消息 id 和参数 { 字段名: { id, params, text } }，可按 id 切换语言
   };
 }
 
@@ -0,0 +1,91 @@
+/**
+ * Git 年度报告 - 报告输出模块
+ * 写入 JSON 与离线 HTML、编码在线报告链接、打开报告，都是 analyze 之后的可选步骤，由调用方按需使用
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const pako = require('pako');
+
+const { renderHtml, renderTeamHtml } = require('./html');
+const { exportPoster } = require('./poster');
+const { assertValidReport } = require('./schema');
+
+/** 在线报告页面地址（仅在显式开启 web 模式时使用） */
+const REPORT_SITE_URL = 'https://your-report-site.com/#/report';
+
+/**
+ * 写入报告 JSON，并在旁边生成自包含的离线 HTML 报告
+ * 写入前按 schema/report.schema.json 校验，不符合报告结构时不写入任何文件
+ * @param {Object} report - 报告数据
+ * @param {string} output - JSON 输出路径
+ * @param {(report: Object) => string} [render=renderHtml] - HTML 渲染函数
+ * @returns {Promise<string>} HTML 文件路径
+ */
+async function writeReport(report, output, render = renderHtml) {
+  assertValidReport(report);
+  await fs.ensureDir(path.dirname(output));
+  await fs.writeJson(output, report, { spaces: 2 });
+  const htmlPath = path.join(path.dirname(output), `${path.basename(output, path.extname(output))}.html`);
+  await fs.writeFile(htmlPath, render(report), 'utf8');
+  return htmlPath;
+}
+
+/**
+ * 写入团队报告：个人报告写到 <文件名>-members/ 目录，团队汇总中的成员记录对应的个人报告路径
+ * @param {{ report: Object, members: { id: string, report: Object }[] }} result - analyzeTeam 的结果
+ * @param {string} output - 团队报告 JSON 输出路径
+ * @param {Object} [options] - 输出选项
+ * @param {{ theme: string, size: string }} [options.poster] - 海报选项，指定时为每个成员导出分享海报
+ * @returns {Promise<{ html: string, membersDir: string }>} 团队 HTML 报告路径及个人报告目录
+ */
+async function writeTeamReport(result, output, { poster } = {}) {
+  const outputBase = path.basename(output, path.extname(output));
+  const membersDir = path.join(path.dirname(output), `${outputBase}-members`);
+  for (const member of result.members) {
+    const memberOutput = path.join(membersDir, `${member.id}.json`);
+    await writeReport(member.report, memberOutput, renderHtml);
+    if (poster) await exportPoster(member.report, memberOutput, poster);
+  }
+
+  // 个人报告路径相对团队报告所在目录，HTML 报告据此生成链接
+  const reportFile = id => path.join(`${outputBase}-members`, `${id}.json`);
+  const report = {
+    ...result.report,
+    team: { ...result.report.team, members: result.report.team.members.map(m => ({ ...m, report: reportFile(m.id) })) }
+  };
+  const html = await writeReport(report, output, renderTeamHtml);
+  return { html, membersDir };
+}
+
+/**
+ * 编码报告数据，用于在线报告链接（pako 压缩 + base64url）
+ * @param {Object} report - 报告数据
+ * @returns {string}
+ */
+function encodeReport(report) {
+  const compressed = pako.deflate(JSON.stringify(report));
+  return Buffer.from(compressed).toString('base64')
+    .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * 生成在线报告链接
+ * @param {string} data - encodeReport 编码后的报告数据
+ * @param {string} [siteUrl] - 在线报告页面地址
+ * @returns {string}
+ */
+function reportUrl(data, siteUrl = REPORT_SITE_URL) {
+  return `${siteUrl}?d=${data}`;
+}
+
+/**
+ * 用系统默认程序打开报告（本地 HTML 路径或在线报告链接）
+ * @param {string} target - 文件路径或链接
+ */
+async function openReport(target) {
+  const open = (await import('open')).default;
+  await open(/^https?:/.test(target) ? target : path.resolve(target));
+}
+
+module.exports = { REPORT_SITE_URL, writeReport, writeTeamReport, encodeReport, reportUrl, openReport };
@@ -0,0 +1,289 @@
+/**
+ * Git 年度报告 - 分享海报模块
+ * 根据 report.json 的数据渲染海报风格的 SVG，并在不依赖浏览器的情况下光栅化为 PNG
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { escapeHtml, formatNumber } = require('./html');
+const { OTHER } = require('./language');
+const { createTranslator } = require('./i18n');
+const { MAX_LEVEL, expandCalendar } = require('./calendar');
+
+/** 海报主题 */
+const THEMES = {
+  midnight: { background: ['#0f172a', '#1e1b4b'], card: '#1e293b', text: '#f8fafc', muted: '#94a3b8', accent: '#6366f1', accent2: '#ec4899' },
+  sunset: { background: ['#7c2d12', '#9d174d'], card: '#00000033', text: '#fff7ed', muted: '#fed7aa', accent: '#fb923c', accent2: '#f472b6' },
+  forest: { background: ['#052e16', '#134e4a'], card: '#00000033', text: '#f0fdf4', muted: '#a7f3d0', accent: '#22c55e', accent2: '#2dd4bf' },
+  paper: { background: ['#fafaf9', '#e7e5e4'], card: '#ffffff', text: '#1c1917', muted: '#78716c', accent: '#ea580c', accent2: '#0891b2' }
+};
+
+/** 海报尺寸 */
+const SIZES = {
+  portrait: { width: 1080, height: 1440 },
+  landscape: { width: 1600, height: 900 }
+};
+
+const FONT_FAMILY = '"PingFang SC", "Microsoft YaHei", "Noto Sans CJK SC", "Source Han Sans SC", sans-serif';
+
+/**
+ * 估算文本宽度（SVG 无法自动换行，用于徽章等元素的排版）
+ * @param {string} text - 文本
+ * @param {number} fontSize - 字号
+ * @returns {number}
+ */
+function textWidth(text, fontSize) {
+  return [...String(text)].reduce((w, ch) => w + (ch.charCodeAt(0) > 0xff ? fontSize : fontSize * 0.6), 0);
+}
+
+/**
+ * 渲染文本元素
+ * @param {number} x - 横坐标
+ * @param {number} y - 基线纵坐标
+ * @param {string} content - 文本
+ * @param {Object} attrs - 字号、颜色等属性
+ * @returns {string}
+ */
+function text(x, y, content, { size, fill, weight = 'normal', anchor = 'start' }) {
+  return `<text x="${x}" y="${y}" font-size="${size}" fill="${fill}" font-weight="${weight}" text-anchor="${anchor}">${escapeHtml(content)}</text>`;
+}
+
+/**
+ * 渲染一行可换行的胶囊标签（徽章、语言）
+ * @param {string[]} labels - 标签文本
+ * @param {number} x - 起始横坐标
+ * @param {number} y - 起始纵坐标
+ * @param {number} width - 可用宽度
+ * @param {number} maxY - 可用区域底部，放不下的标签不再渲染
+ * @param {Object} theme - 主题
+ * @returns {{ svg: string, height: number }}
+ */
+function renderPills(labels, x, y, width, maxY, theme) {
+  const size = 26, padding = 20, height = 48, gap = 14;
+  let cx = x, cy = y, bottom = y;
+  const svg = labels.map(label => {
+    const w = textWidth(label, size) + padding * 2;
+    if (cx > x && cx + w > x + width) {
+      cx = x;
+      cy += height + gap;
+    }
+    if (cy + height > maxY) return '';
+    bottom = cy + height;
+    const pill = `<rect x="${cx}" y="${cy}" width="${w}" height="${height}" rx="${height / 2}" fill="${theme.card}"/>`
+      + text(cx + padding, cy + 33, label, { size, fill: theme.text });
+    cx += w + gap;
+    return pill;
+  }).join('');
+  return { svg, height: bottom - y };
+}
+
+/**
+ * 渲染关键数字卡片（2 × 2）
+ * @param {Object} s - 汇总数据
+ * @param {number} x - 起始横坐标
+ * @param {number} y - 起始纵坐标
+ * @param {number} width - 可用宽度
+ * @param {Object} theme - 主题
+ * @param {Function} t - 翻译函数
+ * @returns {{ svg: string, height: number }}
+ */
+function renderStats(s, x, y, width, theme, t) {
+  const gap = 24, cardHeight = 150;
+  const cardWidth = (width - gap) / 2;
+  const stats = [
+    [t('stat.totalCommits'), formatNumber(s.totalCommits)],
+    [t('stat.netLines'), formatNumber(s.netLines)],
+    [t('stat.activeDays'), formatNumber(s.activeDays)],
+    [t('stat.longestStreak'), t('unit.days', { count: s.longestStreak })]
+  ];
+  const svg = stats.map(([label, value], i) => {
+    const cx = x + (i % 2) * (cardWidth + gap);
+    const cy = y + Math.floor(i / 2) * (cardHeight + gap);
+    return `<rect x="${cx}" y="${cy}" width="${cardWidth}" height="${cardHeight}" rx="20" fill="${theme.card}"/>`
+      + text(cx + 28, cy + 72, value, { size: 52, fill: theme.text, weight: 'bold' })
+      + text(cx + 28, cy + 118, label, { size: 26, fill: theme.muted });
+  }).join('');
+  return { svg, height: cardHeight * 2 + gap };
+}
+
+/**
+ * 渲染 24 小时提交分布柱状图
+ * @param {number[]} hours - 24 小时提交次数
+ * @param {number} x - 起始横坐标
+ * @param {number} y - 起始纵坐标
+ * @param {number} width - 可用宽度
+ * @param {number} height - 图表高度（含坐标轴标签）
+ * @param {Object} theme - 主题
+ * @returns {string}
+ */
+function renderHourChart(hours, x, y, width, height, theme) {
+  const axis = 32;
+  const slot = width / 24;
+  const barWidth = slot * 0.7;
+  const max = Math.max(...hours, 1);
+  const chartHeight = height - axis;
+  return hours.map((value, h) => {
+    const barHeight = Math.max(Math.round((value / max) * chartHeight), value ? 4 : 2);
+    const bx = x + h * slot + (slot - barWidth) / 2;
+    const bar = `<rect x="${bx.toFixed(1)}" y="${y + chartHeight - barHeight}" width="${barWidth.toFixed(1)}" height="${barHeight}" rx="4" fill="${value ? theme.accent : theme.card}"/>`;
+    const label = h % 3 === 0 ? text((bx + barWidth / 2).toFixed(1), y + height - 4, h, { size: 20, fill: theme.muted, anchor: 'middle' }) : '';
+    return bar + label;
+  }).join('');
+}
+
+/**
+ * 渲染贡献日历热力图（每列一周，每行为周日到周六）
+ * @param {Object} calendar - 贡献日历（见 calendar.buildCalendar）
+ * @param {number} x - 起始横坐标
+ * @param {number} y - 起始纵坐标
+ * @param {number} width - 可用宽度
+ * @param {Object} theme - 主题
+ * @param {number} [maxStep=16] - 每格（含间隔）的最大边长
+ * @returns {{ svg: string, height: number }}
+ */
+function renderCalendarChart(calendar, x, y, width, theme, maxStep = 16) {
+  const days = expandCalendar(calendar);
+  const firstWeekday = days[0].weekday;
+  const weeks = Math.ceil((days.length + firstWeekday) / 7);
+  const step = Math.min(width / weeks, maxStep);
+  const cell = step * 0.8;
+  const svg = days.map((day, i) => {
+    const cx = x + Math.floor((i + firstWeekday) / 7) * step;
+    const cy = y + day.weekday * step;
+    const fill = day.level ? `fill="${theme.accent}" fill-opacity="${(0.4 + 0.6 * day.level / MAX_LEVEL).toFixed(2)}"` : `fill="${theme.card}"`;
+    return `<rect x="${cx.toFixed(1)}" y="${cy.toFixed(1)}" width="${cell.toFixed(1)}" height="${cell.toFixed(1)}" rx="${(cell / 5).toFixed(1)}" ${fill}/>`;
+  }).join('');
+  return { svg, height: 7 * step };
+}
+
+/**
+ * 取主力语言（有语言统计时优先使用，旧报告退回到文件类型）
+ * @param {Object} s - 汇总数据
+ * @returns {string[]}
+ */
+function topLanguages(s) {
+  if (Array.isArray(s.languages) && s.languages.length) {
+    return s.languages.filter(l => l.name !== OTHER).slice(0, 5).map(l => l.name);
+  }
+  return (s.topFileTypes || []).slice(0, 5).map(f => f.ext);
+}
+
+/**
+ * 将报告渲染为海报 SVG
+ * @param {Object} report - 报告数据（与 report.json 结构一致）
+ * @param {Object} [options] - 海报选项
+ * @param {string} [options.theme='midnight'] - 主题，见 THEMES
+ * @param {string} [options.size='portrait'] - 尺寸，portrait（竖版）或 landscape（横版）
+ * @returns {string} SVG 字符串
+ */
+function renderPosterSvg(report, options = {}) {
+  const { theme: themeName = 'midnight', size: sizeName = 'portrait' } = options;
+  const t = createTranslator(report.locale);
+  const theme = THEMES[themeName];
+  const size = SIZES[sizeName];
+  if (!theme) throw new Error(t('poster.unknownTheme', { value: themeName, options: Object.keys(THEMES).join(', ') }));
+  if (!size) throw new Error(t('poster.unknownSize', { value: sizeName, options: Object.keys(SIZES).join(', ') }));
+
+  const { width, height } = size;
+  const s = report.summary;
+  const pad = 72;
+  const year = String(report.range?.since || '').slice(0, 4);
+  const range = `${report.range?.since || ''} ~ ${report.range?.until || ''}`;
+
+  let body = text(pad, pad + 40, t('poster.heading', { year }), { size: 40, fill: theme.muted })
+    + text(pad, pad + 110, report.author?.name || '', { size: 64, fill: theme.text, weight: 'bold' });
+  const footer = text(pad, height - pad + 24, range, { size: 24, fill: theme.muted })
+    + text(width - pad, height - pad + 24, 'annual-code-report', { size: 24, fill: theme.muted, anchor: 'end' });
+
+  if (!s?.totalCommits) {
+    body += text(width / 2, height / 2, t('report.noCommits'), { size: 40, fill: theme.muted, anchor: 'middle' });
+  } else {
+    // 竖版单列排列，横版左列放称号和数字、右列放图表和标签
+    const landscape = sizeName === 'landscape';
+    const colWidth = landscape ? (width - pad * 3) / 2 : width - pad * 2;
+    const rightX = landscape ? pad * 2 + colWidth : pad;
+    const maxY = height - pad - 24;
+    let y = pad + 160;
+
+    if (s.annualTitle) {
+      body += `<rect x="${pad}" y="${y}" width="${colWidth}" height="150" rx="24" fill="url(#title)"/>`
+        + text(pad + 36, y + 72, s.annualTitle.title, { size: 52, fill: '#ffffff', weight: 'bold' })
+        + text(pad + 36, y + 120, s.annualTitle.desc, { size: 26, fill: '#ffffff' });
+      y += 150 + 32;
+    }
+    const stats = renderStats(s, pad, y, colWidth, theme, t);
+    body += stats.svg;
+    y = landscape ? pad + 160 : y + stats.height + 48;
+
+    body += text(rightX, y + 30, t('section.hourDistribution'), { size: 30, fill: theme.text, weight: 'bold' });
+    // 有贡献日历时柱状图矮一些，给日历留出位置
+    const chartHeight = (landscape ? 200 : 180) - (s.calendar ? 50 : 0);
+    body += renderHourChart(s.hourDistribution, rightX, y + 56, colWidth, chartHeight, theme);
+    y += chartHeight + 56 + 40;
+
+    if (s.calendar) {
+      const calendar = renderCalendarChart(s.calendar, rightX, y + 52, colWidth, theme);
+      if (y + 52 + calendar.height <= maxY) {
+        body += text(rightX, y + 30, t('section.calendar'), { size: 30, fill: theme.text, weight: 'bold' }) + calendar.svg;
+        y += 52 + calendar.height + 40;
+      }
+    }
+
+    const languages = topLanguages(s);
+    if (languages.length && y + 52 + 48 <= maxY) {
+      body += text(rightX, y + 30, t('stat.mainLanguage'), { size: 30, fill: theme.text, weight: 'bold' });
+      const pills = renderPills(languages, rightX, y + 52, colWidth, maxY, theme);
+      body += pills.svg;
+      y += 52 + pills.height + 40;
+    }
+    if (s.badges?.length && y + 52 + 48 <= maxY) {
+      body += text(rightX, y + 30, t('section.badges'), { size: 30, fill: theme.text, weight: 'bold' });
+      body += renderPills(s.badges, rightX, y + 52, colWidth, maxY, theme).svg;
+    }
+  }
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family='${FONT_FAMILY}'>
+<defs>
+<linearGradient id="bg" x1="0" y1="0" x2="1" y2="1"><stop offset="0" stop-color="${theme.background[0]}"/><stop offset="1" stop-color="${theme.background[1]}"/></linearGradient>
+<linearGradient id="title" x1="0" y1="0" x2="1" y2="0"><stop offset="0" stop-color="${theme.accent}"/><stop offset="1" stop-color="${theme.accent2}"/></linearGradient>
+</defs>
+<rect width="${width}" height="${height}" fill="url(#bg)"/>
+${body}
+${footer}
+</svg>
+`;
+}
+
+/**
+ * 将海报 SVG 光栅化为 PNG（使用 resvg，无需浏览器）
+ * @param {string} svg - 海报 SVG
+ * @param {string} [locale] - 错误信息的语言
+ * @returns {Buffer} PNG 数据
+ */
+function renderPosterPng(svg, locale) {
+  let Resvg;
+  try {
+    ({ Resvg } = require('@resvg/resvg-js'));
+  } catch (e) {
+    throw new Error(createTranslator(locale)('poster.pngUnavailable', { reason: e.message }));
+  }
+  const resvg = new Resvg(svg, { font: { loadSystemFonts: true, defaultFontFamily: 'sans-serif' } });
+  return resvg.render().asPng();
+}
+
+/**
+ * 导出海报：在报告 JSON 旁边生成 <文件名>-poster.svg 和 <文件名>-poster.png
+ * @param {Object} report - 报告数据
+ * @param {string} output - 报告 JSON 路径（用于确定海报文件名）
+ * @param {Object} [options] - 海报选项（见 renderPosterSvg）
+ * @returns {Promise<{ svg: string, png: string }>} 海报文件路径
+ */
+async function exportPoster(report, output, options = {}) {
+  const base = path.join(path.dirname(output), `${path.basename(output, path.extname(output))}-poster`);
+  const svg = renderPosterSvg(report, options);
+  await fs.writeFile(`${base}.svg`, svg, 'utf8');
+  await fs.writeFile(`${base}.png`, renderPosterPng(svg, report.locale));
+  return { svg: `${base}.svg`, png: `${base}.png` };
+}
+
+module.exports = { THEMES, SIZES, renderPosterSvg, renderPosterPng, exportPoster };
@@ -0,0 +1,88 @@
+/**
+ * Git 年度报告 - 进度显示模块
+ * 在终端中显示仓库分析进度（已完成/总数、当前仓库、已用时间、预计剩余时间）
+ */
+
+const { createTranslator } = require('./i18n');
+
+/**
+ * 格式化时长
+ * @param {number} ms - 毫秒数
+ * @returns {string} 如 "1m05s"、"12s"
+ */
+function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  return `${Math.floor(seconds / 60)}m${String(seconds % 60).padStart(2, '0')}s`;
+}
+
+/**
+ * 创建进度显示器
+ * TTY 环境下原地刷新同一行，非 TTY 环境（如日志文件、定时任务）每完成一个仓库输出一行
+ * @param {Object} options - 选项
+ * @param {number} options.total - 仓库总数
+ * @param {boolean} [options.enabled=true] - 是否显示进度
+ * @param {NodeJS.WriteStream} [options.stream=process.stdout] - 输出流
+ * @param {string} [options.locale] - 进度文本的语言
+ * @returns {{ start: Function, finish: Function, done: Function }}
+ */
+function createProgress({ total, enabled = true, stream = process.stdout, locale }) {
+  const t = createTranslator(locale);
+  const startedAt = Date.now();
+  const running = new Set();
+  let completed = 0;
+  let lastLength = 0;
+
+  const render = (event, name, note) => {
+    if (!enabled) return;
+    const elapsed = Date.now() - startedAt;
+    const eta = completed ? (elapsed / completed) * (total - completed) : 0;
+    const current = [...running];
+    const currentText = current.length
+      ? (current.length > 1 ? t('progress.currentMany', { name: current[0], count: current.length }) : current[0])
+      : '-';
+    const timing = t('progress.elapsed', { time: formatDuration(elapsed) })
+      + (completed && completed < total ? ` | ${t('progress.eta', { time: formatDuration(eta) })}` : '');
+    const text = `⏳ [${completed}/${total}] ${t('progress.current', { name: currentText })} | ${timing}`;
+
+    if (stream.isTTY) {
+      stream.write(`\r${text.padEnd(lastLength)}`);
+      lastLength = text.length;
+    } else if (event === 'finish') {
+      stream.write(`⏳ [${completed}/${total}] ${name}${note ? ` (${note})` : ''} | ${timing}\n`);
+    }
+  };
+
+  return {
+    /**
+     * 标记仓库开始分析
+     * @param {string} name - 仓库名称
+     */
+    start(name) {
+      running.add(name);
+      render('start', name);
+    },
+
+    /**
+     * 标记仓库分析结束
+     * @param {string} name - 仓库名称
+     * @param {string} [note] - 附加说明（如「缓存」「失败」，由调用方按语言传入）
+     */
+    finish(name, note) {
+      running.delete(name);
+      completed++;
+      render('finish', name, note);
+    },
+
+    /**
+     * 结束进度显示
+     * @returns {number} 总耗时（毫秒）
+     */
+    done() {
+      if (enabled && stream.isTTY && lastLength) stream.write('\n');
+      return Date.now() - startedAt;
+    }
+  };
+}
+
+module.exports = { createProgress, formatDuration };
@@ -0,0 +1,259 @@
+/**
+ * Git 年度报告 - 脱敏模块
+ * 报告可能被分享到公开场合（在线报告的数据会编码进 URL），按脱敏级别移除或替换提交信息、文件路径、项目名称、邮箱等敏感内容
+ */
+
+const { createTranslator } = require('./i18n');
+
+/**
+ * 脱敏级别
+ * full: 不脱敏
+ * internal: 移除所有邮箱，保留姓名、项目、提交信息和路径，适合在公司内部分享
+ * public: 在 internal 的基础上移除提交信息、关键词、提交范围（scope）、文件路径和排除规则，项目、分支、协作者改为代号，适合公开分享
+ */
+const REDACTION_LEVELS = ['full', 'internal', 'public'];
+
+/** 默认脱敏级别 */
+const DEFAULT_REDACTION = 'full';
+
+/** 姓名中的邮箱（未配置 git 用户名、以邮箱指定作者时姓名就是邮箱） */
+const EMAIL_IN_NAME_REGEX = /@[^\s@<>]+/g;
+
+/** 带提交信息的边界提交字段 */
+const COMMIT_FIELDS = ['earliestCommit', 'latestCommit', 'shortestCommit', 'longestCommit'];
+
+/**
+ * 校验脱敏级别
+ * @param {string} value - 脱敏级别
+ * @param {string} [locale] - 错误信息的语言
+ * @returns {true|string} 通过返回 true，否则返回错误信息
+ */
+function validateRedaction(value, locale) {
+  return REDACTION_LEVELS.includes(value) ? true : createTranslator(locale)('redact.invalid', { value, levels: REDACTION_LEVELS.join(', ') });
+}
+
+/**
+ * 创建代号分配函数：同一个原始值始终得到同一个代号，保证报告各处一致
+ * @param {string} prefix - 代号前缀，如「项目」
+ * @returns {((value: string) => string) & { size: () => number }} size 返回已分配的代号数
+ */
+function createAliaser(prefix) {
+  const aliases = new Map();
+  const alias = value => {
+    if (!aliases.has(value)) aliases.set(value, `${prefix} ${aliases.size + 1}`);
+    return aliases.get(value);
+  };
+  alias.size = () => aliases.size;
+  return alias;
+}
+
+/**
+ * 创建脱敏上下文：按级别提供人员、项目、分支等的处理函数，并记录处理了哪些内容
+ * 处理的内容按字段 id 计数（email、projectName 等，名称见语言包中的 redact.field.<id>）
+ * @param {string} level - 脱敏级别
+ * @param {string} [locale] - 代号所用的语言
+ * @returns {Object}
+ */
+function createRedactor(level, locale) {
+  const t = createTranslator(locale);
+  const isPublic = level === 'public';
+  const counts = {};
+  const count = (field, n = 1) => { if (n) counts[field] = (counts[field] || 0) + n; };
+  const projectAlias = createAliaser(t('redact.alias.project'));
+  const personAlias = createAliaser(t('redact.alias.collaborator'));
+  const branchAlias = createAliaser(t('redact.alias.branch'));
+  // 保留真实姓名时去掉其中邮箱的域名部分
+  const stripEmail = name => {
+    if (!name || !name.includes('@')) return name;
+    count('email');
+    return name.replace(EMAIL_IN_NAME_REGEX, '');
+  };
+
+  return {
+    isPublic,
+    count,
+
+    /**
+     * 汇总处理了哪些内容（代号按不同的原始值计数）
+     * @returns {{ field: string, count: number }[]}
+     */
+    changes() {
+      const all = { ...counts };
+      [['projectName', projectAlias], ['collaboratorName', personAlias], ['branchName', branchAlias]].forEach(([field, alias]) => {
+        if (alias.size()) all[field] = (all[field] || 0) + alias.size();
+      });
+      return Object.entries(all).map(([field, n]) => ({ field, count: n }));
+    },
+
+    /**
+     * 处理保留真实姓名的人员（报告作者、团队成员）的姓名：去掉其中邮箱的域名部分
+     * @param {string} name - 姓名
+     * @returns {string}
+     */
+    name: stripEmail,
+
+    /**
+     * 处理人员（协作者、结对伙伴、团队成员）：移除邮箱，public 级别下姓名改为代号
+     * @param {{ name: string, email?: string, aliases?: string[] }} person - 人员
+     * @param {boolean} [keepName=false] - 保留真实姓名（团队成员）
+     */
+    person(person, keepName = false) {
+      if (!person) return;
+      if (person.email) count('email');
+      delete person.email;
+      if (person.aliases) {
+        // 别名形如 "name <email>"，internal 级别只保留姓名部分
+        person.aliases = isPublic && !keepName ? [] : [...new Set(person.aliases.map(a => stripEmail(a.replace(/\s*<[^>]*>$/, ''))))];
+      }
+      if (isPublic && !keepName && person.name) {
+        person.name = personAlias(person.name);
+      } else {
+        person.name = stripEmail(person.name);
+      }
+    },
+
+    /**
+     * 处理项目名称：public 级别下改为代号
+     * @param {string} name - 项目名称
+     * @returns {string}
+     */
+    project(name) {
+      if (!isPublic || !name) return name;
+      return projectAlias(name);
+    },
+
+    /**
+     * 处理分支名称：public 级别下改为代号（分支名常包含需求、客户等信息）
+     * @param {string} name - 分支名称
+     * @returns {string}
+     */
+    branch(name) {
+      if (!isPublic) return name;
+      return branchAlias(name);
+    }
+  };
+}
+
+/**
+ * 按脱敏级别处理个人报告汇总数据（原地修改）
+ * @param {Object} s - summary
+ * @param {Object} r - 脱敏上下文
+ */
+function redactSummary(s, r) {
+  if (!s) return;
+  (s.topCollaborators || []).forEach(p => r.person(p));
+  (s.pairing?.topCoAuthors || []).forEach(p => r.person(p));
+  if (!r.isPublic) return;
+
+  // 项目名称：先按 allProjects 的顺序分配代号，保证各字段一致
+  s.allProjects = (s.allProjects || []).map(name => r.project(name));
+  (s.topProjects || []).forEach(p => { p.name = r.project(p.name); });
+  (s.calendar?.projects || []).forEach(p => { p.name = r.project(p.name); });
+  (s.messageQuality?.projects || []).forEach(p => { p.name = r.project(p.name); });
+  (s.churn?.projects || []).forEach(p => { p.name = r.project(p.name); });
+  (s.survival?.projects || []).forEach(p => { p.name = r.project(p.name); });
+  COMMIT_FIELDS.forEach(field => {
+    const c = s[field];
+    if (!c) return;
+    c.project = r.project(c.project);
+    if (c.message !== undefined) r.count('commitMessage');
+    delete c.message;
+  });
+  if (s.longestWorkSession) s.longestWorkSession.project = r.project(s.longestWorkSession.project);
+
+  // 由提交信息提取的关键词和 scope、文件路径、排除规则（可能包含路径）
+  r.count('keyword', (s.topKeywords || []).length);
+  s.topKeywords = [];
+  if (s.messageQuality) {
+    r.count('commitScope', s.messageQuality.topScopes.length);
+    s.messageQuality.topScopes = [];
+  }
+  r.count('filePath', (s.topChangedFiles || []).length);
+  s.topChangedFiles = [];
+  if (s.churn) {
+    r.count('filePath', s.churn.hotspots.length + s.churn.directories.length);
+    s.churn.hotspots = [];
+    s.churn.directories = [];
+  }
+  if (s.excluded) {
+    r.count('excludeRule', (s.excluded.topRules || []).length);
+    s.excluded.topRules = [];
+  }
+  (s.topBranches || []).forEach(b => {
+    b.name = r.branch(b.name);
+    b.project = r.project(b.project);
+  });
+}
+
+/**
+ * 按脱敏级别处理个人报告（report.json 的结构）
+ * JSON、HTML、海报和在线报告链接都应使用处理后的报告，确保各处一致
+ * @param {Object} report - 报告数据
+ * @param {string} [level='full'] - 脱敏级别
+ * @param {Object} [redactor] - 脱敏上下文（见 createRedactor），多份报告共用时代号在各报告之间一致
+ * @returns {{ report: Object, changes: { field: string, count: number }[] }} 处理后的报告（副本）及处理了哪些内容（共用脱敏上下文时为累计值）
+ */
+function redactReport(report, level = DEFAULT_REDACTION, redactor = createRedactor(level, report.locale)) {
+  if (level === 'full') return { report, changes: [] };
+  const result = structuredClone(report);
+  const r = redactor;
+
+  if (result.author) {
+    if (result.author.email) r.count('email');
+    delete result.author.email;
+    // 以邮箱指定作者且没有匹配的 git 用户名时，姓名就是邮箱
+    result.author.name = r.name(result.author.name);
+    if (result.author.identities) {
+      // 身份列表中的邮箱移除；public 级别下整个身份列表都不保留
+      const kept = r.isPublic ? [] : result.author.identities.filter(id => !id.includes('@'));
+      r.count('identity', result.author.identities.length - kept.length);
+      result.author.identities = kept;
+    }
+  }
+  redactSummary(result.summary, r);
+
+  const cmp = result.comparison;
+  if (cmp) {
+    ['added', 'lost'].forEach(key => (cmp.collaborators?.[key] || []).forEach(p => r.person(p)));
+    if (r.isPublic && cmp.projects) {
+      ['added', 'dropped', 'continued'].forEach(key => { cmp.projects[key] = (cmp.projects[key] || []).map(name => r.project(name)); });
+    }
+  }
+
+  result.redaction = level;
+  return { report: result, changes: r.changes() };
+}
+
+/**
+ * 按脱敏级别处理团队汇总报告：移除成员邮箱，public 级别下仓库名改为代号（成员姓名保留）
+ * @param {Object} report - 团队报告数据
+ * @param {string} [level='full'] - 脱敏级别
+ * @param {Object} [redactor] - 脱敏上下文（见 createRedactor），与成员报告共用时仓库代号一致
+ * @returns {{ report: Object, changes: { field: string, count: number }[] }}
+ */
+function redactTeamReport(report, level = DEFAULT_REDACTION, redactor = createRedactor(level, report.locale)) {
+  if (level === 'full') return { report, changes: [] };
+  const result = structuredClone(report);
+  const r = redactor;
+  (result.team?.members || []).forEach(m => r.person(m, true));
+  (result.team?.ownership || []).forEach(o => { o.repo = r.project(o.repo); });
+  result.redaction = level;
+  return { report: result, changes: r.changes() };
+}
+
+/**
+ * 格式化脱敏说明（用于命令行预览）
+ * @param {string} level - 脱敏级别
+ * @param {{ field: string, count: number }[]} changes - 处理了哪些内容
+ * @param {string} [locale] - 预览文本的语言
+ * @returns {string}
+ */
+function formatRedactionPreview(level, changes, locale) {
+  const t = createTranslator(locale);
+  if (level === 'full') return t('redact.preview.full');
+  if (!changes.length) return t('redact.preview.nothing', { level });
+  return `${t('redact.preview.changes', { level })}\n`
+    + changes.map(c => `   - ${t('redact.preview.item', { field: { id: `redact.field.${c.field}` }, count: c.count })}`).join('\n');
+}
+
+module.exports = { REDACTION_LEVELS, DEFAULT_REDACTION, validateRedaction, createRedactor, redactReport, redactTeamReport, formatRedactionPreview };
@@ -0,0 +1,343 @@
+/**
+ * Git 年度报告 - 徽章、称号与提示文案规则模块
+ * 规则以数据的形式声明（指标、比较符、阈值、文案、得分公式），可通过规则文件覆盖或扩展
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { createTranslator, pickLocalized } = require('./i18n');
+
+/** 全局规则文件 */
+const GLOBAL_RULES_FILE = path.join(os.homedir(), '.config', 'annual-code-report', 'rules.json');
+
+/** 支持的比较符 */
+const OPERATORS = {
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b
+};
+
+/**
+ * 内置规则
+ * badges: 徽章，when 中所有条件都满足时获得；scopes 为生效范围（summary 年度汇总、repo 单个项目），value 可按范围分别指定阈值
+ * titles: 年度称号候选，得分 = 指标值 × factor，指标值达到 cap.at 时直接取 cap.score，得分最高者为年度称号
+ * tips: 提示文案，依次检查 levels，第一个满足条件的生效，都不满足时使用 fallback；文案中的 {指标} 或 {指标/除数} 会替换为对应数值（向下取整）
+ * 内置规则的文案在语言包中：徽章为 badge.<id>、badge.<id>.desc，称号为 title.<id>、title.<id>.desc，提示为 tip.<字段名去掉 Tip>.<level id>（未命中时为 fallback）
+ */
+const DEFAULT_RULES = {
+  badges: [
+    { id: 'early-bird', scopes: ['summary', 'repo'], when: [{ metric: 'earlyBirdRate', op: '>', value: { summary: 0.1, repo: 0.2 } }] },
+    { id: 'night-owl', scopes: ['summary', 'repo'], when: [{ metric: 'nightRate', op: '>', value: { summary: 0.2, repo: 0.3 } }] },
+    { id: 'weekend-warrior', scopes: ['summary', 'repo'], when: [{ metric: 'weekendRate', op: '>', value: { summary: 0.15, repo: 0.3 } }] },
+    { id: 'steady', scopes: ['summary', 'repo'], when: [{ metric: 'longestStreak', op: '>=', value: 7 }] },
+    { id: 'slacker', scopes: ['summary', 'repo'], when: [{ metric: 'longestGap', op: '>=', value: 14 }] },
+    { id: 'late-night', scopes: ['summary', 'repo'], when: [{ metric: 'lateNightCommits', op: '>', value: 10 }] },
+    { id: 'refactor-master', scopes: ['summary', 'repo'], when: [{ metric: 'bigRefactorCount', op: '>=', value: { summary: 10, repo: 3 } }] },
+    { id: 'collaborator', scopes: ['summary', 'repo'], when: [{ metric: 'mergeCommits', op: '>', value: { summary: 50, repo: 20 } }] },
+    { id: 'pair-programmer', when: [{ metric: 'coAuthoredCommits', op: '>=', value: 10 }, { metric: 'coAuthoredRate', op: '>', value: 0.3 }] },
+    { id: 'multi-project', when: [{ metric: 'projectCount', op: '>=', value: 10 }] },
+    { id: 'thousand-commits', when: [{ metric: 'totalCommits', op: '>=', value: 1000 }] },
+    { id: 'hundred-k-lines', when: [{ metric: 'totalInsertions', op: '>=', value: 100000 }] }
+  ],
+  titles: [
+    { id: 'code-maniac', score: { metric: 'totalCommits', factor: 0.1, cap: { at: 1000, score: 100 } } },
+    { id: 'output-king', score: { metric: 'totalInsertions', factor: 0.001, cap: { at: 100000, score: 90 } } },
+    { id: 'night-walker', score: { metric: 'nightRate', factor: 100 } },
+    { id: 'dawn-pioneer', score: { metric: 'earlyBirdRate', factor: 100 } },
+    { id: 'weekend-god', score: { metric: 'weekendRate', factor: 80 } },
+    { id: 'persistent', score: { metric: 'longestStreak', factor: 2, cap: { at: 30, score: 85 } } },
+    { id: 'refactor-god', score: { metric: 'bigRefactorCount', factor: 4, cap: { at: 20, score: 80 } } },
+    { id: 'full-stack-ranger', score: { metric: 'projectCount', factor: 5, cap: { at: 15, score: 75 } } },
+    { id: 'team-hub', score: { metric: 'mergeCommits', factor: 0.7, cap: { at: 100, score: 70 } } },
+    { id: 'zen-developer', score: { metric: 'longestGap', factor: 2, cap: { at: 30, score: 60 } } },
+    { id: 'midnight-grinder', score: { metric: 'lateNightRate', factor: 90 } }
+  ],
+  tips: {
+    projectCountTip: {
+      levels: [
+        { id: 'multiThread', metric: 'projectCount', op: '>=', value: 15 },
+        { id: 'expert', metric: 'projectCount', op: '>=', value: 10 },
+        { id: 'parallel', metric: 'projectCount', op: '>=', value: 5 }
+      ]
+    },
+    totalCommitsTip: {
+      levels: [
+        { id: 'thousand', metric: 'totalCommits', op: '>=', value: 1000 },
+        { id: 'prolific', metric: 'totalCommits', op: '>=', value: 500 },
+        { id: 'steady', metric: 'totalCommits', op: '>=', value: 200 }
+      ]
+    },
+    totalInsertionsTip: {
+      levels: [
+        { id: 'novels', metric: 'totalInsertions', op: '>=', value: 100000 },
+        { id: 'impressive', metric: 'totalInsertions', op: '>=', value: 50000 },
+        { id: 'diligent', metric: 'totalInsertions', op: '>=', value: 10000 }
+      ]
+    },
+    netLinesTip: {
+      levels: [
+        { id: 'considerable', metric: 'netLines', op: '>=', value: 50000 },
+        { id: 'growing', metric: 'netLines', op: '>=', value: 10000 }
+      ]
+    },
+    activeDaysTip: {
+      levels: [
+        { id: 'allYear', metric: 'activeDays', op: '>=', value: 300 },
+        { id: 'hardWorking', metric: 'activeDays', op: '>=', value: 200 },
+        { id: 'regular', metric: 'activeDays', op: '>=', value: 100 }
+      ]
+    },
+    longestStreakTip: {
+      levels: [
+        { id: 'month', metric: 'longestStreak', op: '>=', value: 30 },
+        { id: 'twoWeeks', metric: 'longestStreak', op: '>=', value: 14 },
+        { id: 'week', metric: 'longestStreak', op: '>=', value: 7 }
+      ]
+    },
+    longestGapTip: {
+      levels: [
+        { id: 'longBreak', metric: 'longestGap', op: '>=', value: 60 },
+        { id: 'champion', metric: 'longestGap', op: '>=', value: 30 },
+        { id: 'rest', metric: 'longestGap', op: '>=', value: 14 }
+      ]
+    },
+    longestWorkSessionTip: {
+      levels: [
+        { id: 'movies', metric: 'longestWorkSessionHours', op: '>=', value: 10 },
+        { id: 'marathon', metric: 'longestWorkSessionHours', op: '>=', value: 6 }
+      ]
+    },
+    bigRefactorCountTip: {
+      levels: [
+        { id: 'god', metric: 'bigRefactorCount', op: '>=', value: 20 },
+        { id: 'master', metric: 'bigRefactorCount', op: '>=', value: 10 },
+        { id: 'tidy', metric: 'bigRefactorCount', op: '>=', value: 5 }
+      ]
+    },
+    topCollaboratorsTip: {
+      levels: [
+        { id: 'social', metric: 'collaboratorCount', op: '>=', value: 10 },
+        { id: 'core', metric: 'collaboratorCount', op: '>=', value: 5 }
+      ]
+    },
+    branchesCreatedTip: {
+      levels: [
+        { id: 'master', metric: 'branchesCreated', op: '>=', value: 50 },
+        { id: 'expert', metric: 'branchesCreated', op: '>=', value: 20 },
+        { id: 'orderly', metric: 'branchesCreated', op: '>=', value: 10 }
+      ]
+    },
+    weekendTip: {
+      levels: [
+        { id: 'warrior', metric: 'weekendRate', op: '>', value: 0.2 },
+        { id: 'sometimes', metric: 'weekendCommits', op: '>=', value: 20 }
+      ]
+    },
+    nightOwlTip: {
+      levels: [
+        { id: 'owl', metric: 'nightRate', op: '>', value: 0.3 },
+        { id: 'sometimes', metric: 'nightRate', op: '>', value: 0.15 }
+      ]
+    },
+    earlyBirdTip: {
+      levels: [
+        { id: 'bird', metric: 'earlyBirdRate', op: '>', value: 0.15 },
+        { id: 'sometimes', metric: 'earlyBirdCommits', op: '>=', value: 10 }
+      ]
+    },
+    messageQualityTip: {
+      levels: [
+        { id: 'exemplary', metric: 'messageQualityScore', op: '>=', value: 85 },
+        { id: 'tidy', metric: 'messageQualityScore', op: '>=', value: 70 },
+        { id: 'casual', metric: 'messageQualityScore', op: '>=', value: 50 }
+      ]
+    }
+  }
+};
+
+/**
+ * 按点分隔的路径读取指标值，如 commitTypeShare.test
+ * @param {Object} metrics - 指标
+ * @param {string} name - 指标名
+ * @returns {number|undefined}
+ */
+function readMetric(metrics, name) {
+  return name.split('.').reduce((v, key) => (v == null ? undefined : v[key]), metrics);
+}
+
+/**
+ * 检查单个条件
+ * @param {{ metric: string, op: string, value: number|Object<string, number> }} condition - 条件，value 可按范围分别指定
+ * @param {Object} metrics - 指标
+ * @param {string} scope - 生效范围：summary 或 repo
+ * @returns {{ metric: string, op: string, threshold: number, value: number, passed: boolean }}
+ */
+function checkCondition(condition, metrics, scope) {
+  const threshold = typeof condition.value === 'object' ? condition.value[scope] : condition.value;
+  const value = readMetric(metrics, condition.metric);
+  // 指标不存在（如某个 commit 类型从未出现）时按 0 处理
+  const actual = typeof value === 'number' ? value : 0;
+  const passed = threshold !== undefined && OPERATORS[condition.op](actual, threshold);
+  return { metric: condition.metric, op: condition.op, threshold, value: actual, passed };
+}
+
+/**
+ * 读取规则中的文本：规则文件可以直接写文本或 { 'zh-CN': ..., en: ... }，未写时取语言包中的 id 对应的文案
+ * @param {Function} t - 翻译函数
+ * @param {string|Object<string, string>|undefined} value - 规则中的文本
+ * @param {string} id - 语言包中的消息 id
+ * @param {Object} [params] - 文案参数
+ * @returns {string}
+ */
+function resolveText(t, value, id, params) {
+  return value === undefined ? t(id, params) : t.format(pickLocalized(value, t.locale), params);
+}
+
+/**
+ * 计算获得的徽章
+ * @param {Object} rules - 规则集（见 DEFAULT_RULES）
+ * @param {Object} metrics - 指标
+ * @param {string} [scope='summary'] - 生效范围：summary 或 repo
+ * @param {Function} [t] - 翻译函数，默认使用默认语言
+ * @returns {{ id: string, label: string, description: string, custom?: boolean, conditions: Object[] }[]} 获得的徽章及触发时的指标值
+ */
+function evaluateBadges(rules, metrics, scope = 'summary', t = createTranslator()) {
+  return rules.badges
+    .filter(rule => (rule.scopes || ['summary']).includes(scope))
+    .map(rule => ({ rule, conditions: rule.when.map(c => checkCondition(c, metrics, scope)) }))
+    .filter(({ conditions }) => conditions.every(c => c.passed))
+    .map(({ rule, conditions }) => ({
+      id: rule.id,
+      label: resolveText(t, rule.label, `badge.${rule.id}`),
+      description: rule.description === undefined && !t.has(`badge.${rule.id}.desc`) ? '' : resolveText(t, rule.description, `badge.${rule.id}.desc`),
+      ...(rule.label !== undefined && { custom: true }),  // 文本来自规则文件，切换语言时保留原文本
+      conditions: conditions.map(({ passed, ...c }) => c)
+    }));
+}
+
+/**
+ * 选出年度称号（得分最高的候选）
+ * @param {Object} rules - 规则集
+ * @param {Object} metrics - 指标
+ * @param {Function} [t] - 翻译函数，默认使用默认语言
+ * @returns {{ id: string, title: string, desc: string, custom?: boolean, score: number, metric: string, value: number }|null}
+ */
+function pickTitle(rules, metrics, t = createTranslator()) {
+  const candidates = rules.titles.map(rule => {
+    const { metric, factor = 1, cap } = rule.score;
+    const value = readMetric(metrics, metric);
+    const actual = typeof value === 'number' ? value : 0;
+    const score = cap && actual >= cap.at ? cap.score : actual * factor;
+    return { rule, score: Number(score.toFixed(2)), metric, value: actual };
+  });
+  const best = candidates.sort((a, b) => b.score - a.score)[0];
+  if (!best) return null;
+  return {
+    id: best.rule.id,
+    title: resolveText(t, best.rule.title, `title.${best.rule.id}`),
+    desc: best.rule.desc === undefined && !t.has(`title.${best.rule.id}.desc`) ? '' : resolveText(t, best.rule.desc, `title.${best.rule.id}.desc`),
+    ...(best.rule.title !== undefined && { custom: true }),
+    score: best.score,
+    metric: best.metric,
+    value: best.value
+  };
+}
+
+/**
+ * 生成提示文案
+ * 文案参数为各级条件用到的指标，以及规则文件中自定义文本里 {指标} 占位符用到的指标
+ * @param {Object} rules - 规则集
+ * @param {Object} metrics - 指标
+ * @param {Function} [t] - 翻译函数，默认使用默认语言
+ * @returns {Object<string, { id: string, params: Object, text: string, custom?: boolean }>} 文案字段名 → 文案消息
+ */
+function evaluateTips(rules, metrics, t = createTranslator()) {
+  return Object.fromEntries(Object.entries(rules.tips).map(([key, tip]) => {
+    const level = tip.levels.find(l => checkCondition(l, metrics, 'summary').passed);
+    const id = `tip.${key.replace(/Tip$/, '')}.${level ? level.id || tip.levels.indexOf(level) : 'fallback'}`;
+    const custom = level ? level.text : tip.fallback;
+    const names = [
+      ...tip.levels.map(l => l.metric),
+      ...[...JSON.stringify(custom ?? '').matchAll(/\{([\w.]+)(?:\/[\d.]+)?\}/g)].map(m => m[1])
+    ];
+    const params = Object.fromEntries(names.map(name => [name, readMetric(metrics, name) ?? 0]));
+    return [key, { id, params, text: resolveText(t, custom, id, params), ...(custom !== undefined && { custom: true }) }];
+  }));
+}
+
+/**
+ * 校验规则文件的结构
+ * @param {Object} config - 规则文件内容
+ * @param {string} source - 规则文件路径（用于错误信息）
+ * @param {Function} t - 翻译函数
+ */
+function validateRulesConfig(config, source, t) {
+  const fail = (id, params) => { throw new Error(t('rules.invalid', { file: source, reason: t(id, params) })); };
+  const checkCondition = (c, where) => {
+    if (!c || typeof c.metric !== 'string') fail('rules.missingMetric', { where });
+    if (!OPERATORS[c.op]) fail('rules.badOperator', { where, op: c.op, operators: Object.keys(OPERATORS).join(' ') });
+    if (typeof c.value !== 'number' && (typeof c.value !== 'object' || c.value === null)) fail('rules.badValue', { where });
+  };
+  if (typeof config !== 'object' || config === null || Array.isArray(config)) fail('rules.notObject');
+  (config.badges || []).forEach((b, i) => {
+    if (!b.id) fail('rules.missingId', { where: `badges[${i}]` });
+    // 覆盖内置徽章时可以只写需要修改的字段
+    if (!b.label && !DEFAULT_RULES.badges.some(d => d.id === b.id)) fail('rules.missingField', { where: `badges.${b.id}`, field: 'label' });
+    if (b.when !== undefined && !Array.isArray(b.when)) fail('rules.badWhen', { where: `badges.${b.id}` });
+    (b.when || []).forEach((c, j) => checkCondition(c, `badges.${b.id}.when[${j}]`));
+  });
+  (config.titles || []).forEach((title, i) => {
+    if (!title.id) fail('rules.missingId', { where: `titles[${i}]` });
+    const isBuiltin = DEFAULT_RULES.titles.some(d => d.id === title.id);
+    if (!title.title && !isBuiltin) fail('rules.missingField', { where: `titles.${title.id}`, field: 'title' });
+    if ((title.score || !isBuiltin) && typeof title.score?.metric !== 'string') fail('rules.missingMetric', { where: `titles.${title.id}.score` });
+  });
+  Object.entries(config.tips || {}).forEach(([key, tip]) => {
+    (tip.levels || []).forEach((l, j) => checkCondition(l, `tips.${key}.levels[${j}]`));
+  });
+  if (config.disable !== undefined && !Array.isArray(config.disable)) fail('rules.badDisable');
+}
+
+/**
+ * 合并规则：同 id 的规则覆盖内置规则中的对应字段，新 id 追加，disable 中的 id 被移除
+ * @param {Object} base - 内置规则
+ * @param {Object} config - 规则文件内容
+ * @returns {Object} 合并后的规则集
+ */
+function mergeRules(base, config) {
+  const disabled = new Set(config.disable || []);
+  const mergeList = (list, overrides = []) => {
+    const merged = list.map(rule => ({ ...rule, ...overrides.find(o => o.id === rule.id) }));
+    const added = overrides.filter(o => !list.some(rule => rule.id === o.id));
+    return [...merged, ...added].filter(rule => !disabled.has(rule.id));
+  };
+  const tips = { ...base.tips, ...config.tips };
+  disabled.forEach(key => { delete tips[key]; });
+  return { badges: mergeList(base.badges, config.badges), titles: mergeList(base.titles, config.titles), tips };
+}
+
+/**
+ * 加载规则：内置规则 + 规则文件（未指定时读取全局规则文件，不存在则只用内置规则）
+ * @param {string} [file] - 规则文件路径
+ * @param {string} [locale] - 错误信息所用的语言
+ * @returns {Promise<Object>} 规则集
+ */
+async function loadRules(file, locale) {
+  const t = createTranslator(locale);
+  const source = file || GLOBAL_RULES_FILE;
+  if (!file && !await fs.pathExists(source)) return DEFAULT_RULES;
+  let config;
+  try {
+    config = await fs.readJson(source);
+  } catch (e) {
+    throw new Error(t('rules.unreadable', { file: source, reason: e.message }));
+  }
+  validateRulesConfig(config, source, t);
+  return mergeRules(DEFAULT_RULES, config);
+}
+
+module.exports = { DEFAULT_RULES, GLOBAL_RULES_FILE, evaluateBadges, pickTitle, evaluateTips, loadRules };
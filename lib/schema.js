@@ -0,0 +1,174 @@
+/**
+ * Git 年度报告 - 报告结构模块
+ * 报告结构以 JSON Schema 发布在 schema/report.schema.json，这里负责写入前的校验，以及把旧版 report.json 升级到当前结构
+ * 新增字段不改变版本号；删除、重命名字段或改变字段类型时 SCHEMA_VERSION 加一，并在 MIGRATIONS 中补充对应的升级步骤
+ */
+
+const REPORT_SCHEMA = require('../schema/report.schema.json');
+const { buildSummary } = require('./metrics');
+const { DEFAULT_LOCALE, createTranslator } = require('./i18n');
+
+/** 当前报告结构版本（没有 schemaVersion 字段的旧报告视为版本 1） */
+const SCHEMA_VERSION = REPORT_SCHEMA.$defs.schemaVersion.const;
+
+/** 单次校验最多在错误信息中列出的问题数 */
+const MAX_LISTED_ERRORS = 5;
+
+// ========== 校验 ==========
+
+/**
+ * 判断值是否符合 JSON Schema 的类型
+ * @param {*} value - 值
+ * @param {string} type - 类型名称
+ * @returns {boolean}
+ */
+function isType(value, type) {
+  switch (type) {
+    case 'null': return value === null;
+    case 'array': return Array.isArray(value);
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    default: return typeof value === type;
+  }
+}
+
+/**
+ * 按 JSON Schema 校验值，只实现报告结构用到的关键字：
+ * $ref（仅限本文件内的 #/$defs/...）、allOf、type、const、enum、required、properties、additionalProperties、items、minItems、maxItems、minimum
+ * @param {*} value - 待校验的值
+ * @param {Object} schema - JSON Schema
+ * @param {string} path - 值在报告中的路径，用于错误信息
+ * @param {{ path: string, keyword: string, params: Object }[]} errors - 收集到的问题
+ */
+function check(value, schema, path, errors) {
+  if (schema.$ref) {
+    const name = schema.$ref.replace('#/$defs/', '');
+    check(value, REPORT_SCHEMA.$defs[name], path, errors);
+  }
+  (schema.allOf || []).forEach(sub => check(value, sub, path, errors));
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => isType(value, type))) {
+      errors.push({ path, keyword: 'type', params: { expected: types.join(' | ') } });
+      return;
+    }
+  }
+  if ('const' in schema && value !== schema.const) {
+    errors.push({ path, keyword: 'const', params: { expected: JSON.stringify(schema.const) } });
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, keyword: 'enum', params: { expected: schema.enum.join(', ') } });
+  }
+  if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    errors.push({ path, keyword: 'minimum', params: { expected: schema.minimum } });
+  }
+
+  if (isType(value, 'object')) {
+    (schema.required || []).forEach(key => {
+      if (!(key in value)) errors.push({ path: `${path}.${key}`, keyword: 'required', params: {} });
+    });
+    Object.entries(value).forEach(([key, v]) => {
+      const sub = schema.properties?.[key] ?? schema.additionalProperties;
+      if (sub === false) errors.push({ path: `${path}.${key}`, keyword: 'additionalProperties', params: {} });
+      else if (sub && typeof sub === 'object') check(v, sub, `${path}.${key}`, errors);
+    });
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, keyword: 'minItems', params: { expected: schema.minItems } });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path, keyword: 'maxItems', params: { expected: schema.maxItems } });
+    }
+    if (schema.items) value.forEach((v, i) => check(v, schema.items, `${path}[${i}]`, errors));
+  }
+}
+
+/**
+ * 校验报告是否符合当前的报告结构（个人报告或团队报告）
+ * @param {Object} report - 报告数据
+ * @returns {{ path: string, keyword: string, params: Object }[]} 发现的问题，为空时校验通过
+ */
+function validateReport(report) {
+  const errors = [];
+  const def = report && typeof report === 'object' && 'team' in report ? 'teamReport' : 'personalReport';
+  check(report, { $ref: `#/$defs/${def}` }, 'report', errors);
+  return errors;
+}
+
+/**
+ * 校验报告，不符合报告结构时抛出错误（写入 report.json 前调用，避免输出下游无法解析的报告）
+ * @param {Object} report - 报告数据
+ * @throws {Error} 错误信息列出前几个问题
+ */
+function assertValidReport(report) {
+  const errors = validateReport(report);
+  if (!errors.length) return;
+  const t = createTranslator(report?.locale);
+  const details = errors.slice(0, MAX_LISTED_ERRORS)
+    .map(e => `   - ${e.path}: ${t(`schema.${e.keyword}`, e.params)}`)
+    .join('\n');
+  const more = errors.length > MAX_LISTED_ERRORS ? `\n   ${t('schema.more', { count: errors.length - MAX_LISTED_ERRORS })}` : '';
+  throw new Error(`${t('schema.invalid', { count: errors.length })}\n${details}${more}`);
+}
+
+// ========== 迁移 ==========
+
+/**
+ * 各版本的升级步骤：version 为升级后的版本，migrate 接收上一版本的报告副本（可以原地修改）
+ * @type {{ version: number, migrate: (report: Object) => Object }[]}
+ */
+const MIGRATIONS = [
+  {
+    // 版本 1 → 2：
+    // - mostProductiveQuarter 由 [季度, 提交数] 数组改为 { quarter, commits }，没有提交时为 null
+    // - 没有匹配的提交时 summary 由 null 改为各项计数为 0 的汇总数据
+    // - 补全较早版本缺少的 locale、timezone、author.identities
+    version: 2,
+    migrate(old) {
+      // 补全的字段按当前报告的字段顺序排列
+      const { generatedAt, range } = old;
+      const report = { generatedAt, locale: old.locale || DEFAULT_LOCALE, range, timezone: old.timezone ?? null, ...old };
+      if ('team' in report) return report;
+
+      if (report.author && !report.author.identities) {
+        report.author.identities = [report.author.name, report.author.email].filter(Boolean);
+      }
+      if (!report.summary) report.summary = buildSummary([], { locale: report.locale, range: report.range });
+      const quarter = report.summary.mostProductiveQuarter;
+      if (Array.isArray(quarter)) {
+        report.summary.mostProductiveQuarter = quarter[1] ? { quarter: quarter[0], commits: quarter[1] } : null;
+      }
+      return report;
+    }
+  }
+];
+
+/**
+ * 把旧版报告升级到当前结构（不修改原报告），使往年的 report.json 可以继续渲染、导出海报和对比
+ * @param {Object} report - 报告数据（任意版本的个人报告或团队报告）
+ * @returns {Object} 当前结构的报告；已是当前版本时原样返回
+ * @throws {Error} 不是报告对象，或报告版本比当前工具支持的更新
+ */
+function migrateReport(report) {
+  const t = createTranslator(report?.locale);
+  if (!report || typeof report !== 'object' || Array.isArray(report)) throw new Error(t('schema.notReport'));
+  const version = report.schemaVersion ?? 1;
+  if (!Number.isInteger(version) || version < 1) throw new Error(t('schema.badVersion', { version: JSON.stringify(version) }));
+  if (version > SCHEMA_VERSION) throw new Error(t('schema.tooNew', { version, current: SCHEMA_VERSION }));
+  if (version === SCHEMA_VERSION) return report;
+
+  let result = structuredClone(report);
+  MIGRATIONS.filter(m => m.version > version).forEach(m => {
+    result = m.migrate(result);
+    result.schemaVersion = m.version;
+  });
+  // schemaVersion 放在报告最前面，便于查看
+  const { schemaVersion, ...rest } = result;
+  return { schemaVersion, ...rest };
+}
+
+module.exports = { SCHEMA_VERSION, REPORT_SCHEMA, validateReport, assertValidReport, migrateReport };
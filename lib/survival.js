@@ -0,0 +1,172 @@
+/**
+ * Git 年度报告 - 代码存活与归属模块
+ * 在统计区间结束时的最后一个提交上逐文件 git blame：统计区间内写下的代码有多少行仍然保留（存活率），以及仓库现有代码中有多少行由自己写下（归属占比）
+ * blame 开销较大，默认不启用；按文件数和耗时限制执行范围，超出限制时只统计已完成的文件，并在结果中标记
+ */
+
+/** 默认的 blame 限制：每个仓库最多 blame 的文件数、最长耗时（秒） */
+const DEFAULT_BLAME_LIMITS = { maxFiles: 1000, timeout: 120 };
+
+/** git blame --incremental 每段记录的第一行："<提交> <原行号> <行号> <行数>" */
+const BLAME_HEADER_REGEX = /^([0-9a-f]{40}) \d+ \d+ (\d+)$/;
+
+/**
+ * 解析单个文件的 git blame --incremental 输出
+ * 每个提交的作者信息只在第一次出现时输出，因此作者表需要在同一仓库的各文件之间共享
+ * @param {string} output - git blame --incremental 的输出
+ * @param {Object<string, { name: string, email: string }>} authors - 提交 → 作者（经 .mailmap 映射），解析时补充
+ * @returns {Object<string, number>} 提交 → 该文件中由该提交写下的行数
+ */
+function parseIncrementalBlame(output, authors) {
+  const lines = {};
+  let hash = null;
+  output.split('\n').forEach(line => {
+    const header = line.match(BLAME_HEADER_REGEX);
+    if (header) {
+      hash = header[1];
+      lines[hash] = (lines[hash] || 0) + Number(header[2]);
+      authors[hash] = authors[hash] || { name: '', email: '' };
+    } else if (hash && line.startsWith('author ')) {
+      authors[hash].name = line.slice('author '.length);
+    } else if (hash && line.startsWith('author-mail ')) {
+      authors[hash].email = line.slice('author-mail '.length).replace(/^<|>$/g, '');
+    }
+  });
+  return lines;
+}
+
+/**
+ * 选出需要 blame 的文件：先是统计区间内修改过的文件（按新增行数从多到少，决定存活行数），再是其他文件（按行数从多到少，决定归属占比）
+ * @param {Object<string, number>} lineCounts - 统计区间结束时各文本文件的行数
+ * @param {{ files: { file: string, insertions: number }[] }[]} commits - 统计区间内的提交（readCommits 的解析结果）
+ * @param {Object} options - 选项
+ * @param {(file: string) => string|null} options.isExcluded - 路径排除匹配函数
+ * @param {number} options.maxFiles - 最多 blame 的文件数
+ * @returns {{ files: string[], total: number }} 选中的文件，以及排除后可 blame 的文件总数
+ */
+function selectBlameFiles(lineCounts, commits, { isExcluded, maxFiles }) {
+  const touched = {};
+  commits.forEach(c => c.files.forEach(({ file, insertions }) => { touched[file] = (touched[file] || 0) + insertions; }));
+  const candidates = Object.keys(lineCounts).filter(file => !isExcluded(file));
+  const mine = candidates.filter(file => touched[file]).sort((a, b) => touched[b] - touched[a]);
+  const others = candidates.filter(file => !touched[file]).sort((a, b) => lineCounts[b] - lineCounts[a]);
+  return { files: [...mine, ...others].slice(0, maxFiles), total: candidates.length };
+}
+
+/**
+ * 计算比例（最大为 1：重命名、复制等情况下 blame 归属的行数可能略多于 numstat 的新增行数）
+ * @param {number} n - 分子
+ * @param {number} total - 分母
+ * @returns {number}
+ */
+function rateOf(n, total) {
+  return total ? Number(Math.min(1, n / total).toFixed(3)) : 0;
+}
+
+/**
+ * 计算存活行数与归属占比
+ * @param {Object} blame - readBlame 的结果 { files: [{ file, commits }], authors, filesTotal, linesTotal, truncated }
+ * @param {Object} options - 选项
+ * @param {Set<string>} options.hashes - 统计区间内本人的提交
+ * @param {(author: { name: string, email: string }) => boolean} options.isMine - 判断作者是否为本人
+ * @param {number} options.insertions - 统计区间内的新增行数
+ * @param {Object<string, { insertions: number }>} options.languages - 按语言统计的新增行数
+ * @param {(file: string) => { name: string }} options.classify - 语言识别函数
+ * @returns {Object} 存活与归属统计
+ */
+function summarizeSurvival(blame, { hashes, isMine, insertions, languages, classify }) {
+  // 同一提交在多个文件中出现，作者只判断一次
+  const mineByHash = {};
+  const isMineHash = hash => {
+    if (!(hash in mineByHash)) mineByHash[hash] = isMine(blame.authors[hash]);
+    return mineByHash[hash];
+  };
+  const survivingByLanguage = {};
+  let surviving = 0, lines = 0, mine = 0;
+
+  blame.files.forEach(({ file, commits }) => {
+    const language = classify(file).name;
+    Object.entries(commits).forEach(([hash, n]) => {
+      lines += n;
+      if (isMineHash(hash)) mine += n;
+      if (hashes.has(hash)) {
+        surviving += n;
+        survivingByLanguage[language] = (survivingByLanguage[language] || 0) + n;
+      }
+    });
+  });
+
+  return {
+    insertions,                       // 统计区间内的新增行数
+    surviving,                        // 其中在统计区间结束时仍然保留的行数
+    survivalRate: rateOf(surviving, insertions),  // 存活率：surviving / insertions
+    lines,                            // 已 blame 文件的总行数
+    mine,                             // 其中由本人写下的行数（不限于统计区间）
+    ownership: rateOf(mine, lines),   // 归属占比：mine / lines
+    filesBlamed: blame.files.length,  // 已 blame 的文件数
+    filesTotal: blame.filesTotal,     // 排除路径后的文本文件总数
+    linesTotal: blame.linesTotal,     // 排除路径后的文本文件总行数
+    truncated: blame.truncated,       // 达到限制而提前结束的原因：files（文件数）、time（耗时），未达到限制时为 null
+    languages: Object.entries(languages)  // 各语言的存活率 [{ name, insertions, surviving, survivalRate }]
+      .filter(([, l]) => l.insertions)
+      .map(([name, l]) => ({ name, insertions: l.insertions, surviving: survivingByLanguage[name] || 0, survivalRate: rateOf(survivingByLanguage[name] || 0, l.insertions) }))
+      .sort((a, b) => b.insertions - a.insertions)
+  };
+}
+
+/**
+ * 汇总各仓库提前结束的原因：有仓库达到耗时限制时为 time，否则有仓库达到文件数限制时为 files
+ * @param {('files'|'time'|null)[]} reasons - 各仓库提前结束的原因
+ * @returns {'files'|'time'|null}
+ */
+function mergeTruncated(reasons) {
+  return ['time', 'files'].find(reason => reasons.includes(reason)) || null;
+}
+
+/**
+ * 汇总多个仓库的存活与归属（比例按合并后的行数重新计算）
+ * @param {{ name: string, survival?: Object|null }[]} repos - 各仓库的统计数据，未启用 blame 时没有 survival
+ * @returns {Object|null} 存活与归属统计，另含 projects 为各项目的存活率与归属占比；所有仓库都未启用 blame 时为 null
+ */
+function mergeSurvival(repos) {
+  const withSurvival = repos.filter(r => r.survival);
+  if (!withSurvival.length) return null;
+  const sum = key => withSurvival.reduce((a, r) => a + r.survival[key], 0);
+  const insertions = sum('insertions'), surviving = sum('surviving'), lines = sum('lines'), mine = sum('mine');
+
+  const languageMap = {};
+  withSurvival.forEach(r => r.survival.languages.forEach(l => {
+    const entry = languageMap[l.name] = languageMap[l.name] || { insertions: 0, surviving: 0 };
+    entry.insertions += l.insertions;
+    entry.surviving += l.surviving;
+  }));
+
+  return {
+    insertions,
+    surviving,
+    survivalRate: rateOf(surviving, insertions),
+    lines,
+    mine,
+    ownership: rateOf(mine, lines),
+    truncated: mergeTruncated(withSurvival.map(r => r.survival.truncated)),  // 有仓库达到限制而只统计了部分文件时的原因（同各项目的 truncated），都未达到限制时为 null
+    languages: Object.entries(languageMap)
+      .map(([name, l]) => ({ name, ...l, survivalRate: rateOf(l.surviving, l.insertions) }))
+      .sort((a, b) => b.insertions - a.insertions),
+    projects: withSurvival  // 各项目的存活率与归属占比 [{ name, insertions, surviving, survivalRate, lines, mine, ownership, filesBlamed, filesTotal, truncated }]
+      .map(({ name, survival: s }) => ({
+        name,
+        insertions: s.insertions,
+        surviving: s.surviving,
+        survivalRate: s.survivalRate,
+        lines: s.lines,
+        mine: s.mine,
+        ownership: s.ownership,
+        filesBlamed: s.filesBlamed,
+        filesTotal: s.filesTotal,
+        truncated: s.truncated
+      }))
+      .sort((a, b) => b.surviving - a.surviving)
+  };
+}
+
+module.exports = { DEFAULT_BLAME_LIMITS, parseIncrementalBlame, selectBlameFiles, summarizeSurvival, mergeSurvival };
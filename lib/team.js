@@ -0,0 +1,146 @@
+/**
+ * Git 年度报告 - 团队模式模块
+ * 负责识别团队成员，并生成团队排行榜、仓库归属和团队热力图
+ */
+
+const { createAuthorMatcher, mergeAliases, toIdentityList } = require('./identity');
+
+/**
+ * 将成员名称转为可用作文件名的 id
+ * @param {string} name - 成员名称
+ * @param {Set<string>} used - 已使用的 id
+ * @returns {string}
+ */
+function toMemberId(name, used) {
+  const base = (name || 'member').toLowerCase().replace(/[^\w一-龥]+/g, '-').replace(/^-+|-+$/g, '') || 'member';
+  let id = base, i = 2;
+  while (used.has(id)) id = `${base}-${i++}`;
+  used.add(id);
+  return id;
+}
+
+/**
+ * 确定团队成员
+ * @param {{ name: string, email: string, commits: number }[]} identities - 所有仓库的提交者（经 .mailmap 映射）及提交数
+ * @param {string[]} [memberList] - 指定的成员列表，每项为一个人的身份（多个身份用逗号分隔）；为空时统计所有提交者
+ * @returns {{ id: string, name: string, email: string, aliases: string[], identities: string[] }[]} 成员列表
+ */
+function resolveMembers(identities, memberList) {
+  const used = new Set();
+
+  if (!memberList || !memberList.length) {
+    return mergeAliases(identities).map(p => ({
+      id: toMemberId(p.name || p.email, used),
+      name: p.name,
+      email: p.email,
+      aliases: p.aliases,
+      identities: p.identities
+    }));
+  }
+
+  // 指定的身份命中某个别名组时，整组（共享用户名或邮箱的所有别名）都归入该成员
+  const groups = mergeAliases(identities);
+  return memberList.map(entry => {
+    const given = toIdentityList(entry);
+    const isMember = createAuthorMatcher(given);
+    const matched = groups.filter(g => g.identities.some(id => isMember(id, id)));
+    const primary = matched[0];
+    return {
+      id: toMemberId(primary?.name || given[0], used),
+      name: primary?.name || given[0],
+      email: primary?.email || given.find(i => i.includes('@')) || '',
+      aliases: matched.flatMap(m => m.aliases),
+      identities: [...new Set([...given, ...matched.flatMap(m => m.identities)])]
+    };
+  });
+}
+
+/**
+ * 创建成员解析函数：根据提交者身份（映射后或原始身份）返回成员 id
+ * @param {{ id: string, identities: string[] }[]} members - 成员列表
+ * @returns {(commit: { name: string, email: string, rawName: string, rawEmail: string }) => string|null}
+ */
+function createMemberResolver(members) {
+  const matchers = members.map(m => ({ id: m.id, isMember: createAuthorMatcher(m.identities) }));
+  return c => {
+    const found = matchers.find(m => m.isMember(c.name, c.email) || m.isMember(c.rawName, c.rawEmail));
+    return found ? found.id : null;
+  };
+}
+
+/**
+ * 生成排行榜
+ * @param {Object[]} members - 有提交的成员
+ * @param {(summary: Object) => number} pick - 取值函数
+ * @returns {{ id: string, name: string, value: number }[]}
+ */
+function leaderboard(members, pick) {
+  return members
+    .map(m => ({ id: m.id, name: m.name, value: pick(m.summary) }))
+    .sort((a, b) => b.value - a.value);
+}
+
+/**
+ * 生成团队汇总数据
+ * @param {{ id: string, name: string, email: string, aliases: string[], summary: Object }[]} members - 成员及其个人汇总数据
+ * @param {Object<string, { totalCommits: number, members: Object<string, number> }>} repoCommits - 各仓库（按相对所在根目录的仓库名称）总提交数及各成员提交数
+ * @returns {Object} 团队汇总数据
+ */
+function buildTeamSummary(members, repoCommits) {
+  const active = members.filter(m => m.summary?.totalCommits);
+  const byId = Object.fromEntries(members.map(m => [m.id, m]));
+
+  // ========== 排行榜 ==========
+  const leaderboards = {
+    commits: leaderboard(active, s => s.totalCommits),
+    lines: leaderboard(active, s => s.totalInsertions + s.totalDeletions),
+    activeDays: leaderboard(active, s => s.activeDays),
+    longestStreak: leaderboard(active, s => s.longestStreak)
+  };
+
+  // ========== 仓库归属（各成员提交数占仓库总提交数的比例） ==========
+  const ownership = Object.entries(repoCommits)
+    .map(([repo, r]) => ({
+      repo,
+      totalCommits: r.totalCommits,
+      owners: Object.entries(r.members)
+        .map(([id, commits]) => ({ id, name: byId[id]?.name || id, commits, share: Number((commits / r.totalCommits).toFixed(3)) }))
+        .sort((a, b) => b.commits - a.commits)
+    }))
+    .filter(r => r.owners.length)
+    .sort((a, b) => b.totalCommits - a.totalCommits);
+
+  // ========== 团队热力图 ==========
+  const hourDistribution = Array(24).fill(0);
+  const weekDistribution = Array(7).fill(0);
+  const weekHourHeatmap = Array.from({ length: 7 }, () => Array(24).fill(0));
+  active.forEach(m => {
+    m.summary.hourDistribution.forEach((v, i) => { hourDistribution[i] += v; });
+    m.summary.weekDistribution.forEach((v, i) => { weekDistribution[i] += v; });
+    m.repos.forEach(r => r.weekHourHeatmap.forEach((row, d) => row.forEach((v, h) => { weekHourHeatmap[d][h] += v; })));
+  });
+
+  return {
+    memberCount: active.length,
+    members: members.map(m => ({
+      id: m.id,
+      name: m.name,
+      email: m.email,
+      aliases: m.aliases,
+      totalCommits: m.summary?.totalCommits || 0,
+      totalLines: m.summary ? m.summary.totalInsertions + m.summary.totalDeletions : 0,
+      activeDays: m.summary?.activeDays || 0,
+      longestStreak: m.summary?.longestStreak || 0,
+      annualTitle: m.summary?.annualTitle || null,
+      badges: m.summary?.badges || [],
+      badgeDetails: m.summary?.badgeDetails || []
+    })),
+    leaderboards,                          // 提交数/代码行数/活跃天数/最长连续提交排行榜
+    ownership,                             // 各仓库的成员提交占比
+    hourDistribution,                      // 团队 24 小时提交分布
+    weekDistribution,                      // 团队星期提交分布
+    weekHourHeatmap                        // 团队星期 × 小时提交热力图
+  };
+}
+
+module.exports = { resolveMembers, createMemberResolver, buildTeamSummary };
@@ -0,0 +1,63 @@
+/**
+ * Git 年度报告 - 时间线工具模块
+ * 负责按天/按周的提交时间线合并，以及连续提交、摸鱼间隔等连续性计算
+ */
+
+const dayjs = require('dayjs');
+
+/**
+ * 计算最长连续提交天数
+ * @param {string[]} sortedDays - 按日期排序的日期数组 (YYYY-MM-DD)
+ * @returns {number} 最长连续天数
+ */
+function calcLongestStreak(sortedDays) {
+  let longestStreak = 0, streak = 0, prev = null;
+  sortedDays.forEach(d => {
+    if (!prev) streak = 1;
+    else { streak = dayjs(d).diff(dayjs(prev), 'day') === 1 ? streak + 1 : 1; }
+    longestStreak = Math.max(longestStreak, streak);
+    prev = d;
+  });
+  return longestStreak;
+}
+
+/**
+ * 计算最长摸鱼天数（两次提交之间的最大间隔）
+ * @param {string[]} sortedDays - 按日期排序的日期数组
+ * @returns {number} 最长间隔天数
+ */
+function calcLongestGap(sortedDays) {
+  if (sortedDays.length < 2) return 0;
+  let maxGap = 0;
+  for (let i = 1; i < sortedDays.length; i++) {
+    const gap = dayjs(sortedDays[i]).diff(dayjs(sortedDays[i - 1]), 'day') - 1;
+    if (gap > maxGap) maxGap = gap;
+  }
+  return maxGap;
+}
+
+/**
+ * 合并多个时间线（同一天/同一周的提交数与行数相加）
+ * @param {Object<string, { commits: number, lines: number }>[]} timelines - 时间线数组
+ * @returns {Object<string, { commits: number, lines: number }>} 合并后的时间线
+ */
+function mergeTimelines(timelines) {
+  const merged = {};
+  timelines.forEach(timeline => Object.entries(timeline || {}).forEach(([key, v]) => {
+    if (!merged[key]) merged[key] = { commits: 0, lines: 0 };
+    merged[key].commits += v.commits;
+    merged[key].lines += v.lines;
+  }));
+  return merged;
+}
+
+/**
+ * 找出时间线中提交最多的一项（提交数相同时取代码行数更多的）
+ * @param {Object<string, { commits: number, lines: number }>} timeline - 时间线
+ * @returns {[string, { commits: number, lines: number }]|undefined} [key, 数据]
+ */
+function findPeak(timeline) {
+  return Object.entries(timeline).sort((a, b) => b[1].commits - a[1].commits || b[1].lines - a[1].lines)[0];
+}
+
+module.exports = { calcLongestStreak, calcLongestGap, mergeTimelines, findPeak };
@@ -0,0 +1,65 @@
+/**
+ * Git 年度报告 - 时区模块
+ * 决定提交时间按哪个时区统计小时、星期、日/周/月（默认按每个提交自身记录的时区，即提交者当时的本地时间）
+ */
+
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+const timezone = require('dayjs/plugin/timezone');
+dayjs.extend(utc);
+dayjs.extend(timezone);
+const { createTranslator } = require('./i18n');
+
+/** 默认时区模式：按提交自身记录的时区 */
+const DEFAULT_TIMEZONE = 'author';
+
+/**
+ * 解析 ±HH:MM / ±HHMM 格式的时区偏移
+ * @param {string} value - 偏移字符串
+ * @returns {number|null} 偏移分钟数，格式不对返回 null
+ */
+function parseOffset(value) {
+  const m = /^([+-])(\d{2}):?(\d{2})$/.exec(value);
+  if (!m) return null;
+  const minutes = Number(m[2]) * 60 + Number(m[3]);
+  return minutes > 14 * 60 ? null : (m[1] === '-' ? -minutes : minutes);
+}
+
+/**
+ * 校验时区参数
+ * @param {string} value - author（提交自身时区）、local（本机时区）、UTC、±HH:MM 或 IANA 时区名（如 Asia/Shanghai）
+ * @param {string} [locale] - 错误信息的语言
+ * @returns {true|string} 通过返回 true，否则返回错误信息
+ */
+function validateTimezone(value, locale) {
+  const v = (value || '').trim();
+  if (['author', 'local'].includes(v) || /^utc$/i.test(v) || parseOffset(v) !== null) return true;
+  try {
+    Intl.DateTimeFormat('en-US', { timeZone: v });
+    return true;
+  } catch (e) {
+    return createTranslator(locale)('timezone.invalid', { value });
+  }
+}
+
+/**
+ * 创建时间解析函数：将提交的 ISO 时间（%aI）转换为指定时区下的 dayjs 对象
+ * 返回对象的 hour()/day()/format() 等均为该时区的墙上时间
+ * @param {string} [tz='author'] - 时区参数（见 validateTimezone）
+ * @returns {(isoDate: string) => import('dayjs').Dayjs}
+ */
+function createTimeResolver(tz = DEFAULT_TIMEZONE) {
+  if (tz === 'local') return isoDate => dayjs(isoDate);
+  if (/^utc$/i.test(tz)) return isoDate => dayjs.utc(isoDate);
+  if (tz === 'author') {
+    return isoDate => {
+      const offset = parseOffset((/[+-]\d{2}:?\d{2}$/.exec(isoDate) || [''])[0]);
+      return dayjs(isoDate).utcOffset(offset ?? 0);
+    };
+  }
+  const offset = parseOffset(tz);
+  if (offset !== null) return isoDate => dayjs(isoDate).utcOffset(offset);
+  return isoDate => dayjs(isoDate).tz(tz);
+}
+
+module.exports = { DEFAULT_TIMEZONE, validateTimezone, createTimeResolver };
@@ -0,0 +1,84 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const { analyze, analyzeTeam } = require('../lib/analyze');
+const { createRepo } = require('./helpers/git');
+
+const RANGE = { since: '2025-01-01', until: '2025-12-31' };
+
+/**
+ * 创建工作区：frontend/app 和 backend/app 两个同名仓库
+ * @returns {Promise<string>} 工作区路径
+ */
+async function createWorkspace() {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'annual-report-ws-'));
+  for (const [dir, commits] of [['frontend', 2], ['backend', 3]]) {
+    const repo = await createRepo({
+      commits: Array.from({ length: commits }, (_, i) => ({ author: 'Me <me@x.com>', date: `2025-05-0${i + 1}T10:00:00+08:00` }))
+    });
+    await fs.move(repo, path.join(root, dir, 'app'));
+  }
+  return root;
+}
+
+test('不同目录下的同名仓库在个人报告中分别统计', async () => {
+  const root = await createWorkspace();
+  try {
+    const report = await analyze({ roots: root, authors: 'me@x.com', ...RANGE });
+    const { summary } = report;
+    assert.deepEqual([...summary.allProjects].sort(), [path.join('backend', 'app'), path.join('frontend', 'app')]);
+    assert.equal(summary.totalCommits, 5);
+    assert.deepEqual(summary.calendar.projects.map(p => p.name).sort(), [path.join('backend', 'app'), path.join('frontend', 'app')]);
+  } finally {
+    await fs.remove(root);
+  }
+});
+
+test('不同目录下的同名仓库在成员报告中分别统计', async () => {
+  const root = await createWorkspace();
+  try {
+    const { members } = await analyzeTeam({ roots: root, ...RANGE });
+    assert.equal(members.length, 1);
+    assert.deepEqual([...members[0].report.summary.allProjects].sort(), [path.join('backend', 'app'), path.join('frontend', 'app')]);
+  } finally {
+    await fs.remove(root);
+  }
+});
+
+test('活跃天数、连续天数和高峰日按所有仓库合并后的时间线计算', async () => {
+  const root = await createWorkspace();
+  try {
+    const { summary } = await analyze({ roots: root, authors: 'me@x.com', ...RANGE });
+    assert.equal(summary.activeDays, 3);
+    assert.equal(summary.longestStreak, 3);
+    assert.equal(summary.mostProductiveDay.commits, 2);
+  } finally {
+    await fs.remove(root);
+  }
+});
+
+test('分析多个仓库时按仓库报告进度，失败的仓库单独记录', async () => {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'annual-report-ws-'));
+  try {
+    for (const name of ['a', 'b', 'broken']) {
+      const repo = await createRepo({ commits: [{ author: 'Me <me@x.com>', date: '2025-05-01T10:00:00+08:00' }] });
+      await fs.move(repo, path.join(root, name));
+    }
+    // 损坏的仓库：HEAD 指向的提交对象不存在
+    await fs.writeFile(path.join(root, 'broken', '.git', 'refs', 'heads', 'main'), `${'1'.repeat(40)}\n`);
+
+    const events = [];
+    await analyze({ roots: root, authors: 'me@x.com', since: '2025-01-01', until: '2025-12-31', concurrency: 2, onEvent: e => events.push(e) });
+    const done = events.filter(e => e.type === 'repo:done');
+    assert.deepEqual(done.map(e => `${e.name}:${e.status}`).sort(), ['a:analyzed', 'b:analyzed', 'broken:failed']);
+    const summary = events.find(e => e.type === 'analysis:done');
+    assert.equal(summary.analyzed, 2);
+    assert.deepEqual(summary.failed.map(f => f.name), ['broken']);
+    assert.equal(events[0].type, 'scan:start');
+  } finally {
+    await fs.remove(root);
+  }
+});
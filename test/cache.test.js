@@ -0,0 +1,85 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const { createCache } = require('../lib/cache');
+const { REPO_IGNORE_FILE } = require('../lib/exclude');
+const { createRepo } = require('./helpers/git');
+
+const PARAMS = { since: '2025-01-01', until: '2025-12-31', authors: ['me@x.com'] };
+
+/**
+ * 创建一个仓库和一个空的缓存目录，执行测试后删除
+ * @param {(repo: string, cache: Object) => Promise<void>} fn - 测试内容
+ */
+async function withRepoAndCache(fn) {
+  const repo = await createRepo({ commits: [{ author: 'Me <me@x.com>', date: '2025-03-01T10:00:00+08:00' }] });
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'annual-report-cache-'));
+  try {
+    await fn(repo, createCache({ dir }));
+  } finally {
+    await fs.remove(repo);
+    await fs.remove(dir);
+  }
+}
+
+test('参数与仓库状态都不变时命中缓存，null 结果同样缓存', async () => {
+  await withRepoAndCache(async (repo, cache) => {
+    assert.deepEqual(await cache.get(repo, PARAMS), { hit: false });
+    await cache.set(repo, PARAMS, { commits: 1 });
+    assert.deepEqual(await cache.get(repo, { ...PARAMS }), { hit: true, data: { commits: 1 } });
+
+    const other = { ...PARAMS, name: 'other' };
+    await cache.set(repo, other, null);
+    assert.deepEqual(await cache.get(repo, other), { hit: true, data: null });
+  });
+});
+
+test('参数不同时不命中缓存', async () => {
+  await withRepoAndCache(async (repo, cache) => {
+    await cache.set(repo, PARAMS, { commits: 1 });
+    for (const params of [{ ...PARAMS, until: '2025-06-30' }, { ...PARAMS, authors: ['other@x.com'] }, { ...PARAMS, timezone: 'UTC' }]) {
+      assert.equal((await cache.get(repo, params)).hit, false);
+    }
+  });
+});
+
+test('新提交、.mailmap 或排除文件变化后缓存失效，并删除旧状态的缓存文件', async () => {
+  await withRepoAndCache(async (repo, cache) => {
+    await cache.set(repo, PARAMS, { commits: 1 });
+
+    await fs.writeFile(path.join(repo, '.mailmap'), 'Me <me@x.com> <old@x.com>\n');
+    assert.equal((await cache.get(repo, PARAMS)).hit, false);
+    await cache.set(repo, PARAMS, { commits: 2 });
+
+    await fs.writeFile(path.join(repo, REPO_IGNORE_FILE), '*.txt\n');
+    assert.equal((await cache.get(repo, PARAMS)).hit, false);
+    await cache.set(repo, PARAMS, { commits: 3 });
+
+    const ref = path.join(repo, '.git', 'refs', 'heads', 'main');
+    await fs.writeFile(ref, `${'0'.repeat(40)}\n`);
+    assert.equal((await cache.get(repo, PARAMS)).hit, false);
+
+    assert.equal((await fs.readdir(cache.dir)).length, 1);
+  });
+});
+
+test('关闭缓存时不读也不写，空仓库不缓存', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'annual-report-cache-'));
+  const empty = await createRepo();
+  try {
+    const disabled = createCache({ dir, enabled: false });
+    await disabled.set(empty, PARAMS, { commits: 1 });
+    assert.deepEqual(await disabled.get(empty, PARAMS), { hit: false });
+
+    const cache = createCache({ dir });
+    await cache.set(empty, PARAMS, { commits: 1 });
+    assert.deepEqual(await cache.get(empty, PARAMS), { hit: false });
+    assert.deepEqual(await fs.readdir(dir), []);
+  } finally {
+    await fs.remove(dir);
+    await fs.remove(empty);
+  }
+});
@@ -0,0 +1,63 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildCalendar, expandCalendar } = require('../lib/calendar');
+
+const RANGE = { since: '2025-01-01', until: '2025-01-07' };
+
+test('日历覆盖整个统计区间，逐日数据与起始日期对齐', () => {
+  const calendar = buildCalendar([
+    { name: 'a', dailyTimeline: { '2025-01-02': { commits: 2, lines: 20 }, '2025-01-05': { commits: 1, lines: 5 } } },
+    { name: 'b', dailyTimeline: { '2025-01-02': { commits: 1, lines: 3 } } },
+    { name: 'empty', dailyTimeline: {} }
+  ], RANGE);
+  assert.equal(calendar.start, '2025-01-01');
+  assert.equal(calendar.end, '2025-01-07');
+  assert.equal(calendar.days, 7);
+  assert.deepEqual(calendar.commits, [0, 3, 0, 0, 1, 0, 0]);
+  assert.deepEqual(calendar.lines, [0, 23, 0, 0, 5, 0, 0]);
+  assert.deepEqual(calendar.projects, [
+    { name: 'a', days: [[1, 2, 20], [4, 1, 5]] },
+    { name: 'b', days: [[1, 1, 3]] }
+  ]);
+});
+
+test('提交日期落在区间之外时日历相应延长', () => {
+  const calendar = buildCalendar([{ name: 'a', dailyTimeline: { '2024-12-31': { commits: 1, lines: 1 } } }], RANGE);
+  assert.equal(calendar.start, '2024-12-31');
+  assert.equal(calendar.days, 8);
+  assert.equal(calendar.commits[0], 1);
+});
+
+test('活跃度等级按有提交日子的提交数四分位划分', () => {
+  const timeline = {};
+  [1, 2, 3, 4, 5, 6, 7, 8].forEach((n, i) => { timeline[`2025-01-0${i + 1}`] = { commits: n, lines: 0 }; });
+  const calendar = buildCalendar([{ name: 'a', dailyTimeline: timeline }], { since: '2025-01-01', until: '2025-01-09' });
+  assert.deepEqual(calendar.thresholds, [1, 3, 5, 7]);
+  assert.equal(calendar.levels, '112233440');
+});
+
+test('提交数都相同时等级仍然递增，没有数据时返回 null', () => {
+  const calendar = buildCalendar([{ name: 'a', dailyTimeline: { '2025-01-01': { commits: 2, lines: 0 } } }], RANGE);
+  assert.deepEqual(calendar.thresholds, [1, 3, 3, 3]);
+  assert.equal(calendar.levels, '1000000');
+  assert.equal(buildCalendar([]), null);
+});
+
+test('expandCalendar 展开为逐日记录，项目按提交数排序', () => {
+  const calendar = buildCalendar([
+    { name: 'a', dailyTimeline: { '2025-01-02': { commits: 1, lines: 2 } } },
+    { name: 'b', dailyTimeline: { '2025-01-02': { commits: 3, lines: 4 } } }
+  ], RANGE);
+  const days = expandCalendar(calendar);
+  assert.equal(days.length, 7);
+  assert.deepEqual(days[1], {
+    date: '2025-01-02',
+    weekday: 4,
+    commits: 4,
+    lines: 6,
+    level: 1,
+    projects: [{ name: 'b', commits: 3, lines: 4 }, { name: 'a', commits: 1, lines: 2 }]
+  });
+  assert.deepEqual(days[0].projects, []);
+});
@@ -0,0 +1,68 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { DEFAULT_CHURN_DAYS, listHotspotCandidates, analyzeChurn, mergeChurn } = require('../lib/churn');
+
+/**
+ * 创建提交记录
+ * @param {string} hash - 提交哈希
+ * @param {string} day - 日期（YYYY-MM-DD）
+ * @param {Object<string, [number, number]>} files - 文件 → [新增行数, 删除行数]
+ * @returns {Object}
+ */
+function commit(hash, day, files) {
+  return {
+    hash,
+    date: `${day}T10:00:00+08:00`,
+    files: Object.entries(files).map(([file, [insertions, deletions]]) => ({ file, insertions, deletions }))
+  };
+}
+
+/** 按时间倒序排列的提交（与 git log 的输出顺序一致） */
+const COMMITS = [
+  commit('c4', '2025-02-10', { 'src/app/a.js': [1, 3] }),
+  commit('c3', '2025-01-05', { 'src/app/a.js': [2, 4] }),
+  commit('c2', '2025-01-02', { 'README.md': [5, 0] }),
+  commit('c1', '2025-01-01', { 'src/app/a.js': [10, 0] })
+];
+
+test('窗口内删除自己最近新增的行计为翻工，超出窗口的不计', () => {
+  const churn = analyzeChurn(COMMITS, { fileSizes: { 'src/app/a.js': 6 } });
+  assert.equal(churn.windowDays, DEFAULT_CHURN_DAYS);
+  assert.equal(churn.insertions, 18);
+  // c3 删除的 4 行来自 4 天前的 c1；c4 删除的 3 行来自 36 天前的 c3 和 40 天前的 c1
+  assert.equal(churn.reworkedLines, 4);
+  assert.equal(churn.reworkRatio, 0.222);
+
+  assert.equal(analyzeChurn(COMMITS, { windowDays: 3 }).reworkedLines, 0);
+});
+
+test('热点文件按改动行数与文件行数之比排序，改动次数少或没有行数的文件不参与', () => {
+  assert.deepEqual(listHotspotCandidates(COMMITS), ['src/app/a.js']);
+
+  const churn = analyzeChurn(COMMITS, { fileSizes: { 'src/app/a.js': 6, 'README.md': 5 } });
+  assert.deepEqual(churn.hotspots, [{ file: 'src/app/a.js', commits: 3, insertions: 13, deletions: 7, reworked: 4, size: 6, churnRatio: 3.33 }]);
+  assert.deepEqual(analyzeChurn(COMMITS).hotspots, []);
+});
+
+test('热点目录按路径前两级聚合，根目录下的文件记为 .', () => {
+  const churn = analyzeChurn([...COMMITS, commit('c0', '2024-12-31', { 'src/app/deep/b.js': [3, 0] })]);
+  assert.deepEqual(churn.directories, [
+    { dir: 'src/app', files: 2, commits: 4, churn: 23, reworked: 4 },
+    { dir: '.', files: 1, commits: 1, churn: 5, reworked: 0 }
+  ]);
+});
+
+test('mergeChurn 按合并后的行数计算翻工率，热点带项目来源，跳过没有翻工数据的旧缓存', () => {
+  const api = { name: 'api', churn: analyzeChurn(COMMITS, { fileSizes: { 'src/app/a.js': 6 } }) };
+  const web = { name: 'web', churn: analyzeChurn([commit('w1', '2025-03-01', { 'index.html': [12, 0] })]) };
+  const merged = mergeChurn([web, api, { name: 'old' }]);
+  assert.equal(merged.insertions, 30);
+  assert.equal(merged.reworkedLines, 4);
+  assert.equal(merged.reworkRatio, 0.133);
+  assert.equal(merged.hotspots[0].project, 'api');
+  assert.deepEqual(merged.directories.map(d => `${d.project}:${d.dir}`), ['api:src/app', 'web:.', 'api:.']);
+  assert.deepEqual(merged.projects.map(p => p.name), ['api', 'web']);
+
+  assert.deepEqual(mergeChurn([]), { windowDays: DEFAULT_CHURN_DAYS, insertions: 0, reworkedLines: 0, reworkRatio: 0, hotspots: [], directories: [], projects: [] });
+});
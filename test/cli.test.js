@@ -0,0 +1,67 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const pkg = require('../package.json');
+const { createRepo } = require('./helpers/git');
+
+const CLI = path.join(__dirname, '..', 'bin', 'cli.js');
+
+/**
+ * 运行命令行（不接入标准输入，需要交互时会失败而不是挂起）
+ * @param {string[]} args - 命令行参数
+ * @param {string} [cwd] - 工作目录
+ * @returns {{ status: number, stdout: string, stderr: string }}
+ */
+function runCli(args, cwd = os.tmpdir()) {
+  const { status, stdout, stderr } = spawnSync(process.execPath, [CLI, ...args], {
+    cwd,
+    encoding: 'utf8',
+    stdio: ['ignore', 'pipe', 'pipe'],
+    env: { ...process.env, LANG: 'en_US.UTF-8', LC_ALL: '' },
+    timeout: 60000
+  });
+  return { status, stdout, stderr };
+}
+
+test('--version 输出版本号', () => {
+  const result = runCli(['--version']);
+  assert.equal(result.status, 0);
+  assert.equal(result.stdout.trim(), pkg.version);
+});
+
+test('非法参数以非零状态码退出并说明原因', () => {
+  const unknown = runCli(['--no-such-flag']);
+  assert.equal(unknown.status, 1);
+  assert.match(unknown.stderr, /--no-such-flag/);
+  assert.match(unknown.stderr, /Run with --help/);
+
+  assert.match(runCli(['-s', '2025-13-01']).stderr, /--since invalid date: "2025-13-01"/);
+  assert.match(runCli(['-s', '2025-06-01', '-u', '2025-01-01']).stderr, /Start date 2025-06-01 is after end date 2025-01-01/);
+  assert.match(runCli(['--team', '-a', 'me@x.com']).stderr, /--author cannot be used in team mode/);
+  assert.match(runCli(['-j', '0']).stderr, /--concurrency/);
+  // --locale 之后的错误信息按指定语言输出
+  assert.match(runCli(['--locale', 'zh-CN', '-s', 'x']).stderr, /--since .*YYYY-MM-DD/);
+  assert.doesNotMatch(runCli(['--locale', 'zh-CN', '-s', 'x']).stderr, /invalid date/);
+});
+
+test('参数齐全时不进入交互，直接生成报告', async () => {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'annual-report-ws-'));
+  try {
+    const repo = await createRepo({ commits: [{ author: 'Me <me@x.com>', date: '2025-05-01T10:00:00+08:00' }] });
+    await fs.move(repo, path.join(root, 'app'));
+    const output = path.join(root, 'out', 'report.json');
+    const result = runCli(['-a', 'me@x.com', '-r', root, '-s', '2025-01-01', '-u', '2025-12-31', '-o', output, '--no-open', '--no-cache', '-q', '--locale', 'en']);
+    assert.equal(result.status, 0, result.stderr);
+    assert.equal(result.stdout, '');
+    const report = await fs.readJson(output);
+    assert.equal(report.locale, 'en');
+    assert.equal(report.summary.totalCommits, 1);
+    assert.ok(await fs.pathExists(path.join(root, 'out', 'report.html')));
+  } finally {
+    await fs.remove(root);
+  }
+});
@@ -0,0 +1,77 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildComparison, compareWithReport } = require('../lib/compare');
+
+/**
+ * 创建 24 小时分布，指定小时的提交数
+ * @param {Object<number, number>} hours - 小时 → 提交数
+ * @returns {number[]}
+ */
+function hoursOf(hours) {
+  const arr = Array(24).fill(0);
+  Object.entries(hours).forEach(([h, n]) => { arr[h] = n; });
+  return arr;
+}
+
+test('数值指标计算差值和百分比，上期为 0 时百分比为 null', () => {
+  const result = buildComparison(
+    { summary: { totalCommits: 150, totalDeletions: 90, activeDays: 40, projectCount: 3 } },
+    { summary: { totalCommits: 100, totalDeletions: 100, activeDays: 39, projectCount: 0 } }
+  );
+  assert.deepEqual(result.metrics.totalCommits, { current: 150, previous: 100, delta: 50, percent: 50 });
+  assert.deepEqual(result.metrics.totalDeletions, { current: 90, previous: 100, delta: -10, percent: -10 });
+  assert.deepEqual(result.metrics.projectCount, { current: 3, previous: 0, delta: 3, percent: null });
+  // 缺失的指标按 0 处理
+  assert.deepEqual(result.metrics.netLines, { current: 0, previous: 0, delta: 0, percent: null });
+});
+
+test('提交高峰小时、类型占比和项目变化', () => {
+  const result = buildComparison(
+    { summary: { hourDistribution: hoursOf({ 22: 5, 10: 1 }), commitTypeDistribution: { feat: 3, fix: 1 }, allProjects: ['api', 'web'] } },
+    { summary: { hourDistribution: hoursOf({ 10: 4 }), commitTypeDistribution: { fix: 2 }, allProjects: ['web', 'legacy'] } }
+  );
+  assert.deepEqual(result.hourShift, { current: 22, previous: 10 });
+  assert.equal(result.hourDistribution[22], 5);
+  assert.equal(result.hourDistribution[10], -3);
+  assert.equal(result.commitTypeMix.feat.currentShare, 0.75);
+  assert.equal(result.commitTypeMix.feat.previousShare, 0);
+  assert.equal(result.commitTypeMix.fix.shareDelta, -0.75);
+  assert.deepEqual(result.projects, { added: ['api'], dropped: ['legacy'], continued: ['web'] });
+});
+
+test('协作者按别名合并后比较，换了邮箱的同一人不算新结识', () => {
+  const result = buildComparison(
+    { summary: {}, repos: [{ collaborators: [{ name: 'Li Si', email: 'lisi@new.com', commits: 3 }, { name: 'Wang Wu', email: 'ww@x.com', commits: 1 }] }] },
+    { summary: {}, repos: [{ collaborators: [{ name: 'li si', email: 'lisi@old.com', commits: 5 }, { name: 'Zhao Liu', email: 'zl@x.com', commits: 2 }] }] }
+  );
+  assert.deepEqual(result.collaborators.added, [{ name: 'Wang Wu', email: 'ww@x.com', commits: 1 }]);
+  assert.deepEqual(result.collaborators.lost, [{ name: 'Zhao Liu', email: 'zl@x.com', commits: 2 }]);
+});
+
+test('提示文案跳过 5% 以内的变化，按语言生成并保留消息 id', () => {
+  const result = buildComparison(
+    { summary: { totalCommits: 120, activeDays: 41, projectCount: 2, hourDistribution: hoursOf({ 21: 3 }), allProjects: ['a', 'b'] } },
+    { summary: { totalCommits: 100, activeDays: 40, projectCount: 0, hourDistribution: hoursOf({ 9: 3 }), allProjects: [] } },
+    { locale: 'en' }
+  );
+  assert.deepEqual(result.tipMessages.map(m => m.id), ['compare.tip.increase', 'compare.tip.fromZero', 'compare.tip.peakHour', 'compare.tip.projectsAdded']);
+  assert.equal(result.tips[0], '📈 Commits up 20% on last year');
+  assert.equal(result.tips[2], '🕐 Peak commit hour moved from 9:00 to 21:00');
+});
+
+test('compareWithReport 先升级旧版报告，协作者只在 Top 协作者中比较', () => {
+  const previousReport = {
+    generatedAt: '2024-12-31T00:00:00.000Z',
+    range: { since: '2024-01-01', until: '2024-12-31' },
+    author: { name: 'zhangsan', email: 'zhangsan@example.com' },
+    summary: { totalCommits: 80, mostProductiveQuarter: ['Q2', 30], topCollaborators: [{ name: 'Li Si', email: 'lisi@x.com', commits: 9 }] }
+  };
+  const result = compareWithReport(
+    { range: { since: '2025-01-01', until: '2025-12-31' }, summary: { totalCommits: 100 }, repos: [{ collaborators: [{ name: 'Li Si', email: 'lisi@x.com', commits: 4 }] }] },
+    previousReport
+  );
+  assert.deepEqual(result.previousRange, previousReport.range);
+  assert.equal(result.metrics.totalCommits.percent, 25);
+  assert.deepEqual(result.collaborators, { added: [], lost: [] });
+});
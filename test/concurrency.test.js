@@ -0,0 +1,29 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { mapLimit } = require('../lib/concurrency');
+
+test('同时运行的任务不超过并发数，结果顺序与输入一致', async () => {
+  let running = 0, peak = 0;
+  const results = await mapLimit([30, 10, 20, 5, 15], 2, async (ms, i) => {
+    running++;
+    peak = Math.max(peak, running);
+    await new Promise(resolve => setTimeout(resolve, ms));
+    running--;
+    return `${i}:${ms}`;
+  });
+  assert.equal(peak, 2);
+  assert.deepEqual(results, ['0:30', '1:10', '2:20', '3:5', '4:15']);
+});
+
+test('空数组和小于 1 的并发数', async () => {
+  assert.deepEqual(await mapLimit([], 4, async x => x), []);
+  assert.deepEqual(await mapLimit([1, 2], 0, async x => x * 2), [2, 4]);
+});
+
+test('任务失败时整体失败', async () => {
+  await assert.rejects(mapLimit([1, 2, 3], 2, async x => {
+    if (x === 2) throw new Error('boom');
+    return x;
+  }), /boom/);
+});
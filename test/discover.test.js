@@ -0,0 +1,111 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const { findGitRepos } = require('../lib/discover');
+const { createRepo } = require('./helpers/git');
+
+/**
+ * 在目录中执行 git 命令
+ * @param {string} cwd - 工作目录
+ * @param {string[]} args - git 参数
+ */
+function git(cwd, args) {
+  execFileSync('git', args, { cwd, stdio: 'pipe' });
+}
+
+/**
+ * 创建扫描用的根目录，并在其中创建普通仓库
+ * @param {string[]} names - 仓库相对路径
+ * @returns {Promise<string>} 根目录路径，用完后调用方负责删除
+ */
+async function createWorkspace(names) {
+  const root = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'discover-test-')));
+  for (const name of names) {
+    await fs.ensureDir(path.join(root, name));
+    git(path.join(root, name), ['init', '-q']);
+  }
+  return root;
+}
+
+/**
+ * 将仓库路径转为相对根目录的路径
+ * @param {string} root - 根目录
+ * @param {string[]} repos - 仓库绝对路径
+ * @returns {string[]}
+ */
+function relativeTo(root, repos) {
+  return repos.map(r => path.relative(root, r).split(path.sep).join('/'));
+}
+
+test('找到普通仓库和裸仓库，默认跳过隐藏目录、node_modules 和仓库内的嵌套仓库', async () => {
+  const root = await createWorkspace(['a', 'group/b', 'a/vendor/c', 'node_modules/d', '.cache/e']);
+  try {
+    git(root, ['init', '-q', '--bare', 'mirror.git']);
+    assert.deepEqual(relativeTo(root, await findGitRepos(root)), ['a', 'group/b', 'mirror.git']);
+    assert.deepEqual(relativeTo(root, await findGitRepos(root, { nested: true })), ['a', 'a/vendor/c', 'group/b', 'mirror.git']);
+  } finally {
+    await fs.remove(root);
+  }
+});
+
+test('maxDepth、include 与 exclude 限制扫描范围', async () => {
+  const root = await createWorkspace(['a', 'work/b', 'work/deep/c', 'archive/d']);
+  try {
+    assert.deepEqual(relativeTo(root, await findGitRepos(root, { maxDepth: 1 })), ['a']);
+    assert.deepEqual(relativeTo(root, await findGitRepos(root, { maxDepth: 2 })), ['a', 'archive/d', 'work/b']);
+    assert.deepEqual(relativeTo(root, await findGitRepos(root, { include: ['work/**'] })), ['work/b', 'work/deep/c']);
+    assert.deepEqual(relativeTo(root, await findGitRepos(root, { exclude: ['archive', 'deep/'] })), ['a', 'work/b']);
+  } finally {
+    await fs.remove(root);
+  }
+});
+
+test('共享 git 目录的工作树只保留主工作区，并记录跳过原因', async () => {
+  const root = await createWorkspace([]);
+  const main = await createRepo({ commits: [{ author: 'Me <me@x.com>', date: '2025-03-01T10:00:00+08:00' }] });
+  try {
+    await fs.move(main, path.join(root, 'app'));
+    git(path.join(root, 'app'), ['worktree', 'add', '-q', '-b', 'hotfix', path.join(root, 'app-hotfix')]);
+    const problems = [];
+    assert.deepEqual(relativeTo(root, await findGitRepos(root, { problems, locale: 'en' })), ['app']);
+    assert.equal(problems.length, 1);
+    assert.equal(problems[0].path, path.join(root, 'app-hotfix'));
+    assert.match(problems[0].reason, /app\b/);
+  } finally {
+    await fs.remove(root);
+    await fs.remove(main);
+  }
+});
+
+test('开启 submodules 后分析子模块，未开启时子模块也不作为嵌套仓库统计', async () => {
+  const root = await createWorkspace([]);
+  const lib = await createRepo({ commits: [{ author: 'Me <me@x.com>', date: '2025-03-01T10:00:00+08:00' }] });
+  const app = await createRepo({ commits: [{ author: 'Me <me@x.com>', date: '2025-03-01T10:00:00+08:00' }] });
+  try {
+    await fs.move(app, path.join(root, 'app'));
+    git(path.join(root, 'app'), ['-c', 'protocol.file.allow=always', 'submodule', 'add', '-q', lib, 'libs/core']);
+    assert.deepEqual(relativeTo(root, await findGitRepos(root)), ['app']);
+    assert.deepEqual(relativeTo(root, await findGitRepos(root, { nested: true })), ['app']);
+    assert.deepEqual(relativeTo(root, await findGitRepos(root, { submodules: true })), ['app', 'app/libs/core']);
+  } finally {
+    await fs.remove(root);
+    await fs.remove(lib);
+    await fs.remove(app);
+  }
+});
+
+test('指向上级目录的符号链接不会导致重复或死循环', async () => {
+  const root = await createWorkspace(['a']);
+  try {
+    await fs.ensureDir(path.join(root, 'links'));
+    await fs.symlink(root, path.join(root, 'links/loop'), 'dir');
+    await fs.symlink(path.join(root, 'a'), path.join(root, 'links/a'), 'dir');
+    assert.deepEqual(relativeTo(root, await findGitRepos(root)), ['a']);
+  } finally {
+    await fs.remove(root);
+  }
+});
@@ -0,0 +1,130 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const { createExcludeMatcher, createDirMatcher, REPO_IGNORE_FILE } = require('../lib/exclude');
+
+/**
+ * 用给定的规则创建排除匹配函数（不使用内置默认规则）
+ * @param {string[]} patterns - gitignore 风格的规则
+ * @returns {Promise<(file: string) => string|null>}
+ */
+async function matcherOf(patterns) {
+  return createExcludeMatcher(__dirname, { globalExcludes: patterns, defaults: false });
+}
+
+test('不含 / 的模式匹配任意层级的文件名', async () => {
+  const isExcluded = await matcherOf(['*.min.js']);
+  assert.ok(isExcluded('app.min.js'));
+  assert.ok(isExcluded('static/js/app.min.js'));
+  assert.equal(isExcluded('app.js'), null);
+});
+
+test('* 和 ? 不跨目录', async () => {
+  const isExcluded = await matcherOf(['src/*.gen.ts', 'doc/?.md']);
+  assert.ok(isExcluded('src/a.gen.ts'));
+  assert.equal(isExcluded('src/sub/a.gen.ts'), null);
+  assert.ok(isExcluded('doc/a.md'));
+  assert.equal(isExcluded('doc/ab.md'), null);
+});
+
+test('含 / 的模式相对仓库根目录匹配，开头的 / 只表示锚定', async () => {
+  const isExcluded = await matcherOf(['/generated', 'config/local.json']);
+  assert.ok(isExcluded('generated/a.js'));
+  assert.equal(isExcluded('src/generated/a.js'), null);
+  assert.ok(isExcluded('config/local.json'));
+  assert.equal(isExcluded('app/config/local.json'), null);
+});
+
+test('**/ 匹配零或多级目录', async () => {
+  const isExcluded = await matcherOf(['**/fixtures', 'docs/**/*.png']);
+  assert.ok(isExcluded('fixtures/a.json'));
+  assert.ok(isExcluded('test/unit/fixtures/a.json'));
+  assert.ok(isExcluded('docs/logo.png'));
+  assert.ok(isExcluded('docs/a/b/logo.png'));
+  assert.equal(isExcluded('img/docs/logo.png'), null);
+});
+
+test('结尾的 /** 匹配目录下的所有内容', async () => {
+  const isExcluded = await matcherOf(['assets/**']);
+  assert.ok(isExcluded('assets/a/b/c.svg'));
+  assert.equal(isExcluded('assets'), null);
+});
+
+test('其他位置连续的 * 按单个 * 处理，不跨目录', async () => {
+  const isExcluded = await matcherOf(['src/foo**.js']);
+  assert.ok(isExcluded('src/foobar.js'));
+  assert.equal(isExcluded('src/foo/bar.js'), null);
+});
+
+test('结尾的 / 只匹配目录，命中目录即命中其下所有路径', async () => {
+  const isExcluded = await matcherOf(['build/']);
+  assert.ok(isExcluded('build/index.js'));
+  assert.ok(isExcluded('packages/app/build/index.js'));
+  assert.equal(isExcluded('build'), null);
+  assert.equal(isExcluded('scripts/build'), null);
+});
+
+test('[...] 与 [!...] 字符集', async () => {
+  const isExcluded = await matcherOf(['log[0-9].txt', 'tmp[!a].txt']);
+  assert.ok(isExcluded('log1.txt'));
+  assert.equal(isExcluded('logx.txt'), null);
+  assert.ok(isExcluded('tmpb.txt'));
+  assert.equal(isExcluded('tmpa.txt'), null);
+});
+
+test('正则中的特殊字符按字面匹配', async () => {
+  const isExcluded = await matcherOf(['a+b(1).txt']);
+  assert.ok(isExcluded('a+b(1).txt'));
+  assert.equal(isExcluded('aab1.txt'), null);
+});
+
+test('! 重新包含，后面的规则优先', async () => {
+  const isExcluded = await matcherOf(['*.lock', '!keep.lock', 'dist/', '!dist/types.d.ts']);
+  assert.ok(isExcluded('yarn.lock'));
+  assert.equal(isExcluded('keep.lock'), null);
+  assert.ok(isExcluded('dist/index.js'));
+  assert.equal(isExcluded('dist/types.d.ts'), null);
+
+  const reExcluded = await matcherOf(['!keep.lock', '*.lock']);
+  assert.ok(reExcluded('keep.lock'));
+});
+
+test('返回命中规则的来源说明，内置规则只返回模式', async () => {
+  const isExcluded = await createExcludeMatcher(__dirname, { globalExcludes: ['*.gen.go'] });
+  assert.equal(isExcluded('package-lock.json'), 'package-lock.json');
+  assert.equal(isExcluded('api/x.gen.go'), 'global: *.gen.go');
+});
+
+test('仓库排除文件与 .gitattributes 中的 linguist 标记', async () => {
+  const repo = await fs.mkdtemp(path.join(os.tmpdir(), 'exclude-test-'));
+  try {
+    await fs.writeFile(path.join(repo, REPO_IGNORE_FILE), '# 注释\n\nschema/*.sql\n');
+    await fs.writeFile(path.join(repo, '.gitattributes'), [
+      'src/gen/** linguist-generated',
+      'src/gen/keep.ts -linguist-generated',
+      'third/** linguist-vendored=true',
+      'third/own/** linguist-vendored=false',
+      '*.js text eol=lf'
+    ].join('\n'));
+    const isExcluded = await createExcludeMatcher(repo, { defaults: false });
+    assert.equal(isExcluded('schema/init.sql'), `${REPO_IGNORE_FILE}: schema/*.sql`);
+    assert.equal(isExcluded('src/gen/api.ts'), '.gitattributes linguist-generated: src/gen/**');
+    assert.equal(isExcluded('src/gen/keep.ts'), null);
+    assert.equal(isExcluded('third/lib/a.c'), '.gitattributes linguist-vendored: third/**');
+    assert.equal(isExcluded('third/own/a.c'), null);
+    assert.equal(isExcluded('src/app.js'), null);
+  } finally {
+    await fs.remove(repo);
+  }
+});
+
+test('目录匹配函数把路径本身视为目录', () => {
+  const isMatched = createDirMatcher(['node_modules/', 'packages/*/fixtures']);
+  assert.ok(isMatched('node_modules'));
+  assert.ok(isMatched('a/node_modules'));
+  assert.ok(isMatched('packages/web/fixtures'));
+  assert.equal(isMatched('packages/web/src'), false);
+});
@@ -0,0 +1,182 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const fs = require('fs-extra');
+const path = require('path');
+
+const { analyzeLocalRepo } = require('../lib/gitLocal');
+const { buildSummary } = require('../lib/metrics');
+const { createRepo } = require('./helpers/git');
+
+const SINCE = '2025-01-01';
+const UNTIL = '2025-12-31';
+
+test('经 .mailmap 映射的旧身份提交按映射后的身份计入', async () => {
+  const repo = await createRepo({
+    commits: [1, 2, 3].map(day => ({ author: 'Old Name <old@x.com>', date: `2025-03-0${day}T10:00:00+08:00` })),
+    files: { '.mailmap': 'New Name <new@x.com> <old@x.com>\n' }
+  });
+  try {
+    const stats = await analyzeLocalRepo(repo, SINCE, UNTIL, ['new@x.com']);
+    assert.ok(stats);
+    assert.equal(stats.commits, 3);
+  } finally {
+    await fs.remove(repo);
+  }
+});
+
+test('blame 达到文件数或耗时限制时记录原因，汇总与各项目使用相同的取值', async () => {
+  const repo = await createRepo({
+    commits: [1, 2].map(day => ({ author: 'Me <me@x.com>', date: `2025-03-0${day}T10:00:00+08:00`, files: { [`f${day}.txt`]: 'a\nb\n' } }))
+  });
+  try {
+    const limited = await analyzeLocalRepo(repo, SINCE, UNTIL, ['me@x.com'], { blame: { maxFiles: 1, timeout: 60 } });
+    assert.equal(limited.survival.truncated, 'files');
+    assert.equal(limited.survival.filesBlamed, 1);
+
+    // 耗时限制为 0 时统计行数这一步就会被中止
+    const timedOut = await analyzeLocalRepo(repo, SINCE, UNTIL, ['me@x.com'], { blame: { maxFiles: 10, timeout: 0 } });
+    assert.deepEqual(timedOut.warnings, []);
+    assert.equal(timedOut.survival.truncated, 'time');
+    assert.equal(timedOut.survival.filesBlamed, 0);
+    assert.equal(timedOut.survival.linesTotal, 0);
+
+    const full = await analyzeLocalRepo(repo, SINCE, UNTIL, ['me@x.com'], { blame: { maxFiles: 10, timeout: 60 } });
+    assert.equal(full.survival.truncated, null);
+    assert.equal(full.survival.surviving, 4);
+  } finally {
+    await fs.remove(repo);
+  }
+});
+
+test('跨年的一周按 ISO 周所属的年份统计', async () => {
+  const repo = await createRepo({
+    commits: ['2024-01-02', '2024-12-30', '2024-12-31'].map(day => ({ author: 'Me <me@x.com>', date: `${day}T10:00:00+08:00` }))
+  });
+  try {
+    const stats = await analyzeLocalRepo(repo, '2024-01-01', '2024-12-31', ['me@x.com']);
+    assert.deepEqual(Object.keys(stats.weeklyTimeline).sort(), ['1-2024', '1-2025']);
+    assert.deepEqual(stats.mostProductiveWeek, { week: '1-2025', commits: 2 });
+  } finally {
+    await fs.remove(repo);
+  }
+});
+
+test('小时、星期和日期按指定时区统计', async () => {
+  const repo = await createRepo({ commits: [{ author: 'Me <me@x.com>', date: '2025-03-01T23:30:00+08:00' }] });
+  try {
+    const author = await analyzeLocalRepo(repo, SINCE, UNTIL, ['me@x.com']);
+    assert.equal(author.hourDistribution[23], 1);
+    assert.deepEqual(Object.keys(author.dailyTimeline), ['2025-03-01']);
+
+    const utc = await analyzeLocalRepo(repo, SINCE, UNTIL, ['me@x.com'], { timezone: 'UTC' });
+    assert.equal(utc.hourDistribution[15], 1);
+
+    const tokyo = await analyzeLocalRepo(repo, SINCE, UNTIL, ['me@x.com'], { timezone: 'Asia/Tokyo' });
+    assert.equal(tokyo.hourDistribution[0], 1);
+    assert.equal(tokyo.weekDistribution[0], 1);
+    assert.deepEqual(Object.keys(tokyo.dailyTimeline), ['2025-03-02']);
+  } finally {
+    await fs.remove(repo);
+  }
+});
+
+test('多个身份的提交合并统计，其他人的提交记为协作者', async () => {
+  const repo = await createRepo({
+    commits: [
+      { author: 'Zhang San <zs@work.com>', date: '2025-03-01T10:00:00+08:00' },
+      { author: 'zhangsan <zs@home.com>', date: '2025-03-02T10:00:00+08:00' },
+      { author: 'Li Si <ls@work.com>', date: '2025-03-03T10:00:00+08:00' }
+    ]
+  });
+  try {
+    const stats = await analyzeLocalRepo(repo, SINCE, UNTIL, 'zs@work.com, zhangsan');
+    assert.equal(stats.commits, 2);
+    assert.deepEqual(stats.collaborators.map(c => c.name), ['Li Si']);
+    assert.equal(await analyzeLocalRepo(repo, SINCE, UNTIL, ['nobody@x.com']), null);
+  } finally {
+    await fs.remove(repo);
+  }
+});
+
+test('重命名过的文件按最终路径统计，重命名不计入新增和删除', async () => {
+  const lines = n => Array.from({ length: n }, (_, i) => `line ${i}`).join('\n') + '\n';
+  const repo = await createRepo({
+    commits: [
+      { author: 'Me <me@x.com>', date: '2025-03-01T10:00:00+08:00', files: { 'src/old.js': lines(10), 'util.js': lines(8) } },
+      { author: 'Me <me@x.com>', date: '2025-03-02T10:00:00+08:00', files: { 'src/old.js': lines(11) } },
+      { author: 'Me <me@x.com>', date: '2025-03-03T10:00:00+08:00', remove: ['src/old.js', 'util.js'], files: { 'src/new.js': lines(11), 'lib/util.js': lines(8) } },
+      { author: 'Me <me@x.com>', date: '2025-03-04T10:00:00+08:00', files: { 'src/new.js': lines(12) } }
+    ]
+  });
+  try {
+    const stats = await analyzeLocalRepo(repo, SINCE, UNTIL, ['me@x.com']);
+    assert.equal(stats.renames, 2);
+    assert.deepEqual(stats.fileChanges, { added: 2, deleted: 0, net: 2 });
+    assert.deepEqual(stats.topChangedFiles, [{ file: 'src/new.js', count: 4 }, { file: 'lib/util.js', count: 2 }]);
+  } finally {
+    await fs.remove(repo);
+  }
+});
+
+test('Co-authored-by 尾注统计结对伙伴，开启 countCoAuthored 后计入他人提交', async () => {
+  const repo = await createRepo({
+    commits: [
+      { author: 'Me <me@x.com>', date: '2025-03-01T10:00:00+08:00', message: 'feat: pair on parser\n\nCo-authored-by: Li Si <lisi@x.com>' },
+      { author: 'Me <me@x.com>', date: '2025-03-02T10:00:00+08:00', message: 'docs: solo' },
+      { author: 'Li Si <lisi@x.com>', date: '2025-03-03T10:00:00+08:00', message: 'fix: mob session\n\nCo-authored-by: Me <me@x.com>\nCo-authored-by: Wang Wu <ww@x.com>' }
+    ]
+  });
+  try {
+    const stats = await analyzeLocalRepo(repo, SINCE, UNTIL, ['me@x.com']);
+    assert.equal(stats.commits, 2);
+    assert.deepEqual(stats.pairing, {
+      authored: 2,
+      withCoAuthors: 1,
+      coAuthoredByMe: 1,
+      partners: [{ name: 'Li Si', email: 'lisi@x.com', commits: 2 }, { name: 'Wang Wu', email: 'ww@x.com', commits: 1 }],
+      countedInTotals: false
+    });
+    const { pairing } = buildSummary([stats], { locale: 'en' });
+    assert.equal(pairing.coAuthoredCommits, 2);
+    assert.equal(pairing.coAuthoredRate, 0.667);
+    assert.deepEqual(pairing.topCoAuthors.map(p => p.name), ['Li Si', 'Wang Wu']);
+
+    const counted = await analyzeLocalRepo(repo, SINCE, UNTIL, ['me@x.com'], { countCoAuthored: true });
+    assert.equal(counted.commits, 3);
+    assert.equal(counted.pairing.countedInTotals, true);
+  } finally {
+    await fs.remove(repo);
+  }
+});
+
+test('allBranches 统计所有分支上的提交，分支只记录相对默认分支独有的提交', async () => {
+  const repo = await createRepo({
+    commits: [1, 2].map(day => ({ author: 'Me <me@x.com>', date: `2025-03-0${day}T10:00:00+08:00` }))
+  });
+  try {
+    const git = (args, date) => execFileSync('git', args, {
+      cwd: repo,
+      stdio: 'pipe',
+      env: { ...process.env, GIT_AUTHOR_NAME: 'Me', GIT_AUTHOR_EMAIL: 'me@x.com', GIT_AUTHOR_DATE: date, GIT_COMMITTER_NAME: 'Me', GIT_COMMITTER_EMAIL: 'me@x.com', GIT_COMMITTER_DATE: date }
+    });
+    git(['checkout', '-q', '-b', 'feature/export'], '2025-03-03T09:00:00+08:00');
+    await fs.outputFile(path.join(repo, 'export.js'), 'a\nb\nc\n');
+    git(['add', '-A'], '2025-03-03T10:00:00+08:00');
+    git(['commit', '-q', '-m', 'feat: export'], '2025-03-03T10:00:00+08:00');
+    git(['checkout', '-q', 'main'], '2025-03-03T11:00:00+08:00');
+
+    const head = await analyzeLocalRepo(repo, SINCE, UNTIL, ['me@x.com']);
+    assert.equal(head.commits, 2);
+
+    const all = await analyzeLocalRepo(repo, SINCE, UNTIL, ['me@x.com'], { allBranches: true });
+    assert.equal(all.commits, 3);
+    assert.equal(all.branchesCreated, 1);
+    assert.deepEqual(all.branches.map(b => [b.name, b.isDefault, b.commits, b.insertions, b.createdByMe, b.evidence]), [
+      ['main', true, 2, 2, false, null],
+      ['feature/export', false, 1, 3, true, 'reflog']
+    ]);
+  } finally {
+    await fs.remove(repo);
+  }
+});
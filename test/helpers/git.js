@@ -0,0 +1,37 @@
+const { execFileSync } = require('child_process');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+/**
+ * 创建临时 Git 仓库并按顺序写入提交
+ * @param {Object} [options] - 选项
+ * @param {{ author: string, date: string, message?: string, files?: Object<string, string>, remove?: string[] }[]} [options.commits=[]] - 提交，author 形如 "Name <email>"，files 为本次写入的文件内容，remove 为本次删除的文件（与 files 配合可产生重命名）
+ * @param {Object<string, string>} [options.files={}] - 不提交的工作区文件（如 .mailmap）
+ * @returns {Promise<string>} 仓库路径，用完后调用方负责删除
+ */
+async function createRepo({ commits = [], files = {} } = {}) {
+  const repo = await fs.mkdtemp(path.join(os.tmpdir(), 'annual-report-test-'));
+  const git = (args, env = {}) => execFileSync('git', args, { cwd: repo, env: { ...process.env, ...env }, stdio: 'pipe' });
+  git(['init', '-q', '-b', 'main']);
+  for (const [i, c] of commits.entries()) {
+    const [, name, email] = /^(.*?) <(.*)>$/.exec(c.author);
+    for (const file of c.remove || []) {
+      await fs.remove(path.join(repo, file));
+    }
+    for (const [file, content] of Object.entries(c.files || { [`file${i}.txt`]: `${i}\n` })) {
+      await fs.outputFile(path.join(repo, file), content);
+    }
+    git(['add', '-A']);
+    git(['commit', '-q', '-m', c.message || `commit ${i}`], {
+      GIT_AUTHOR_NAME: name, GIT_AUTHOR_EMAIL: email, GIT_AUTHOR_DATE: c.date,
+      GIT_COMMITTER_NAME: name, GIT_COMMITTER_EMAIL: email, GIT_COMMITTER_DATE: c.date
+    });
+  }
+  for (const [file, content] of Object.entries(files)) {
+    await fs.outputFile(path.join(repo, file), content);
+  }
+  return repo;
+}
+
+module.exports = { createRepo };
@@ -0,0 +1,82 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+
+const { LOCALES, DEFAULT_LOCALE, normalizeLocale, detectLocale, validateLocale, createTranslator, pickLocalized, localizeReport } = require('../lib/i18n');
+const { analyzeLocalRepo } = require('../lib/gitLocal');
+const { buildSummary } = require('../lib/metrics');
+const { DEFAULT_RULES } = require('../lib/rules');
+const { createRepo } = require('./helpers/git');
+
+/**
+ * 取出文案中的占位符名称
+ * @param {string} template - 文案
+ * @returns {string[]}
+ */
+function placeholdersOf(template) {
+  return [...template.matchAll(/\{([\w.]+)(?:\/[\d.]+)?\}/g)].map(m => m[1]).sort();
+}
+
+test('各语言包的消息 id 和占位符一致', () => {
+  const catalogs = LOCALES.map(locale => require(`../lib/locales/${locale}`));
+  const ids = Object.keys(catalogs[0]).sort();
+  catalogs.slice(1).forEach(catalog => {
+    assert.deepEqual(Object.keys(catalog).sort(), ids);
+    ids.forEach(id => assert.deepEqual(placeholdersOf(catalog[id]), placeholdersOf(catalogs[0][id]), id));
+  });
+});
+
+test('语言标识归一化，环境变量按优先级识别并跳过 C、POSIX', () => {
+  assert.equal(normalizeLocale('zh_CN.UTF-8'), 'zh-CN');
+  assert.equal(normalizeLocale('zh-TW'), 'zh-CN');
+  assert.equal(normalizeLocale('en_GB'), 'en');
+  assert.equal(normalizeLocale('fr'), null);
+  assert.equal(normalizeLocale(''), null);
+
+  assert.equal(detectLocale({ LC_ALL: 'C', LANG: 'en_US.UTF-8' }), 'en');
+  assert.equal(detectLocale({ LC_MESSAGES: 'zh_CN.UTF-8', LANG: 'en_US.UTF-8' }), 'zh-CN');
+  assert.equal(detectLocale({ LANGUAGE: 'fr:en' }), 'en');
+  assert.equal(detectLocale({ LANG: 'POSIX' }), DEFAULT_LOCALE);
+
+  assert.equal(validateLocale('en-US'), true);
+  assert.equal(validateLocale('fr', 'en'), `unsupported locale: "fr", available: ${LOCALES.join(', ')}`);
+});
+
+test('翻译函数替换参数、嵌套消息和除数，缺少的消息回退', () => {
+  const t = createTranslator('en');
+  assert.equal(t.locale, 'en');
+  assert.equal(t.format('{n/1000}k of {total}, {missing}', { n: 12999, total: 3 }), '12k of 3, {missing}');
+  assert.equal(t.format('{metric} up', { metric: { id: 'compare.metric.totalCommits' } }), 'Commits up');
+  assert.equal(t('no.such.message'), 'no.such.message');
+  assert.equal(t.has('no.such.message'), false);
+  assert.equal(createTranslator('fr').locale, DEFAULT_LOCALE);
+
+  assert.equal(pickLocalized({ 'zh-CN': '测试', en: 'Test' }, 'en'), 'Test');
+  assert.equal(pickLocalized({ 'zh-CN': '测试' }, 'en'), '测试');
+  assert.equal(pickLocalized('Plain', 'en'), 'Plain');
+});
+
+test('localizeReport 按 id 切换徽章、称号和提示文案的语言，规则文件中的文本保持原样', async () => {
+  const repo = await createRepo({
+    commits: [1, 2, 3, 4, 5, 6, 7, 8].map(day => ({ author: 'Me <me@x.com>', date: `2025-03-0${day}T23:30:00+08:00` }))
+  });
+  try {
+    const stats = await analyzeLocalRepo(repo, '2025-01-01', '2025-12-31', ['me@x.com']);
+    const rules = { ...DEFAULT_RULES, badges: [...DEFAULT_RULES.badges, { id: 'custom', label: '自定义徽章', when: [{ metric: 'totalCommits', op: '>', value: 0 }] }] };
+    const zh = buildSummary([stats], { rules, locale: 'zh-CN' });
+    const en = buildSummary([stats], { rules, locale: 'en' });
+    assert.ok(zh.badgeDetails.length > 1);
+
+    const report = localizeReport({ locale: 'zh-CN', summary: zh }, 'en');
+    assert.equal(report.locale, 'en');
+    assert.deepEqual(report.summary.badges, en.badges);
+    assert.ok(report.summary.badges.includes('自定义徽章'));
+    assert.deepEqual(report.summary.annualTitle, en.annualTitle);
+    assert.deepEqual(report.summary.tipMessages, en.tipMessages);
+    assert.equal(report.summary.nightOwlTip, en.nightOwlTip);
+    // 不修改原报告
+    assert.deepEqual(zh.badges, buildSummary([stats], { rules, locale: 'zh-CN' }).badges);
+  } finally {
+    await fs.remove(repo);
+  }
+});
@@ -0,0 +1,45 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { toIdentityList, createAuthorMatcher, mergeAliases } = require('../lib/identity');
+
+test('toIdentityList 支持数组和逗号分隔的字符串，去空格去重', () => {
+  assert.deepEqual(toIdentityList('zhangsan, zs@x.com,,zhangsan'), ['zhangsan', 'zs@x.com']);
+  assert.deepEqual(toIdentityList(['a,b', ' c ', 'a']), ['a', 'b', 'c']);
+  assert.deepEqual(toIdentityList(undefined), []);
+});
+
+test('createAuthorMatcher 用户名或邮箱完全一致（忽略大小写）即匹配', () => {
+  const isMe = createAuthorMatcher('Zhang San, ZS@X.com');
+  assert.ok(isMe('zhang san', 'other@x.com'));
+  assert.ok(isMe('Someone', 'zs@x.com'));
+  assert.ok(!isMe('Zhang', 'zs@x.co'));
+  assert.ok(!isMe('', ''));
+});
+
+test('mergeAliases 合并共享用户名或邮箱的记录，展示名称取提交数最多的别名', () => {
+  const merged = mergeAliases([
+    { name: 'zhangsan', email: 'zs@home.com', commits: 3 },
+    { name: 'Zhang San', email: 'zs@work.com', commits: 10 },
+    { name: 'zhangsan', email: 'zs@work.com', commits: 2 },
+    { name: 'lisi', email: 'ls@work.com', commits: 5 }
+  ]);
+  assert.equal(merged.length, 2);
+  assert.deepEqual(merged[0], {
+    name: 'Zhang San',
+    email: 'zs@work.com',
+    commits: 15,
+    aliases: ['zhangsan <zs@home.com>', 'Zhang San <zs@work.com>', 'zhangsan <zs@work.com>'],
+    identities: ['zhangsan', 'zs@home.com', 'Zhang San', 'zs@work.com']
+  });
+  assert.equal(merged[1].name, 'lisi');
+});
+
+test('mergeAliases 不因空用户名或空邮箱把不同的人合并', () => {
+  const merged = mergeAliases([
+    { name: 'a', email: '', commits: 1 },
+    { name: 'b', email: '', commits: 1 },
+    { name: '', email: 'c@x.com', commits: 1 }
+  ]);
+  assert.equal(merged.length, 3);
+});
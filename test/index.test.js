@@ -0,0 +1,59 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const api = require('../lib');
+const { createRepo } = require('./helpers/git');
+
+const OPTIONS = { authors: 'me@x.com', since: '2025-01-01', until: '2025-12-31' };
+
+test('analyze 只返回报告对象：不输出日志、不写文件、不修改工作目录', async () => {
+  const repo = await createRepo({ commits: [{ author: 'Me <me@x.com>', date: '2025-05-01T10:00:00+08:00' }] });
+  const cacheDir = path.join(os.tmpdir(), `annual-report-no-cache-${process.pid}`);
+  const cwd = process.cwd();
+  const writes = [];
+  const originals = { log: console.log, error: console.error, warn: console.warn, stdout: process.stdout.write, stderr: process.stderr.write };
+  console.log = console.error = console.warn = (...args) => writes.push(args.join(' '));
+  process.stdout.write = process.stderr.write = chunk => { writes.push(String(chunk)); return true; };
+  let report;
+  try {
+    report = await api.analyze({ ...OPTIONS, roots: repo, cacheDir, rules: api.DEFAULT_RULES });
+  } finally {
+    Object.assign(console, { log: originals.log, error: originals.error, warn: originals.warn });
+    process.stdout.write = originals.stdout;
+    process.stderr.write = originals.stderr;
+    await fs.remove(repo);
+  }
+  assert.deepEqual(writes, []);
+  assert.equal(process.cwd(), cwd);
+  assert.equal(await fs.pathExists(cacheDir), false);
+  assert.equal(report.summary.totalCommits, 1);
+  assert.deepEqual(api.validateReport(report), []);
+});
+
+test('已中止的信号使 analyze 以 signal.reason 拒绝', async () => {
+  const repo = await createRepo({ commits: [{ author: 'Me <me@x.com>', date: '2025-05-01T10:00:00+08:00' }] });
+  try {
+    const controller = new AbortController();
+    const reason = new Error('stopped by caller');
+    controller.abort(reason);
+    await assert.rejects(api.analyze({ ...OPTIONS, roots: repo, rules: api.DEFAULT_RULES, signal: controller.signal }), err => err === reason);
+  } finally {
+    await fs.remove(repo);
+  }
+});
+
+test('参数错误时抛出错误而不是退出进程', async () => {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'annual-report-ws-'));
+  try {
+    const options = { ...OPTIONS, roots: root, rules: api.DEFAULT_RULES, locale: 'en' };
+    await assert.rejects(api.analyze({ ...options, roots: [] }), /^Error: /);
+    await assert.rejects(api.analyze({ ...options, authors: '' }), /^Error: /);
+    await assert.rejects(api.analyze({ ...options, until: '2025-02-30' }), /invalid until date: "2025-02-30"/);
+    await assert.rejects(api.analyze({ ...options, timezone: 'Mars/Olympus' }), /invalid time zone: "Mars\/Olympus"/);
+  } finally {
+    await fs.remove(root);
+  }
+});
@@ -0,0 +1,57 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const { OTHER, createLanguageClassifier } = require('../lib/language');
+const { analyzeLocalRepo } = require('../lib/gitLocal');
+const { createRepo } = require('./helpers/git');
+
+test('按文件名、扩展名（不区分大小写）识别语言和类型', () => {
+  const classify = createLanguageClassifier(__dirname);
+  assert.deepEqual(classify('src/app.TSX'), { name: 'TypeScript', type: 'programming' });
+  assert.deepEqual(classify('docs/README.md'), { name: 'Markdown', type: 'prose' });
+  assert.deepEqual(classify('config/app.yaml'), { name: 'YAML', type: 'data' });
+  assert.equal(classify('Makefile').name, 'Makefile');
+  assert.equal(classify('deploy/Dockerfile.prod').name, 'Dockerfile');
+  // 文件名优先于扩展名
+  assert.equal(classify('CMakeLists.txt').name, 'CMake');
+  assert.deepEqual(classify('assets/logo.png'), { name: OTHER, type: 'other' });
+});
+
+test('无扩展名的文件按工作区中的 shebang 识别', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'language-test-'));
+  try {
+    await fs.outputFile(path.join(dir, 'bin/serve'), '#!/usr/bin/env node\nrequire("./server");\n');
+    await fs.outputFile(path.join(dir, 'bin/build'), '#!/usr/bin/env -S python3.11 -u\nprint(1)\n');
+    await fs.outputFile(path.join(dir, 'bin/setup'), '#!/bin/bash\nset -e\n');
+    await fs.outputFile(path.join(dir, 'LICENSE'), 'MIT License\n');
+    const classify = createLanguageClassifier(dir);
+    assert.equal(classify('bin/serve').name, 'JavaScript');
+    assert.equal(classify('bin/build').name, 'Python');
+    assert.equal(classify('bin/setup').name, 'Shell');
+    assert.equal(classify('LICENSE').name, OTHER);
+    // 已删除的文件无法读取首行
+    assert.equal(classify('bin/removed').name, OTHER);
+  } finally {
+    await fs.remove(dir);
+  }
+});
+
+test('仓库统计按语言汇总提交数、文件数和增删行数', async () => {
+  const repo = await createRepo({
+    commits: [
+      { author: 'Me <me@x.com>', date: '2025-03-01T10:00:00+08:00', files: { 'a.js': '1\n2\n', 'b.ts': '1\n', 'README.md': '# a\n' } },
+      { author: 'Me <me@x.com>', date: '2025-03-02T10:00:00+08:00', files: { 'a.js': '1\n' } }
+    ]
+  });
+  try {
+    const stats = await analyzeLocalRepo(repo, '2025-01-01', '2025-12-31', ['me@x.com']);
+    assert.deepEqual(stats.languages.JavaScript, { type: 'programming', commits: 2, files: 1, insertions: 2, deletions: 1 });
+    assert.deepEqual(stats.languages.TypeScript, { type: 'programming', commits: 1, files: 1, insertions: 1, deletions: 0 });
+    assert.equal(stats.languages.Markdown.type, 'prose');
+  } finally {
+    await fs.remove(repo);
+  }
+});
@@ -0,0 +1,79 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseConventional, hasIssueRef, stripTrailers, analyzeMessages } = require('../lib/message');
+
+test('parseConventional 解析类型、scope、破坏性标记和描述', () => {
+  assert.deepEqual(parseConventional('feat(api): add export endpoint'),
+    { type: 'feat', scope: 'api', breaking: false, description: 'add export endpoint' });
+  assert.deepEqual(parseConventional('  Fix!: drop node 16  '),
+    { type: 'fix', scope: null, breaking: true, description: 'drop node 16' });
+  assert.deepEqual(parseConventional('refactor( core ): 拆分解析逻辑'),
+    { type: 'refactor', scope: 'core', breaking: false, description: '拆分解析逻辑' });
+  assert.equal(parseConventional('build-deps(npm)!: bump axios').type, 'build-deps');
+});
+
+test('parseConventional 不符合规范时返回 null', () => {
+  assert.equal(parseConventional('add export endpoint'), null);
+  assert.equal(parseConventional('feat:missing space'), null);
+  assert.equal(parseConventional('feat(): empty scope'), null);
+  assert.equal(parseConventional('feat(a(b)): nested scope'), null);
+  assert.equal(parseConventional('1feat: starts with digit'), null);
+  assert.equal(parseConventional('feat: '), null);
+});
+
+test('hasIssueRef 识别 #123、GH-123、工单号和 issue/PR/MR 链接', () => {
+  assert.ok(hasIssueRef('fix: crash on empty repo (#42)'));
+  assert.ok(hasIssueRef('#7 handle timeout'));
+  assert.ok(hasIssueRef('Closes GH-12'));
+  assert.ok(hasIssueRef('PROJ-123 调整导出格式'));
+  assert.ok(hasIssueRef('see https://github.com/a/b/issues/9'));
+  assert.ok(hasIssueRef('see https://github.com/a/b/pull/10'));
+  assert.ok(hasIssueRef('see https://gitlab.com/a/b/-/merge_requests/11'));
+});
+
+test('hasIssueRef 排除编码、标准名称、HTML 实体和链接锚点', () => {
+  assert.equal(hasIssueRef('convert files to UTF-8'), false);
+  assert.equal(hasIssueRef('use SHA-256 and ISO-8601, follow RFC-7231'), false);
+  assert.equal(hasIssueRef('target ES-2020 over HTTP-2 and TLS-13'), false);
+  assert.equal(hasIssueRef('escape &#123; in templates'), false);
+  assert.equal(hasIssueRef('see docs/readme#1'), false);
+  assert.equal(hasIssueRef('bump version to 2.1.0'), false);
+  assert.ok(hasIssueRef('UTF-8 fix for JIRA-5'));
+});
+
+test('stripTrailers 去掉末尾只由尾注组成的段落', () => {
+  assert.equal(stripTrailers('Signed-off-by: A <a@example.com>\nCo-authored-by: B <b@example.com>'), '');
+  assert.equal(stripTrailers('Explain why.\n\nReviewed-by: C <c@example.com>\n'), 'Explain why.');
+  assert.equal(stripTrailers('Explain why.\n\nBREAKING CHANGE: config moved'), 'Explain why.');
+  assert.equal(stripTrailers(''), '');
+});
+
+test('stripTrailers 保留正文和混有普通行的末尾段落', () => {
+  assert.equal(stripTrailers('First paragraph.\n\nSecond paragraph.'), 'First paragraph.\n\nSecond paragraph.');
+  assert.equal(stripTrailers('Note: this is prose\nspanning two lines'), 'Note: this is prose\nspanning two lines');
+  assert.equal(stripTrailers('Refs: #12\n\nMore detail.'), 'Refs: #12\n\nMore detail.');
+});
+
+test('analyzeMessages 跳过合并提交，尾注不计为正文', () => {
+  const quality = analyzeMessages([
+    { message: 'feat(ui)!: redesign dashboard layout', body: 'Signed-off-by: A <a@example.com>' },
+    { message: 'fix: handle empty commit list (#3)', body: 'Explain why.\n\nCo-authored-by: B <b@example.com>' },
+    { message: 'wip' },
+    { message: "Merge branch 'main' into dev" }
+  ]);
+  assert.equal(quality.analyzed, 3);
+  assert.equal(quality.conventional, 2);
+  assert.equal(quality.breaking, 1);
+  assert.equal(quality.lazy, 1);
+  assert.equal(quality.issueRefs, 1);
+  assert.equal(quality.withBody, 1);
+  assert.deepEqual(quality.topScopes, [{ scope: 'ui', count: 1 }]);
+});
+
+test('敷衍的提交信息只看占位词，其他文字的标题不算敷衍', () => {
+  const lazyOf = subjects => analyzeMessages(subjects.map(message => ({ message }))).lazy;
+  assert.equal(lazyOf(['wip', 'fix bug', 'chore: update', 'Fixed again!!', '修改一下', 'fix #12', '修复问题']), 7);
+  assert.equal(lazyOf(['Исправить обработку ошибок', 'ログイン画面を修正', '로그인 오류 수정', 'Ελληνικά', 'تحديث الصفحة']), 0);
+  assert.equal(lazyOf(['update code', 'add more tests', 'fix some typos', '优化首页加载', 'small refactor of parser']), 0);
+});
@@ -0,0 +1,96 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const pako = require('pako');
+
+const { analyze, analyzeTeam } = require('../lib/analyze');
+const { writeReport, writeTeamReport, encodeReport, reportUrl, REPORT_SITE_URL } = require('../lib/output');
+const { DEFAULT_RULES } = require('../lib/rules');
+const { createRepo } = require('./helpers/git');
+
+const OPTIONS = { since: '2025-01-01', until: '2025-12-31', rules: DEFAULT_RULES, locale: 'en' };
+
+/**
+ * 创建工作区：一个有两位作者的仓库，目录名含 HTML 特殊字符
+ * @returns {Promise<string>} 工作区路径，用完后调用方负责删除
+ */
+async function createWorkspace() {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'annual-report-ws-'));
+  const repo = await createRepo({
+    commits: [
+      { author: 'Me <me@x.com>', date: '2025-05-01T10:00:00+08:00' },
+      { author: 'Li Si <lisi@x.com>', date: '2025-05-02T10:00:00+08:00' }
+    ]
+  });
+  await fs.move(repo, path.join(root, '<i>app'));
+  return root;
+}
+
+/**
+ * 断言 HTML 不引用任何外部资源、不含脚本
+ * @param {string} html - HTML 内容
+ */
+function assertSelfContained(html) {
+  assert.match(html, /^<!DOCTYPE html>/);
+  assert.doesNotMatch(html, /<script|<link|\bsrc=|https?:\/\//i);
+}
+
+test('writeReport 写入 JSON 和自包含的离线 HTML，项目名称等内容经过转义', async () => {
+  const root = await createWorkspace();
+  try {
+    const report = await analyze({ ...OPTIONS, roots: root, authors: 'me@x.com' });
+    const output = path.join(root, 'out', 'report.json');
+    const html = await writeReport(report, output);
+    assert.equal(html, path.join(root, 'out', 'report.html'));
+    assert.deepEqual(await fs.readJson(output), report);
+    const content = await fs.readFile(html, 'utf8');
+    assertSelfContained(content);
+    assert.match(content, /<html lang="en">/);
+    assert.ok(content.includes('<td>&lt;i&gt;app</td>'));
+    assert.ok(!content.includes('<i>app'));
+  } finally {
+    await fs.remove(root);
+  }
+});
+
+test('报告不符合报告结构时不写入任何文件', async () => {
+  const root = await createWorkspace();
+  try {
+    const report = await analyze({ ...OPTIONS, roots: root, authors: 'me@x.com' });
+    report.summary.totalCommits = 'many';
+    await assert.rejects(writeReport(report, path.join(root, 'out', 'report.json')), /report\.summary\.totalCommits/);
+    assert.equal(await fs.pathExists(path.join(root, 'out')), false);
+  } finally {
+    await fs.remove(root);
+  }
+});
+
+test('writeTeamReport 写入成员报告，团队页面链接到成员的 HTML 报告', async () => {
+  const root = await createWorkspace();
+  try {
+    const result = await analyzeTeam({ ...OPTIONS, roots: root });
+    const { html, membersDir } = await writeTeamReport(result, path.join(root, 'team.json'));
+    assert.equal(membersDir, path.join(root, 'team-members'));
+    const memberFiles = (await fs.readdir(membersDir)).sort();
+    assert.equal(memberFiles.length, result.members.length * 2);
+    const content = await fs.readFile(html, 'utf8');
+    assertSelfContained(content);
+    result.members.forEach(m => assert.ok(content.includes(`href="team-members/${encodeURIComponent(m.id)}.html"`), m.id));
+    // 团队报告 JSON 中记录成员报告的相对路径
+    const team = await fs.readJson(path.join(root, 'team.json'));
+    assert.deepEqual(team.team.members.map(m => m.report).sort(), result.members.map(m => path.join('team-members', `${m.id}.json`)).sort());
+  } finally {
+    await fs.remove(root);
+  }
+});
+
+test('在线报告链接中的数据可以还原为原报告', () => {
+  const report = { locale: 'en', summary: { totalCommits: 3, topKeywords: ['中文', 'a+b/c='] } };
+  const data = encodeReport(report);
+  assert.match(data, /^[A-Za-z0-9_-]+$/);
+  assert.equal(reportUrl(data), `${REPORT_SITE_URL}?d=${data}`);
+  const base64 = data.replace(/-/g, '+').replace(/_/g, '/');
+  assert.deepEqual(JSON.parse(pako.inflate(Buffer.from(base64, 'base64'), { to: 'string' })), report);
+});
@@ -0,0 +1,62 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const { THEMES, SIZES, renderPosterSvg, exportPoster } = require('../lib/poster');
+const { analyze } = require('../lib/analyze');
+const { migrateReport } = require('../lib/schema');
+const { DEFAULT_RULES } = require('../lib/rules');
+const { createRepo } = require('./helpers/git');
+
+/**
+ * 分析一个只有本人提交的仓库，生成个人报告
+ * @returns {Promise<Object>}
+ */
+async function createReport() {
+  const repo = await createRepo({
+    commits: [1, 2, 3].map(day => ({ author: 'Me <me@x.com>', date: `2025-05-0${day}T23:00:00+08:00`, files: { [`src/f${day}.js`]: 'a\n' } }))
+  });
+  try {
+    return await analyze({ roots: repo, authors: 'me@x.com', authorName: 'Tom & <Jerry>', since: '2025-01-01', until: '2025-12-31', rules: DEFAULT_RULES, locale: 'en' });
+  } finally {
+    await fs.remove(repo);
+  }
+}
+
+test('各主题和尺寸都能渲染，作者名等文本经过转义', async () => {
+  const report = await createReport();
+  for (const [sizeName, { width, height }] of Object.entries(SIZES)) {
+    for (const [themeName, theme] of Object.entries(THEMES)) {
+      const svg = renderPosterSvg(report, { theme: themeName, size: sizeName });
+      assert.match(svg, new RegExp(`^<svg [^>]*width="${width}" height="${height}"`));
+      assert.ok(svg.includes(`stop-color="${theme.background[0]}"`));
+      assert.ok(svg.includes('Tom &amp; &lt;Jerry&gt;'));
+      assert.ok(svg.includes('JavaScript'));
+    }
+  }
+});
+
+test('没有提交时渲染提示，未知的主题或尺寸抛出错误', () => {
+  const empty = migrateReport({ generatedAt: '2025-12-31T00:00:00.000Z', locale: 'en', range: { since: '2025-01-01', until: '2025-12-31' }, author: { name: 'me' } });
+  assert.ok(renderPosterSvg(empty).includes('No commits'));
+  assert.throws(() => renderPosterSvg(empty, { theme: 'neon' }), /neon/);
+  assert.throws(() => renderPosterSvg(empty, { size: 'square' }), /square/);
+});
+
+test('exportPoster 在报告旁边写入 SVG 和同尺寸的 PNG', async () => {
+  const report = await createReport();
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'poster-test-'));
+  try {
+    const files = await exportPoster(report, path.join(dir, 'report.json'), { size: 'landscape' });
+    assert.deepEqual(files, { svg: path.join(dir, 'report-poster.svg'), png: path.join(dir, 'report-poster.png') });
+    const png = await fs.readFile(files.png);
+    assert.deepEqual([...png.subarray(1, 4)], [...Buffer.from('PNG')]);
+    // IHDR 中的宽高
+    assert.equal(png.readUInt32BE(16), SIZES.landscape.width);
+    assert.equal(png.readUInt32BE(20), SIZES.landscape.height);
+  } finally {
+    await fs.remove(dir);
+  }
+});
@@ -0,0 +1,50 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { migrateReport } = require('../lib/schema');
+const { createRedactor, redactReport, redactTeamReport } = require('../lib/redact');
+
+/**
+ * 创建一份个人报告
+ * @param {Object} author - 作者
+ * @param {string[]} [projects=[]] - 项目名称
+ * @returns {Object}
+ */
+function reportOf(author, projects = []) {
+  const report = migrateReport({
+    generatedAt: '2025-12-31T00:00:00.000Z',
+    locale: 'en',
+    range: { since: '2025-01-01', until: '2025-12-31' },
+    author
+  });
+  report.summary.allProjects = projects;
+  return report;
+}
+
+test('以邮箱作为姓名时，internal 和 public 级别都不保留邮箱', () => {
+  ['internal', 'public'].forEach(level => {
+    const { report, changes } = redactReport(reportOf({ name: 'me@x.com', email: 'me@x.com' }), level);
+    assert.equal(report.author.name, 'me');
+    assert.equal(report.author.email, undefined);
+    assert.ok(!JSON.stringify(report).includes('x.com'));
+    assert.equal(changes.find(c => c.field === 'email').count, 2);
+  });
+});
+
+test('普通姓名原样保留，full 级别不做处理', () => {
+  assert.equal(redactReport(reportOf({ name: 'Zhang San', email: 'z@x.com' }), 'public').report.author.name, 'Zhang San');
+  const full = reportOf({ name: 'me@x.com', email: 'me@x.com' });
+  assert.equal(redactReport(full, 'full').report, full);
+});
+
+test('多份报告共用脱敏上下文时项目代号一致，脱敏说明为累计值', () => {
+  const redactor = createRedactor('public', 'en');
+  const team = redactTeamReport({ locale: 'en', team: { members: [{ name: 'a@x.com', email: 'a@x.com' }], ownership: [{ repo: 'beta' }, { repo: 'alpha' }] } }, 'public', redactor);
+  const a = redactReport(reportOf({ name: 'A' }, ['alpha', 'beta']), 'public', redactor);
+  const b = redactReport(reportOf({ name: 'B' }, ['beta']), 'public', redactor);
+  assert.deepEqual(team.report.team.ownership.map(o => o.repo), ['Project 1', 'Project 2']);
+  assert.deepEqual(a.report.summary.allProjects, ['Project 2', 'Project 1']);
+  assert.deepEqual(b.report.summary.allProjects, ['Project 1']);
+  assert.equal(team.report.team.members[0].name, 'a');
+  assert.deepEqual(redactor.changes(), [{ field: 'email', count: 2 }, { field: 'identity', count: 2 }, { field: 'projectName', count: 2 }]);
+});
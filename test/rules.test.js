@@ -0,0 +1,103 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const { DEFAULT_RULES, evaluateBadges, pickTitle, evaluateTips, loadRules } = require('../lib/rules');
+const { createTranslator } = require('../lib/i18n');
+
+const en = createTranslator('en');
+
+/**
+ * 将规则写入临时文件并加载
+ * @param {Object|string} config - 规则文件内容（字符串按原样写入）
+ * @returns {Promise<Object>} 规则集
+ */
+async function loadConfig(config) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'rules-test-'));
+  try {
+    const file = path.join(dir, 'rules.json');
+    await fs.writeFile(file, typeof config === 'string' ? config : JSON.stringify(config));
+    return await loadRules(file, 'en');
+  } finally {
+    await fs.remove(dir);
+  }
+}
+
+test('徽章按生效范围使用不同阈值，并记录触发时的指标值', () => {
+  const metrics = { nightRate: 0.25 };
+  assert.deepEqual(evaluateBadges(DEFAULT_RULES, metrics, 'summary', en), [{
+    id: 'night-owl',
+    label: '🦉 Night Owl',
+    description: 'A high share of commits between 22:00 and 07:00',
+    conditions: [{ metric: 'nightRate', op: '>', threshold: 0.2, value: 0.25 }]
+  }]);
+  assert.deepEqual(evaluateBadges(DEFAULT_RULES, metrics, 'repo', en), []);
+  // 只在 summary 生效的徽章不参与单个项目的评选
+  assert.deepEqual(evaluateBadges(DEFAULT_RULES, { projectCount: 12 }, 'repo', en), []);
+});
+
+test('多个条件都满足才获得徽章，缺失的指标按 0 处理', () => {
+  const ids = metrics => evaluateBadges(DEFAULT_RULES, metrics, 'summary', en).map(b => b.id);
+  assert.deepEqual(ids({ coAuthoredCommits: 12, coAuthoredRate: 0.2 }), []);
+  assert.deepEqual(ids({ coAuthoredCommits: 12, coAuthoredRate: 0.4 }), ['pair-programmer']);
+  const rules = { badges: [{ id: 'tester', label: 'Tester', when: [{ metric: 'commitTypeShare.test', op: '>=', value: 0 }] }] };
+  assert.equal(evaluateBadges(rules, {}, 'summary', en)[0].conditions[0].value, 0);
+});
+
+test('年度称号取得分最高的候选，达到 cap 时直接取上限分', () => {
+  const title = pickTitle(DEFAULT_RULES, { totalCommits: 1200, nightRate: 0.5 }, en);
+  assert.deepEqual(title, {
+    id: 'code-maniac',
+    title: '💎 Code Maniac',
+    desc: 'An astonishing number of commits',
+    score: 100,
+    metric: 'totalCommits',
+    value: 1200
+  });
+  assert.equal(pickTitle(DEFAULT_RULES, { totalCommits: 300, nightRate: 0.5 }, en).id, 'night-walker');
+  assert.equal(pickTitle({ titles: [] }, {}, en), null);
+});
+
+test('提示文案取第一个满足的级别，都不满足时使用 fallback', () => {
+  const tips = evaluateTips(DEFAULT_RULES, { totalCommits: 600, projectCount: 1 }, en);
+  assert.deepEqual(tips.totalCommitsTip, { id: 'tip.totalCommits.prolific', params: { totalCommits: 600 }, text: '🔥 Remarkably prolific' });
+  assert.equal(tips.projectCountTip.id, 'tip.projectCount.fallback');
+  assert.equal(tips.projectCountTip.text, '🎯 Focused and deep');
+});
+
+test('规则文件覆盖、追加和禁用规则，自定义文本支持多语言和指标占位符', async () => {
+  const rules = await loadConfig({
+    badges: [
+      { id: 'night-owl', when: [{ metric: 'nightRate', op: '>', value: 0.5 }] },
+      { id: 'test-lover', label: { 'zh-CN': '🧪 测试爱好者', en: '🧪 Test Lover' }, when: [{ metric: 'commitTypeShare.test', op: '>=', value: 0.2 }] }
+    ],
+    tips: {
+      totalCommitsTip: { levels: [{ metric: 'totalCommits', op: '>=', value: 100, text: '{totalCommits} commits, {totalInsertions/1000}k lines' }], fallback: 'Keep going' }
+    },
+    disable: ['slacker', 'code-maniac', 'nightOwlTip']
+  });
+  assert.deepEqual(rules.badges.find(b => b.id === 'night-owl').scopes, ['summary', 'repo']);
+  assert.ok(!rules.badges.some(b => b.id === 'slacker'));
+  assert.ok(!rules.titles.some(t => t.id === 'code-maniac'));
+  assert.equal(rules.tips.nightOwlTip, undefined);
+
+  const metrics = { nightRate: 0.4, commitTypeShare: { test: 0.25 }, totalCommits: 150, totalInsertions: 12345 };
+  const badges = evaluateBadges(rules, metrics, 'summary', en);
+  assert.deepEqual(badges.map(b => ({ id: b.id, label: b.label, custom: b.custom })), [{ id: 'test-lover', label: '🧪 Test Lover', custom: true }]);
+  const tip = evaluateTips(rules, metrics, en).totalCommitsTip;
+  assert.equal(tip.text, '150 commits, 12k lines');
+  assert.deepEqual(tip.params, { totalCommits: 150, totalInsertions: 12345 });
+  assert.equal(tip.custom, true);
+});
+
+test('规则文件格式错误时给出位置和原因', async () => {
+  await assert.rejects(loadConfig('{ not json'), /^Error: Cannot read rules file /);
+  await assert.rejects(loadConfig([]), /content must be a JSON object/);
+  await assert.rejects(loadConfig({ badges: [{ id: 'x', when: [] }] }), /badges\.x is missing label/);
+  await assert.rejects(loadConfig({ badges: [{ id: 'night-owl', when: [{ metric: 'nightRate', op: '=>', value: 1 }] }] }),
+    /badges\.night-owl\.when\[0\] has an invalid operator "=>"/);
+  await assert.rejects(loadConfig({ tips: { a: { levels: [{ metric: 'x', op: '>', value: '1' }] } } }), /value of tips\.a\.levels\[0\] must be a number/);
+  await assert.rejects(loadConfig({ disable: 'slacker' }), /disable must be an array/);
+});
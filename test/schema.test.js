@@ -0,0 +1,116 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { SCHEMA_VERSION, validateReport, assertValidReport, migrateReport } = require('../lib/schema');
+
+/**
+ * 创建一份版本 1 的个人报告（没有 schemaVersion、timezone 等字段）
+ * @returns {Object}
+ */
+function v1Report() {
+  return {
+    generatedAt: '2025-12-31T00:00:00.000Z',
+    locale: 'en',
+    range: { since: '2025-01-01', until: '2025-12-31' },
+    author: { name: 'zhangsan', email: 'zhangsan@example.com' }
+  };
+}
+
+/**
+ * 创建一份符合当前结构的最小个人报告
+ * @returns {Object}
+ */
+function minimalReport() {
+  return migrateReport(v1Report());
+}
+
+/**
+ * 修改报告后校验，返回 "路径 关键字" 形式的问题
+ * @param {(report: Object) => void} mutate - 修改报告
+ * @returns {string[]}
+ */
+function problemsAfter(mutate) {
+  const report = minimalReport();
+  mutate(report);
+  return validateReport(report).map(e => `${e.path} ${e.keyword}`);
+}
+
+test('当前结构的个人报告校验通过', () => {
+  const report = minimalReport();
+  assert.equal(report.schemaVersion, SCHEMA_VERSION);
+  assert.deepEqual(validateReport(report), []);
+});
+
+test('type、required 与 $ref 引用的定义', () => {
+  assert.deepEqual(problemsAfter(r => { r.summary.totalCommits = '3'; }), ['report.summary.totalCommits type']);
+  assert.deepEqual(problemsAfter(r => { r.summary.totalCommits = 1.5; }), ['report.summary.totalCommits type']);
+  assert.deepEqual(problemsAfter(r => { delete r.author.name; }), ['report.author.name required']);
+  // 类型不符时不再检查该值的其他关键字
+  assert.deepEqual(problemsAfter(r => { r.author = 'zhangsan'; }), ['report.author type']);
+  // 可为 null 的字段
+  assert.deepEqual(problemsAfter(r => { r.timezone = 8; }), ['report.timezone type']);
+});
+
+test('allOf 合并报告公共字段的校验', () => {
+  assert.deepEqual(problemsAfter(r => { delete r.generatedAt; delete r.range.until; }), ['report.generatedAt required', 'report.range.until required']);
+});
+
+test('const、enum 与 minimum', () => {
+  assert.deepEqual(problemsAfter(r => { r.schemaVersion = 1; }), ['report.schemaVersion const']);
+  assert.deepEqual(problemsAfter(r => { r.redaction = 'secret'; }), ['report.redaction enum']);
+  assert.deepEqual(problemsAfter(r => { r.redaction = 'public'; }), []);
+  assert.deepEqual(problemsAfter(r => { r.summary.activeDays = -1; }), ['report.summary.activeDays minimum']);
+});
+
+test('items、minItems、maxItems 与 additionalProperties', () => {
+  assert.deepEqual(problemsAfter(r => { r.summary.hourDistribution.pop(); }), ['report.summary.hourDistribution minItems']);
+  assert.deepEqual(problemsAfter(r => { r.summary.hourDistribution.push(0); }), ['report.summary.hourDistribution maxItems']);
+  assert.deepEqual(problemsAfter(r => { r.summary.hourDistribution[3] = 'x'; }), ['report.summary.hourDistribution[3] type']);
+  assert.deepEqual(problemsAfter(r => { r.summary.commitTypeDistribution = { feat: 2, fix: 'x' }; }), ['report.summary.commitTypeDistribution.fix type']);
+});
+
+test('有 team 字段时按团队报告结构校验', () => {
+  const { author, summary, ...meta } = minimalReport();
+  assert.ok(author && summary);
+  const errors = validateReport({ ...meta, team: {} });
+  assert.ok(errors.length);
+  assert.ok(errors.every(e => e.path.startsWith('report.team')));
+});
+
+test('assertValidReport 按报告语言输出问题，最多列出 5 条', () => {
+  assert.doesNotThrow(() => assertValidReport(minimalReport()));
+
+  const report = minimalReport();
+  report.range = { since: 1 };
+  assert.throws(() => assertValidReport(report), {
+    message: 'Report data does not match the report schema (2 problems):\n'
+      + '   - report.range.until: required field is missing\n'
+      + '   - report.range.since: must be of type string'
+  });
+
+  const many = minimalReport();
+  ['totalCommits', 'totalInsertions', 'totalDeletions', 'projectCount', 'activeDays', 'netLines'].forEach(key => { many.summary[key] = 'x'; });
+  assert.throws(() => assertValidReport(many), err => err.message.split('\n').length === 7 && /\.\.\.and 1 more$/.test(err.message));
+});
+
+test('migrateReport 升级版本 1 的报告，不修改原报告', () => {
+  const { locale, ...old } = { ...v1Report(), summary: { mostProductiveQuarter: ['Q2', 12] } };
+  assert.equal(locale, 'en');
+  const report = migrateReport(old);
+  assert.equal(report.schemaVersion, SCHEMA_VERSION);
+  assert.equal(Object.keys(report)[0], 'schemaVersion');
+  assert.equal(report.timezone, null);
+  assert.equal(report.locale, 'zh-CN');
+  assert.deepEqual(report.author.identities, ['zhangsan', 'zhangsan@example.com']);
+  assert.deepEqual(report.summary.mostProductiveQuarter, { quarter: 'Q2', commits: 12 });
+  assert.deepEqual(old.summary.mostProductiveQuarter, ['Q2', 12]);
+
+  const current = minimalReport();
+  assert.equal(migrateReport(current), current);
+});
+
+test('migrateReport 拒绝非报告对象和更新版本的报告', () => {
+  assert.throws(() => migrateReport([]));
+  assert.throws(() => migrateReport({ schemaVersion: 0 }));
+  assert.throws(() => migrateReport({ ...v1Report(), schemaVersion: SCHEMA_VERSION + 1 }), new RegExp(`\\b${SCHEMA_VERSION + 1}\\b`));
+});
@@ -0,0 +1,20 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { mergeSurvival } = require('../lib/survival');
+
+/**
+ * 创建单个仓库的存活与归属统计
+ * @param {'files'|'time'|null} truncated - 提前结束的原因
+ * @returns {Object}
+ */
+function survivalOf(truncated) {
+  return { insertions: 10, surviving: 5, survivalRate: 0.5, lines: 20, mine: 10, ownership: 0.5, filesBlamed: 1, filesTotal: 2, linesTotal: 20, truncated, languages: [] };
+}
+
+test('汇总的 truncated 与各项目取值相同，耗时限制优先', () => {
+  assert.equal(mergeSurvival([{ name: 'a', survival: survivalOf(null) }]).truncated, null);
+  assert.equal(mergeSurvival([{ name: 'a', survival: survivalOf(null) }, { name: 'b', survival: survivalOf('files') }]).truncated, 'files');
+  assert.equal(mergeSurvival([{ name: 'a', survival: survivalOf('files') }, { name: 'b', survival: survivalOf('time') }]).truncated, 'time');
+  assert.equal(mergeSurvival([{ name: 'a' }]), null);
+});
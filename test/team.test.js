@@ -0,0 +1,66 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+
+const { resolveMembers, createMemberResolver } = require('../lib/team');
+const { analyzeTeam } = require('../lib/analyze');
+const { DEFAULT_RULES } = require('../lib/rules');
+const { createRepo } = require('./helpers/git');
+
+const IDENTITIES = [
+  { name: 'Zhang San', email: 'zs@corp.com', commits: 5 },
+  { name: 'zhangsan', email: 'zs@corp.com', commits: 2 },
+  { name: 'Li Si', email: 'lisi@x.com', commits: 3 },
+  { name: 'Li Si', email: 'lisi@y.com', commits: 1 },
+  { name: 'Zhang-San', email: 'other@x.com', commits: 1 }
+];
+
+test('未指定成员时按别名合并所有提交者，成员 id 可用作文件名且不重复', () => {
+  const members = resolveMembers(IDENTITIES);
+  assert.deepEqual(members.map(m => [m.id, m.name, m.email]), [
+    ['zhang-san', 'Zhang San', 'zs@corp.com'],
+    ['li-si', 'Li Si', 'lisi@x.com'],
+    ['zhang-san-2', 'Zhang-San', 'other@x.com']
+  ]);
+  assert.deepEqual(members[0].identities, ['Zhang San', 'zs@corp.com', 'zhangsan']);
+});
+
+test('指定成员时命中的整个别名组归入该成员，未命中的成员保留给定身份', () => {
+  const members = resolveMembers(IDENTITIES, ['lisi@y.com', 'Wang Wu,ww@x.com']);
+  assert.equal(members[0].name, 'Li Si');
+  assert.deepEqual(members[0].aliases, ['Li Si <lisi@x.com>', 'Li Si <lisi@y.com>']);
+  assert.deepEqual(members[1], { id: 'wang-wu', name: 'Wang Wu', email: 'ww@x.com', aliases: [], identities: ['Wang Wu', 'ww@x.com'] });
+
+  const resolve = createMemberResolver(members);
+  assert.equal(resolve({ name: 'Li Si', email: 'lisi@x.com' }), 'li-si');
+  assert.equal(resolve({ name: 'Mapped', email: 'mapped@x.com', rawName: 'Wang Wu', rawEmail: 'ww@x.com' }), 'wang-wu');
+  assert.equal(resolve({ name: 'Zhang San', email: 'zs@corp.com' }), null);
+});
+
+test('团队汇总生成排行榜和仓库归属，只统计指定的成员', async () => {
+  const repo = await createRepo({
+    commits: [
+      ...[1, 2, 3].map(day => ({ author: 'Zhang San <zs@corp.com>', date: `2025-05-0${day}T10:00:00+08:00` })),
+      { author: 'Li Si <lisi@x.com>', date: '2025-05-04T22:00:00+08:00' }
+    ]
+  });
+  try {
+    const options = { roots: repo, since: '2025-01-01', until: '2025-12-31', rules: DEFAULT_RULES, locale: 'en' };
+    const { report, members } = await analyzeTeam(options);
+    const { team } = report;
+    assert.equal(team.memberCount, 2);
+    assert.deepEqual(members.map(m => m.id), ['zhang-san', 'li-si']);
+    assert.deepEqual(team.leaderboards.commits.map(e => [e.id, e.value]), [['zhang-san', 3], ['li-si', 1]]);
+    assert.deepEqual(team.ownership[0].owners.map(o => [o.name, o.share]), [['Zhang San', 0.75], ['Li Si', 0.25]]);
+    assert.equal(team.hourDistribution[22], 1);
+    assert.equal(members[1].report.author.name, 'Li Si');
+    assert.equal(members[1].report.summary.totalCommits, 1);
+
+    const selected = await analyzeTeam({ ...options, members: ['lisi@x.com'] });
+    assert.deepEqual(selected.report.team.members.map(m => m.id), ['li-si']);
+    // 归属占比仍按仓库的全部提交计算
+    assert.deepEqual(selected.report.team.ownership[0], { repo: selected.report.team.ownership[0].repo, totalCommits: 4, owners: [{ id: 'li-si', name: 'Li Si', commits: 1, share: 0.25 }] });
+  } finally {
+    await fs.remove(repo);
+  }
+});
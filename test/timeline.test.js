@@ -0,0 +1,35 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { calcLongestStreak, calcLongestGap, mergeTimelines, findPeak } = require('../lib/timeline');
+
+test('最长连续提交天数跨月、跨年计算', () => {
+  assert.equal(calcLongestStreak([]), 0);
+  assert.equal(calcLongestStreak(['2025-03-01']), 1);
+  assert.equal(calcLongestStreak(['2024-12-30', '2024-12-31', '2025-01-01', '2025-01-03', '2025-01-04']), 3);
+  assert.equal(calcLongestStreak(['2025-02-27', '2025-02-28', '2025-03-01']), 3);
+});
+
+test('最长摸鱼天数为两次提交之间没有提交的天数', () => {
+  assert.equal(calcLongestGap(['2025-01-01']), 0);
+  assert.equal(calcLongestGap(['2025-01-01', '2025-01-02']), 0);
+  assert.equal(calcLongestGap(['2025-01-01', '2025-01-05', '2025-01-07']), 3);
+});
+
+test('合并多个仓库的时间线，同一天的提交数和行数相加', () => {
+  const merged = mergeTimelines([
+    { '2025-01-01': { commits: 1, lines: 10 } },
+    null,
+    { '2025-01-01': { commits: 2, lines: 5 }, '2025-01-02': { commits: 1, lines: 1 } }
+  ]);
+  assert.deepEqual(merged, { '2025-01-01': { commits: 3, lines: 15 }, '2025-01-02': { commits: 1, lines: 1 } });
+});
+
+test('跨仓库合并后再找提交最多的一项，提交数相同时取行数更多的', () => {
+  const merged = mergeTimelines([
+    { '10-2025': { commits: 3, lines: 10 }, '11-2025': { commits: 2, lines: 1 } },
+    { '11-2025': { commits: 1, lines: 100 } }
+  ]);
+  assert.deepEqual(findPeak(merged), ['11-2025', { commits: 3, lines: 101 }]);
+  assert.equal(findPeak({}), undefined);
+});
@@ -0,0 +1,31 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validateTimezone, createTimeResolver } = require('../lib/timezone');
+
+test('validateTimezone 接受 author、local、UTC、偏移和 IANA 时区名', () => {
+  ['author', 'local', 'UTC', 'utc', '+08:00', '-0530', '+14:00', 'Asia/Shanghai', 'America/New_York'].forEach(value => {
+    assert.equal(validateTimezone(value), true, value);
+  });
+});
+
+test('validateTimezone 拒绝格式不对或超出范围的值，并按语言返回错误信息', () => {
+  ['+8', '+15:00', '08:00', 'Mars/Olympus'].forEach(value => {
+    assert.equal(typeof validateTimezone(value, 'en'), 'string', value);
+  });
+  assert.match(validateTimezone('Mars/Olympus', 'en'), /Mars\/Olympus/);
+});
+
+test('author 按提交自身记录的时区，其他模式换算到指定时区', () => {
+  const date = '2025-01-01T23:30:00+08:00';
+  const at = (tz, format = 'YYYY-MM-DD HH:mm') => createTimeResolver(tz)(date).format(format);
+  assert.equal(at('author'), '2025-01-01 23:30');
+  assert.equal(at(undefined), '2025-01-01 23:30');
+  assert.equal(at('UTC'), '2025-01-01 15:30');
+  assert.equal(at('+09:00'), '2025-01-02 00:30');
+  assert.equal(at('-0500'), '2025-01-01 10:30');
+  assert.equal(at('Asia/Tokyo'), '2025-01-02 00:30');
+  // 星期也按换算后的日期
+  assert.equal(createTimeResolver('Asia/Tokyo')(date).day(), 4);
+  assert.equal(createTimeResolver('author')('2025-06-01T08:00:00-07:00').format('HH:mm Z'), '08:00 -07:00');
+});